@@ -2,9 +2,21 @@ import cleanup from 'node-cleanup';
 import cleanupHandler from './util/cleanup';
 
 // Register tasks
-export { default as pull } from './tasks/pull';
-export { default as push } from './tasks/push';
+export { default as pull, pullIncremental, pullClean } from './tasks/pull';
+export { default as push, pushDryRun, pushTransactional } from './tasks/push';
 export { default as watch } from './tasks/watch';
+export { default as diff } from './tasks/diff';
+export { default as exportNodeSet } from './tasks/export';
+export { default as importExport } from './tasks/import';
+export { default as backup, restore } from './tasks/backup';
+export { default as verify } from './tasks/verify';
+export { default as lint } from './tasks/lint';
+export {
+  default as certificates,
+  certificatesCreate,
+  certificatesTrust,
+  certificatesReject,
+} from './tasks/certificates';
 
 // Register cleanup
 /* istanbul ignore if */
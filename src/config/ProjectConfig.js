@@ -25,12 +25,58 @@ export default class ProjectConfig extends Config {
     return process.env[`ATSCM_PROJECT__${name}`];
   }
 
+  /**
+   * The name of the selected {@link Atviseproject.Target}, set through the `ATSCM_PROJECT__TARGET`
+   * env variable. `null` if no target is selected.
+   * @type {?string}
+   */
+  static get targetName() {
+    return this._env('TARGET') || null;
+  }
+
+  /**
+   * The selected {@link Atviseproject.Target} or `null` if no target is selected.
+   * @type {?Atviseproject.Target}
+   * @throws {Error} Throws an error if the selected target is not defined.
+   */
+  static get target() {
+    const name = this.targetName;
+
+    if (!name) {
+      return null;
+    }
+
+    const target = this.targets[name];
+
+    if (!target) {
+      const available = Object.keys(this.targets);
+
+      throw new Error(`Unknown target '${name}'. ${available.length ?
+        `Available targets: ${available.join(', ')}` :
+        'No targets are defined'}`);
+    }
+
+    return target;
+  }
+
+  /**
+   * Returns a setting of the selected target.
+   * @param {string} name The setting to return.
+   * @return {*} The setting's value or `undefined` if no target is selected or the target does not
+   * override the setting.
+   */
+  static _target(name) {
+    const target = this.target;
+
+    return target ? target[name] : undefined;
+  }
+
   /**
    * The atvise server's host. Can be overridden with the `ATSCM_PROJECT__HOST` env variable.
    * @type {string}
    */
   static get host() {
-    return this._env('HOST') || super.host;
+    return this._env('HOST') || this._target('host') || super.host;
   }
 
   /**
@@ -42,9 +88,11 @@ export default class ProjectConfig extends Config {
    * with the `ATSCM_PROJECT__PORT__HTTP` env variable.
    */
   static get port() {
+    const targetPort = this._target('port') || {};
+
     return {
-      opc: parseInt(this._env('PORT__OPC'), 10) || super.port.opc,
-      http: parseInt(this._env('PORT__HTTP'), 10) || super.port.http,
+      opc: parseInt(this._env('PORT__OPC'), 10) || targetPort.opc || super.port.opc,
+      http: parseInt(this._env('PORT__HTTP'), 10) || targetPort.http || super.port.http,
     };
   }
 
@@ -57,14 +105,75 @@ export default class ProjectConfig extends Config {
    * `ATSCM_PROJECT__LOGIN__PASSWORD` env variable.
    */
   static get login() {
+    const targetLogin = this._target('login');
+    const login = targetLogin === undefined ? super.login : targetLogin;
+
     if (this._env('LOGIN__USERNAME') || this._env('LOGIN__PASSWORD')) {
       return {
-        username: this._env('LOGIN__USERNAME') || super.login.username,
-        password: this._env('LOGIN__PASSWORD') || super.login.password,
+        username: this._env('LOGIN__USERNAME') || login.username,
+        password: this._env('LOGIN__PASSWORD') || login.password,
       };
     }
 
-    return super.login;
+    return login;
+  }
+
+  /**
+   * The security settings to use when connecting to atvise server.
+   * @type {Object}
+   * @property {string} mode The message security mode. Can be overridden with the
+   * `ATSCM_PROJECT__SECURITY__MODE` env variable.
+   * @property {string} policy The security policy. Can be overridden with the
+   * `ATSCM_PROJECT__SECURITY__POLICY` env variable.
+   * @property {string} [certificateFile] The path of the client certificate.
+   * @property {string} [privateKeyFile] The path of the client's private key.
+   */
+  static get security() {
+    const security = Object.assign({}, super.security, this._target('security'));
+
+    return Object.assign(security, {
+      mode: this._env('SECURITY__MODE') || security.mode,
+      policy: this._env('SECURITY__POLICY') || security.policy,
+    });
+  }
+
+  /**
+   * The settings used to connect to atvise server.
+   * @type {Object}
+   * @property {number} timeout The time in milliseconds a connection attempt may take. Can be
+   * overridden with the `ATSCM_PROJECT__CONNECTION__TIMEOUT` env variable.
+   * @property {number} retries The number of times to retry connecting. Can be overridden with
+   * the `ATSCM_PROJECT__CONNECTION__RETRIES` env variable.
+   * @property {number} retryDelay The time in milliseconds to wait before the first retry.
+   * @property {number} maxRetryDelay The maximum time in milliseconds to wait before a retry.
+   * @property {number} maxSessions The maximum number of sessions to open at the same time. Can be
+   * overridden with the `ATSCM_PROJECT__CONNECTION__MAX_SESSIONS` env variable.
+   */
+  static get connection() {
+    const connection = Object.assign({}, super.connection);
+    const retries = parseInt(this._env('CONNECTION__RETRIES'), 10);
+
+    return Object.assign(connection, {
+      timeout: parseInt(this._env('CONNECTION__TIMEOUT'), 10) || connection.timeout,
+      retries: isNaN(retries) ? connection.retries : retries,
+      maxSessions: parseInt(this._env('CONNECTION__MAX_SESSIONS'), 10) || connection.maxSessions,
+    });
+  }
+
+  /**
+   * The atvise server nodes to sync. Can be overridden by the selected target.
+   * @type {string[]|NodeId[]}
+   */
+  static get nodes() {
+    return this._target('nodes') || super.nodes;
+  }
+
+  /**
+   * The atvise server nodes to watch. Can be overridden by the selected target.
+   * @type {string[]|NodeId[]}
+   */
+  static get nodesToWatch() {
+    return this._target('nodesToWatch') || super.nodesToWatch;
   }
 
 }
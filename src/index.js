@@ -6,3 +6,9 @@ export { default as PartialTransformer } from './lib/transform/PartialTransforme
 export { default as SplittingTransformer } from './lib/transform/SplittingTransformer';
 export { default as DisplayTransformer } from './transform/DisplayTransformer';
 export { default as ScriptTransformer } from './transform/ScriptTransformer';
+export { default as BundleTransformer } from './transform/BundleTransformer';
+export { default as CompileTransformer } from './transform/CompileTransformer';
+export { default as HtmlHelpTransformer } from './transform/HtmlHelpTransformer';
+export {
+  default as TranslationTableTransformer,
+} from './transform/TranslationTableTransformer';
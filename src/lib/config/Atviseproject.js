@@ -32,15 +32,85 @@ export default class Atviseproject {
   }
 
   /**
-   * The login to use. Return `false` if no login is required (default).
+   * The login to use. Return `false` if no login is required (default). To log in with an X.509
+   * user identity instead of a username and password, return the paths of the user's certificate
+   * and private key.
    * @type {Boolean|Object}
-   * @property {string} username The username to log in with.
-   * @property {string} password The password to log in with.
+   * @property {string} [username] The username to log in with.
+   * @property {string} [password] The password to log in with.
+   * @property {string} [certificateFile] The path of the user's certificate (PEM).
+   * @property {string} [privateKeyFile] The path of the user's private key (PEM).
    */
   static get login() {
     return false;
   }
 
+  /**
+   * The security settings to use when connecting to atvise server. Defaults to no security. A
+   * self-signed client certificate can be created by running the *certificatesCreate* task.
+   * @type {Object}
+   * @property {string} [mode='None'] The message security mode, one of *None*, *Sign* and
+   * *SignAndEncrypt*.
+   * @property {string} [policy='None'] The security policy, one of *None*, *Basic128Rsa15*,
+   * *Basic256* and *Basic256Sha256*.
+   * @property {string} [certificateFile] The path of the client certificate (PEM). Defaults to
+   * the self-signed certificate shipped with node-opcua.
+   * @property {string} [privateKeyFile] The path of the client's private key (PEM).
+   */
+  static get security() {
+    return {
+      mode: 'None',
+      policy: 'None',
+    };
+  }
+
+  /**
+   * The settings used to connect to atvise server. Failed connection attempts are retried with an
+   * exponentially growing delay, starting at `retryDelay` and doubled with each retry. Streams
+   * that lose their connection to atvise server open a new session and continue where they
+   * stopped.
+   * @type {Object}
+   * @property {number} [timeout=5000] The time in milliseconds a connection attempt may take.
+   * @property {number} [retries=3] The number of times to retry connecting.
+   * @property {number} [retryDelay=1000] The time in milliseconds to wait before the first retry.
+   * @property {number} [maxRetryDelay=30000] The maximum time in milliseconds to wait before a
+   * retry.
+   * @property {number} [maxSessions=1] The maximum number of sessions to open at the same time.
+   * Streams share these sessions, so some atvise server licences may require to keep it low.
+   */
+  static get connection() {
+    return {
+      timeout: 5000,
+      retries: 3,
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      maxSessions: 1,
+    };
+  }
+
+  /**
+   * Named deployment targets, such as *dev*, *staging* or *production*. Each target may override
+   * the `host`, `port`, `login`, `security`, `nodes` and `nodesToWatch` of the project. A target
+   * is selected by setting the `ATSCM_PROJECT__TARGET` env variable to it's name. Defaults to no
+   * targets.
+   * @type {Map<string, Atviseproject.Target>}
+   * @example
+   * static get targets() {
+   *   return {
+   *     staging: { host: 'staging.local' },
+   *     production: {
+   *       host: '10.0.0.1',
+   *       port: { opc: 4841 },
+   *       login: { username: 'deploy', password: process.env.DEPLOY_PASSWORD },
+   *       confirm: true,
+   *     },
+   *   };
+   * }
+   */
+  static get targets() {
+    return {};
+  }
+
   /**
    * The transformers to use in this project. Defaults to a single {@link DisplayTransformer}.
    * @type {Transformer[]}
@@ -122,6 +192,9 @@ export default class Atviseproject {
       host: this.host,
       port: this.port,
       login: this.login,
+      security: this.security,
+      connection: this.connection,
+      targets: this.targets,
       useTransformers: this.useTransformers,
       nodes: this.nodes,
       nodesToWatch: this.nodesToWatch,
@@ -130,3 +203,16 @@ export default class Atviseproject {
   }
 
 }
+
+/**
+ * @typedef {Object} Atviseproject.Target
+ * @property {string} [host] The atvise server's host.
+ * @property {Object} [port] The atvise server ports to use, with the properties `opc` and `http`.
+ * Ports not set are taken from the project.
+ * @property {Boolean|Object} [login] The login to use.
+ * @property {Object} [security] The security settings to use.
+ * @property {String[]|NodeId[]} [nodes] The atvise server nodes to sync.
+ * @property {String[]|NodeId[]} [nodesToWatch] The atvise server nodes to watch.
+ * @property {boolean} [confirm=false] If writing to the target has to be confirmed, which should
+ * be set for production targets.
+ */
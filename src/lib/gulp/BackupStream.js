@@ -0,0 +1,147 @@
+import { gzipSync } from 'zlib';
+import { ctor as throughStreamClass } from 'through2';
+import File from 'vinyl';
+import Logger from 'gulplog';
+import { DataType, VariantArrayType } from 'node-opcua';
+
+/**
+ * The directory backups are stored in by default.
+ * @type {string}
+ */
+export const DefaultBackupDirectory = './.atscm/backups';
+
+/**
+ * The version of the backup format, stored inside each backup.
+ * @type {number}
+ */
+export const BackupVersion = 1;
+
+/**
+ * Functions that encode node values that cannot be stored as JSON directly, stored against their
+ * data type.
+ * @type {Map<node-opcua~DataType, function(value: *): *>}
+ */
+const Encoder = {
+  [DataType.ByteString]: buffer => Buffer.from(buffer).toString('base64'),
+  [DataType.DateTime]: date => date.toISOString(),
+  [DataType.NodeId]: nodeId => nodeId.toString(),
+  [DataType.LocalizedText]: ({ locale, text }) => ({ locale, text }),
+  [DataType.QualifiedName]: ({ namespaceIndex, name }) => ({ namespaceIndex, name }),
+};
+
+/**
+ * A stream that collects {@link ReadStream.ReadResult}s and, once flushed, pushes a single gzipped
+ * JSON archive containing the raw value, data type, array type and type definition of each node
+ * read. No transformers are involved, so restoring a backup writes the exact values read.
+ */
+export default class BackupStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new BackupStream.
+   * @param {Object} [options] The options to use.
+   * @param {Date} [options.date=new Date()] The date of the backup, used to name the archive.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The date of the backup.
+     * @type {Date}
+     */
+    this.date = options.date || new Date();
+
+    /**
+     * The nodes backed up so far.
+     * @type {BackupStream.Node[]}
+     */
+    this._nodes = [];
+  }
+
+  /**
+   * Returns the file name of a backup created at the given date. As colons are not allowed on all
+   * platforms, they are replaced. The names of backups sort by the date they were created.
+   * @param {Date} date The date of the backup.
+   * @return {string} The backup's file name.
+   */
+  static fileName(date) {
+    return `backup-${date.toISOString().replace(/:/g, '-')}.json.gz`;
+  }
+
+  /**
+   * Encodes a node value so it can be stored as JSON.
+   * @param {*} value The value to encode.
+   * @param {node-opcua~DataType} dataType The value's data type.
+   * @param {node-opcua~VariantArrayType} arrayType The value's array type.
+   * @return {*} The encoded value.
+   */
+  static encodeValue(value, dataType, arrayType) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const encode = Encoder[dataType] || (v => v);
+
+    if (arrayType.value !== VariantArrayType.Scalar.value) {
+      return Array.from(value).map(encode);
+    }
+
+    return encode(value);
+  }
+
+  /**
+   * Stores a {@link ReadStream.ReadResult}. Results without a value, such as objects, are ignored.
+   * @param {ReadStream.ReadResult} readResult The read result to store.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the read result is stored.
+   */
+  _transform(readResult, enc, callback) {
+    if (readResult.value) {
+      const { dataType, arrayType, value } = readResult.value;
+
+      try {
+        this._nodes.push({
+          nodeId: readResult.nodeId.toString(),
+          dataType: dataType.key,
+          arrayType: arrayType.key,
+          typeDefinition: readResult.referenceDescription.typeDefinition.toString(),
+          value: BackupStream.encodeValue(value, dataType, arrayType),
+        });
+      } catch (e) {
+        callback(new Error(`Error backing up ${readResult.nodeId.toString()}: ${e.message}`));
+        return;
+      }
+    }
+
+    callback(null);
+  }
+
+  /**
+   * Pushes the archive containing all nodes stored.
+   * @param {function(err: ?Error)} callback Called once the archive is pushed.
+   */
+  _flush(callback) {
+    const path = BackupStream.fileName(this.date);
+
+    this.push(new File({
+      path,
+      contents: gzipSync(JSON.stringify({
+        version: BackupVersion,
+        date: this.date.toISOString(),
+        nodes: this._nodes,
+      })),
+    }));
+
+    Logger.info(`Backed up ${this._nodes.length} node(s) to ${path}`);
+    callback();
+  }
+
+}
+
+/**
+ * @typedef {Object} BackupStream.Node
+ * @property {string} nodeId The node's id.
+ * @property {string} dataType The name of the node's {@link node-opcua~DataType}.
+ * @property {string} arrayType The name of the node's {@link node-opcua~VariantArrayType}.
+ * @property {string} typeDefinition The node's type definition.
+ * @property {*} value The node's encoded value.
+ */
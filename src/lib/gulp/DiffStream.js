@@ -0,0 +1,265 @@
+import { readFile } from 'fs';
+import { extname, relative, resolve as resolvePath } from 'path';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import { createTwoFilesPatch } from 'diff';
+import NodeFilter from '../server/NodeFilter';
+import { listFiles } from '../../util/fs';
+import OrphanedFilesStream from './OrphanedFilesStream';
+
+/**
+ * The ways a node can differ between the source directory and atvise server.
+ * @type {{Added: String, Removed: String, Modified: String}}
+ */
+export const DiffStatus = {
+  Added: 'added',
+  Removed: 'removed',
+  Modified: 'modified',
+};
+
+/**
+ * Extensions of files that are compared line by line.
+ * @type {String[]}
+ */
+const TextExtensions = ['.js', '.json', '.svg', '.xml', '.html', '.htm', '.css', '.txt', '.rc'];
+
+/**
+ * Reads the contents of a file.
+ * @param {string} path The file to read.
+ * @return {Promise<Buffer, Error>} Fulfilled with the file's contents.
+ */
+function readContents(path) {
+  return new Promise((resolve, reject) => {
+    readFile(path, (err, contents) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(contents);
+      }
+    });
+  });
+}
+
+/**
+ * A stream that collects the files created from atvise server's nodes (as they would be stored by
+ * a pull) and, once flushed, compares them with the files inside the source directory. A
+ * {@link DiffStream.DiffResult} is pushed for each node that differs: Nodes only present in the
+ * source directory are *added*, nodes only present on atvise server are *removed*.
+ */
+export default class DiffStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new DiffStream.
+   * @param {Object} [options] The options to use.
+   * @param {string} [options.directory='./src'] The source directory to compare with.
+   * @param {NodeId[]} [options.nodes=ProjectConfig.nodes] The nodes compared. Files outside these
+   * nodes are ignored.
+   * @param {NodeId[]} [options.ignoreNodes=ProjectConfig.ignoreNodes] The nodes ignored.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The source directory to compare with.
+     * @type {string}
+     */
+    this.directory = options.directory || './src';
+
+    /**
+     * Decides which nodes are compared.
+     * @type {NodeFilter}
+     */
+    this._filter = new NodeFilter(options);
+
+    /**
+     * The contents of the files created from atvise server's nodes, stored against their relative
+     * path.
+     * @type {Map<String, Buffer>}
+     */
+    this._serverFiles = new Map();
+  }
+
+  /**
+   * `true` if the given node is compared.
+   * @param {NodeId} nodeId The node id to check.
+   * @return {boolean} `true` if the node is compared.
+   */
+  isCompared(nodeId) {
+    return this._filter.matches(nodeId);
+  }
+
+  /**
+   * Returns `true` for files that should be compared line by line, such as the files of split
+   * displays and scripts.
+   * @param {string} path The file's path.
+   * @return {boolean} `true` if the file contains text.
+   */
+  static isTextFile(path) {
+    return TextExtensions.includes(extname(path));
+  }
+
+  /**
+   * Returns a unified diff of a file's contents on atvise server and in the source directory.
+   * @param {string} path The file's relative path.
+   * @param {Buffer} serverContents The file's contents on atvise server.
+   * @param {Buffer} localContents The file's contents in the source directory.
+   * @return {string} The unified diff.
+   */
+  static unifiedDiff(path, serverContents, localContents) {
+    return createTwoFilesPatch(
+      `atvise server/${path}`,
+      `local/${path}`,
+      serverContents.toString(),
+      localContents.toString()
+    );
+  }
+
+  /**
+   * Reads all files inside the source directory that belong to compared nodes.
+   * @return {Promise<Map<string, Buffer>, Error>} Fulfilled with the files' contents, stored
+   * against their relative path.
+   */
+  readLocalFiles() {
+    const base = resolvePath(this.directory);
+
+    return listFiles(base)
+      .catch(err => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+
+        throw err;
+      })
+      .then(paths => Promise.all(paths
+        .filter(path => {
+          const nodeId = OrphanedFilesStream.nodeIdForPath(path, base);
+
+          return nodeId && this.isCompared(nodeId);
+        })
+        .map(path => readContents(path)
+          .then(contents => [relative(base, path), contents]))
+      ))
+      .then(entries => new Map(entries));
+  }
+
+  /**
+   * Compares the files collected with the files inside the source directory.
+   * @param {Map<string, Buffer>} localFiles The files inside the source directory.
+   * @return {DiffStream.DiffResult[]} The nodes that differ, sorted by their id.
+   */
+  compare(localFiles) {
+    const base = resolvePath(this.directory);
+    const results = new Map();
+
+    const addChange = (path, status, serverContents, localContents) => {
+      const nodeId = OrphanedFilesStream.nodeIdForPath(resolvePath(base, path), base);
+      const id = nodeId.toString();
+
+      if (!results.has(id)) {
+        results.set(id, { nodeId, status, files: [] });
+      }
+
+      const result = results.get(id);
+
+      if (result.status !== status) {
+        result.status = DiffStatus.Modified;
+      }
+
+      result.files.push({
+        path,
+        status,
+        diff: status === DiffStatus.Modified && DiffStream.isTextFile(path) ?
+          DiffStream.unifiedDiff(path, serverContents, localContents) :
+          null,
+      });
+    };
+
+    this._serverFiles.forEach((serverContents, path) => {
+      if (!localFiles.has(path)) {
+        addChange(path, DiffStatus.Removed, serverContents, null);
+      } else if (!serverContents.equals(localFiles.get(path))) {
+        addChange(path, DiffStatus.Modified, serverContents, localFiles.get(path));
+      }
+    });
+
+    localFiles.forEach((localContents, path) => {
+      if (!this._serverFiles.has(path)) {
+        addChange(path, DiffStatus.Added, null, localContents);
+      }
+    });
+
+    return Array.from(results.keys())
+      .sort()
+      .map(id => results.get(id));
+  }
+
+  /**
+   * Stores a file created from atvise server's nodes.
+   * @param {AtviseFile} file The file to store.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the file is stored.
+   */
+  _transform(file, enc, callback) {
+    if (file.isDirectory()) {
+      callback(null);
+      return;
+    }
+
+    const nodeId = OrphanedFilesStream.nodeIdForPath(
+      resolvePath(this.directory, file.relative),
+      resolvePath(this.directory)
+    );
+
+    if (nodeId && this.isCompared(nodeId)) {
+      this._serverFiles.set(file.relative, file.contents);
+    }
+
+    callback(null);
+  }
+
+  /**
+   * Compares the collected files with the source directory, prints and pushes the differences.
+   * @param {function(err: ?Error)} callback Called once all files are compared.
+   */
+  _flush(callback) {
+    this.readLocalFiles()
+      .then(localFiles => {
+        const results = this.compare(localFiles);
+        const counts = {
+          [DiffStatus.Added]: 0,
+          [DiffStatus.Removed]: 0,
+          [DiffStatus.Modified]: 0,
+        };
+
+        results.forEach(result => {
+          counts[result.status]++;
+
+          Logger.info(`${result.status}: ${result.nodeId.toString()}`);
+          result.files
+            .filter(({ diff }) => diff)
+            .forEach(({ diff }) => Logger.info(diff));
+
+          this.push(result);
+        });
+
+        if (results.length === 0) {
+          Logger.info('No differences between source directory and atvise server');
+        } else {
+          Logger.info(`Diff: ${counts[DiffStatus.Added]} added, ${
+            counts[DiffStatus.Removed]} removed, ${counts[DiffStatus.Modified]} modified node(s)`);
+        }
+
+        callback();
+      })
+      .catch(err => callback(err));
+  }
+
+}
+
+/**
+ * @typedef {Object} DiffStream.DiffResult
+ * @property {NodeId} nodeId The id of the node that differs.
+ * @property {string} status The node's {@link DiffStatus}.
+ * @property {Array<{path: String, status: String, diff: ?String}>} files The files that differ,
+ * with their relative path, {@link DiffStatus} and a unified diff for modified text files.
+ */
@@ -0,0 +1,379 @@
+import { parser as createParser } from 'sax';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import {
+  DataType,
+  DataTypeIds,
+  LocalizedText,
+  NodeClass,
+  ObjectTypeIds,
+  ReferenceTypeIds,
+  Variant,
+  VariantArrayType,
+  VariableTypeIds,
+  resolveNodeId,
+} from 'node-opcua';
+import NodeId from '../server/NodeId';
+import NodeFilter from '../server/NodeFilter';
+import NodeMetadata from '../server/NodeMetadata';
+import ReadStream from '../server/ReadStream';
+
+/**
+ * The node classes imported, stored against the name of their element.
+ * @type {Map<String, node-opcua~NodeClass>}
+ */
+const ImportedNodeClasses = {
+  UAObject: NodeClass.Object,
+  UAVariable: NodeClass.Variable,
+};
+
+/**
+ * The type definitions assumed for nodes without a *HasTypeDefinition* reference, stored against
+ * the name of their element.
+ * @type {Map<String, Number>}
+ */
+const DefaultTypeDefinitions = {
+  UAObject: ObjectTypeIds.FolderType,
+  UAVariable: VariableTypeIds.BaseDataVariableType,
+};
+
+/**
+ * Converts a 64 bit integer to the `[high, low]` representation used by node-opcua.
+ * @param {string} text The integer to convert.
+ * @return {number[]} The high and low 32 bits of the integer.
+ */
+function to64BitArray(text) {
+  const value = Number.parseInt(text, 10);
+  const high = Math.floor(value / 0x100000000);
+
+  return [high, value - (high * 0x100000000)];
+}
+
+/**
+ * Returns the text of an element's first child with the given name.
+ * @param {ImportStream.Element} element The element to look at.
+ * @param {string} name The child's name.
+ * @return {?string} The child's text or `null` if there is no such child.
+ */
+function childText(element, name) {
+  const child = element.children.find(c => c.name === name);
+
+  return child ? child.text : null;
+}
+
+/**
+ * Functions that decode the values stored inside an export, stored against their data type.
+ * Values of data types not listed here are imported as strings.
+ * @type {Map<node-opcua~DataType, function(element: ImportStream.Element): *>}
+ */
+const ValueDecoder = {
+  [DataType.Boolean]: ({ text }) => text.trim() === 'true',
+  [DataType.SByte]: ({ text }) => Number(text),
+  [DataType.Byte]: ({ text }) => Number(text),
+  [DataType.Int16]: ({ text }) => Number(text),
+  [DataType.UInt16]: ({ text }) => Number(text),
+  [DataType.Int32]: ({ text }) => Number(text),
+  [DataType.UInt32]: ({ text }) => Number(text),
+  [DataType.Float]: ({ text }) => Number(text),
+  [DataType.Double]: ({ text }) => Number(text),
+  [DataType.Int64]: ({ text }) => to64BitArray(text),
+  [DataType.UInt64]: ({ text }) => to64BitArray(text),
+  [DataType.DateTime]: ({ text }) => new Date(text.trim()),
+  [DataType.ByteString]: ({ text }) => Buffer.from(text, 'base64'),
+  [DataType.NodeId]: element => resolveNodeId(childText(element, 'Identifier')),
+  [DataType.LocalizedText]: element => new LocalizedText({
+    locale: childText(element, 'Locale') || null,
+    text: childText(element, 'Text'),
+  }),
+};
+
+/**
+ * A stream that parses atvise builder exports (XML files in the OPC-UA NodeSet format) and pushes
+ * a {@link ReadStream.ReadResult} for each object and variable node inside, just like a
+ * {@link ReadStream} would for the nodes on atvise server. Other nodes, such as types, are
+ * ignored, as are nodes a pull would not store, see {@link NodeFilter}.
+ */
+export default class ImportStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new ImportStream.
+   * @param {Object} [options] The options to use.
+   * @param {NodeId[]} [options.nodes=ProjectConfig.nodes] The nodes imported, including their
+   * child nodes.
+   * @param {NodeId[]} [options.ignoreNodes=ProjectConfig.ignoreNodes] The nodes ignored.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * Decides which nodes are imported.
+     * @type {NodeFilter}
+     */
+    this._filter = new NodeFilter(options);
+  }
+
+  /**
+   * Parses an XML document into a tree of {@link ImportStream.Element}s. Contents of `XmlElement`
+   * elements are not parsed, but kept as text.
+   * @param {string} xml The document to parse.
+   * @return {ImportStream.Element} The document's root element.
+   */
+  static parseDocument(xml) {
+    const source = xml.replace(/^\uFEFF/, '');
+    const parser = createParser(true, { position: true });
+    const root = { name: null, attributes: {}, text: '', children: [] };
+    const stack = [root];
+    let xmlDepth = 0;
+
+    parser.onopentag = tag => {
+      if (xmlDepth > 0) {
+        xmlDepth++;
+        return;
+      }
+
+      const element = {
+        name: tag.name.split(':').pop(),
+        attributes: tag.attributes,
+        text: '',
+        children: [],
+      };
+
+      stack[stack.length - 1].children.push(element);
+      stack.push(element);
+
+      if (element.name === 'XmlElement') {
+        element.start = parser.position;
+        xmlDepth = 1;
+      }
+    };
+
+    parser.onclosetag = () => {
+      if (xmlDepth > 0) {
+        xmlDepth--;
+
+        if (xmlDepth > 0) {
+          return;
+        }
+
+        const element = stack[stack.length - 1];
+        element.text = source.slice(element.start, parser.startTagPosition - 1);
+      }
+
+      stack.pop();
+    };
+
+    parser.ontext = parser.oncdata = text => {
+      if (xmlDepth === 0) {
+        stack[stack.length - 1].text += text;
+      }
+    };
+
+    parser.onerror = err => {
+      throw err;
+    };
+
+    parser.write(source).close();
+
+    return root.children[0];
+  }
+
+  /**
+   * Returns the node id for a node id string, as used inside exports, where the namespace of
+   * standard nodes is omitted.
+   * @param {string} text The node id string to parse.
+   * @return {NodeId} The resulting node id.
+   */
+  static parseNodeId(text) {
+    const value = text.trim();
+
+    return new NodeId(value.match(/^ns=/) ? value : `ns=0;${value}`);
+  }
+
+  /**
+   * Resolves data type or reference type aliases.
+   * @param {string} text The alias or node id to resolve.
+   * @param {Map<string, string>} aliases The aliases defined inside the export.
+   * @return {NodeId} The resolved node id.
+   */
+  static resolveAlias(text, aliases) {
+    const value = aliases[text] || text;
+    const standardId = DataTypeIds[value] || ReferenceTypeIds[value];
+
+    if (standardId) {
+      return new NodeId(NodeId.NodeIdType.NUMERIC, standardId, 0);
+    }
+
+    return ImportStream.parseNodeId(value);
+  }
+
+  /**
+   * Returns a variable's value.
+   * @param {ImportStream.Element} element The variable's element.
+   * @param {node-opcua~DataType} dataType The variable's data type.
+   * @param {node-opcua~VariantArrayType} arrayType The variable's array type.
+   * @return {node-opcua~Variant} The variable's value.
+   */
+  static valueForElement(element, dataType, arrayType) {
+    const valueElement = element.children.find(c => c.name === 'Value');
+    const decode = ValueDecoder[dataType] || (({ text }) => text);
+    let value = null;
+
+    if (valueElement && valueElement.children.length > 0) {
+      const content = valueElement.children[0];
+
+      value = arrayType === VariantArrayType.Scalar ?
+        decode(content) :
+        content.children.map(decode);
+    }
+
+    return new Variant({ dataType, arrayType, value });
+  }
+
+  /**
+   * Creates the {@link ReadStream.ReadResult} for a node inside an export.
+   * @param {ImportStream.Element} element The node's element.
+   * @param {Map<string, string>} aliases The aliases defined inside the export.
+   * @param {Map<string, node-opcua~NodeClass>} nodeClasses The classes of the exported nodes,
+   * stored against their node id.
+   * @return {?ReadStream.ReadResult} The resulting read result or `null` if the node cannot be
+   * stored.
+   */
+  static readResultForElement(element, aliases, nodeClasses) {
+    const nodeId = ImportStream.parseNodeId(element.attributes.NodeId);
+    const nodeClass = ImportedNodeClasses[element.name];
+
+    if (nodeId.identifierType !== NodeId.NodeIdType.STRING) {
+      Logger.debug(`Skipping ${nodeId.toString()}: Only string node ids can be stored`);
+      return null;
+    }
+
+    const referencesElement = element.children.find(c => c.name === 'References');
+    const references = (referencesElement ? referencesElement.children : [])
+      .map(reference => ({
+        referenceTypeId: ImportStream.resolveAlias(reference.attributes.ReferenceType, aliases),
+        nodeId: ImportStream.parseNodeId(reference.text),
+        isForward: reference.attributes.IsForward !== 'false',
+      }));
+
+    const typeDefinitionReference = references.find(({ referenceTypeId }) =>
+      referenceTypeId.namespace === 0 &&
+      referenceTypeId.value === ReferenceTypeIds.HasTypeDefinition);
+    const typeDefinition = typeDefinitionReference ?
+      typeDefinitionReference.nodeId :
+      new NodeId(NodeId.NodeIdType.NUMERIC, DefaultTypeDefinitions[element.name], 0);
+
+    const parentNodeId = element.attributes.ParentNodeId &&
+      ImportStream.parseNodeId(element.attributes.ParentNodeId).toString();
+    const parentReference = references.find(reference => !reference.isForward &&
+      reference.nodeId.toString() === parentNodeId);
+
+    let value = null;
+
+    if (nodeClass === NodeClass.Variable) {
+      const dataTypeId = ImportStream.resolveAlias(element.attributes.DataType || 'BaseDataType',
+        aliases);
+      const dataType = dataTypeId.namespace === 0 && DataType.get(dataTypeId.value);
+
+      if (!dataType) {
+        Logger.warn(`Skipping ${nodeId.toString()}: Unsupported data type ${dataTypeId}`);
+        return null;
+      }
+
+      value = ImportStream.valueForElement(
+        element,
+        dataType,
+        Number.parseInt(element.attributes.ValueRank, 10) > 0 ?
+          VariantArrayType.Array :
+          VariantArrayType.Scalar
+      );
+    }
+
+    return {
+      nodeId,
+      value,
+      referenceDescription: {
+        nodeId,
+        nodeClass,
+        typeDefinition,
+        referenceTypeId: parentReference ?
+          parentReference.referenceTypeId :
+          NodeMetadata.defaultReferenceTypeId(nodeClass, typeDefinition),
+      },
+      mtime: undefined,
+      attributes: {
+        displayName: childText(element, 'DisplayName'),
+        description: childText(element, 'Description'),
+        accessLevel: element.attributes.AccessLevel === undefined ?
+          undefined :
+          Number.parseInt(element.attributes.AccessLevel, 10),
+      },
+      references: references
+        .filter(reference => reference.isForward &&
+          ReadStream.isStoredReference(nodeId, reference))
+        .map(reference => Object.assign(reference, {
+          nodeClass: nodeClasses[reference.nodeId.toString()] || NodeClass.Unspecified,
+        })),
+    };
+  }
+
+  /**
+   * Parses an export and returns the {@link ReadStream.ReadResult}s for all object and variable
+   * nodes inside.
+   * @param {string} xml The export's contents.
+   * @return {ReadStream.ReadResult[]} The resulting read results.
+   */
+  static readResults(xml) {
+    const document = ImportStream.parseDocument(xml);
+
+    if (!document || document.name !== 'UANodeSet') {
+      throw new Error('Not an OPC-UA NodeSet document');
+    }
+
+    const aliasesElement = document.children.find(c => c.name === 'Aliases');
+    const aliases = (aliasesElement ? aliasesElement.children : [])
+      .reduce((result, alias) => Object.assign(result, {
+        [alias.attributes.Alias]: alias.text.trim(),
+      }), {});
+
+    const nodeElements = document.children.filter(c => ImportedNodeClasses[c.name]);
+    const nodeClasses = nodeElements
+      .reduce((result, element) => Object.assign(result, {
+        [ImportStream.parseNodeId(element.attributes.NodeId).toString()]:
+          ImportedNodeClasses[element.name],
+      }), {});
+
+    return nodeElements
+      .map(element => ImportStream.readResultForElement(element, aliases, nodeClasses))
+      .filter(readResult => readResult);
+  }
+
+  /**
+   * Parses an export file and pushes the {@link ReadStream.ReadResult}s for the nodes inside.
+   * @param {vinyl~File} file The export file to parse.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the file is parsed.
+   */
+  _transform(file, enc, callback) {
+    try {
+      const readResults = ImportStream.readResults(file.contents.toString())
+        .filter(readResult => this._filter.matches(readResult.nodeId));
+
+      readResults.forEach(readResult => this.push(readResult));
+      Logger.info(`Imported ${readResults.length} node(s) from ${file.relative}`);
+
+      callback(null);
+    } catch (e) {
+      callback(new Error(`Error importing ${file.relative}: ${e.message}`));
+    }
+  }
+
+}
+
+/**
+ * @typedef {Object} ImportStream.Element
+ * @property {string} name The element's name, without a namespace prefix.
+ * @property {Map<String, String>} attributes The element's attributes.
+ * @property {string} text The element's text content. For `XmlElement` elements this is the raw
+ * XML inside.
+ * @property {ImportStream.Element[]} children The element's child elements.
+ */
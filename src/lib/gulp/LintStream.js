@@ -0,0 +1,226 @@
+import { basename, extname } from 'path';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import AtviseFile from '../server/AtviseFile';
+
+/**
+ * The globals available in display scripts and quick dynamics, which run inside the browser.
+ * @type {String[]}
+ */
+export const DisplayGlobals = ['webMI', '$', 'console'];
+
+/**
+ * The globals available in server scripts.
+ * @type {String[]}
+ */
+export const ScriptGlobals = ['call', 'Ua', 'console'];
+
+/**
+ * Returns the ESLint API. ESLint is loaded lazily, as it only has to be installed in projects that
+ * lint their scripts.
+ * @return {Object} The *eslint* module.
+ * @throws {Error} Throws an error if ESLint is not installed.
+ */
+function eslint() {
+  try {
+    return require('eslint'); // eslint-disable-line global-require
+  } catch (e) {
+    if (e.code === 'MODULE_NOT_FOUND' && e.message.includes('\'eslint\'')) {
+      throw new Error('ESLint is required to lint scripts. Install it in your project, e.g. run ' +
+        '\'npm install --save-dev eslint\'');
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * A stream that lints the scripts of displays, server scripts and quick dynamics, as split by
+ * {@link DisplayTransformer} and {@link ScriptTransformer}, using ESLint. The project's ESLint
+ * configuration is used, e.g. an *.eslintrc* file in the project directory, atvise globals and the
+ * parameters of scripts are configured automatically. A {@link LintStream.LintResult} is pushed for
+ * each script with problems. The stream errors once flushed if any problems were found.
+ */
+export default class LintStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new LintStream.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The scripts to lint.
+     * @type {vinyl~File[]}
+     */
+    this._scripts = [];
+
+    /**
+     * The split configuration files read, stored against the directory of the node they belong to.
+     * @type {Map<string, vinyl~File>}
+     */
+    this._configs = new Map();
+
+    /**
+     * The ESLint engines created, stored against their (serialized) configuration.
+     * @type {Map<string, eslint~CLIEngine>}
+     */
+    this._engines = new Map();
+  }
+
+  /**
+   * Returns the ESLint configuration to use for the scripts of a node.
+   * @param {AtviseFile} node The node the scripts belong to.
+   * @param {Object} config The node's split configuration file.
+   * @return {?Object} The ESLint configuration to use, with the properties `globals` and `envs`
+   * or `null` for nodes without scripts.
+   */
+  static configForNode(node, config) {
+    const parameters = (config.parameters || [])
+      .map(parameter => parameter.name)
+      .filter(name => name);
+
+    if (node.isDisplay || node.isQuickDynamic) {
+      return { globals: DisplayGlobals.concat(parameters), envs: ['browser'] };
+    } else if (node.isScript) {
+      return { globals: ScriptGlobals.concat(parameters), envs: [] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates an ESLint engine that uses the project's ESLint configuration and the given globals and
+   * environments.
+   * @param {Object} options The ESLint configuration to use, with the properties `globals` and
+   * `envs`.
+   * @return {eslint~CLIEngine} The engine created.
+   * @throws {Error} Throws an error if ESLint is not installed.
+   */
+  static createEngine({ globals, envs }) {
+    const { CLIEngine } = eslint();
+
+    return new CLIEngine({
+      globals: globals.map(name => `${name}:false`),
+      envs,
+    });
+  }
+
+  /**
+   * Lints a script.
+   * @param {string} code The script's code.
+   * @param {string} path The script's path, used to find the project's ESLint configuration.
+   * @param {eslint~CLIEngine} engine The ESLint engine to use.
+   * @return {Object[]} The problems found, as reported by ESLint.
+   */
+  static lintScript(code, path, engine) {
+    return engine.executeOnText(code, path).results[0].messages;
+  }
+
+  /**
+   * Returns the ESLint engine for the given configuration. Engines are reused for scripts with the
+   * same configuration.
+   * @param {Object} options The ESLint configuration to use, with the properties `globals` and
+   * `envs`.
+   * @return {eslint~CLIEngine} The engine to use.
+   */
+  _engineFor(options) {
+    const key = JSON.stringify(options);
+
+    if (!this._engines.has(key)) {
+      this._engines.set(key, LintStream.createEngine(options));
+    }
+
+    return this._engines.get(key);
+  }
+
+  /**
+   * Stores scripts and split configuration files. Only `{stem}.json` files are configuration files,
+   * as other json files may be split from the same node, such as a display's event handlers. Other
+   * files are ignored.
+   * @param {vinyl~File} file The file to store.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the file is stored.
+   */
+  _transform(file, enc, callback) {
+    if (file.extname === '.js') {
+      this._scripts.push(file);
+    } else if (file.basename === `${basename(file.dirname, extname(file.dirname))}.json`) {
+      this._configs.set(file.dirname, file);
+    }
+
+    callback(null);
+  }
+
+  /**
+   * Lints all scripts stored, prints and pushes the problems found.
+   * @param {function(err: ?Error)} callback Called with an error if any problems were found.
+   */
+  _flush(callback) {
+    let errorCount = 0;
+    let warningCount = 0;
+
+    try {
+      this._scripts
+        .sort((a, b) => a.relative.localeCompare(b.relative))
+        .forEach(script => {
+          const node = new AtviseFile({ cwd: script.cwd, base: script.base, path: script.dirname });
+          const configFile = this._configs.get(script.dirname);
+          let config = {};
+
+          if (configFile) {
+            try {
+              config = JSON.parse(configFile.contents.toString());
+            } catch (e) {
+              throw new Error(`Error parsing JSON in ${configFile.relative}: ${e.message}`);
+            }
+          }
+
+          const options = LintStream.configForNode(node, config);
+
+          if (!options) {
+            return;
+          }
+
+          const messages = LintStream.lintScript(script.contents.toString(), script.path,
+            this._engineFor(options));
+
+          if (messages.length > 0) {
+            const nodeId = node.nodeId;
+
+            messages.forEach(({ severity, line, column, message, ruleId }) => {
+              if (severity === 2) {
+                errorCount++;
+              } else {
+                warningCount++;
+              }
+
+              Logger.warn(`${script.relative}:${line}:${column} (${nodeId.toString()}): ${
+                severity === 2 ? 'error' : 'warning'} ${message}${ruleId ? ` (${ruleId})` : ''}`);
+            });
+
+            this.push({ nodeId, path: script.relative, messages });
+          }
+        });
+    } catch (e) {
+      callback(e);
+      return;
+    }
+
+    if (errorCount + warningCount > 0) {
+      callback(new Error(`Found ${errorCount + warningCount} problem(s) (${errorCount} error(s), ${
+        warningCount} warning(s))`));
+    } else {
+      Logger.info(`Linted ${this._scripts.length} script(s) without problems`);
+      callback();
+    }
+  }
+
+}
+
+/**
+ * @typedef {Object} LintStream.LintResult
+ * @property {NodeId} nodeId The id of the node the script belongs to.
+ * @property {string} path The relative path of the script.
+ * @property {Object[]} messages The problems found, as reported by ESLint.
+ */
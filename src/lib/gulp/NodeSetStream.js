@@ -0,0 +1,372 @@
+import { join } from 'path';
+import { ctor as throughStreamClass } from 'through2';
+import File from 'vinyl';
+import { parseString as parseXML, Builder as XMLBuilder } from 'xml2js';
+import {
+  DataType,
+  DataTypeIds,
+  NodeClass,
+  ObjectIds,
+  ObjectTypeIds,
+  ReferenceTypeIds,
+  VariantArrayType,
+} from 'node-opcua';
+import Logger from 'gulplog';
+import NodeId from '../server/NodeId';
+import NodeMetadata, { DefaultAccessLevel } from '../server/NodeMetadata';
+
+/**
+ * The namespace of NodeSet2 documents.
+ * @type {String}
+ */
+const NodeSetNamespace = 'http://opcfoundation.org/UA/2011/03/UANodeSet.xsd';
+
+/**
+ * The namespace of values inside NodeSet2 documents.
+ * @type {String}
+ */
+const TypesNamespace = 'http://opcfoundation.org/UA/2008/02/Types.xsd';
+
+/**
+ * The URI of atvise server's namespace (namespace index *1*).
+ * @type {String}
+ */
+export const AtviseNamespaceUri = 'http://www.atvise.com/atServer/UA/';
+
+/**
+ * Names of the standard data types and reference types, stored against their numeric identifier.
+ * @type {Map<Number, String>}
+ */
+const StandardNames = [DataTypeIds, ReferenceTypeIds]
+  .reduce((result, ids) => Object.keys(ids)
+    .reduce((names, name) => Object.assign(names, { [ids[name]]: name }), result), {});
+
+/**
+ * Returns a node id's string representation as used in NodeSet2 documents, where the namespace
+ * index of standard nodes is omitted.
+ * @param {NodeId|string} nodeId The node id to format.
+ * @return {string} The formatted node id.
+ */
+function formatNodeId(nodeId) {
+  return nodeId.toString().replace(/^ns=0;/, '');
+}
+
+/**
+ * Returns a standard node id for the given numeric identifier.
+ * @param {number} value The identifier to use.
+ * @return {NodeId} The resulting node id.
+ */
+function standardNodeId(value) {
+  return new NodeId(NodeId.NodeIdType.NUMERIC, value, 0);
+}
+
+/**
+ * Removes all undefined properties from an object, as *xml2js* renders them as empty elements.
+ * @param {Object} object The object to process.
+ * @return {Object} The object without undefined properties.
+ */
+function withoutUndefined(object) {
+  return Object.keys(object)
+    .filter(key => object[key] !== undefined)
+    .reduce((result, key) => Object.assign(result, { [key]: object[key] }), {});
+}
+
+/**
+ * Parses XML contents.
+ * @param {string} contents The XML to parse.
+ * @return {Promise<Object, Error>} Fulfilled with the parsed document.
+ */
+function parseContents(contents) {
+  return new Promise((resolve, reject) => {
+    parseXML(contents, (err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * A stream that collects {@link AtviseFile}s (as they would be pushed) and, once flushed, pushes a
+ * single {@link vinyl~File} containing an OPC-UA NodeSet2 (`UANodeSet`) document describing them.
+ * The nodes' parents are derived from their {@link NodeId}s and added as objects, metadata stored
+ * in runtime configuration files (see {@link NodeMetadata}) is included.
+ */
+export default class NodeSetStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new NodeSetStream.
+   * @param {Object} [options] The options to use.
+   * @param {string} [options.path='nodeset.xml'] The path of the resulting file.
+   * @param {string} [options.namespaceUri=AtviseNamespaceUri] The URI of namespace *1*.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The path of the resulting file.
+     * @type {string}
+     */
+    this.path = options.path || 'nodeset.xml';
+
+    /**
+     * The URI of namespace *1*.
+     * @type {string}
+     */
+    this.namespaceUri = options.namespaceUri || AtviseNamespaceUri;
+
+    /**
+     * The variable nodes collected, stored against their node id.
+     * @type {Map<String, {file: AtviseFile, metadata: Object}>}
+     */
+    this._variables = new Map();
+  }
+
+  /**
+   * Returns the value of an {@link AtviseFile} as used inside NodeSet2 documents. Matrix values are
+   * not supported.
+   * @param {AtviseFile} file The file to get the value for.
+   * @return {Promise<?Object, Error>} Fulfilled with the value element's contents or `null` if the
+   * file has no (supported) value.
+   */
+  static valueForFile(file) {
+    if (!file.contents || file.contents.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    const typeName = file.dataType.key;
+
+    if (file.arrayType.value === VariantArrayType.Matrix.value) {
+      Logger.debug(`Matrix value of ${file.nodeId.toString()} is not exported`);
+      return Promise.resolve(null);
+    }
+
+    const encodeElement = raw => {
+      switch (file.dataType.value) {
+        case DataType.ByteString.value:
+          return Promise.resolve(file.contents.toString('base64'));
+        case DataType.DateTime.value:
+          return Promise.resolve(new Date(Number.parseInt(raw, 10)).toISOString());
+        case DataType.NodeId.value:
+          return Promise.resolve({ 'uax:Identifier': formatNodeId(raw) });
+        case DataType.XmlElement.value:
+          return parseContents(raw);
+        default:
+          return Promise.resolve(raw);
+      }
+    };
+
+    if (file.arrayType.value === VariantArrayType.Array.value) {
+      return Promise.all(file.contents.toString().split(',').map(encodeElement))
+        .then(elements => ({
+          [`uax:ListOf${typeName}`]: {
+            $: { 'xmlns:uax': TypesNamespace },
+            [`uax:${typeName}`]: elements,
+          },
+        }));
+    }
+
+    return encodeElement(file.contents.toString())
+      .then(element => ({
+        [`uax:${typeName}`]: typeof element === 'string' ?
+          { $: { 'xmlns:uax': TypesNamespace }, _: element } :
+          Object.assign({ $: { 'xmlns:uax': TypesNamespace } }, element),
+      }));
+  }
+
+  /**
+   * Returns the `References` element for a node.
+   * @param {Object} options The references to add.
+   * @param {NodeId|string} options.typeDefinition The node's type definition.
+   * @param {NodeId|string} options.parentNodeId The node's parent.
+   * @param {NodeId|string} options.referenceTypeId The type of the reference from the parent.
+   * @param {Object[]} [options.references] Additional references stored in the node's metadata.
+   * @param {function(nodeId: NodeId|String): String} alias Returns the alias for a node id.
+   * @return {Object} The node's references.
+   */
+  static referencesElement({ typeDefinition, parentNodeId, referenceTypeId, references = [] },
+    alias) {
+    return {
+      Reference: [
+        { $: { ReferenceType: alias(ReferenceTypeIds.HasTypeDefinition) },
+          _: formatNodeId(typeDefinition) },
+        { $: { ReferenceType: alias(referenceTypeId), IsForward: 'false' },
+          _: formatNodeId(parentNodeId) },
+      ]
+        .concat(references.map(reference => ({
+          $: { ReferenceType: alias(reference.referenceTypeId) },
+          _: formatNodeId(reference.nodeId),
+        }))),
+    };
+  }
+
+  /**
+   * Stores an {@link AtviseFile} and reads it's metadata.
+   * @param {AtviseFile} file The file to store.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the file is stored.
+   */
+  _transform(file, enc, callback) {
+    if (file.isDirectory()) {
+      callback(null);
+      return;
+    }
+
+    NodeMetadata.readForFile(file.path)
+      .then(metadata => {
+        this._variables.set(file.nodeId.toString(), { file, metadata });
+        callback(null);
+      })
+      .catch(err => callback(err));
+  }
+
+  /**
+   * Collects the objects containing the stored variables, reads their metadata and returns them.
+   * @return {Promise<Map<string, {nodeId: NodeId, metadata: Object}>, Error>} Fulfilled with the
+   * objects, stored against their node id.
+   */
+  collectObjects() {
+    const objects = new Map();
+    const reads = [];
+
+    this._variables.forEach(({ file }) => {
+      let parent = file.nodeId.parent;
+
+      while (parent && !objects.has(parent.toString()) && !this._variables.has(parent.toString())) {
+        const object = { nodeId: parent, metadata: {} };
+
+        objects.set(parent.toString(), object);
+        reads.push(NodeMetadata.read(join(file.base, NodeMetadata.objectRcPath(parent)))
+          .then(metadata => { object.metadata = metadata; }));
+
+        parent = parent.parent;
+      }
+    });
+
+    return Promise.all(reads)
+      .then(() => objects);
+  }
+
+  /**
+   * Builds the NodeSet2 document for the stored variables.
+   * @return {Promise<string, Error>} Fulfilled with the document's XML.
+   */
+  buildNodeSet() {
+    const aliases = new Map();
+    const alias = nodeId => {
+      const id = typeof nodeId === 'number' ?
+        standardNodeId(nodeId) :
+        new NodeId(nodeId.toString());
+      const name = id.namespace === 0 && StandardNames[id.value];
+
+      if (!name) {
+        return formatNodeId(id);
+      }
+
+      aliases.set(name, formatNodeId(id));
+      return name;
+    };
+    const parentNodeId = nodeId => nodeId.parent || standardNodeId(ObjectIds.ObjectsFolder);
+    const sorted = map => Array.from(map.keys()).sort().map(id => map.get(id));
+
+    return this.collectObjects()
+      .then(objects => Promise.all(sorted(this._variables)
+        .map(({ file }) => NodeSetStream.valueForFile(file)))
+        .then(values => {
+          const uaObjects = sorted(objects).map(({ nodeId, metadata }) => withoutUndefined({
+            $: {
+              NodeId: formatNodeId(nodeId),
+              BrowseName: `${nodeId.namespace}:${nodeId.browseName}`,
+              ParentNodeId: formatNodeId(parentNodeId(nodeId)),
+            },
+            DisplayName: metadata.displayName || nodeId.browseName,
+            Description: metadata.description,
+            References: NodeSetStream.referencesElement({
+              typeDefinition: metadata.typeDefinition || standardNodeId(ObjectTypeIds.FolderType),
+              parentNodeId: parentNodeId(nodeId),
+              referenceTypeId: metadata.referenceTypeId || ReferenceTypeIds.Organizes,
+              references: metadata.references,
+            }, alias),
+          }));
+
+          const uaVariables = sorted(this._variables).map(({ file, metadata }, i) => {
+            const nodeId = file.nodeId;
+            const accessLevel = metadata.accessLevel === undefined ?
+              DefaultAccessLevel :
+              metadata.accessLevel;
+
+            return withoutUndefined({
+              $: {
+                NodeId: formatNodeId(nodeId),
+                BrowseName: `${nodeId.namespace}:${nodeId.browseName}`,
+                ParentNodeId: formatNodeId(parentNodeId(nodeId)),
+                DataType: alias(file.dataType.value),
+                ValueRank: file.arrayType.value === VariantArrayType.Scalar.value ?
+                  -1 :
+                  file.arrayType.value,
+                AccessLevel: accessLevel,
+                UserAccessLevel: accessLevel,
+              },
+              DisplayName: metadata.displayName || nodeId.browseName,
+              Description: metadata.description,
+              References: NodeSetStream.referencesElement({
+                typeDefinition: file.typeDefinition,
+                parentNodeId: parentNodeId(nodeId),
+                referenceTypeId: metadata.referenceTypeId ||
+                  NodeMetadata.defaultReferenceTypeId(NodeClass.Variable, file.typeDefinition),
+                references: metadata.references,
+              }, alias),
+              Value: values[i] || undefined,
+            });
+          });
+
+          return new XMLBuilder({
+            renderOpts: {
+              pretty: true,
+              indent: '  ',
+              newline: '\n',
+            },
+            xmldec: {
+              version: '1.0',
+              encoding: 'UTF-8',
+            },
+          }).buildObject({
+            UANodeSet: {
+              $: {
+                xmlns: NodeSetNamespace,
+                'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+                'xmlns:xsd': 'http://www.w3.org/2001/XMLSchema',
+              },
+              NamespaceUris: { Uri: [this.namespaceUri] },
+              Aliases: {
+                Alias: Array.from(aliases.keys()).sort()
+                  .map(name => ({ $: { Alias: name }, _: aliases.get(name) })),
+              },
+              UAObject: uaObjects,
+              UAVariable: uaVariables,
+            },
+          });
+        }));
+  }
+
+  /**
+   * Builds the NodeSet2 document and pushes it as a {@link vinyl~File}.
+   * @param {function(err: ?Error)} callback Called once the document is pushed.
+   */
+  _flush(callback) {
+    this.buildNodeSet()
+      .then(contents => {
+        this.push(new File({
+          path: this.path,
+          contents: Buffer.from(contents),
+        }));
+
+        Logger.info(`Exported ${this._variables.size} node(s) to ${this.path}`);
+        callback();
+      })
+      .catch(err => callback(err));
+  }
+
+}
@@ -0,0 +1,194 @@
+import { unlink, rmdir } from 'fs';
+import { basename, dirname, extname, relative, resolve as resolvePath, join } from 'path';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import AtviseFile from '../server/AtviseFile';
+import NodeId from '../server/NodeId';
+import NodeFilter from '../server/NodeFilter';
+import { listFiles } from '../../util/fs';
+
+/**
+ * Removes the given directory and it's parents as long as they are empty.
+ * @param {string} directoryPath The directory to remove.
+ * @param {string} root The directory to stop at, it is never removed.
+ * @return {Promise<undefined, Error>} Fulfilled once all empty directories are removed.
+ */
+function removeEmptyDirectories(directoryPath, root) {
+  if (resolvePath(directoryPath) === resolvePath(root)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    rmdir(directoryPath, err => {
+      if (!err) {
+        removeEmptyDirectories(dirname(directoryPath), root).then(resolve, reject);
+      } else if (['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(err.code)) {
+        resolve();
+      } else {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * A stream that passes all files stored by a pull and, once flushed, removes (or reports) files
+ * inside the source directory that belong to nodes that were not browsed, e.g. because they were
+ * deleted on atvise server.
+ */
+export default class OrphanedFilesStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new OrphanedFilesStream.
+   * @param {Set<string>} browsedNodes The (string representations of the) node ids browsed. May be
+   * filled while the stream is running.
+   * @param {Object} [options] The options to use.
+   * @param {string} [options.directory='./src'] The source directory to look at.
+   * @param {boolean} [options.remove=false] If orphaned files should be removed. Otherwise they are
+   * reported only.
+   * @param {NodeId[]} [options.nodes=ProjectConfig.nodes] The nodes pulled. Files outside these
+   * nodes are never touched.
+   * @param {NodeId[]} [options.ignoreNodes=ProjectConfig.ignoreNodes] The nodes ignored. Their
+   * files are never touched.
+   */
+  constructor(browsedNodes, options = {}) {
+    super();
+
+    /**
+     * The node ids browsed.
+     * @type {Set<String>}
+     */
+    this.browsedNodes = browsedNodes;
+
+    /**
+     * The source directory to look at.
+     * @type {string}
+     */
+    this.directory = options.directory || './src';
+
+    /**
+     * If orphaned files should be removed.
+     * @type {boolean}
+     */
+    this.shouldRemove = options.remove || false;
+
+    /**
+     * Decides which nodes are pulled.
+     * @type {NodeFilter}
+     */
+    this._filter = new NodeFilter(options);
+  }
+
+  /**
+   * Returns the id of the node a file inside the source directory belongs to. Handles split
+   * directories (as created by {@link SplittingTransformer}) and runtime configuration files.
+   * @param {string} path The file's path.
+   * @param {string} base The source directory.
+   * @return {?NodeId} The node id or `null` for files that do not belong to any node.
+   */
+  static nodeIdForPath(path, base) {
+    let nodePath = path;
+    const name = basename(path);
+    const dirStem = basename(dirname(path), extname(dirname(path)));
+
+    if (name[0] === '.') {
+      if (extname(name) !== '.rc') {
+        return null;
+      }
+
+      // Runtime configuration files are stored as `.{name}[.{extensions}].rc`
+      return NodeId.fromFilePath(relative(base, join(dirname(path), name.slice(1).split('.')[0])));
+    } else if (extname(dirname(path)) && name.startsWith(`${dirStem}.`)) {
+      // Split files are stored as `{stem}.{type}/{stem}[.{index}].{ext}`
+      nodePath = dirname(path);
+    }
+
+    try {
+      return (new AtviseFile({ base, path: nodePath })).nodeId;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * `true` if the given node is synced by atscm and not ignored.
+   * @param {NodeId} nodeId The node id to check.
+   * @return {boolean} `true` if the node is synced.
+   */
+  isSynced(nodeId) {
+    return this._filter.matches(nodeId);
+  }
+
+  /**
+   * Returns all files inside the source directory that belong to nodes not browsed.
+   * @return {Promise<string[], Error>} Fulfilled with the paths of the orphaned files.
+   */
+  findOrphanedFiles() {
+    const base = resolvePath(this.directory);
+
+    return listFiles(base)
+      .catch(err => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+
+        throw err;
+      })
+      .then(paths => paths.filter(path => {
+        const nodeId = OrphanedFilesStream.nodeIdForPath(path, base);
+
+        return nodeId && this.isSynced(nodeId) && !this.browsedNodes.has(nodeId.toString());
+      }));
+  }
+
+  /**
+   * Removes the given file and all directories that got empty.
+   * @param {string} path The file to remove.
+   * @return {Promise<undefined, Error>} Fulfilled once the file is removed.
+   */
+  removeFile(path) {
+    return new Promise((resolve, reject) => {
+      unlink(path, err => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    })
+      .then(() => removeEmptyDirectories(dirname(path), this.directory));
+  }
+
+  /**
+   * Reports or removes all orphaned files.
+   * @param {function(err: ?Error)} callback Called once all orphaned files are handled.
+   * @emits {String[]} Emits an `orphaned` event with the paths of all orphaned files found.
+   */
+  _flush(callback) {
+    this.findOrphanedFiles()
+      .then(paths => {
+        this.emit('orphaned', paths);
+
+        if (paths.length === 0) {
+          return undefined;
+        }
+
+        const base = resolvePath(this.directory);
+
+        Logger.info(paths.length, `file(s) belong to nodes that no longer exist${
+          this.shouldRemove ? ', removing:' : ':'}`);
+        paths.forEach(path => Logger.info(`  - ${relative(base, path)}`));
+
+        if (!this.shouldRemove) {
+          return undefined;
+        }
+
+        // Remove files sequentially as directories may get empty
+        return paths.reduce((result, path) => result.then(() => this.removeFile(path)),
+          Promise.resolve());
+      })
+      .then(() => callback())
+      .catch(err => callback(err));
+  }
+
+}
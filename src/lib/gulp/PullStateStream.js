@@ -0,0 +1,177 @@
+import { readFile, writeFile } from 'fs';
+import { dirname } from 'path';
+import { ctor as throughStreamClass, obj as createStream } from 'through2';
+import Logger from 'gulplog';
+import { ensureDirectory } from '../../util/fs';
+
+/**
+ * The default location of the pull state file.
+ * @type {string}
+ */
+export const DefaultStatePath = './.atscm/pull-state.json';
+
+/**
+ * A stream that only passes {@link ReadStream.ReadResult}s whose source timestamp differs from the
+ * one stored in the pull state file. Once flushed, nodes that were removed on atvise server since
+ * the last pull are reported. The state file is only updated once the pulled files are written, see
+ * {@link PullStateStream#createStoreStream}.
+ */
+export default class PullStateStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new PullStateStream and starts loading the state file.
+   * @param {Object} [options] The options to use.
+   * @param {string} [options.path=DefaultStatePath] The path of the state file to use.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The path of the state file used.
+     * @type {string}
+     */
+    this.statePath = options.path || DefaultStatePath;
+
+    /**
+     * The source timestamps of all nodes read so far, stored against their node id.
+     * @type {Object<string, ?number>}
+     */
+    this._state = {};
+
+    /**
+     * The number of read results that were skipped as they did not change.
+     * @type {number}
+     */
+    this._skipped = 0;
+
+    /**
+     * Resolved with the state stored during the last pull.
+     * @type {Promise<Object<string, ?number>>}
+     */
+    this._lastState = PullStateStream.readState(this.statePath);
+  }
+
+  /**
+   * Reads the state file at the given path. A missing file results in an empty state.
+   * @param {string} path The path of the state file.
+   * @return {Promise<Object<string, ?number>, Error>} Fulfilled with the stored state or rejected
+   * with the error that occurred while reading or parsing the state file.
+   */
+  static readState(path) {
+    return new Promise((resolve, reject) => {
+      readFile(path, 'utf8', (err, data) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            resolve({});
+          } else {
+            reject(err);
+          }
+        } else {
+          try {
+            resolve(JSON.parse(data).nodes || {});
+          } catch (e) {
+            reject(new Error(`Error parsing pull state in ${path}: ${e.message}`));
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Writes the given state to the given path.
+   * @param {string} path The path of the state file.
+   * @param {Object<string, ?number>} nodes The source timestamps to store against their node ids.
+   * @return {Promise<undefined, Error>} Fulfilled once the state file is written or rejected with
+   * the error that occurred while writing it.
+   */
+  static writeState(path, nodes) {
+    return ensureDirectory(dirname(path))
+      .then(() => new Promise((resolve, reject) => {
+        writeFile(path, JSON.stringify({ nodes }, null, '  '), err => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      }));
+  }
+
+  /**
+   * Returns the source timestamp of a read result.
+   * @param {ReadStream.ReadResult} readResult The read result to get the timestamp for.
+   * @return {?number} The timestamp in milliseconds or `null` if the server did not provide it.
+   */
+  static timestampForReadResult(readResult) {
+    return readResult.mtime ? readResult.mtime.getTime() : null;
+  }
+
+  /**
+   * Passes the given read result if it's node changed since the last pull.
+   * @param {ReadStream.ReadResult} readResult The read result to handle.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error, data: ?ReadStream.ReadResult)} callback Called with the error
+   * that occurred while loading the state file or the read result if it changed.
+   */
+  _transform(readResult, enc, callback) {
+    this._lastState
+      .then(lastState => {
+        const id = readResult.nodeId.toString();
+        const timestamp = PullStateStream.timestampForReadResult(readResult);
+
+        this._state[id] = timestamp;
+
+        if (timestamp !== null && lastState[id] === timestamp) {
+          this._skipped++;
+          callback(null);
+        } else {
+          callback(null, readResult);
+        }
+      })
+      .catch(err => callback(err));
+  }
+
+  /**
+   * Reports removed nodes.
+   * @param {function(err: ?Error)} callback Called once removed nodes are reported.
+   * @emits {string[]} Emits a `removed` event with the ids of all nodes that were removed on atvise
+   * server since the last pull.
+   */
+  _flush(callback) {
+    this._lastState
+      .then(lastState => {
+        const removed = Object.keys(lastState)
+          .filter(id => this._state[id] === undefined);
+
+        Logger.debug('Skipped', this._skipped, 'unchanged node(s)');
+
+        if (removed.length > 0) {
+          Logger.info(removed.length, 'node(s) were removed on atvise server:');
+          removed.forEach(id => Logger.info(`  - ${id}`));
+        }
+
+        this.emit('removed', removed);
+      })
+      .then(() => callback())
+      .catch(err => callback(err));
+  }
+
+  /**
+   * Returns a stream to pipe the destination stream of a pull into. It passes all files and stores
+   * the new state once the destination stream ended, which is after all files were written. If
+   * writing fails the destination stream never ends, so the state of the last pull is kept and all
+   * changed nodes are pulled again next time.
+   * @return {stream.Transform} A stream that stores the new state once flushed.
+   */
+  createStoreStream() {
+    return createStream(
+      (file, enc, callback) => callback(null, file),
+      callback => {
+        PullStateStream.writeState(this.statePath, this._state)
+          .then(() => callback())
+          .catch(err => callback(err));
+      }
+    );
+  }
+
+}
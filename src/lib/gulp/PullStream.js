@@ -4,6 +4,8 @@ import Logger from 'gulplog';
 import ProjectConfig from '../../config/ProjectConfig';
 import Transformer, { TransformDirection } from '../transform/Transformer';
 import MappingTransformer from '../../transform/Mapping';
+import PullStateStream from './PullStateStream';
+import OrphanedFilesStream from './OrphanedFilesStream';
 
 /**
  * A stream that transforms read {@link ReadStream.ReadResult}s and stores the on the filesystem.
@@ -14,8 +16,13 @@ export default class PullStream {
    * Creates a new PullStream based on a stream that writes {@link ReadStream.ReadResult} which may
    * be an instance of {@link ReadStream}.
    * @param {ReadStream} readStream The stream to read from.
+   * @param {Object} [options] The options to use.
+   * @param {boolean} [options.incremental=false] If only nodes that changed since the last
+   * incremental pull should be stored.
+   * @param {boolean} [options.clean=false] If files of nodes that no longer exist on atvise server
+   * should be removed.
    */
-  constructor(readStream) {
+  constructor(readStream, options = {}) {
     const mappingStream = new MappingTransformer({ direction: TransformDirection.FromDB });
 
     const printProgress = setInterval(() => {
@@ -27,13 +34,36 @@ export default class PullStream {
       }
     }, 1000);
 
-    return Transformer.applyTransformers(
-      readStream
+    let resultStream = readStream;
+    let pullStateStream;
+    const browsedNodes = new Set();
+
+    if (options.clean) {
+      readStream.on('data', readResult => browsedNodes.add(readResult.nodeId.toString()));
+    }
+
+    if (options.incremental) {
+      pullStateStream = new PullStateStream();
+      resultStream = resultStream.pipe(pullStateStream);
+    }
+
+    let storeStream = Transformer.applyTransformers(
+      resultStream
         .pipe(mappingStream),
       ProjectConfig.useTransformers,
       TransformDirection.FromDB
     )
-      .pipe(dest('./src'))
+      .pipe(dest('./src'));
+
+    if (options.incremental) {
+      storeStream = storeStream.pipe(pullStateStream.createStoreStream());
+    }
+
+    if (options.clean) {
+      storeStream = storeStream.pipe(new OrphanedFilesStream(browsedNodes, { remove: true }));
+    }
+
+    return storeStream
       .on('finish', () => {
         if (Logger.listenerCount('info') > 0) {
           readline.clearLine(process.stdout, 0);
@@ -4,6 +4,7 @@ import ProjectConfig from '../../config/ProjectConfig';
 import Transformer, { TransformDirection } from '../transform/Transformer';
 import MappingTransformer from '../../transform/Mapping';
 import WriteStream from '../server/WriteStream';
+import CompareStream, { CompareStatus } from '../server/CompareStream';
 
 /**
  * A stream that transforms read {@link vinyl~File}s and pushes them to atvise server.
@@ -13,14 +14,22 @@ export default class PushStream {
   /**
    * Creates a new PushSteam based on a source file stream.
    * @param {Stream} srcStream The file stream to read from.
+   * @param {Object} [options] The options to use.
+   * @param {boolean} [options.dryRun=false] If files should only be compared with their nodes on
+   * atvise server instead of being written.
+   * @param {boolean} [options.transactional=false] If all changes should be rolled back if a write
+   * fails.
    */
-  constructor(srcStream) {
+  constructor(srcStream, options = {}) {
     const mappingStream = new MappingTransformer({ direction: TransformDirection.FromFilesystem });
-    const writeStream = new WriteStream();
+    const writeStream = options.dryRun ?
+      new CompareStream() :
+      new WriteStream({ transactional: options.transactional });
+    const action = options.dryRun ? 'Compared' : 'Pushed';
 
     const printProgress = setInterval(() => {
       Logger.info(
-        `Pushed: ${writeStream._processed} (${writeStream.opsPerSecond.toFixed(1)} ops/s)`
+        `${action}: ${writeStream._processed} (${writeStream.opsPerSecond.toFixed(1)} ops/s)`
       );
 
       if (Logger.listenerCount('info') > 0) {
@@ -29,7 +38,7 @@ export default class PushStream {
       }
     }, 1000);
 
-    return Transformer.applyTransformers(
+    const resultStream = Transformer.applyTransformers(
       srcStream
         .pipe(mappingStream),
       ProjectConfig.useTransformers,
@@ -44,6 +53,38 @@ export default class PushStream {
 
         clearInterval(printProgress);
       });
+
+    if (options.dryRun) {
+      PushStream.printSummary(resultStream);
+    }
+
+    return resultStream;
+  }
+
+  /**
+   * Prints the {@link CompareStream.CompareResult}s of a dry run.
+   * @param {CompareStream} compareStream The stream comparing the pushed files.
+   */
+  static printSummary(compareStream) {
+    const counts = {
+      [CompareStatus.Unchanged]: 0,
+      [CompareStatus.Changed]: 0,
+      [CompareStatus.New]: 0,
+    };
+
+    compareStream
+      .on('data', ({ file, status }) => {
+        counts[status]++;
+
+        Logger[status === CompareStatus.Unchanged ? 'debug' : 'info'](
+          `${status === CompareStatus.New ? 'new node' : status}: ${file.nodeId.toString()}`
+        );
+      })
+      .on('end', () => {
+        Logger.info(`Dry run: ${counts[CompareStatus.Changed]} changed, ${
+          counts[CompareStatus.New]} new, ${counts[CompareStatus.Unchanged]} unchanged node(s)`);
+        Logger.info('Nothing was written to atvise server');
+      });
   }
 
 }
@@ -0,0 +1,175 @@
+import { gunzipSync } from 'zlib';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import {
+  DataType,
+  LocalizedText,
+  QualifiedName,
+  VariantArrayType,
+  resolveNodeId,
+} from 'node-opcua';
+import AtviseFile from '../server/AtviseFile';
+import NodeId from '../server/NodeId';
+import { BackupVersion } from './BackupStream';
+
+/**
+ * Functions that decode the node values encoded by {@link BackupStream.encodeValue}, stored
+ * against their data type.
+ * @type {Map<node-opcua~DataType, function(value: *): *>}
+ */
+const Decoder = {
+  [DataType.ByteString]: base64 => Buffer.from(base64, 'base64'),
+  [DataType.DateTime]: isoString => new Date(isoString),
+  [DataType.NodeId]: nodeId => resolveNodeId(nodeId),
+  [DataType.LocalizedText]: localizedText => new LocalizedText(localizedText),
+  [DataType.QualifiedName]: qualifiedName => new QualifiedName(qualifiedName),
+};
+
+/**
+ * An {@link AtviseFile} restored from a backup. Instead of decoding it's contents, the value and
+ * node id stored in the backup are used.
+ */
+class BackupFile extends AtviseFile {
+
+  /**
+   * Creates a new file for a node stored in a backup.
+   * @param {BackupStream.Node} node The node to create the file for.
+   * @param {*} value The node's decoded value.
+   */
+  constructor(node, value) {
+    const nodeId = new NodeId(node.nodeId);
+
+    super({ path: nodeId.filePath });
+
+    /**
+     * The node's id.
+     * @type {NodeId}
+     */
+    this._nodeId = nodeId;
+
+    this._dataType = DataType[node.dataType];
+    this._arrayType = VariantArrayType[node.arrayType];
+    this._typeDefinition = new NodeId(node.typeDefinition);
+
+    /**
+     * The node's value.
+     * @type {*}
+     */
+    this._value = value;
+  }
+
+  /**
+   * The node's id.
+   * @type {NodeId}
+   */
+  get nodeId() {
+    return this._nodeId;
+  }
+
+  /**
+   * The node's value.
+   * @type {*}
+   */
+  get value() {
+    return this._value;
+  }
+
+}
+
+/**
+ * A stream that reads backups created by {@link BackupStream} and pushes a {@link AtviseFile} for
+ * each node stored, which can be written to atvise server using a {@link WriteStream}. If multiple
+ * backups are passed, only the latest one is restored.
+ */
+export default class RestoreStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new RestoreStream.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The latest backup passed so far.
+     * @type {?vinyl~File}
+     */
+    this._backup = null;
+  }
+
+  /**
+   * Decodes a value stored in a backup.
+   * @param {*} value The value to decode.
+   * @param {node-opcua~DataType} dataType The value's data type.
+   * @param {node-opcua~VariantArrayType} arrayType The value's array type.
+   * @return {*} The decoded value.
+   */
+  static decodeValue(value, dataType, arrayType) {
+    if (value === null) {
+      return null;
+    }
+
+    const decode = Decoder[dataType] || (v => v);
+
+    if (arrayType.value !== VariantArrayType.Scalar.value) {
+      return value.map(decode);
+    }
+
+    return decode(value);
+  }
+
+  /**
+   * Returns the nodes stored in a backup.
+   * @param {Buffer} contents The backup's (gzipped) contents.
+   * @return {BackupStream.Node[]} The nodes stored.
+   */
+  static nodesInBackup(contents) {
+    const backup = JSON.parse(gunzipSync(contents).toString());
+
+    if (backup.version !== BackupVersion) {
+      throw new Error(`Unsupported backup version ${backup.version}`);
+    }
+
+    return backup.nodes;
+  }
+
+  /**
+   * Stores the passed backup if it is newer than the ones passed before.
+   * @param {vinyl~File} file The backup file.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the backup is stored.
+   */
+  _transform(file, enc, callback) {
+    if (!this._backup || file.basename > this._backup.basename) {
+      this._backup = file;
+    }
+
+    callback(null);
+  }
+
+  /**
+   * Pushes a file for each node stored in the latest backup.
+   * @param {function(err: ?Error)} callback Called once all files are pushed.
+   */
+  _flush(callback) {
+    if (!this._backup) {
+      callback(new Error('No backup found'));
+      return;
+    }
+
+    try {
+      const nodes = RestoreStream.nodesInBackup(this._backup.contents);
+
+      Logger.info(`Restoring ${nodes.length} node(s) from ${this._backup.relative}`);
+      nodes.forEach(node => this.push(new BackupFile(node, RestoreStream.decodeValue(
+        node.value,
+        DataType[node.dataType],
+        VariantArrayType[node.arrayType]
+      ))));
+
+      callback();
+    } catch (e) {
+      callback(new Error(`Error reading backup ${this._backup.relative}: ${e.message}`));
+    }
+  }
+
+}
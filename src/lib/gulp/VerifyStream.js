@@ -0,0 +1,215 @@
+import { PassThrough } from 'stream';
+import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import { createTwoFilesPatch } from 'diff';
+import ProjectConfig from '../../config/ProjectConfig';
+import AtviseFile from '../server/AtviseFile';
+import Transformer, { TransformDirection } from '../transform/Transformer';
+import SplittingTransformer from '../transform/SplittingTransformer';
+import DiffStream from './DiffStream';
+
+/**
+ * The ways a node can be changed by a round trip through all transformers.
+ * @type {{Modified: String, Missing: String}}
+ */
+export const VerifyStatus = {
+  Modified: 'modified',
+  Missing: 'missing',
+};
+
+/**
+ * A stream that collects the {@link AtviseFile}s created from atvise server's nodes and, once
+ * flushed, runs them through all transformers used in the project, first with direction
+ * {@link TransformDirection.FromDB}, then with {@link TransformDirection.FromFilesystem}. This is
+ * what happens to a node when it is pulled and pushed again. A {@link VerifyStream.VerifyResult}
+ * is pushed for each node that is not restored exactly. Nothing is written to disk.
+ */
+export default class VerifyStream extends throughStreamClass({ objectMode: true }) {
+
+  /**
+   * Creates a new VerifyStream.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The files collected, stored against the id of their node.
+     * @type {Map<String, AtviseFile>}
+     */
+    this._originals = new Map();
+  }
+
+  /**
+   * Creates new instances of the given transformers, using the options they were created with.
+   * Transformers are streams that cannot be used again once ended, so each direction of the round
+   * trip needs its own chain.
+   * @param {Transformer[]} transformers The transformers to copy.
+   * @return {Transformer[]} The new transformers, in the same order.
+   */
+  static copyTransformers(transformers) {
+    return transformers.map(transformer => new transformer.constructor(transformer._options));
+  }
+
+  /**
+   * Runs files through a chain of transformers. Files are passed in memory only.
+   * @param {AtviseFile[]} files The files to transform.
+   * @param {TransformDirection} direction The direction to use.
+   * @param {Transformer[]} [transformers] The transformers to use. Defaults to copies of the
+   * project's transformers.
+   * @return {Promise<AtviseFile[], Error>} Fulfilled with the resulting files.
+   */
+  static transformFiles(files, direction,
+    transformers = VerifyStream.copyTransformers(ProjectConfig.useTransformers)) {
+    const names = files.reduce((result, file) => {
+      if (!result.has(file.dirname)) {
+        result.set(file.dirname, []);
+      }
+
+      result.get(file.dirname).push(file.basename);
+      return result;
+    }, new Map());
+
+    return new Promise((resolve, reject) => {
+      const source = new PassThrough({ objectMode: true });
+      const results = [];
+
+      transformers.forEach(transformer => {
+        if (transformer instanceof SplittingTransformer) {
+          transformer.useReaddir((dirname, callback) => callback(null, names.get(dirname) || []));
+        }
+
+        transformer.once('error', reject);
+      });
+
+      Transformer.applyTransformers(source, transformers, direction)
+        .on('data', file => results.push(file))
+        .once('error', reject)
+        .once('end', () => resolve(results));
+
+      files.forEach(file => source.write(file));
+      source.end();
+    });
+  }
+
+  /**
+   * Returns a unified diff of a node's original contents and the ones after the round trip.
+   * @param {string} path The node's relative path.
+   * @param {Buffer} original The node's original contents.
+   * @param {Buffer} result The node's contents after the round trip.
+   * @return {?string} The unified diff or `null` for binary files.
+   */
+  static unifiedDiff(path, original, result) {
+    if (!DiffStream.isTextFile(path)) {
+      return null;
+    }
+
+    return createTwoFilesPatch(
+      `atvise server/${path}`,
+      `round trip/${path}`,
+      original.toString(),
+      result.toString()
+    );
+  }
+
+  /**
+   * Compares the files after the round trip with the original ones.
+   * @param {AtviseFile[]} files The files after the round trip.
+   * @return {VerifyStream.VerifyResult[]} The nodes not restored exactly, sorted by their id.
+   */
+  compare(files) {
+    const results = new Map(files
+      .filter(file => file instanceof AtviseFile)
+      .map(file => [file.nodeId.toString(), file]));
+
+    return Array.from(this._originals.keys())
+      .sort()
+      .map(id => {
+        const original = this._originals.get(id);
+        const result = results.get(id);
+
+        if (!result) {
+          return {
+            nodeId: original.nodeId,
+            path: original.relative,
+            status: VerifyStatus.Missing,
+            diff: null,
+          };
+        }
+
+        if (!original.contents.equals(result.contents)) {
+          return {
+            nodeId: original.nodeId,
+            path: original.relative,
+            status: VerifyStatus.Modified,
+            diff: VerifyStream.unifiedDiff(original.relative, original.contents, result.contents),
+          };
+        }
+
+        return null;
+      })
+      .filter(result => result);
+  }
+
+  /**
+   * Stores a file created from an atvise server node. Other files, such as runtime configuration
+   * files, are ignored as they are not handled by transformers.
+   * @param {AtviseFile} file The file to store.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error)} callback Called once the file is stored.
+   */
+  _transform(file, enc, callback) {
+    if (file instanceof AtviseFile) {
+      this._originals.set(file.nodeId.toString(), file);
+    }
+
+    callback(null);
+  }
+
+  /**
+   * Runs the collected files through all transformers, prints and pushes the nodes that are not
+   * restored exactly.
+   * @param {function(err: ?Error)} callback Called once all files are verified.
+   */
+  _flush(callback) {
+    const originals = Array.from(this._originals.values());
+    const transformers = ProjectConfig.useTransformers;
+
+    VerifyStream.transformFiles(originals.map(file => file.clone()), TransformDirection.FromDB,
+      VerifyStream.copyTransformers(transformers))
+      .then(files => VerifyStream.transformFiles(files, TransformDirection.FromFilesystem,
+        VerifyStream.copyTransformers(transformers)))
+      .then(files => {
+        const results = this.compare(files);
+
+        results.forEach(result => {
+          Logger.info(`${result.status}: ${result.nodeId.toString()}`);
+
+          if (result.diff) {
+            Logger.info(result.diff);
+          }
+
+          this.push(result);
+        });
+
+        if (results.length === 0) {
+          Logger.info(`All ${originals.length} node(s) are restored exactly after a round trip`);
+        } else {
+          Logger.info(`Verified ${originals.length} node(s): ${
+            results.length} not restored exactly`);
+        }
+
+        callback();
+      })
+      .catch(err => callback(err));
+  }
+
+}
+
+/**
+ * @typedef {Object} VerifyStream.VerifyResult
+ * @property {NodeId} nodeId The id of the node not restored exactly.
+ * @property {string} path The relative path of the node's file.
+ * @property {string} status The node's {@link VerifyStatus}.
+ * @property {?string} diff A unified diff of the node's original contents and the ones after the
+ * round trip, for text files only.
+ */
@@ -136,8 +136,8 @@ export default class AtviseFile extends File {
   static pathForReadResult(readResult) {
     let path = readResult.nodeId.filePath;
 
-    const dataType = readResult.value.$dataType;
-    const arrayType = readResult.value.$arrayType;
+    const dataType = readResult.value.dataType;
+    const arrayType = readResult.value.arrayType;
     const typeDefinition = readResult.referenceDescription.typeDefinition;
 
     if (typeDefinition.value === VariableTypeDefinition.value) {
@@ -233,9 +233,9 @@ export default class AtviseFile extends File {
 
     return new AtviseFile({
       path: AtviseFile.pathForReadResult(readResult),
-      contents: AtviseFile.encodeValue(readResult.value, readResult.value.$dataType),
-      _dataType: readResult.value.$dataType,
-      _arrayType: readResult.value.$arrayType,
+      contents: AtviseFile.encodeValue(readResult.value, readResult.value.dataType),
+      _dataType: readResult.value.dataType,
+      _arrayType: readResult.value.arrayType,
       _typeDefinition: readResult.referenceDescription.typeDefinition,
       stat: { mtime: readResult.mtime ? this.normalizeMtime(readResult.mtime) : undefined },
     });
@@ -388,6 +388,22 @@ export default class AtviseFile extends File {
     return this.typeDefinition.value === 'VariableTypes.ATVISE.QuickDynamic';
   }
 
+  /**
+   * `true` for files containing atvise translation tables.
+   * @type {boolean}
+   */
+  get isTranslationTable() {
+    return this.typeDefinition.value === 'VariableTypes.ATVISE.TranslationTable';
+  }
+
+  /**
+   * `true` for files containing atvise HTML help pages.
+   * @type {boolean}
+   */
+  get isHtmlHelp() {
+    return this.typeDefinition.value === 'VariableTypes.ATVISE.HtmlHelp';
+  }
+
   /**
    * Sets the node value for the file.
    * @param {?*} newValue The value to set.
@@ -1,5 +1,34 @@
-import { OPCUAClient } from 'node-opcua';
+import { resolve as resolvePath } from 'path';
+import { OPCUAClient, MessageSecurityMode, SecurityPolicy } from 'node-opcua';
+import Logger from 'gulplog';
 import ProjectConfig from '../../config/ProjectConfig';
+import { announceTarget, describeTarget } from '../../util/target';
+import retry from '../../util/retry';
+
+/**
+ * The message security modes available, stored against the names used in the project
+ * configuration.
+ * @type {Map<String, node-opcua~MessageSecurityMode>}
+ */
+const SecurityModes = {
+  None: MessageSecurityMode.NONE,
+  Sign: MessageSecurityMode.SIGN,
+  SignAndEncrypt: MessageSecurityMode.SIGNANDENCRYPT,
+};
+
+/**
+ * Matches the errors node-opcua reports for invalid endpoint URLs, which cannot be resolved by
+ * retrying.
+ * @type {RegExp}
+ */
+const InvalidEndpointErrorRegExp = /Invalid endpoint url/i;
+
+/**
+ * The security policies that can be used, which are the ones node-opcua can sign and encrypt
+ * messages with.
+ * @type {string[]}
+ */
+export const SupportedSecurityPolicies = ['None', 'Basic128Rsa15', 'Basic256', 'Basic256Sha256'];
 
 /**
  * A wrapper around {@link node-opcua~OPCUAClient} used to connect to atvise server.
@@ -7,26 +36,95 @@ import ProjectConfig from '../../config/ProjectConfig';
 export default class Client {
 
   /**
-   * Creates and connects a new instance of {@link node-opcua~OPCUAClient}.
-   * @return {Promise<node-opcua~OPCUAClient, Error>} Fulfilled with an already connected
-   * {@link node-opcua~OPCUAClient} instance, rejected if an error occured.
+   * Returns the client options that apply the given security settings.
+   * @param {Object} [security] The security settings to use, see {@link ProjectConfig#security}
+   * for the properties available. Defaults to an unsecured connection.
+   * @return {Object} The options to pass to {@link node-opcua~OPCUAClient}.
+   * @throws {Error} Throws an error if the security settings are invalid or not supported.
    */
-  static create() {
-    const client = new OPCUAClient({
-      requestedSessionTimeout: 600000,
-      keepSessionAlive: true,
-    });
+  static securityOptions(security = {}) {
+    const modeName = security.mode || 'None';
+    const policyName = security.policy || 'None';
+    const securityMode = SecurityModes[modeName];
+    const securityPolicy = SecurityPolicy.get(policyName);
+
+    if (!securityMode) {
+      throw new Error(`Invalid security mode '${modeName}'. Use one of ${
+        Object.keys(SecurityModes).join(', ')}`);
+    }
+
+    if (!securityPolicy) {
+      throw new Error(`Invalid security policy '${policyName}'`);
+    }
+
+    if (!SupportedSecurityPolicies.includes(securityPolicy.key)) {
+      throw new Error(`Security policy '${policyName}' is not supported. Use one of ${
+        SupportedSecurityPolicies.join(', ')}`);
+    }
+
+    if ((modeName === 'None') !== (policyName === 'None')) {
+      throw new Error('Security mode and policy have to be set together');
+    }
+
+    const options = { securityMode, securityPolicy };
+
+    if (security.certificateFile) {
+      options.certificateFile = resolvePath(security.certificateFile);
+    }
+
+    if (security.privateKeyFile) {
+      options.privateKeyFile = resolvePath(security.privateKeyFile);
+    }
+
+    return options;
+  }
 
+  /**
+   * Creates a new {@link node-opcua~OPCUAClient} and connects it once. The reconnection strategy
+   * of node-opcua is disabled, as failed attempts are retried when creating a client.
+   * @param {Object} options The options to pass to {@link node-opcua~OPCUAClient}.
+   * @param {number} [timeout=5000] The time in milliseconds the attempt may take.
+   * @return {Promise<node-opcua~OPCUAClient, Error>} Fulfilled with the connected client, rejected
+   * if connecting failed. Errors that may be resolved by retrying have the property `retryable`
+   * set. If the attempt times out, the client is disconnected as soon as node-opcua gives up
+   * connecting or, if it connects too late, once connected.
+   */
+  static connect(options, timeout = 5000) {
     return new Promise((resolve, reject) => {
+      const client = new OPCUAClient(Object.assign({
+        requestedSessionTimeout: 600000,
+        keepSessionAlive: true,
+        connectionStrategy: { maxRetry: 0 },
+      }, options));
       const endpoint = `opc.tcp://${ProjectConfig.host}:${ProjectConfig.port.opc}`;
+      const description = describeTarget();
+
+      let timedOut = false;
 
-      setTimeout(() => reject(
-        new Error(`Unable to connect to ${endpoint}: Connection timed out`)
-      ), 5000);
+      const timer = setTimeout(() => {
+        timedOut = true;
+        reject(Object.assign(
+          new Error(`Unable to connect to ${description}: Connection timed out`),
+          { retryable: true }
+        ));
+      }, timeout);
 
       client.connect(endpoint, err => {
+        if (timedOut) {
+          // The secure channel can only be closed once it is open
+          if (!err) {
+            client.disconnect(() => {});
+          }
+
+          return;
+        }
+
+        clearTimeout(timer);
+
         if (err) {
-          reject(new Error(`Unable to connect to ${endpoint}: ${err.message}`));
+          reject(Object.assign(new Error(`Unable to connect to ${description}: ${err.message}`), {
+            retryable: !InvalidEndpointErrorRegExp.test(err.message),
+          }));
         } else {
           resolve(client);
         }
@@ -34,4 +132,51 @@ export default class Client {
     });
   }
 
+  /**
+   * Creates and connects a new instance of {@link node-opcua~OPCUAClient}. Failed connection
+   * attempts are retried as set in the project's connection settings.
+   * @param {Object} [security] The security settings to use. Defaults to the project's settings.
+   * @return {Promise<node-opcua~OPCUAClient, Error>} Fulfilled with an already connected
+   * {@link node-opcua~OPCUAClient} instance, rejected if an error occured.
+   */
+  static create(security = ProjectConfig.security) {
+    const connection = ProjectConfig.connection || {};
+    const retries = connection.retries || 0;
+
+    return Promise.resolve()
+      .then(() => Client.securityOptions(security))
+      .then(options => {
+        announceTarget();
+
+        return retry(() => Client.connect(options, connection.timeout),
+          Object.assign({}, connection, {
+            retries,
+            shouldRetry: err => err.retryable,
+            onRetry: (err, number, delay) => Logger.warn(`${err.message}. Retrying in ${
+              delay}ms (${number}/${retries})`),
+          }));
+      });
+  }
+
+  /**
+   * Returns the endpoints atvise server provides. An unsecured connection is used, so the
+   * endpoints can be read before the server's certificate is trusted.
+   * @return {Promise<node-opcua~EndpointDescription[], Error>} Fulfilled with the endpoints
+   * returned by the server.
+   */
+  static getEndpoints() {
+    return Client.create({})
+      .then(client => new Promise((resolve, reject) => {
+        client.getEndpoints((err, endpoints) => {
+          client.disconnect(() => {
+            if (err) {
+              reject(new Error(`Unable to get endpoints: ${err.message}`));
+            } else {
+              resolve(endpoints);
+            }
+          });
+        });
+      }));
+  }
+
 }
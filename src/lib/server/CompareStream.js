@@ -0,0 +1,106 @@
+/* Needed as long as https://github.com/gajus/eslint-plugin-jsdoc/issues/56 is open */
+/* eslint-disable jsdoc/check-param-names */
+
+import { StatusCodes } from 'node-opcua';
+import QueueStream from './QueueStream';
+import AtviseFile from './AtviseFile';
+
+/**
+ * The results a comparison of a file and it's node on atvise server can have.
+ * @type {{Unchanged: String, Changed: String, New: String}}
+ */
+export const CompareStatus = {
+  Unchanged: 'unchanged',
+  Changed: 'changed',
+  New: 'new',
+};
+
+/**
+ * A stream that compares {@link AtviseFile}s with the current values of their nodes on atvise
+ * server, without writing anything.
+ */
+export default class CompareStream extends QueueStream {
+
+  /**
+   * Compares a file with the value currently stored on atvise server.
+   * @param {AtviseFile} file The file to compare.
+   * @param {?node-opcua~Variant} serverValue The value read from atvise server.
+   * @return {string} The resulting {@link CompareStatus}: *unchanged* if the file's value equals
+   * the server value, *changed* otherwise.
+   * @throws {Error} Throws an error if the file's value cannot be encoded, e.g. as it's data type
+   * is unknown.
+   */
+  static compare(file, serverValue) {
+    if (!serverValue ||
+      serverValue.dataType.value !== file.dataType.value ||
+      serverValue.arrayType.value !== file.arrayType.value
+    ) {
+      return CompareStatus.Changed;
+    }
+
+    const serverContents = AtviseFile.encodeValue(serverValue, serverValue.dataType);
+    const fileContents = AtviseFile.encodeValue({ value: file.value }, file.dataType);
+
+    return serverContents.equals(fileContents) ? CompareStatus.Unchanged : CompareStatus.Changed;
+  }
+
+  /**
+   * The error message to use when reading a file's node fails.
+   * @param {AtviseFile} file The file being processed.
+   * @return {string} The error message to use.
+   */
+  processErrorMessage(file) {
+    return `Error reading ${file.nodeId.toString()}`;
+  }
+
+  /**
+   * Reads the node of an {@link AtviseFile} and pushes a {@link CompareStream.CompareResult}.
+   * @param {AtviseFile} file The file to compare.
+   * @param {function(err: Error, statusCode: node-opcua~StatusCodes, onSuccess: function)}
+   * handleErrors The error handler to call. See {@link QueueStream#processChunk} for details.
+   */
+  processChunk(file, handleErrors) {
+    try {
+      const nodeId = file.nodeId;
+
+      this.session.read([{ nodeId }], (err, results) => {
+        if (!err && (!results || results.length === 0)) {
+          handleErrors(new Error('No results'));
+        } else if (!err && results[0].statusCode === StatusCodes.BadNodeIdUnknown) {
+          handleErrors(err, StatusCodes.Good, done => {
+            this.push({ file, status: CompareStatus.New, serverValue: null });
+            done();
+          });
+        } else {
+          const statusCode = results && results.length > 0 ? results[0].statusCode : null;
+          let status;
+
+          if (!err && statusCode === StatusCodes.Good) {
+            try {
+              status = CompareStream.compare(file, results[0].value);
+            } catch (e) {
+              handleErrors(e);
+              return;
+            }
+          }
+
+          handleErrors(err, statusCode, done => {
+            this.push({ file, status, serverValue: results[0].value });
+            done();
+          });
+        }
+      });
+    } catch (e) {
+      handleErrors(e);
+    }
+  }
+
+}
+
+/**
+ * @typedef {Object} CompareStream.CompareResult
+ * @property {AtviseFile} file The file compared.
+ * @property {string} status The {@link CompareStatus} of the file.
+ * @property {?node-opcua~Variant} serverValue The value currently stored on atvise server or
+ * `null` for new nodes.
+ */
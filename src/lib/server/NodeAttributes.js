@@ -0,0 +1,248 @@
+import {
+  basic_types as encoding,
+  makeNodeId,
+  DataTypeIds,
+  LocalizedText,
+  Variant,
+} from 'node-opcua';
+import { DefaultAccessLevel } from './NodeMetadata';
+
+/**
+ * Bits used to specify the attributes set in {@link NodeAttributes}.
+ * @type {Map<String, Number>}
+ */
+export const AttributesMask = {
+  AccessLevel: 1,
+  DataType: 16,
+  DisplayName: 64,
+  UserAccessLevel: 65536,
+  ValueRank: 524288,
+  Value: 2097152,
+};
+
+/**
+ * Calculates the size needed to encode an object by performing the same write operations as the
+ * encoding itself.
+ */
+class SizeCalculator {
+
+  /**
+   * Creates a new size calculator.
+   */
+  constructor() {
+    /**
+     * The number of bytes written.
+     * @type {number}
+     */
+    this.length = 0;
+  }
+
+  /** Adds a byte. */
+  writeInt8() { this.length += 1; }
+
+  /** Adds a byte. */
+  writeUInt8() { this.length += 1; }
+
+  /** Adds two bytes. */
+  writeInt16() { this.length += 2; }
+
+  /** Adds two bytes. */
+  writeUInt16() { this.length += 2; }
+
+  /** Adds four bytes. */
+  writeInteger() { this.length += 4; }
+
+  /** Adds four bytes. */
+  writeUInt32() { this.length += 4; }
+
+  /** Adds four bytes. */
+  writeFloat() { this.length += 4; }
+
+  /** Adds eight bytes. */
+  writeDouble() { this.length += 8; }
+
+  /**
+   * Adds the length of an array buffer.
+   * @param {ArrayBuffer} arrayBuf The buffer to write.
+   * @param {number} [offset] The offset to use (ignored).
+   * @param {number} [byteLength] The number of bytes to write.
+   */
+  writeArrayBuffer(arrayBuf, offset, byteLength) {
+    this.length += byteLength || new Uint8Array(arrayBuf).length;
+  }
+
+  /**
+   * Adds the length of a byte stream, including it's length prefix.
+   * @param {?Buffer} buf The buffer to write.
+   */
+  writeByteStream(buf) {
+    this.length += 4 + (buf ? buf.length : 0);
+  }
+
+  /**
+   * Adds the length of a string, including it's length prefix.
+   * @param {?string} value The string to write.
+   */
+  writeString(value) {
+    this.length += 4 + (value ? Buffer.byteLength(value) : 0);
+  }
+
+}
+
+/**
+ * Base class for the attributes passed when adding nodes to atvise server. As node-opcua does not
+ * ship them, the (binary) encoding is implemented here. Subclasses have to implement
+ * {@link NodeAttributes#encode}.
+ * @abstract
+ */
+export class NodeAttributes {
+
+  /**
+   * Creates new node attributes.
+   * @param {number} encodingId The id of the default binary encoding of the attributes.
+   * @param {Object} options The attributes to set.
+   * @param {string} options.displayName The display name to use.
+   */
+  constructor(encodingId, { displayName }) {
+    /**
+     * The node id of the attributes' default binary encoding. Required by node-opcua to encode
+     * extension objects.
+     * @type {node-opcua~NodeId}
+     */
+    this.encodingDefaultBinary = makeNodeId(encodingId, 0);
+
+    /**
+     * The display name to use.
+     * @type {node-opcua~LocalizedText}
+     */
+    this.displayName = new LocalizedText({ text: displayName });
+
+    /**
+     * The (empty) description to use.
+     * @type {node-opcua~LocalizedText}
+     */
+    this.description = new LocalizedText({});
+  }
+
+  /**
+   * Writes the attributes to the given binary stream. **Must be implemented by all subclasses.**.
+   * @param {node-opcua~BinaryStream} stream The stream to write to.
+   * @abstract
+   */
+  encode(stream) { // eslint-disable-line no-unused-vars
+    throw new Error('NodeAttributes#encode must be implemented by all subclasses');
+  }
+
+  /**
+   * Returns the number of bytes needed to encode the attributes.
+   * @return {number} The number of bytes needed.
+   */
+  binaryStoreSize() {
+    const calculator = new SizeCalculator();
+    this.encode(calculator);
+
+    return calculator.length;
+  }
+
+}
+
+/**
+ * The attributes used to add object nodes, e.g. folders.
+ */
+export class ObjectAttributes extends NodeAttributes {
+
+  /**
+   * Creates new object attributes.
+   * @param {Object} options The attributes to set.
+   * @param {string} options.displayName The display name to use.
+   */
+  constructor(options) {
+    super(354, options);
+  }
+
+  /**
+   * Writes the attributes to the given binary stream.
+   * @param {node-opcua~BinaryStream} stream The stream to write to.
+   */
+  encode(stream) {
+    encoding.encodeUInt32(AttributesMask.DisplayName, stream);
+    this.displayName.encode(stream);
+    this.description.encode(stream);
+    encoding.encodeByte(0, stream); // eventNotifier
+    encoding.encodeUInt32(0, stream); // writeMask
+    encoding.encodeUInt32(0, stream); // userWriteMask
+  }
+
+}
+
+/**
+ * The attributes used to add variable nodes.
+ */
+export class VariableAttributes extends NodeAttributes {
+
+  /**
+   * Creates new variable attributes.
+   * @param {Object} options The attributes to set.
+   * @param {string} options.displayName The display name to use.
+   * @param {node-opcua~DataType} options.dataType The variable's data type.
+   * @param {node-opcua~VariantArrayType} options.arrayType The variable's array type.
+   * @param {*} options.value The variable's initial value.
+   * @param {number} [options.accessLevel=DefaultAccessLevel] The variable's access level.
+   */
+  constructor(options) {
+    super(357, options);
+
+    /**
+     * The variable's initial value.
+     * @type {node-opcua~Variant}
+     */
+    this.value = new Variant({
+      dataType: options.dataType,
+      arrayType: options.arrayType,
+      value: options.value,
+    });
+
+    /**
+     * The variable's data type (built-in data types share their ids with their data type nodes).
+     * @type {node-opcua~NodeId}
+     */
+    this.dataType = makeNodeId(options.dataType.value || DataTypeIds.BaseDataType, 0);
+
+    /**
+     * The variable's value rank: `-1` for scalars, the number of dimensions otherwise.
+     * @type {number}
+     */
+    this.valueRank = options.arrayType.value === 0 ? -1 : options.arrayType.value;
+
+    /**
+     * The variable's access level.
+     * @type {number}
+     */
+    this.accessLevel = options.accessLevel === undefined ?
+      DefaultAccessLevel :
+      options.accessLevel;
+  }
+
+  /**
+   * Writes the attributes to the given binary stream.
+   * @param {node-opcua~BinaryStream} stream The stream to write to.
+   */
+  encode(stream) {
+    encoding.encodeUInt32(AttributesMask.DisplayName | AttributesMask.Value |
+      AttributesMask.DataType | AttributesMask.ValueRank | AttributesMask.AccessLevel |
+      AttributesMask.UserAccessLevel, stream);
+    this.displayName.encode(stream);
+    this.description.encode(stream);
+    this.value.encode(stream);
+    encoding.encodeNodeId(this.dataType, stream);
+    encoding.encodeInt32(this.valueRank, stream);
+    encoding.encodeInt32(-1, stream); // arrayDimensions (null array)
+    encoding.encodeByte(this.accessLevel, stream);
+    encoding.encodeByte(this.accessLevel, stream); // userAccessLevel
+    encoding.encodeDouble(0, stream); // minimumSamplingInterval
+    encoding.encodeBoolean(false, stream); // historizing
+    encoding.encodeUInt32(0, stream); // writeMask
+    encoding.encodeUInt32(0, stream); // userWriteMask
+  }
+
+}
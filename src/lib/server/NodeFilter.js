@@ -0,0 +1,65 @@
+import ProjectConfig from '../../config/ProjectConfig';
+import NodeId from './NodeId';
+
+/**
+ * Decides which nodes are synced by atscm: Nodes inside the project's nodes that are not ignored.
+ * Used by streams that have to tell synced nodes apart without browsing atvise server, e.g. when
+ * looking at the files inside the source directory.
+ */
+export default class NodeFilter {
+
+  /**
+   * Creates a new NodeFilter.
+   * @param {Object} [options] The options to use.
+   * @param {NodeId[]} [options.nodes=ProjectConfig.nodes] The nodes synced, including their child
+   * nodes.
+   * @param {NodeId[]} [options.ignoreNodes=ProjectConfig.ignoreNodes] The nodes ignored. As in
+   * {@link NodeStream}, all nodes whose id starts with an ignored node's id are ignored.
+   */
+  constructor(options = {}) {
+    /**
+     * The nodes synced.
+     * @type {NodeId[]}
+     */
+    this.nodes = (options.nodes || ProjectConfig.nodes)
+      .map(nodeId => new NodeId(nodeId.toString()));
+
+    /**
+     * The string representations of the ignored nodes' ids.
+     * @type {string[]}
+     */
+    this.ignoredIds = (options.ignoreNodes || ProjectConfig.ignoreNodes)
+      .map(nodeId => nodeId.toString());
+  }
+
+  /**
+   * `true` if the given node is ignored.
+   * @param {NodeId} nodeId The node id to check.
+   * @return {boolean} `true` if the node's id starts with the id of an ignored node.
+   */
+  isIgnored(nodeId) {
+    const id = nodeId.toString();
+
+    return this.ignoredIds.some(ignoredId => id.startsWith(ignoredId));
+  }
+
+  /**
+   * `true` if the given node is one of the nodes synced or one of their child nodes.
+   * @param {NodeId} nodeId The node id to check.
+   * @return {boolean} `true` if the node is inside the nodes synced.
+   */
+  isInside(nodeId) {
+    return this.nodes.some(root => root.namespace === nodeId.namespace &&
+      (nodeId.value === root.value || `${nodeId.value}`.startsWith(`${root.value}.`)));
+  }
+
+  /**
+   * `true` if the given node is synced, which means it is inside the nodes synced and not ignored.
+   * @param {NodeId} nodeId The node id to check.
+   * @return {boolean} `true` if the node is synced.
+   */
+  matches(nodeId) {
+    return this.isInside(nodeId) && !this.isIgnored(nodeId);
+  }
+
+}
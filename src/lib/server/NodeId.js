@@ -90,6 +90,50 @@ export default class NodeId extends OpcNodeId {
     return parts.join('RESOURCES');
   }
 
+  /**
+   * The index of the separator between the node id's parent and it's browse name or `-1` if the
+   * node id has no parent. Resources use slashes to separate their path, so only the part before
+   * the resource path is considered.
+   * @type {number}
+   */
+  get _parentSeparatorIndex() {
+    if (this.identifierType !== Type.STRING) {
+      return -1;
+    }
+
+    const resourcesIndex = this.value.indexOf('RESOURCES/');
+
+    if (resourcesIndex >= 0) {
+      return resourcesIndex + 'RESOURCES'.length;
+    }
+
+    return this.value.lastIndexOf('.');
+  }
+
+  /**
+   * The node id's parent or `null` if the node id has no (derivable) parent. For example, the
+   * parent of `ns=1;s=AGENT.DISPLAYS.Main` is `ns=1;s=AGENT.DISPLAYS`.
+   * @type {?NodeId}
+   */
+  get parent() {
+    const index = this._parentSeparatorIndex;
+
+    if (index < 0) {
+      return null;
+    }
+
+    return new NodeId(Type.STRING, this.value.slice(0, index), this.namespace);
+  }
+
+  /**
+   * The node id's browse name. For example, the browse name of `ns=1;s=AGENT.DISPLAYS.Main` is
+   * `Main`.
+   * @type {string}
+   */
+  get browseName() {
+    return this.value.toString().slice(this._parentSeparatorIndex + 1);
+  }
+
   /**
    * Returns a string in the format "namespace value" that is printed when inspecting the NodeId
    * using {@link util~inspect}.
@@ -0,0 +1,182 @@
+import { readFile } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { NodeClass, ReferenceTypeIds, VariableTypeIds } from 'node-opcua';
+import NodeId from './NodeId';
+
+/**
+ * The access level atscm assumes for variables without metadata: Current read and write.
+ * @type {number}
+ */
+export const DefaultAccessLevel = 3;
+
+/**
+ * Returns a standard node id for the given numeric identifier.
+ * @param {number} value The identifier to use.
+ * @return {NodeId} The resulting node id.
+ */
+function standardNodeId(value) {
+  return new NodeId(NodeId.NodeIdType.NUMERIC, value, 0);
+}
+
+/**
+ * Reads and parses a runtime configuration file.
+ * @param {string} path The path of the runtime configuration file.
+ * @return {Promise<?Object, Error>} Fulfilled with the stored metadata or `null` if the file does
+ * not exist, rejected with the error that occurred while reading or parsing the file.
+ */
+function readRcFile(path) {
+  return new Promise((resolve, reject) => {
+    readFile(path, 'utf8', (err, data) => {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          resolve(null);
+        } else {
+          reject(err);
+        }
+      } else {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Error parsing runtime configuration in ${path}: ${e.message}`));
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Handles the metadata of nodes that cannot be derived from their files, e.g. display names,
+ * descriptions, access levels and references. The metadata is stored in hidden *runtime
+ * configuration* (`.rc`) files next to the node's file.
+ */
+export default class NodeMetadata {
+
+  /**
+   * Returns the type of the reference that is used to add a node to it's parent by default.
+   * @param {node-opcua~NodeClass} nodeClass The node's class.
+   * @param {NodeId} [typeDefinition] The node's type definition.
+   * @return {NodeId} The default reference type.
+   */
+  static defaultReferenceTypeId(nodeClass, typeDefinition) {
+    if (nodeClass.value === NodeClass.Object.value) {
+      return standardNodeId(ReferenceTypeIds.Organizes);
+    }
+
+    if (typeDefinition && typeDefinition.namespace === 0 &&
+      typeDefinition.value === VariableTypeIds.PropertyType) {
+      return standardNodeId(ReferenceTypeIds.HasProperty);
+    }
+
+    return standardNodeId(ReferenceTypeIds.HasComponent);
+  }
+
+  /**
+   * Returns the metadata of a {@link ReadStream.ReadResult} that cannot be derived from the node's
+   * id or file. Object nodes always need metadata, as they are not stored in a file.
+   * @param {ReadStream.ReadResult} readResult The read result to get the metadata for.
+   * @return {Object} The node's metadata, may be empty.
+   */
+  static fromReadResult(readResult) {
+    const { nodeId, referenceDescription, attributes = {}, references = [] } = readResult;
+    const nodeClass = referenceDescription.nodeClass || NodeClass.Variable;
+    const typeDefinition = referenceDescription.typeDefinition;
+    const referenceTypeId = referenceDescription.referenceTypeId;
+    const metadata = {};
+
+    if (nodeClass.value === NodeClass.Object.value) {
+      metadata.nodeClass = nodeClass.key;
+      metadata.typeDefinition = typeDefinition.toString();
+    }
+
+    if (referenceTypeId && (metadata.nodeClass || referenceTypeId.toString() !==
+      NodeMetadata.defaultReferenceTypeId(nodeClass, typeDefinition).toString())) {
+      metadata.referenceTypeId = referenceTypeId.toString();
+    }
+
+    if (attributes.displayName && attributes.displayName !== nodeId.browseName) {
+      metadata.displayName = attributes.displayName;
+    }
+
+    if (attributes.description) {
+      metadata.description = attributes.description;
+    }
+
+    if (attributes.accessLevel !== undefined && attributes.accessLevel !== DefaultAccessLevel) {
+      metadata.accessLevel = attributes.accessLevel;
+    }
+
+    if (references.length > 0) {
+      metadata.references = references.map(reference => ({
+        referenceTypeId: reference.referenceTypeId.toString(),
+        nodeId: reference.nodeId.toString(),
+        nodeClass: reference.nodeClass.key,
+      }));
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Returns the path of the runtime configuration file for a node's file: It is stored in the
+   * same directory, named after the file's stem with a leading dot and the extension *rc*.
+   * @param {string} path The path of the node's file.
+   * @return {string} The runtime configuration file's path.
+   */
+  static rcPath(path) {
+    return join(dirname(path), `.${basename(path, extname(path))}.rc`);
+  }
+
+  /**
+   * Returns the (relative) path of the runtime configuration file for an object node: It is stored
+   * next to the object's directory, named after the object with a leading dot and the extension
+   * *rc*, prefixed by *obj*.
+   * @param {NodeId} nodeId The object node's id.
+   * @return {string} The runtime configuration file's path.
+   */
+  static objectRcPath(nodeId) {
+    return join(dirname(nodeId.filePath), `.${nodeId.browseName}.obj.rc`);
+  }
+
+  /**
+   * Returns the path earlier versions of atscm stored the runtime configuration file of a variable
+   * at: It is named after the file's stem without the *var* extension, e.g. `.Custom.rc` for
+   * `Custom.var.string`.
+   * @param {string} path The path of the variable's file.
+   * @return {string} The legacy runtime configuration file's path.
+   */
+  static legacyRcPath(path) {
+    const stem = basename(path, extname(path));
+
+    return join(dirname(path), `.${basename(stem, extname(stem))}.rc`);
+  }
+
+  /**
+   * Reads the runtime configuration file at the given path. A missing file results in empty
+   * metadata.
+   * @param {string} path The path of the runtime configuration file.
+   * @return {Promise<Object, Error>} Fulfilled with the stored metadata or rejected with the error
+   * that occurred while reading or parsing the file.
+   */
+  static read(path) {
+    return readRcFile(path)
+      .then(metadata => metadata || {});
+  }
+
+  /**
+   * Reads the runtime configuration of a node's file, stored at {@link NodeMetadata.rcPath}. For
+   * variables without such a file, the one at {@link NodeMetadata.legacyRcPath} is read.
+   * @param {string} path The path of the node's file.
+   * @return {Promise<Object, Error>} Fulfilled with the stored metadata, which is empty if there
+   * is no runtime configuration file, or rejected with the error that occurred while reading or
+   * parsing the file.
+   */
+  static readForFile(path) {
+    if (!basename(path).match(/\.var\./)) {
+      return NodeMetadata.read(NodeMetadata.rcPath(path));
+    }
+
+    return readRcFile(NodeMetadata.rcPath(path))
+      .then(metadata => metadata || NodeMetadata.read(NodeMetadata.legacyRcPath(path)));
+  }
+
+}
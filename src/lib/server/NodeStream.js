@@ -2,6 +2,7 @@
 /* eslint-disable jsdoc/check-param-names */
 
 import { browse_service as BrowseService, NodeClass } from 'node-opcua';
+import { makeResultMask } from 'node-opcua-data-model';
 import Project from '../../config/ProjectConfig';
 import QueueStream from './QueueStream';
 import NodeId from './NodeId';
@@ -16,6 +17,7 @@ export default class NodeStream extends QueueStream {
    * @param {NodeId[]} nodesToBrowse The nodes to start browsing with.
    * @param {Object} [options] The options to use.
    * @param {boolean} [options.recursive=true] If the discovered nodes should be browsed as well.
+   * @param {boolean} [options.objects=false] If object nodes should be pushed as well.
    * @param {NodeId[]} [options.ignoreNodes=ProjectConfig.ignoreNodes] An array of {@link NodeId}s
    * to ignore.
    */
@@ -40,6 +42,12 @@ export default class NodeStream extends QueueStream {
       this.recursive = options.recursive;
     }
 
+    /**
+     * If object nodes should be pushed as well.
+     * @type {Boolean}
+     */
+    this.objects = options.objects || false;
+
     let ignoreNodes = Project.ignoreNodes;
     if (options.ignoreNodes !== undefined) {
       ignoreNodes = options.ignoreNodes;
@@ -49,7 +57,7 @@ export default class NodeStream extends QueueStream {
      * The result mask to use.
      * @type {UInt32}
      */
-    this._resultMask = BrowseService.makeResultMask('ReferenceType | NodeClass | TypeDefinition');
+    this._resultMask = makeResultMask('ReferenceType | NodeClass | TypeDefinition');
 
     /**
      * A regular expression matching all node ids specified in {@link NodeStream#ignoreNodes}
@@ -82,12 +90,12 @@ export default class NodeStream extends QueueStream {
    * handleErrors The error handler to call. See {@link QueueStream#processChunk} for details.
    */
   processChunk(nodeId, handleErrors) {
-    this.session.browse({
+    this.session.browse([{
       nodeId,
       browseDirection: BrowseService.BrowseDirection.Forward,
       includeSubtypes: true,
       resultMask: this._resultMask,
-    }, (err, results) => {
+    }], (err, results) => {
       if (!err && (!results || results.length === 0)) {
         handleErrors(new Error('No results'));
       } else {
@@ -99,10 +107,11 @@ export default class NodeStream extends QueueStream {
               // Ignore specified nodes
               // TODO: Print ignored nodes (debug level)
               .filter(ref => !(ref.nodeId.toString().match(this.ignoredRegExp)))
-              // Push variable nodes, recurse
+              // Push variable (and object) nodes, recurse
               .map(ref => {
                 // Push all variable ids
-                if (ref.nodeClass.value === NodeClass.Variable.value) {
+                if (ref.nodeClass.value === NodeClass.Variable.value ||
+                  (this.objects && ref.nodeClass.value === NodeClass.Object.value)) {
                   // "Cast" ref.nodeId to NodeId
                   Object.setPrototypeOf(ref.nodeId, NodeId.prototype);
 
@@ -0,0 +1,277 @@
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import { writeFile, rename, stat, unlink, readdir } from 'fs';
+import { hostname } from 'os';
+import { join, resolve as resolvePath } from 'path';
+import { ensureDirectory } from '../../util/fs';
+
+/**
+ * The directory the project's certificates are stored in by default.
+ * @type {string}
+ */
+export const DefaultPkiDirectory = './.atscm/pki';
+
+/**
+ * The stores server certificates can be kept in.
+ * @type {string[]}
+ */
+export const CertificateStores = ['trusted', 'rejected'];
+
+/**
+ * Calls a node-style function and returns a promise for it's result.
+ * @param {Function} fn The function to call.
+ * @param {...*} args The arguments to pass, without the callback.
+ * @return {Promise<*, Error>} Fulfilled with the result passed to the callback.
+ */
+function promisified(fn, ...args) {
+  return new Promise((resolve, reject) => {
+    fn(...args, (err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * A project-local public key infrastructure, holding the client certificate atscm connects with
+ * and the server certificates that were trusted or rejected. The directory has the layout used
+ * by node-opcua:
+ * - `own/certs/client_cert.pem`: The client certificate.
+ * - `own/private/private_key.pem`: The client certificate's private key.
+ * - `trusted/<thumbprint>.pem`: Trusted server certificates.
+ * - `rejected/<thumbprint>.pem`: Rejected server certificates.
+ */
+export default class Pki {
+
+  /**
+   * Creates a new Pki.
+   * @param {string} [directory=DefaultPkiDirectory] The directory the certificates are stored in.
+   */
+  constructor(directory = DefaultPkiDirectory) {
+    /**
+     * The absolute path of the directory the certificates are stored in.
+     * @type {string}
+     */
+    this.directory = resolvePath(directory);
+  }
+
+  /**
+   * The path of the client certificate.
+   * @type {string}
+   */
+  get certificateFile() {
+    return join(this.directory, 'own/certs/client_cert.pem');
+  }
+
+  /**
+   * The path of the client certificate's private key.
+   * @type {string}
+   */
+  get privateKeyFile() {
+    return join(this.directory, 'own/private/private_key.pem');
+  }
+
+  /**
+   * Returns the SHA-1 thumbprint of a certificate, which is used to identify it.
+   * @param {Buffer} certificate The DER encoded certificate.
+   * @return {string} The thumbprint, as a hex string.
+   */
+  static thumbprint(certificate) {
+    return createHash('sha1').update(certificate).digest('hex');
+  }
+
+  /**
+   * Converts a DER encoded certificate to PEM.
+   * @param {Buffer} certificate The DER encoded certificate.
+   * @return {string} The PEM encoded certificate.
+   */
+  static toPem(certificate) {
+    const lines = certificate.toString('base64').match(/.{1,64}/g);
+
+    return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+  }
+
+  /**
+   * Returns the OpenSSL configuration used to create a client certificate. The application URI
+   * is stored as the certificate's subject alternative name, as required by OPC-UA.
+   * @param {Object} options The options to use.
+   * @param {string} options.commonName The certificate's common name.
+   * @param {string} options.applicationUri The client's application URI.
+   * @return {string} The resulting configuration.
+   */
+  static opensslConfig({ commonName, applicationUri }) {
+    return `[req]
+distinguished_name = dn
+x509_extensions = v3
+prompt = no
+
+[dn]
+CN = ${commonName}
+
+[v3]
+basicConstraints = critical, CA:FALSE
+keyUsage = critical, digitalSignature, nonRepudiation, keyEncipherment, dataEncipherment
+extendedKeyUsage = clientAuth
+subjectKeyIdentifier = hash
+subjectAltName = URI:${applicationUri}, DNS:${hostname()}
+`;
+  }
+
+  /**
+   * Generates a self-signed client certificate and it's private key using the *openssl* command.
+   * @param {Object} [options] The options to use.
+   * @param {string} [options.commonName='atscm'] The certificate's common name.
+   * @param {string} [options.applicationUri] The client's application URI. Defaults to
+   * *urn:<hostname>:atscm*.
+   * @param {number} [options.days=365] The number of days the certificate is valid.
+   * @param {boolean} [options.force=false] If an existing certificate should be replaced.
+   * @return {Promise<Object, Error>} Fulfilled with the paths of the certificate and the private
+   * key created (`certificateFile` and `privateKeyFile`).
+   */
+  createClientCertificate({
+    commonName = 'atscm',
+    applicationUri = `urn:${hostname()}:atscm`,
+    days = 365,
+    force = false,
+  } = {}) {
+    const { certificateFile, privateKeyFile } = this;
+    const configFile = join(this.directory, 'own/openssl.cnf');
+
+    return promisified(stat, certificateFile)
+      .then(
+        () => {
+          if (!force) {
+            throw new Error(`A client certificate already exists at ${certificateFile}`);
+          }
+        },
+        err => {
+          if (err.code !== 'ENOENT') {
+            throw err;
+          }
+        }
+      )
+      .then(() => Promise.all([
+        ensureDirectory(join(this.directory, 'own/certs')),
+        ensureDirectory(join(this.directory, 'own/private')),
+      ]))
+      .then(() => promisified(writeFile, configFile,
+        Pki.opensslConfig({ commonName, applicationUri })))
+      .then(() => promisified(execFile, 'openssl', [
+        'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+        '-days', `${days}`,
+        '-config', configFile,
+        '-keyout', privateKeyFile,
+        '-out', certificateFile,
+      ]))
+      .catch(err => {
+        if (err.code === 'ENOENT' && err.path === 'openssl') {
+          throw new Error('Creating certificates requires openssl to be installed');
+        }
+
+        throw err;
+      })
+      .then(() => promisified(unlink, configFile))
+      .then(() => ({ certificateFile, privateKeyFile }));
+  }
+
+  /**
+   * Returns the thumbprints of the certificates in a store.
+   * @param {string} store The store to look at, *trusted* or *rejected*.
+   * @return {Promise<string[], Error>} Fulfilled with the thumbprints found.
+   */
+  certificates(store) {
+    return promisified(readdir, join(this.directory, store))
+      .catch(err => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+
+        throw err;
+      })
+      .then(names => names
+        .filter(name => name.endsWith('.pem'))
+        .map(name => name.slice(0, -4))
+        .sort());
+  }
+
+  /**
+   * Returns the store a certificate is kept in.
+   * @param {Buffer} certificate The DER encoded certificate.
+   * @return {Promise<?string, Error>} Fulfilled with the certificate's store or `null` if it is
+   * unknown.
+   */
+  certificateStatus(certificate) {
+    const thumbprint = Pki.thumbprint(certificate);
+
+    return Promise.all(CertificateStores.map(store => this.certificates(store)))
+      .then(thumbprints => CertificateStores
+        .find((store, i) => thumbprints[i].includes(thumbprint)) || null);
+  }
+
+  /**
+   * Adds a server certificate to a store, unless it is already known.
+   * @param {Buffer} certificate The DER encoded certificate to add.
+   * @param {string} [store='rejected'] The store to add unknown certificates to.
+   * @return {Promise<string, Error>} Fulfilled with the store the certificate is kept in.
+   */
+  addCertificate(certificate, store = 'rejected') {
+    return this.certificateStatus(certificate)
+      .then(status => {
+        if (status) {
+          return status;
+        }
+
+        return ensureDirectory(join(this.directory, store))
+          .then(dir => promisified(writeFile, join(dir, `${Pki.thumbprint(certificate)}.pem`),
+            Pki.toPem(certificate)))
+          .then(() => store);
+      });
+  }
+
+  /**
+   * Moves a server certificate to another store.
+   * @param {string} thumbprint The certificate's thumbprint. The beginning of it is enough, as long
+   * as it identifies a single certificate.
+   * @param {string} store The store to move the certificate to, *trusted* or *rejected*.
+   * @return {Promise<string, Error>} Fulfilled with the certificate's full thumbprint.
+   */
+  moveCertificate(thumbprint, store) {
+    if (!CertificateStores.includes(store)) {
+      return Promise.reject(new Error(`Invalid certificate store '${store}'`));
+    }
+
+    const search = thumbprint.toLowerCase().replace(/:/g, '');
+
+    return Promise.all(CertificateStores.map(s => this.certificates(s)))
+      .then(thumbprints => {
+        const matches = CertificateStores
+          .map((s, i) => thumbprints[i]
+            .filter(t => t.startsWith(search))
+            .map(t => ({ store: s, thumbprint: t })))
+          .reduce((result, current) => result.concat(current), []);
+
+        if (matches.length === 0) {
+          throw new Error(`No certificate matches '${thumbprint}'`);
+        } else if (matches.length > 1) {
+          throw new Error(`Multiple certificates match '${thumbprint}': ${
+            matches.map(m => m.thumbprint).join(', ')}`);
+        }
+
+        const match = matches[0];
+
+        if (match.store === store) {
+          return match.thumbprint;
+        }
+
+        return ensureDirectory(join(this.directory, store))
+          .then(dir => promisified(rename,
+            join(this.directory, match.store, `${match.thumbprint}.pem`),
+            join(dir, `${match.thumbprint}.pem`)))
+          .then(() => match.thumbprint);
+      });
+  }
+
+}
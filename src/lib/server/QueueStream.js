@@ -2,6 +2,9 @@
 /* eslint-disable jsdoc/check-param-names */
 
 import { StatusCodes } from 'node-opcua';
+import Logger from 'gulplog';
+import ProjectConfig from '../../config/ProjectConfig';
+import Session from './Session';
 import Stream from './Stream';
 
 /**
@@ -14,6 +17,9 @@ export default class QueueStream extends Stream {
    * Creates a new QueueStream with the given options.
    * @param {Object} [options] The options to use.
    * @param {number} [options.maxParallel] The maximum of parallel tasks to execute.
+   * @param {boolean} [options.reconnect=true] If a new session should be opened when the
+   * connection to atvise server is lost. Chunks that failed because of the lost connection are
+   * processed again using the new session.
    */
   constructor(options = {}) {
     const maxParallel = options.maxParallel || 250;
@@ -49,9 +55,23 @@ export default class QueueStream extends Stream {
      */
     this._start = (new Date()).getTime();
 
+    /**
+     * `true` if a new session should be opened when the connection is lost.
+     * @type {boolean}
+     */
+    this._reconnectOnConnectionLoss = options.reconnect !== false;
+
+    /**
+     * The number of reconnects since the last chunk was processed successfully.
+     * @type {number}
+     */
+    this._reconnects = 0;
+
     this.on('processed-chunk', () => {
       if (!this.queueEmpty) {
-        this._processChunk(this._queued.shift());
+        if (!this._reconnecting) {
+          this._processChunk(this._queued.shift());
+        }
       } else if (this._processing === 0) {
         this.emit('drained');
       }
@@ -159,23 +179,87 @@ export default class QueueStream extends Stream {
   }
 
   /**
-   * Calls {@link QueueStream#processChunk} and handles errors and invalid status codes.
+   * Called with the error that occurred while processing a chunk. Emits the error by default,
+   * subclasses may override this method to recover from errors.
+   * @param {*} chunk The chunk that could not be processed.
+   * @param {Error} err The error that occurred.
+   */
+  processError(chunk, err) {
+    this.emit('error', err);
+  }
+
+  /**
+   * Processes queued chunks until the maximum of parallel tasks is reached.
+   */
+  _resume() {
+    while (!this._reconnecting && this._processing < this._maxParallel && !this.queueEmpty) {
+      this._processChunk(this._queued.shift());
+    }
+  }
+
+  /**
+   * Checks if a chunk failed because the connection to atvise server was lost. In this case, the
+   * chunk is queued again and the stream reconnects, unless it already did so or the number of
+   * reconnects set in the project's connection settings is exceeded.
+   * @param {*} chunk The chunk that failed.
+   * @param {Error} err The error that occurred.
+   * @param {node-opcua~ClientSession} session The session the chunk was processed with.
+   * @return {boolean} `true` if the chunk will be processed again.
+   */
+  _retryAfterConnectionLoss(chunk, err, session) {
+    if (!this._reconnectOnConnectionLoss || !Session.isConnectionError(err)) {
+      return false;
+    }
+
+    const reconnected = session !== this.session;
+
+    if (!reconnected && this._reconnects >= ProjectConfig.connection.retries) {
+      return false;
+    }
+
+    this._processing--;
+    this._queued.unshift(chunk);
+
+    if (reconnected) {
+      this._resume();
+    } else {
+      this._reconnects++;
+      Logger.warn(`Lost connection to atvise server (${err.message}), reconnecting`);
+
+      this.reconnect()
+        .then(() => this._resume())
+        .catch(reconnectErr => this.emit('error', reconnectErr));
+    }
+
+    return true;
+  }
+
+  /**
+   * Calls {@link QueueStream#processChunk} and handles errors and invalid status codes. Chunks
+   * that failed because the connection to atvise server was lost are processed again once
+   * reconnected.
    * @param {*} chunk The chunk to process.
    * @emits {*} Emits a `processed-chunk` event once a chunk was processed.
    */
   _processChunk(chunk) {
+    const session = this.session;
     this._processing++;
 
     this.processChunk(chunk, (err, statusCode, onSuccess) => {
+      if (err && this._retryAfterConnectionLoss(chunk, err, session)) {
+        return;
+      }
+
       if (err) {
-        this.emit('error', new Error(`${this.processErrorMessage(chunk)}: ${err.message}`));
+        this.processError(chunk, new Error(`${this.processErrorMessage(chunk)}: ${err.message}`));
       } else if (statusCode !== StatusCodes.Good) {
-        this.emit('error',
+        this.processError(chunk,
           new Error(`${this.processErrorMessage(chunk)}: ${statusCode.description}`));
       } else {
         onSuccess(() => {
           this._processing--;
           this._processed++;
+          this._reconnects = 0;
           this.emit('processed-chunk', chunk);
         });
       }
@@ -1,13 +1,62 @@
 /* Needed as long as https://github.com/gajus/eslint-plugin-jsdoc/issues/56 is open */
 /* eslint-disable jsdoc/check-param-names */
 
+import {
+  AttributeIds,
+  NodeClass,
+  ReferenceTypeIds,
+  browse_service as BrowseService,
+} from 'node-opcua';
+import { makeResultMask } from 'node-opcua-data-model';
 import QueueStream from './QueueStream';
+import NodeId from './NodeId';
+
+/**
+ * The attributes read for variable nodes. The value has to be the first one, as it is the only one
+ * read if no metadata is requested.
+ * @type {node-opcua~AttributeIds[]}
+ */
+const VariableAttributeIds = [
+  AttributeIds.Value,
+  AttributeIds.DisplayName,
+  AttributeIds.Description,
+  AttributeIds.AccessLevel,
+];
+
+/**
+ * The attributes read for object nodes. Only the first one is read if no metadata is requested.
+ * @type {node-opcua~AttributeIds[]}
+ */
+const ObjectAttributeIds = [
+  AttributeIds.DisplayName,
+  AttributeIds.Description,
+];
 
 /**
  * A stream that reads atvise server nodes for the {@link node-opcua~ReferenceDescription}s passed.
+ * If metadata is requested, a node's display name, description, access level and references are
+ * read as well.
  */
 export default class ReadStream extends QueueStream {
 
+  /**
+   * Creates a new ReadStream with the given options.
+   * @param {Object} [options] The options to use. See {@link QueueStream#constructor} for other
+   * options available.
+   * @param {boolean} [options.metadata=false] If the node's display name, description, access level
+   * and references should be read. Requires an additional browse request per node, so it should
+   * only be set if the metadata is stored or compared.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * If the node's metadata should be read.
+     * @type {boolean}
+     */
+    this.readMetadata = options.metadata || false;
+  }
+
   /**
    * Returns an error message specifically for the given reference description.
    * @param {node-opcua~ReferenceDescription} referenceDescription The reference description to get
@@ -18,6 +67,70 @@ export default class ReadStream extends QueueStream {
     return `Error reading node ${referenceDescription.nodeId.toString()}`;
   }
 
+  /**
+   * Returns the attributes read from the given results.
+   * @param {node-opcua~AttributeIds[]} attributeIds The ids of the attributes read.
+   * @param {node-opcua~DataValue[]} results The values read.
+   * @return {{displayName: ?string, description: ?string, accessLevel: ?number}} The attributes
+   * read.
+   */
+  static attributesForResults(attributeIds, results) {
+    return attributeIds.reduce((attributes, attributeId, i) => {
+      const value = results[i] && results[i].value ? results[i].value.value : null;
+
+      if (attributeId === AttributeIds.DisplayName) {
+        return Object.assign(attributes, { displayName: value ? value.text : null });
+      } else if (attributeId === AttributeIds.Description) {
+        return Object.assign(attributes, { description: value ? value.text : null });
+      } else if (attributeId === AttributeIds.AccessLevel) {
+        return Object.assign(attributes, { accessLevel: value });
+      }
+
+      return attributes;
+    }, {});
+  }
+
+  /**
+   * Returns `true` for references that have to be stored in a node's metadata, which are all
+   * references except type definitions and references to child nodes.
+   * @param {NodeId} nodeId The id of the node browsed.
+   * @param {node-opcua~ReferenceDescription} reference The reference to check.
+   * @return {boolean} `true` if the reference should be stored.
+   */
+  static isStoredReference(nodeId, reference) {
+    if (reference.referenceTypeId.value === ReferenceTypeIds.HasTypeDefinition) {
+      return false;
+    }
+
+    return reference.nodeId.namespace !== nodeId.namespace ||
+      reference.nodeId.value.toString().indexOf(`${nodeId.value}.`) !== 0;
+  }
+
+  /**
+   * Browses the references of a node that are not derived from the node's id or type.
+   * @param {NodeId} nodeId The node to browse.
+   * @param {function(err: ?Error, references: ?node-opcua~ReferenceDescription[])} callback Called
+   * with the error that occurred or the node's references.
+   */
+  browseReferences(nodeId, callback) {
+    this.session.browse([{
+      nodeId,
+      browseDirection: BrowseService.BrowseDirection.Forward,
+      includeSubtypes: true,
+      resultMask: makeResultMask('ReferenceType | NodeClass'),
+    }], (err, results) => {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, (results && results.length > 0 ? results[0].references : [])
+          .filter(reference => ReadStream.isStoredReference(nodeId, reference))
+          .map(reference => Object.assign(reference, {
+            nodeId: Object.setPrototypeOf(reference.nodeId, NodeId.prototype),
+          })));
+      }
+    });
+  }
+
   /**
    * Returns a {ReadStream.ReadResult} for the given reference description.
    * @param {node-opcua~ReferenceDescription} referenceDescription The reference description to read
@@ -27,22 +140,44 @@ export default class ReadStream extends QueueStream {
    */
   processChunk(referenceDescription, handleErrors) {
     const nodeId = referenceDescription.nodeId;
+    const isObject = referenceDescription.nodeClass &&
+      referenceDescription.nodeClass.value === NodeClass.Object.value;
+    const attributeIds = (isObject ? ObjectAttributeIds : VariableAttributeIds)
+      .slice(0, this.readMetadata ? undefined : 1);
 
-    this.session.read([{ nodeId }], (err, nodesToRead, results) => {
-      if (!err && (!results || results.length === 0)) {
-        handleErrors(new Error('No results'));
-      } else {
-        handleErrors(err, results && results.length > 0 ? results[0].statusCode : null, done => {
-          this.push({
-            nodeId,
-            value: results[0].value,
-            referenceDescription,
-            mtime: results[0].sourceTimestamp,
+    this.session.read(attributeIds.map(attributeId => ({ nodeId, attributeId })),
+      (err, results) => {
+        if (!err && (!results || results.length === 0)) {
+          handleErrors(new Error('No results'));
+        } else if (err) {
+          handleErrors(err);
+        } else {
+          const browse = this.readMetadata ?
+            cb => this.browseReferences(nodeId, cb) :
+            cb => cb(null);
+
+          browse((browseErr, references) => {
+            handleErrors(browseErr, results[0].statusCode, done => {
+              const result = {
+                nodeId,
+                value: isObject ? null : results[0].value,
+                referenceDescription,
+                mtime: isObject ? undefined : results[0].sourceTimestamp,
+              };
+
+              if (this.readMetadata) {
+                Object.assign(result, {
+                  attributes: ReadStream.attributesForResults(attributeIds, results),
+                  references,
+                });
+              }
+
+              this.push(result);
+              done();
+            });
           });
-          done();
-        });
-      }
-    });
+        }
+      });
   }
 
 }
@@ -50,7 +185,12 @@ export default class ReadStream extends QueueStream {
 /**
  * @typedef {Object} ReadStream.ReadResult
  * @property {NodeId} nodeId The read node's id.
- * @property {?node-opcua~DataValue} value The read value.
+ * @property {?node-opcua~DataValue} value The read value, `null` for object nodes.
  * @property {Object} referenceDescription Additional info on the read node.
  * @property {Date} mtime The timestamp the node's value last changed.
+ * @property {{displayName: ?String, description: ?String, accessLevel: ?Number}} [attributes] The
+ * node's display name, description and (for variables) access level. Only read if metadata is
+ * requested.
+ * @property {node-opcua~ReferenceDescription[]} [references] The node's references that cannot be
+ * derived from it's id or type definition. Only read if metadata is requested.
  */
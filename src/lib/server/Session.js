@@ -3,6 +3,7 @@ import { StatusCodes, ClientSession } from 'node-opcua';
 import Logger from 'gulplog';
 import ProjectConfig from '../../config/ProjectConfig';
 import Client from './Client';
+import X509Identity from './X509Identity';
 
 /**
  * The global EventEmitter used to emit events.
@@ -16,12 +17,41 @@ const emitter = new Emitter();
  */
 const openSessions = [];
 
+/**
+ * The sessions streams borrow from.
+ * @type {Session.PoolEntry[]}
+ */
+const pool = [];
+
 /**
  * The number of session currently being opened.
  * @type {Number}
  */
 let openingSessions = 0;
 
+/**
+ * Matches the errors node-opcua reports when the connection to atvise server or the session was
+ * lost.
+ * @type {RegExp}
+ */
+const ConnectionErrorRegExp = new RegExp([
+  'Connection Break',
+  'Connection has been closed',
+  'Transaction has timed out',
+  'Client not connected',
+  'Transport disconnected',
+  'Invalid Secure Channel',
+  'No SecureChannel',
+  'no channel',
+  'premature socket termination',
+  'BadSessionIdInvalid',
+  'BadSessionClosed',
+  'BadSecureChannelClosed',
+  'BadConnectionClosed',
+  'BadNotConnected',
+  'BadCommunicationError',
+].join('|'));
+
 /**
  * A wrapper around {@link node-opcua~ClientSession} used to connect to atvise server.
  */
@@ -35,6 +65,16 @@ export default class Session {
     return emitter;
   }
 
+  /**
+   * Checks if an error occurred because the connection to atvise server or the session was lost,
+   * so the operation that failed may succeed with a new session.
+   * @param {Error} err The error to check.
+   * @return {boolean} `true` for connection errors.
+   */
+  static isConnectionError(err) {
+    return Boolean(err) && ConnectionErrorRegExp.test(err.message);
+  }
+
   /**
    * Creates and opens a new {@link node-opcua~ClientSession}.
    * @return {Promise<node-opcua~ClientSession, Error>} Fulfilled with an already opened
@@ -44,35 +84,59 @@ export default class Session {
   static create() {
     openingSessions++;
 
+    function opened() {
+      openingSessions--;
+      if (openingSessions === 0) {
+        emitter.emit('all-open');
+      }
+    }
+
     return Client.create()
+      .catch(err => {
+        opened();
+        throw err;
+      })
       .then(client => new Promise((resolve, reject) => {
-        client.createSession({
-          userName: ProjectConfig.login.username,
-          password: ProjectConfig.login.password,
-        }, (err, session) => {
+        const login = ProjectConfig.login || {};
+        let userIdentityInfo = {};
+
+        function fail(err) {
+          client.disconnect(() => {
+            reject(err);
+            opened();
+          });
+        }
+
+        try {
+          if (login.certificateFile) {
+            X509Identity.fromFiles(login).applyTo(client);
+          } else if (login.username || login.password) {
+            if (typeof login.username !== 'string' || typeof login.password !== 'string') {
+              throw new Error('Invalid login');
+            }
+
+            userIdentityInfo = { userName: login.username, password: login.password };
+          }
+        } catch (e) {
+          fail(new Error(`Unable to create session: ${e.message}`));
+          return;
+        }
+
+        client.createSession(userIdentityInfo, (err, session) => {
           if (err) {
-            if (
-              [
-                'userName === null || typeof userName === "string"',
-                'password === null || typeof password === "string"',
-              ].includes(err.message) ||
-              (err.response &&
-              err.response.responseHeader.serviceResult === StatusCodes.BadUserAccessDenied)
+            if (err.response &&
+              err.response.responseHeader.serviceResult === StatusCodes.BadUserAccessDenied
             ) {
-              reject(new Error('Unable to create session: Invalid login'));
+              fail(new Error('Unable to create session: Invalid login'));
             } else {
-              reject(new Error(`Unable to create session: ${err.message}`));
+              fail(new Error(`Unable to create session: ${err.message}`));
             }
           } else {
             Object.assign(session, { _emitter: new Emitter() });
 
             openSessions.push(session);
             resolve(session);
-          }
-
-          openingSessions--;
-          if (openingSessions === 0) {
-            emitter.emit('all-open');
+            opened();
           }
         });
       }));
@@ -105,6 +169,7 @@ export default class Session {
     return new Promise((resolve, reject) => {
       function markAsClosed() {
         openSessions.splice(openSessions.indexOf(session), 1);
+        Session._removeFromPool(session);
         Object.assign(session, { _closed: true });
 
         resolve(session);
@@ -137,6 +202,91 @@ export default class Session {
     });
   }
 
+  /**
+   * Borrows a session from the pool. Sessions are shared between streams: A new session is only
+   * opened if the maximum number of sessions, set in the project's connection settings, is not
+   * reached yet. Otherwise the session used by the fewest streams is returned. Borrowed sessions
+   * have to be given back once they are not needed any more.
+   * @return {Promise<node-opcua~ClientSession, Error>} Fulfilled with the borrowed session.
+   */
+  static acquire() {
+    const maxSessions = (ProjectConfig.connection || {}).maxSessions || 1;
+    const available = pool.filter(e => !e.discarded);
+    let entry;
+
+    if (available.length < maxSessions) {
+      entry = { borrowers: 0, session: null, discarded: false };
+      entry.promise = Session.create()
+        .then(session => (entry.session = session))
+        .catch(err => {
+          pool.splice(pool.indexOf(entry), 1);
+          throw err;
+        });
+
+      pool.push(entry);
+    } else {
+      entry = available.reduce((result, e) => (e.borrowers < result.borrowers ? e : result));
+    }
+
+    entry.borrowers++;
+
+    return entry.promise;
+  }
+
+  /**
+   * Gives back a session borrowed from the pool. The session is closed once no stream uses it any
+   * more. Sessions not borrowed from the pool are closed immediately.
+   * @param {node-opcua~ClientSession} session The session to give back.
+   * @return {Promise<node-opcua~ClientSession, Error>} Fulfilled with the session once it is
+   * given back or closed.
+   */
+  static release(session) {
+    const entry = pool.find(e => e.session === session);
+
+    if (entry) {
+      entry.borrowers--;
+
+      if (entry.borrowers > 0) {
+        return Promise.resolve(session);
+      }
+
+      Session._removeFromPool(session);
+    }
+
+    return Session.close(session);
+  }
+
+  /**
+   * Gives back a session that lost it's connection to atvise server. The session is marked as
+   * discarded, so it is not borrowed any more, and closed once all streams using it gave it back.
+   * Other streams using the session will fail with connection errors as well, so they discard it
+   * and borrow a new one on their own.
+   * @param {node-opcua~ClientSession} session The session to discard.
+   * @return {Promise<node-opcua~ClientSession, Error>} Fulfilled with the session once it is
+   * given back or closed.
+   */
+  static discard(session) {
+    const entry = pool.find(e => e.session === session);
+
+    if (entry) {
+      entry.discarded = true;
+    }
+
+    return Session.release(session);
+  }
+
+  /**
+   * Removes a session from the pool, if it is pooled.
+   * @param {node-opcua~ClientSession} session The session to remove.
+   */
+  static _removeFromPool(session) {
+    const index = pool.findIndex(e => e.session === session);
+
+    if (index >= 0) {
+      pool.splice(index, 1);
+    }
+  }
+
   /**
    * The sessions currently open.
    * @type {Session[]}
@@ -174,3 +324,13 @@ export default class Session {
   }
 
 }
+
+/**
+ * @typedef {Object} Session.PoolEntry
+ * @property {Promise<node-opcua~ClientSession, Error>} promise Fulfilled once the session is open.
+ * @property {?node-opcua~ClientSession} session The session, once it is open.
+ * @property {number} borrowers The number of streams using the session.
+ * @property {boolean} discarded `true` if the session lost it's connection, so it is not borrowed
+ * any more.
+ */
+
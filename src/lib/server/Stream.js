@@ -1,4 +1,6 @@
 import { ctor as throughStreamClass } from 'through2';
+import Logger from 'gulplog';
+import { confirmTarget } from '../../util/target';
 import Session from './Session';
 
 /**
@@ -7,10 +9,12 @@ import Session from './Session';
 export default class Stream extends throughStreamClass({ objectMode: true }) {
 
   /**
-   * Creates a new Stream and starts opening a new session to atvise server.
+   * Creates a new Stream and borrows a session to atvise server from the session pool.
    * @param {Object} [options] The options to use. See the through2 documentation for details.
    * @param {boolean} [options.keepSessionAlive=false] If the ativse server session should be closed
    * one the stream ends.
+   * @param {boolean} [options.confirmTarget=false] If writing to the selected
+   * {@link Atviseproject.Target} has to be confirmed before opening the session.
    * @emits {Session} Emits an `session-open` event once the session is open, passing the Session
    * instance.
    * @see https://github.Com/rvagg/through2#options
@@ -24,22 +28,80 @@ export default class Stream extends throughStreamClass({ objectMode: true }) {
      */
     this._keepSessionAlive = options.keepSessionAlive || false;
 
-    Session.create()
+    /**
+     * The pending reconnect, if any.
+     * @type {?Promise<node-opcua~ClientSession, Error>}
+     */
+    this._reconnecting = null;
+
+    /**
+     * The session borrowed from the session pool, which is given back once the stream ends. Unlike
+     * {@link Stream#session} it is set while the session is opened.
+     * @type {Promise<node-opcua~ClientSession, Error>}
+     */
+    this._borrowedSession = (options.confirmTarget ? confirmTarget() : Promise.resolve())
+      .then(() => Session.acquire());
+
+    this._borrowedSession
       .then(session => (this.session = session))
       .then(session => this.emit('session-open', session))
       .catch(err => this.emit('error', err));
   }
 
   /**
-   * Called just before the stream is closed: Closes the open session.
+   * Replaces the stream's session with a new one, for example after the connection to atvise
+   * server was lost. The old session is discarded in the background, as closing a broken session
+   * may take a while. Chunks transformed while reconnecting wait for the new session.
+   * @return {Promise<node-opcua~ClientSession, Error>} Fulfilled with the new session.
+   * @emits {Session} Emits an `session-open` event once the new session is open.
+   */
+  reconnect() {
+    if (!this._reconnecting) {
+      const oldSession = this.session;
+      this.session = null;
+
+      if (oldSession) {
+        Session.discard(oldSession)
+          .catch(err => Logger.debug(`Unable to close lost session: ${err.message}`));
+      }
+
+      this._borrowedSession = Session.acquire();
+      this._reconnecting = this._borrowedSession
+        .then(session => {
+          this._reconnecting = null;
+          this.session = session;
+          this.emit('session-open', session);
+
+          return session;
+        }, err => {
+          this._reconnecting = null;
+          throw err;
+        });
+    }
+
+    return this._reconnecting;
+  }
+
+  /**
+   * Called just before the stream is closed: Gives back the session, which closes it if no other
+   * stream uses it. Sessions still being opened, for example while reconnecting, are given back in
+   * the background once they are open.
    * @param {function(err: ?Error, data: Object)} callback Called once the session is closed.
    */
   _flush(callback) {
-    if (this.session && !this._keepSessionAlive) {
-      Session.close(this.session)
+    if (this._keepSessionAlive) {
+      callback();
+    } else if (this.session) {
+      Session.release(this.session)
         .then(() => callback())
         .catch(err => callback(err));
     } else {
+      if (this._borrowedSession) {
+        this._borrowedSession
+          .then(session => Session.release(session), () => null)
+          .catch(err => Logger.debug(`Unable to close session: ${err.message}`));
+      }
+
       callback();
     }
   }
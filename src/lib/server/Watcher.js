@@ -191,7 +191,7 @@ export default class Watcher extends Emitter {
    */
   close() {
     if (this._subscribeStream.session) {
-      Session.close(this._subscribeStream.session)
+      Session.release(this._subscribeStream.session)
         .catch(err => this.emit('error', err));
     }
   }
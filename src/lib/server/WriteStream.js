@@ -1,15 +1,62 @@
 /* Needed as long as https://github.com/gajus/eslint-plugin-jsdoc/issues/56 is open */
 /* eslint-disable jsdoc/check-param-names */
 
+import { join } from 'path';
 import Logger from 'gulplog';
-import { StatusCodes } from 'node-opcua';
+import {
+  StatusCodes,
+  AttributeIds,
+  DataType,
+  NodeClass,
+  ObjectTypeIds,
+  LocalizedText,
+  QualifiedName,
+  makeNodeId,
+  node_managment_service as NodeManagementService,
+} from 'node-opcua';
 import QueueStream from './QueueStream';
+import NodeId from './NodeId';
+import NodeMetadata from './NodeMetadata';
+import { ObjectAttributes, VariableAttributes } from './NodeAttributes';
 
 /**
  * A stream that writes all read {@link AtviseFile}s to their corresponding nodes on atvise server.
+ * Nodes that do not exist yet are created, including their missing parent folders. Metadata stored
+ * in runtime configuration files (see {@link NodeMetadata}) is restored.
  */
 export default class WriteStream extends QueueStream {
 
+  /**
+   * Creates a new WriteStream.
+   * @param {Object} [options] The options to use. See {@link QueueStream} for all options
+   * available.
+   * @param {boolean} [options.confirmTarget=true] If writing to the selected
+   * {@link Atviseproject.Target} has to be confirmed.
+   * @param {boolean} [options.transactional=false] If the current value of each node should be
+   * stored before writing it, so all changes can be rolled back if a write fails.
+   */
+  constructor(options = {}) {
+    super(Object.assign({ confirmTarget: true }, options));
+
+    /**
+     * If all changes are rolled back if a write fails.
+     * @type {boolean}
+     */
+    this.transactional = options.transactional || false;
+
+    /**
+     * The previous values of the nodes changed so far, `null` for nodes that were created.
+     * @type {Array<{nodeId: NodeId, value: ?node-opcua~Variant}>}
+     */
+    this._snapshots = [];
+
+    /**
+     * The first error that occurred during a transactional push.
+     * @type {?Error}
+     */
+    this._error = null;
+  }
+
   /**
    * The error message to use when writing a file fails.
    * @param {AtviseFile} file The file being processed.
@@ -20,32 +67,377 @@ export default class WriteStream extends QueueStream {
   }
 
   /**
-   * Writes an {@link AtviseFile} to it's corresponding node on atvise server.
+   * In transactional mode, errors are stored instead of being emitted, so the remaining chunks can
+   * be skipped and all changes can be rolled back once the stream is flushed.
+   * @param {AtviseFile} file The file that could not be written.
+   * @param {Error} err The error that occurred.
+   */
+  processError(file, err) {
+    if (!this.transactional) {
+      super.processError(file, err);
+      return;
+    }
+
+    if (this._error) {
+      Logger.error(err.message);
+    } else {
+      this._error = err;
+    }
+
+    this._processing--;
+    this.emit('processed-chunk', file);
+  }
+
+  /**
+   * Reads the current value of a node, so it can be restored later.
+   * @param {NodeId} nodeId The node to read.
+   * @return {Promise<{nodeId: NodeId, value: ?node-opcua~Variant}, Error>} Fulfilled with the
+   * node's current value, which is `null` if the node does not exist yet.
+   */
+  snapshotNode(nodeId) {
+    return new Promise((resolve, reject) => {
+      this.session.read([{ nodeId, attributeId: AttributeIds.Value }],
+        (err, results) => {
+          if (err) {
+            reject(err);
+          } else if (!results || results.length === 0) {
+            reject(new Error('No results'));
+          } else if (results[0].statusCode === StatusCodes.BadNodeIdUnknown) {
+            resolve({ nodeId, value: null });
+          } else if (results[0].statusCode !== StatusCodes.Good) {
+            reject(new Error(`Unable to read current value: ${results[0].statusCode.description}`));
+          } else {
+            resolve({ nodeId, value: results[0].value });
+          }
+        });
+    });
+  }
+
+  /**
+   * Restores the previous values of all nodes written and deletes all nodes created so far.
+   * Metadata changes are not rolled back.
+   * @return {Promise<NodeId[], Error>} Fulfilled with the ids of the nodes rolled back.
+   */
+  rollback() {
+    const snapshots = this._snapshots.slice().reverse();
+    const restores = snapshots.filter(({ value }) => value);
+    const deletes = snapshots.filter(({ value }) => !value);
+
+    return Promise.all([
+      restores.length === 0 ? [] : new Promise((resolve, reject) => {
+        this.session.write(restores.map(({ nodeId, value }) => ({
+          nodeId,
+          attributeId: AttributeIds.Value,
+          value: { value },
+        })), (err, results) => (err ? reject(err) : resolve(results)));
+      }),
+      deletes.length === 0 ? [] : new Promise((resolve, reject) => {
+        this.session.performMessageTransaction(new NodeManagementService.DeleteNodesRequest({
+          nodesToDelete: deletes.map(({ nodeId }) => ({ nodeId, deleteTargetReferences: true })),
+        }), (err, response) => (err ? reject(err) : resolve(response.results)));
+      }),
+    ])
+      .then(([writeResults, deleteResults]) => {
+        const statusCodes = writeResults.concat(deleteResults);
+
+        return restores.concat(deletes)
+          .filter(({ nodeId }, i) => {
+            if (statusCodes[i] !== StatusCodes.Good) {
+              Logger.error(`Unable to roll back ${nodeId.toString()}: ${
+                statusCodes[i] ? statusCodes[i].description : 'No result'}`);
+              return false;
+            }
+
+            return true;
+          })
+          .map(({ nodeId }) => nodeId);
+      });
+  }
+
+  /**
+   * Adds a node to atvise server. If the node's parent does not exist, it is created as a folder.
+   * @param {NodeId} nodeId The id of the node to add.
+   * @param {Object} options The node's properties.
+   * @param {node-opcua~NodeClass} options.nodeClass The node's class.
+   * @param {NodeAttributes} options.nodeAttributes The node's attributes.
+   * @param {node-opcua~NodeId} options.typeDefinition The node's type definition.
+   * @param {node-opcua~NodeId} options.referenceTypeId The type of the reference from the node's
+   * parent.
+   * @param {string} options.base The source directory, used to find the metadata of missing
+   * parent nodes.
+   * @param {function(err: ?Error, statusCode: ?node-opcua~StatusCodes)} callback Called with the
+   * error that occurred or the status code returned by atvise server.
+   * @param {boolean} [parentCreated=false] If the node's parent was just created. Used internally
+   * to prevent endless retries.
+   */
+  addNode(nodeId, options, callback, parentCreated = false) {
+    const parentNodeId = nodeId.parent;
+
+    if (!parentNodeId) {
+      callback(new Error(`Unable to create ${nodeId.toString()}: It has no parent node`));
+      return;
+    }
+
+    const request = new NodeManagementService.AddNodesRequest({
+      nodesToAdd: [{
+        parentNodeId,
+        referenceTypeId: options.referenceTypeId,
+        requestedNewNodeId: nodeId,
+        browseName: new QualifiedName({
+          namespaceIndex: nodeId.namespace,
+          name: nodeId.browseName,
+        }),
+        nodeClass: options.nodeClass,
+        nodeAttributes: options.nodeAttributes,
+        typeDefinition: options.typeDefinition,
+      }],
+    });
+
+    this.session.performMessageTransaction(request, (err, response) => {
+      if (err) {
+        callback(err);
+      } else if (!response.results || response.results.length === 0) {
+        callback(new Error('No results'));
+      } else {
+        const statusCode = response.results[0].statusCode;
+
+        if (statusCode === StatusCodes.BadParentNodeIdInvalid && !parentCreated) {
+          this.createFolder(parentNodeId, options.base, (folderErr, folderStatusCode) => {
+            if (folderErr || folderStatusCode !== StatusCodes.Good) {
+              callback(folderErr, folderStatusCode);
+            } else {
+              this.addNode(nodeId, options, callback, true);
+            }
+          });
+        } else {
+          callback(null, statusCode);
+        }
+      }
+    });
+  }
+
+  /**
+   * Restores the display name, description, access level and references stored in a node's
+   * metadata. As the node's value is already written, failures are reported as warnings only.
+   * @param {NodeId} nodeId The node to restore the metadata for.
+   * @param {Object} metadata The node's metadata.
+   * @param {function()} callback Called once the metadata is restored.
+   */
+  applyMetadata(nodeId, metadata, callback) {
+    const nodesToWrite = [];
+    const addWrite = (attributeId, dataType, value) => nodesToWrite.push({
+      nodeId,
+      attributeId,
+      value: { value: { dataType, value } },
+    });
+
+    if (metadata.displayName) {
+      addWrite(AttributeIds.DisplayName, DataType.LocalizedText,
+        new LocalizedText({ text: metadata.displayName }));
+    }
+
+    if (metadata.description) {
+      addWrite(AttributeIds.Description, DataType.LocalizedText,
+        new LocalizedText({ text: metadata.description }));
+    }
+
+    if (metadata.accessLevel !== undefined) {
+      addWrite(AttributeIds.AccessLevel, DataType.Byte, metadata.accessLevel);
+    }
+
+    const referencesToAdd = (metadata.references || []).map(reference => ({
+      sourceNodeId: nodeId,
+      referenceTypeId: new NodeId(reference.referenceTypeId),
+      isForward: true,
+      targetNodeId: new NodeId(reference.nodeId),
+      targetNodeClass: NodeClass.get(reference.nodeClass),
+    }));
+
+    Promise.all([
+      nodesToWrite.length === 0 ? [] : new Promise((resolve, reject) => {
+        this.session.write(nodesToWrite, (err, results) => (err ? reject(err) : resolve(results)));
+      }),
+      referencesToAdd.length === 0 ? [] : new Promise((resolve, reject) => {
+        this.session.performMessageTransaction(
+          new NodeManagementService.AddReferencesRequest({ referencesToAdd }),
+          (err, response) => (err ? reject(err) : resolve(response.results))
+        );
+      }),
+    ])
+      .then(([writeResults, referenceResults]) => {
+        writeResults.concat(referenceResults)
+          .filter(statusCode => statusCode !== StatusCodes.Good &&
+            statusCode !== StatusCodes.BadDuplicateReferenceNotAllowed)
+          .forEach(statusCode => Logger.warn(
+            `Unable to restore metadata of ${nodeId.toString()}: ${statusCode.description}`
+          ));
+      })
+      .catch(err => Logger.warn(`Unable to restore metadata of ${nodeId.toString()}: ${
+        err.message}`))
+      .then(() => callback());
+  }
+
+  /**
+   * Creates a folder node on atvise server. Folders that already exist are ignored. If the source
+   * directory contains metadata for the folder, it is used to create the node.
+   * @param {NodeId} nodeId The id of the folder to create.
+   * @param {string} base The source directory.
+   * @param {function(err: ?Error, statusCode: ?node-opcua~StatusCodes)} callback Called with the
+   * error that occurred or the status code returned by atvise server.
+   */
+  createFolder(nodeId, base, callback) {
+    NodeMetadata.read(join(base, NodeMetadata.objectRcPath(nodeId)))
+      .then(metadata => {
+        this.addNode(nodeId, {
+          nodeClass: NodeClass.Object,
+          nodeAttributes: new ObjectAttributes({
+            displayName: metadata.displayName || nodeId.browseName,
+          }),
+          typeDefinition: metadata.typeDefinition ?
+            new NodeId(metadata.typeDefinition) :
+            makeNodeId(ObjectTypeIds.FolderType, 0),
+          referenceTypeId: metadata.referenceTypeId ?
+            new NodeId(metadata.referenceTypeId) :
+            NodeMetadata.defaultReferenceTypeId(NodeClass.Object),
+          base,
+        }, (err, statusCode) => {
+          if (statusCode === StatusCodes.BadNodeIdExists) {
+            callback(err, StatusCodes.Good);
+          } else if (!err && statusCode === StatusCodes.Good) {
+            Logger.info('Created folder', nodeId.value);
+
+            if (this.transactional) {
+              this._snapshots.push({ nodeId, value: null });
+            }
+
+            this.applyMetadata(nodeId, {
+              description: metadata.description,
+              references: metadata.references,
+            }, () => callback(null, statusCode));
+          } else {
+            callback(err, statusCode);
+          }
+        });
+      })
+      .catch(err => callback(err));
+  }
+
+  /**
+   * Creates the node of an {@link AtviseFile} on atvise server, using the file's value as it's
+   * initial value.
+   * @param {AtviseFile} file The file to create the node for.
+   * @param {Object} metadata The node's metadata.
+   * @param {function(err: ?Error, statusCode: ?node-opcua~StatusCodes)} callback Called with the
+   * error that occurred or the status code returned by atvise server.
+   */
+  createNode(file, metadata, callback) {
+    const nodeId = file.nodeId;
+
+    this.addNode(nodeId, {
+      nodeClass: NodeClass.Variable,
+      nodeAttributes: new VariableAttributes({
+        displayName: metadata.displayName || nodeId.browseName,
+        dataType: file.dataType,
+        arrayType: file.arrayType,
+        value: file.value,
+        accessLevel: metadata.accessLevel,
+      }),
+      typeDefinition: file.typeDefinition,
+      referenceTypeId: metadata.referenceTypeId ?
+        new NodeId(metadata.referenceTypeId) :
+        NodeMetadata.defaultReferenceTypeId(NodeClass.Variable, file.typeDefinition),
+      base: file.base,
+    }, callback);
+  }
+
+  /**
+   * Writes an {@link AtviseFile} to it's corresponding node on atvise server. Creates the node if
+   * it does not exist. In transactional mode, the node's current value is stored before and no
+   * more files are written once a write failed.
    * @param {AtviseFile} file The file to write.
    * @param {function(err: Error, statusCode: node-opcua~StatusCodes, onSuccess: function)}
    * handleErrors The error handler to call. See {@link QueueStream#processChunk} for details.
    */
   processChunk(file, handleErrors) {
-    try {
-      this.session.writeSingleNode(file.nodeId.toString(), {
-        dataType: file.dataType,
-        arrayType: file.arrayType,
-        value: file.value,
-      }, (err, statusCode) => {
-        if (statusCode === StatusCodes.BadUserAccessDenied) {
-          Logger.warn(`Error writing node ${
-            file.nodeId.toString()
-          }: Make sure it is not opened in atvise builder`);
-          handleErrors(err, StatusCodes.Good, done => done());
-        } else {
-          handleErrors(err, statusCode, done => {
+    if (this._error) {
+      Logger.debug(`Skipped ${file.nodeId.toString()}: Push failed`);
+      handleErrors(null, StatusCodes.Good, done => done());
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => Promise.all([
+        NodeMetadata.readForFile(file.path),
+        this.transactional ? this.snapshotNode(file.nodeId) : null,
+      ]))
+      .then(([metadata, snapshot]) => {
+        const onSuccess = done => {
+          if (snapshot) {
+            this._snapshots.push(snapshot);
+          }
+
+          this.applyMetadata(file.nodeId, metadata, () => {
             this.push(file);
             done();
           });
-        }
-      });
-    } catch (e) {
-      handleErrors(e);
+        };
+
+        this.session.writeSingleNode(file.nodeId.toString(), {
+          dataType: file.dataType,
+          arrayType: file.arrayType,
+          value: file.value,
+        }, (err, statusCode) => {
+          if (statusCode === StatusCodes.BadUserAccessDenied) {
+            Logger.warn(`Error writing node ${
+              file.nodeId.toString()
+            }: Make sure it is not opened in atvise builder`);
+            handleErrors(err, StatusCodes.Good, done => done());
+          } else if (!err && statusCode === StatusCodes.BadNodeIdUnknown) {
+            this.createNode(file, metadata, (createErr, createStatusCode) => {
+              handleErrors(createErr, createStatusCode, done => {
+                Logger.info('Created node', file.nodeId.value);
+                onSuccess(done);
+              });
+            });
+          } else {
+            handleErrors(err, statusCode, onSuccess);
+          }
+        });
+      })
+      .catch(err => handleErrors(err));
+  }
+
+  /**
+   * Waits for pending writes to complete. If a transactional push failed, all changes are rolled
+   * back and the error is forwarded.
+   * @param {function(err: ?Error)} callback Called once all writes are complete.
+   */
+  _flush(callback) {
+    if (!this.transactional) {
+      super._flush(callback);
+      return;
+    }
+
+    const finish = () => {
+      if (!this._error) {
+        super._flush(callback);
+        return;
+      }
+
+      this.rollback()
+        .then(rolledBack => {
+          rolledBack.forEach(nodeId => Logger.warn('Rolled back', nodeId.value));
+
+          return new Error(`${this._error.message} (rolled back ${rolledBack.length} node(s))`);
+        })
+        .catch(err => new Error(`${this._error.message} (rollback failed: ${err.message})`))
+        .then(err => super._flush(() => callback(err)));
+    };
+
+    if (this.hasPending) {
+      this.once('drained', finish);
+    } else {
+      finish();
     }
   }
 
@@ -0,0 +1,167 @@
+import { readFileSync } from 'fs';
+import { createSign } from 'crypto';
+import { resolve as resolvePath } from 'path';
+import {
+  SecurityPolicy,
+  session_service as sessionService,
+  secure_channel_service as secureChannelService,
+  get_endpoints_service as endpointsService,
+} from 'node-opcua';
+
+/**
+ * The algorithms used to sign X.509 user identity tokens, stored against the security policy they
+ * are used with. Only the policies node-opcua can use for secure channels are listed.
+ * @type {Map<String, Object>}
+ */
+const SignatureAlgorithms = {
+  Basic128Rsa15: { name: 'RSA-SHA1', uri: 'http://www.w3.org/2000/09/xmldsig#rsa-sha1' },
+  Basic256: { name: 'RSA-SHA1', uri: 'http://www.w3.org/2000/09/xmldsig#rsa-sha1' },
+  Basic256Sha256: { name: 'RSA-SHA256', uri: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256' },
+};
+
+/**
+ * Converts a PEM encoded certificate to DER.
+ * @param {string} pem The PEM encoded certificate.
+ * @return {Buffer} The DER encoded certificate.
+ */
+function pemToDer(pem) {
+  return Buffer.from(pem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''), 'base64');
+}
+
+/**
+ * An X.509 user identity, used to log in to atvise server with a certificate instead of a
+ * username and password.
+ */
+export default class X509Identity {
+
+  /**
+   * Creates a new identity.
+   * @param {Buffer} certificate The user's certificate (DER).
+   * @param {string} privateKey The user's private key (PEM).
+   */
+  constructor(certificate, privateKey) {
+    /**
+     * The user's certificate (DER).
+     * @type {Buffer}
+     */
+    this.certificate = certificate;
+
+    /**
+     * The user's private key (PEM).
+     * @type {string}
+     */
+    this.privateKey = privateKey;
+  }
+
+  /**
+   * Reads an identity from the certificate and private key files set in a login.
+   * @param {Object} login The login to use, with the properties `certificateFile` and
+   * `privateKeyFile`.
+   * @return {X509Identity} The identity read.
+   * @throws {Error} Throws an error if the files cannot be read.
+   */
+  static fromFiles({ certificateFile, privateKeyFile }) {
+    if (!privateKeyFile) {
+      throw new Error('A private key is required to log in with a certificate');
+    }
+
+    return new X509Identity(
+      pemToDer(readFileSync(resolvePath(certificateFile), 'utf8')),
+      readFileSync(resolvePath(privateKeyFile), 'utf8')
+    );
+  }
+
+  /**
+   * Signs the server's certificate and nonce with the identity's private key, as required to
+   * activate a session.
+   * @param {Buffer} serverCertificate The server's certificate.
+   * @param {Buffer} serverNonce The server's nonce.
+   * @param {string} policyUri The URI of the security policy to use.
+   * @return {node-opcua~SignatureData} The resulting signature.
+   * @throws {Error} Throws an error if the security policy does not support signing.
+   */
+  sign(serverCertificate, serverNonce, policyUri) {
+    const policy = SecurityPolicy.get(policyUri);
+    const algorithm = policy && SignatureAlgorithms[policy.key];
+
+    if (!algorithm) {
+      throw new Error(`Logging in with a certificate requires one of the security policies ${
+        Object.keys(SignatureAlgorithms).join(', ')}`);
+    }
+
+    const signature = createSign(algorithm.name)
+      .update(Buffer.concat([serverCertificate || Buffer.alloc(0), serverNonce || Buffer.alloc(0)]))
+      .sign(this.privateKey);
+
+    return new secureChannelService.SignatureData({ algorithm: algorithm.uri, signature });
+  }
+
+  /**
+   * Creates the token and it's signature used to activate a session.
+   * @param {node-opcua~ClientSession} session The session to activate.
+   * @param {node-opcua~SecurityPolicy} clientPolicy The security policy of the client's secure
+   * channel, used if the server's token policy does not specify one.
+   * @return {Object} The token, stored as `token`, and it's signature, stored as `signature`.
+   * @throws {Error} Throws an error if the server does not accept certificates or the token
+   * cannot be signed.
+   */
+  createToken(session, clientPolicy) {
+    const tokenPolicy = (session.endpoint.userIdentityTokens || [])
+      .find(p => p.tokenType === endpointsService.UserIdentityTokenType.CERTIFICATE);
+
+    if (!tokenPolicy) {
+      throw new Error('The server does not accept certificates as user identity');
+    }
+
+    return {
+      token: new sessionService.X509IdentityToken({
+        policyId: tokenPolicy.policyId,
+        certificateData: this.certificate,
+      }),
+      signature: this.sign(session.serverCertificate, session.serverNonce,
+        tokenPolicy.securityPolicyUri || clientPolicy.value),
+    };
+  }
+
+  /**
+   * Makes a client log in with this identity. As node-opcua only creates anonymous and username
+   * tokens, the client's token creation is replaced and the token's signature is added to the next
+   * request sent by the session, which is the activation request. This relies on node-opcua's
+   * internals, which is why it's version is pinned in the package manifest.
+   * @param {node-opcua~OPCUAClient} client The client to log in with.
+   * @throws {Error} Throws an error if the installed node-opcua version creates tokens differently.
+   */
+  applyTo(client) {
+    if (typeof client.createUserIdentityToken !== 'function') {
+      throw new Error('The installed node-opcua version does not support logging in with ' +
+        'certificates');
+    }
+
+    Object.assign(client, {
+      createUserIdentityToken: (session, userIdentityInfo, callback) => {
+        let result;
+
+        try {
+          result = this.createToken(session, client.securityPolicy);
+        } catch (e) {
+          callback(e);
+          return;
+        }
+
+        const performMessageTransaction = session.performMessageTransaction;
+
+        Object.assign(session, {
+          performMessageTransaction(request, cb) {
+            Object.assign(session, { performMessageTransaction });
+            Object.assign(request, { userTokenSignature: result.signature });
+
+            return performMessageTransaction.call(session, request, cb);
+          },
+        });
+
+        callback(null, result.token);
+      },
+    });
+  }
+
+}
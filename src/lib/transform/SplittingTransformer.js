@@ -4,6 +4,27 @@ import Logger from 'gulplog';
 import AtviseFile from '../server/AtviseFile';
 import PartialTransformer from './PartialTransformer';
 
+/**
+ * Returns the extension of a split file, relative to the stem of the directory it is stored in.
+ * In contrast to `extname` it keeps all extensions after the stem, so multiple split files of the
+ * same type can be told apart.
+ * @param {string} dirname The directory the split file is stored in.
+ * @param {string} name The split file's name.
+ * @return {string} The split file's extension.
+ */
+export function splitExtname(dirname, name) {
+  const stem = basename(dirname, extname(dirname));
+
+  return name.startsWith(`${stem}.`) ? name.slice(stem.length) : extname(name);
+}
+
+/**
+ * Matches the extensions of split files that are compiled to JavaScript before they are combined,
+ * e.g. by a {@link CompileTransformer}.
+ * @type {RegExp}
+ */
+const CompiledToJavaScriptRegExp = /\.ts$/;
+
 /**
  * Determines which files are needed to create a combined file and stores these files as long as
  * some of them are missing.
@@ -12,8 +33,17 @@ export class CombineFilesCache {
 
   /**
    * Creates a new DisplayCache.
+   * @param {Object} [options] The options to use.
+   * @param {function(dirname: string, callback: function)} [options.readdir=fs.readdir] The
+   * function used to list the files inside a directory.
    */
-  constructor() {
+  constructor(options = {}) {
+    /**
+     * The function used to list the files inside a directory.
+     * @type {function(dirname: string, callback: function(err: ?Error, names: ?String[]))}
+     */
+    this._readdir = options.readdir || readdir;
+
     /**
      * The files caches for the given path.
      * @type {Map<String, vinyl~File>}
@@ -25,6 +55,12 @@ export class CombineFilesCache {
      * @type {String[]}
      */
     this._required = {};
+
+    /**
+     * The names of the files required, stored against their extensions.
+     * @type {Map<String, Map<String, String>>}
+     */
+    this._sources = {};
   }
 
   /**
@@ -50,20 +86,23 @@ export class CombineFilesCache {
     const dirname = file.dirname;
 
     if (!this._required[dirname]) {
-      readdir(dirname, (err, files) => {
+      this._readdir(dirname, (err, files) => {
         if (err) {
           callback(err);
         } else {
           this._files[dirname] = {};
-          this._required[dirname] = files
+          this._sources[dirname] = files
             .filter(name => name[0] !== '.')
-            .map(name => extname(name));
+            .reduce((result, name) => Object.assign(result, {
+              [splitExtname(dirname, name).replace(CompiledToJavaScriptRegExp, '.js')]: name,
+            }), {});
+          this._required[dirname] = Object.keys(this._sources[dirname]);
 
           this.gotAllFiles(file, callback);
         }
       });
     } else {
-      this._files[dirname][file.extname] = file;
+      this._files[dirname][splitExtname(dirname, file.basename)] = file;
 
       if (this.missingExtensions(dirname).length === 0) {
         const files = this._files[dirname];
@@ -71,6 +110,7 @@ export class CombineFilesCache {
 
         delete this._files[dirname];
         delete this._required[dirname];
+        delete this._sources[dirname];
       } else {
         callback(null);
       }
@@ -99,6 +139,19 @@ export default class SplittingTransformer extends PartialTransformer {
     this._combineFilesCache = new CombineFilesCache();
   }
 
+  /**
+   * Makes the transformer list the files needed to create a combined file using the given function
+   * instead of reading the directory they are stored in. Required to combine files that only exist
+   * in memory.
+   * @param {function(dirname: string, callback: function(err: ?Error, names: ?String[]))} readdirFn
+   * The function used to list the files inside a directory.
+   * @return {SplittingTransformer} Itself, to be chainable.
+   */
+  useReaddir(readdirFn) {
+    this._combineFilesCache = new CombineFilesCache({ readdir: readdirFn });
+    return this;
+  }
+
   /**
    * Creates a combined file from the cached split files.
    * @param {Map<String, AtviseFile>} files The cached files stored against their extensions.
@@ -184,11 +237,13 @@ export default class SplittingTransformer extends PartialTransformer {
           const firstFile = files[Object.keys(files)[0]];
 
           const missing = this._combineFilesCache.missingExtensions(dirname);
+          const sources = this._combineFilesCache._sources[dirname] || {};
           const stem = basename(dirname, extname(dirname));
-          const paths = missing.map(ext => join(dirname, '/', `${stem}${ext}`));
+          const paths = missing.map(ext => join(dirname, '/', sources[ext] || `${stem}${ext}`));
 
           delete this._combineFilesCache._files[dirname];
           delete this._combineFilesCache._required[dirname];
+          delete this._combineFilesCache._sources[dirname];
 
           Logger.debug('Loading', paths.length, 'required file(s)');
 
@@ -85,8 +85,8 @@ export default class XMLTransformer extends SplittingTransformer {
     try {
       callback(null,
         this.builder.buildObject(object)
-          .replace(new RegExp(`(<!\\[CDATA\\[)?${START_CDATA}`), '<![CDATA[')
-          .replace(new RegExp(`${END_CDATA}(\\]\\]>)?`), ']]>')
+          .replace(new RegExp(`(<!\\[CDATA\\[)?${START_CDATA}`, 'g'), '<![CDATA[')
+          .replace(new RegExp(`${END_CDATA}(\\]\\]>)?`, 'g'), ']]>')
       );
     } catch (e) {
       callback(e);
@@ -0,0 +1,40 @@
+import { src, dest } from 'gulp';
+import ProjectConfig from '../config/ProjectConfig';
+import NodeStream from '../lib/server/NodeStream';
+import ReadStream from '../lib/server/ReadStream';
+import WriteStream from '../lib/server/WriteStream';
+import BackupStream, { DefaultBackupDirectory } from '../lib/gulp/BackupStream';
+import RestoreStream from '../lib/gulp/RestoreStream';
+import forwardErrors from '../util/stream';
+
+/**
+ * Stores the raw values of all nodes on atvise server in a backup archive inside the project's
+ * backups directory (see {@link DefaultBackupDirectory}).
+ */
+export default function backup() {
+  const nodeStream = new NodeStream(ProjectConfig.nodes);
+  const readStream = new ReadStream();
+  const backupStream = new BackupStream();
+
+  return forwardErrors(nodeStream
+    .pipe(readStream)
+    .pipe(backupStream)
+    .pipe(dest(DefaultBackupDirectory)), nodeStream, readStream, backupStream);
+}
+
+backup.description = 'Store the raw values of all nodes on atvise server in a backup';
+
+/**
+ * Writes the values stored in the latest backup back to atvise server. A specific backup can be
+ * restored by setting the `ATSCM_BACKUP_PATH` env variable.
+ */
+export function restore() {
+  const sourceStream = src(process.env.ATSCM_BACKUP_PATH || `${DefaultBackupDirectory}/*.json.gz`);
+  const restoreStream = new RestoreStream();
+
+  return forwardErrors(sourceStream
+    .pipe(restoreStream)
+    .pipe(new WriteStream()), sourceStream, restoreStream);
+}
+
+restore.description = 'Write the values stored in the latest backup back to atvise server';
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import Logger from 'gulplog';
+import Client from '../lib/server/Client';
+import Pki from '../lib/server/Pki';
+
+/**
+ * Returns a short description of a certificate, including it's subject and validity if the
+ * installed node version can parse certificates.
+ * @param {Buffer} certificate The DER encoded certificate.
+ * @return {string} The resulting description, empty if the certificate cannot be parsed.
+ */
+function describeCertificate(certificate) {
+  if (!crypto.X509Certificate) {
+    return '';
+  }
+
+  try {
+    const { subject, validFrom, validTo } = new crypto.X509Certificate(certificate);
+
+    return ` ${subject.split('\n').join(', ')}, valid from ${validFrom} to ${validTo}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Moves the server certificate selected by the `ATSCM_CERTIFICATE` env variable to a store.
+ * @param {string} store The store to move the certificate to.
+ * @return {Promise<string, Error>} Fulfilled with the thumbprint of the certificate moved.
+ */
+function moveSelectedCertificate(store) {
+  const thumbprint = process.env.ATSCM_CERTIFICATE;
+
+  if (!thumbprint) {
+    return Promise.reject(new Error('Set ATSCM_CERTIFICATE to the thumbprint of a certificate, ' +
+      'as printed by the certificates task'));
+  }
+
+  return (new Pki()).moveCertificate(thumbprint, store);
+}
+
+/**
+ * Prints the certificates atvise server provides, including the endpoints they are used for and
+ * the store they are kept in. Unknown certificates are added to the rejected store of the
+ * project's PKI directory, so they can be trusted using {@link certificatesTrust}.
+ * @return {Promise<Object[], Error>} Fulfilled with the certificates found, with their
+ * `thumbprint` and `store`.
+ */
+export default function certificates() {
+  const pki = new Pki();
+
+  return Client.getEndpoints()
+    .then(endpoints => {
+      const found = {};
+
+      endpoints
+        .filter(endpoint => endpoint.serverCertificate)
+        .forEach(endpoint => {
+          const thumbprint = Pki.thumbprint(endpoint.serverCertificate);
+
+          if (!found[thumbprint]) {
+            found[thumbprint] = { certificate: endpoint.serverCertificate, endpoints: [] };
+          }
+
+          found[thumbprint].endpoints.push(`${endpoint.securityMode.key}/${
+            endpoint.securityPolicyUri.split('#')[1]}`);
+        });
+
+      return Promise.all(Object.keys(found).map(thumbprint =>
+        pki.addCertificate(found[thumbprint].certificate)
+          .then(store => {
+            Logger.info(`${thumbprint} (${store}):${
+              describeCertificate(found[thumbprint].certificate)}`);
+            Logger.info(`  Used for ${found[thumbprint].endpoints.join(', ')}`);
+
+            return { thumbprint, store };
+          })
+      ));
+    })
+    .then(results => {
+      if (results.length === 0) {
+        Logger.warn('atvise server provides no certificates');
+      }
+
+      return results;
+    });
+}
+
+certificates.description = 'Print the certificates atvise server provides';
+
+/**
+ * Creates a self-signed client certificate and it's private key inside the project's PKI
+ * directory. To connect with this certificate, point the `certificateFile` and `privateKeyFile`
+ * security settings of the project to them.
+ * @return {Promise<Object, Error>} Fulfilled with the paths of the files created.
+ */
+export function certificatesCreate() {
+  return (new Pki()).createClientCertificate()
+    .then(files => {
+      Logger.info(`Created client certificate ${files.certificateFile}`);
+      Logger.info(`Created private key ${files.privateKeyFile}`);
+
+      return files;
+    });
+}
+
+certificatesCreate.description = 'Create a self-signed client certificate';
+
+/**
+ * Moves the server certificate selected by the `ATSCM_CERTIFICATE` env variable to the trusted
+ * store. The beginning of the certificate's thumbprint is enough.
+ * @return {Promise<string, Error>} Fulfilled with the thumbprint of the certificate moved.
+ */
+export function certificatesTrust() {
+  return moveSelectedCertificate('trusted')
+    .then(thumbprint => {
+      Logger.info(`Trusted certificate ${thumbprint}`);
+
+      return thumbprint;
+    });
+}
+
+certificatesTrust.description = 'Trust the server certificate set in ATSCM_CERTIFICATE';
+
+/**
+ * Moves the server certificate selected by the `ATSCM_CERTIFICATE` env variable to the rejected
+ * store. The beginning of the certificate's thumbprint is enough.
+ * @return {Promise<string, Error>} Fulfilled with the thumbprint of the certificate moved.
+ */
+export function certificatesReject() {
+  return moveSelectedCertificate('rejected')
+    .then(thumbprint => {
+      Logger.info(`Rejected certificate ${thumbprint}`);
+
+      return thumbprint;
+    });
+}
+
+certificatesReject.description = 'Reject the server certificate set in ATSCM_CERTIFICATE';
@@ -0,0 +1,27 @@
+import ProjectConfig from '../config/ProjectConfig';
+import NodeStream from '../lib/server/NodeStream';
+import ReadStream from '../lib/server/ReadStream';
+import Transformer, { TransformDirection } from '../lib/transform/Transformer';
+import MappingTransformer from '../transform/Mapping';
+import DiffStream from '../lib/gulp/DiffStream';
+import forwardErrors from '../util/stream';
+
+/**
+ * Compares the source directory with the nodes on atvise server and prints added, removed and
+ * modified nodes. Nothing is written to disk or atvise server.
+ */
+export default function diff() {
+  const nodeStream = new NodeStream(ProjectConfig.nodes, { objects: true });
+  const readStream = new ReadStream({ metadata: true });
+
+  return forwardErrors(Transformer.applyTransformers(
+    nodeStream
+      .pipe(readStream)
+      .pipe(new MappingTransformer({ direction: TransformDirection.FromDB })),
+    ProjectConfig.useTransformers,
+    TransformDirection.FromDB
+  )
+    .pipe(new DiffStream()), nodeStream, readStream);
+}
+
+diff.description = 'Show differences between the source directory and atvise server';
@@ -0,0 +1,22 @@
+import { src, dest } from 'gulp';
+import ProjectConfig from '../config/ProjectConfig';
+import Transformer, { TransformDirection } from '../lib/transform/Transformer';
+import MappingTransformer from '../transform/Mapping';
+import NodeSetStream from '../lib/gulp/NodeSetStream';
+
+/**
+ * Exports the nodes inside the source directory as an OPC-UA NodeSet2 XML file inside the project
+ * root, that can be imported by other OPC-UA tools.
+ */
+export default function exportNodeSet() {
+  return Transformer.applyTransformers(
+    src('./src/**/*.*')
+      .pipe(new MappingTransformer({ direction: TransformDirection.FromFilesystem })),
+    ProjectConfig.useTransformers,
+    TransformDirection.FromFilesystem
+  )
+    .pipe(new NodeSetStream())
+    .pipe(dest('./'));
+}
+
+exportNodeSet.description = 'Export all stored nodes as an OPC-UA NodeSet2 file';
@@ -0,0 +1,23 @@
+import { src, dest } from 'gulp';
+import ProjectConfig from '../config/ProjectConfig';
+import Transformer, { TransformDirection } from '../lib/transform/Transformer';
+import MappingTransformer from '../transform/Mapping';
+import ImportStream from '../lib/gulp/ImportStream';
+
+/**
+ * Imports an atvise builder export into the source directory, creating the same files a pull
+ * would, without connecting to atvise server. The export file to read can be set through the
+ * `ATSCM_IMPORT_PATH` env variable and defaults to the project's *export* XML file.
+ */
+export default function importExport() {
+  return Transformer.applyTransformers(
+    src(process.env.ATSCM_IMPORT_PATH || './export.xml')
+      .pipe(new ImportStream())
+      .pipe(new MappingTransformer({ direction: TransformDirection.FromDB })),
+    ProjectConfig.useTransformers,
+    TransformDirection.FromDB
+  )
+    .pipe(dest('./src'));
+}
+
+importExport.description = 'Import an atvise builder export into the source directory';
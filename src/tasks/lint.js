@@ -0,0 +1,12 @@
+import { src } from 'gulp';
+import LintStream from '../lib/gulp/LintStream';
+
+/**
+ * Lints the scripts of all displays, server scripts and quick dynamics stored using ESLint.
+ */
+export default function lint() {
+  return src('./src/**/*.{display,script,qd}/*.{js,json}')
+    .pipe(new LintStream());
+}
+
+lint.description = 'Lint the scripts of displays, server scripts and quick dynamics';
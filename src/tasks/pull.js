@@ -8,9 +8,36 @@ import PullStream from '../lib/gulp/PullStream';
  */
 export default function pull() {
   return new PullStream(
-    (new NodeStream(ProjectConfig.nodes))
-      .pipe(new ReadStream())
+    (new NodeStream(ProjectConfig.nodes, { objects: true }))
+      .pipe(new ReadStream({ metadata: true }))
   );
 }
 
 pull.description = 'Pull all nodes from atvise server';
+
+/**
+ * Pulls only the nodes that changed since the last (incremental) pull from atvise server. Nodes
+ * removed on atvise server are reported.
+ */
+export function pullIncremental() {
+  return new PullStream(
+    (new NodeStream(ProjectConfig.nodes, { objects: true }))
+      .pipe(new ReadStream({ metadata: true })),
+    { incremental: true }
+  );
+}
+
+pullIncremental.description = 'Pull nodes changed since the last pull from atvise server';
+
+/**
+ * Pulls all nodes from atvise server and removes files of nodes that no longer exist.
+ */
+export function pullClean() {
+  return new PullStream(
+    (new NodeStream(ProjectConfig.nodes, { objects: true }))
+      .pipe(new ReadStream({ metadata: true })),
+    { clean: true }
+  );
+}
+
+pullClean.description = 'Pull all nodes from atvise server, remove files of deleted nodes';
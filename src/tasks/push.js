@@ -9,3 +9,22 @@ export default function push() {
 }
 
 push.description = 'Push all stored nodes to atvise server';
+
+/**
+ * Shows which nodes a push would change on atvise server, without writing anything.
+ */
+export function pushDryRun() {
+  return new PushStream(src('./src/**/*.*'), { dryRun: true });
+}
+
+pushDryRun.description = 'Show which nodes a push would change, without writing anything';
+
+/**
+ * Pushes {@link AtviseFile}s to atvise server. If a write fails, the previous values of all nodes
+ * written are restored and all nodes created are deleted.
+ */
+export function pushTransactional() {
+  return new PushStream(src('./src/**/*.*'), { transactional: true });
+}
+
+pushTransactional.description = 'Push all stored nodes, rolling back all changes if a write fails';
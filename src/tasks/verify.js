@@ -0,0 +1,24 @@
+import ProjectConfig from '../config/ProjectConfig';
+import NodeStream from '../lib/server/NodeStream';
+import ReadStream from '../lib/server/ReadStream';
+import { TransformDirection } from '../lib/transform/Transformer';
+import MappingTransformer from '../transform/Mapping';
+import VerifyStream from '../lib/gulp/VerifyStream';
+import forwardErrors from '../util/stream';
+
+/**
+ * Reads all nodes from atvise server, runs them through all transformers as a pull followed by a
+ * push would and prints the nodes whose values change. Nothing is written to disk or atvise
+ * server.
+ */
+export default function verify() {
+  const nodeStream = new NodeStream(ProjectConfig.nodes);
+  const readStream = new ReadStream();
+
+  return forwardErrors(nodeStream
+    .pipe(readStream)
+    .pipe(new MappingTransformer({ direction: TransformDirection.FromDB }))
+    .pipe(new VerifyStream()), nodeStream, readStream);
+}
+
+verify.description = 'Check that pulling and pushing nodes does not change their values';
@@ -0,0 +1,435 @@
+import { createHash } from 'crypto';
+import { readFile } from 'fs';
+import { dirname, extname, relative, resolve } from 'path';
+import Logger from 'gulplog';
+import PartialTransformer from '../lib/transform/PartialTransformer';
+
+/**
+ * The comment a bundle starts with, followed by the bundle's {@link BundleTransformer.Manifest}.
+ * @type {string}
+ */
+export const BundleStartComment = '/* atscm-bundle ';
+
+/**
+ * Matches the comment a bundle starts with at the start of a line.
+ * @type {RegExp}
+ */
+const BundleStartRegExp = /^\/\* atscm-bundle /m;
+
+/**
+ * The comment separating the bundled modules from the entry source.
+ * @type {string}
+ */
+export const BundleEndComment = '/* atscm-bundle-end */';
+
+/**
+ * The name of the function used to load bundled modules inside a bundle.
+ * @type {string}
+ */
+const LoadModuleName = '__atscmBundle';
+
+/**
+ * Returns the babel API. Babel is loaded lazily, as it is only needed in projects that use
+ * bundling.
+ * @return {Object} The *babel-core* module.
+ */
+function babel() {
+  return require('babel-core'); // eslint-disable-line global-require
+}
+
+/**
+ * Returns the babel plugin that converts ES modules to CommonJS modules. It is passed to babel
+ * directly, as babel would resolve it relative to the modules bundled otherwise.
+ * @return {Function} The *babel-plugin-transform-es2015-modules-commonjs* plugin.
+ */
+function commonJSPlugin() {
+  // eslint-disable-next-line global-require
+  return require('babel-plugin-transform-es2015-modules-commonjs');
+}
+
+/**
+ * Returns the id of a bundled module, which is its path relative to the given directory.
+ * @param {string} root The directory module ids are relative to.
+ * @param {string} path The module's path.
+ * @return {string} The module's id.
+ */
+function moduleId(root, path) {
+  return relative(root, path).split('\\').join('/');
+}
+
+/**
+ * Returns the checksum of the code following a bundle's manifest.
+ * @param {string} code The code to get the checksum of.
+ * @return {string} The code's SHA-1 hash.
+ */
+function checksum(code) {
+  return createHash('sha1').update(code).digest('hex');
+}
+
+/**
+ * Returns a bundle's manifest as it is stored in the bundle's start comment.
+ * @param {BundleTransformer.Manifest} manifest The manifest to serialize.
+ * @return {string} The serialized manifest.
+ */
+function stringifyManifest(manifest) {
+  return JSON.stringify(manifest).replace(/\*\//g, '*\\/');
+}
+
+/**
+ * Parses the manifest of a bundle. The manifest is searched in the whole code, as compilers may add
+ * code before it, such as babel's `"use strict";` directive.
+ * @param {string} code The bundle to parse.
+ * @return {?Object} The `manifest` parsed, along with the positions its serialization `start`s
+ * at and the manifest comment `end`s at, or `null` for code that is no bundle.
+ * @throws {Error} Throws an error if the bundle's manifest is invalid.
+ */
+function parseManifest(code) {
+  const match = code.match(BundleStartRegExp);
+
+  if (!match) {
+    return null;
+  }
+
+  const start = match.index + BundleStartComment.length;
+  const end = code.indexOf('*/', start);
+  let manifest;
+
+  try {
+    manifest = JSON.parse(code.slice(start, end < 0 ? undefined : end));
+  } catch (e) {
+    throw new Error('Invalid bundle');
+  }
+
+  if (typeof manifest.source !== 'string') {
+    throw new Error('Invalid bundle');
+  }
+
+  return { manifest, start, end: end < 0 ? code.length : end + 2 };
+}
+
+/**
+ * Reads a module from disk.
+ * @param {string} path The module's path.
+ * @return {Promise<string, Error>} Fulfilled with the module's code.
+ */
+function readModule(path) {
+  return new Promise((fulfill, reject) => {
+    readFile(path, 'utf8', (err, code) => {
+      if (err) {
+        reject(err);
+      } else {
+        fulfill(code);
+      }
+    });
+  });
+}
+
+/**
+ * A transformer that bundles the ES modules imported by server scripts and quick dynamics, so
+ * shared code can be stored in the project. Only relative imports are supported. Each script's
+ * import declarations are replaced by the code of the imported modules, converted to CommonJS
+ * modules. A {@link BundleTransformer.Manifest} stored at the top of the bundle, containing the
+ * original entry source, allows restoring it when pulling. As changes made to a bundle on atvise
+ * server are lost this way, a warning is logged for bundles that differ from the code pushed.
+ * Should be used after {@link ScriptTransformer} and {@link CompileTransformer}, so scripts are
+ * bundled before they are compiled. Compilers have to keep comments, so the manifest is not
+ * removed.
+ */
+export default class BundleTransformer extends PartialTransformer {
+
+  /**
+   * Returns `true` for the JavaScript sources of scripts and quick dynamics.
+   * @param {AtviseFile} file The file to check.
+   * @return {boolean} `true` for all sources that may import modules.
+   */
+  shouldBeTransformed(file) {
+    return file.extname === '.js' && (file.isScript || file.isQuickDynamic);
+  }
+
+  /**
+   * Returns the import declarations of an entry source.
+   * @param {string} code The code to parse.
+   * @param {string} path The path of the source file, used in error messages.
+   * @return {Object[]} The import declarations' nodes.
+   */
+  static importDeclarations(code, path) {
+    return babel().transform(code, { babelrc: false, code: false, ast: true, filename: path })
+      .ast.program.body
+      .filter(node => node.type === 'ImportDeclaration');
+  }
+
+  /**
+   * Returns the path of an imported module.
+   * @param {string} source The import's source.
+   * @param {string} path The path of the importing file.
+   * @return {string} The imported module's path.
+   * @throws {Error} Throws an error for imports that are not relative.
+   */
+  static resolveImport(source, path) {
+    if (!source.startsWith('./') && !source.startsWith('../')) {
+      throw new Error(`Cannot import '${source}': Only relative imports can be bundled`);
+    }
+
+    const modulePath = resolve(dirname(path), source);
+
+    return extname(modulePath) ? modulePath : `${modulePath}.js`;
+  }
+
+  /**
+   * Reads all modules imported by an entry source, including the modules they import.
+   * @param {string[]} sources The sources of the modules imported by the entry source.
+   * @param {string} path The path of the entry source.
+   * @param {string} root The directory module ids are relative to.
+   * @return {Promise<Map<string, BundleTransformer.Module>, Error>} Fulfilled with the modules
+   * read, stored against their id.
+   */
+  static collectModules(sources, path, root) {
+    const modules = {};
+
+    const collect = (importSources, importerPath) => Promise.all(
+      importSources.map(source => {
+        const modulePath = BundleTransformer.resolveImport(source, importerPath);
+        const id = moduleId(root, modulePath);
+
+        if (modules[id]) {
+          return Promise.resolve();
+        }
+
+        modules[id] = { code: null, dependencies: {} };
+
+        return readModule(modulePath)
+          .then(code => {
+            const result = babel().transform(code, {
+              babelrc: false,
+              filename: modulePath,
+              plugins: [commonJSPlugin()],
+            });
+            const imports = result.metadata.modules.imports.map(i => i.source);
+
+            modules[id].code = result.code;
+            imports.forEach(i => {
+              modules[id].dependencies[i] = moduleId(root,
+                BundleTransformer.resolveImport(i, modulePath));
+            });
+
+            return collect(imports, modulePath);
+          });
+      })
+    );
+
+    return collect(sources, path).then(() => modules);
+  }
+
+  /**
+   * Returns the statements that define the bindings of an import declaration. Imports without
+   * bindings still load the imported module, as it is imported for its side effects.
+   * @param {Object} declaration The import declaration's node.
+   * @param {string} id The id of the imported module.
+   * @return {string[]} The resulting statements.
+   */
+  static importBindings(declaration, id) {
+    const load = `${LoadModuleName}(${JSON.stringify(id)})`;
+
+    if (declaration.specifiers.length === 0) {
+      return [`${load};`];
+    }
+
+    return declaration.specifiers.map(specifier => {
+      if (specifier.type === 'ImportNamespaceSpecifier') {
+        return `var ${specifier.local.name} = ${load};`;
+      }
+
+      const imported = specifier.type === 'ImportDefaultSpecifier' ?
+        'default' :
+        specifier.imported.name;
+
+      return `var ${specifier.local.name} = ${load}[${JSON.stringify(imported)}];`;
+    });
+  }
+
+  /**
+   * Bundles an entry source with all modules it imports. Sources without imports are returned
+   * unchanged.
+   * @param {string} code The entry source.
+   * @param {string} path The path of the entry source.
+   * @param {string} root The directory module ids are relative to.
+   * @return {Promise<string, Error>} Fulfilled with the resulting bundle.
+   */
+  static bundle(code, path, root) {
+    const declarations = BundleTransformer.importDeclarations(code, path);
+
+    if (declarations.length === 0) {
+      return Promise.resolve(code);
+    }
+
+    return BundleTransformer.collectModules(declarations.map(d => d.source.value), path, root)
+      .then(modules => {
+        const ids = Object.keys(modules).sort();
+
+        const entry = declarations
+          .reduceRight((result, d) => `${result.slice(0, d.start)}${result.slice(d.end)}`, code);
+
+        const bindings = declarations
+          .map(d => BundleTransformer.importBindings(d,
+            moduleId(root, BundleTransformer.resolveImport(d.source.value, path))))
+          .reduce((result, statements) => result.concat(statements), []);
+
+        const definitions = ids.map(id => `${JSON.stringify(id)}: [${
+          JSON.stringify(modules[id].dependencies)}, function(require, module, exports) {
+${modules[id].code}
+}]`);
+
+        const bundled = `
+var ${LoadModuleName} = (function(definitions) {
+var cache = {};
+function load(id) {
+if (!cache[id]) {
+cache[id] = { exports: {} };
+definitions[id][1].call(cache[id].exports, function(source) {
+return load(definitions[id][0][source]);
+}, cache[id], cache[id].exports);
+}
+return cache[id].exports;
+}
+return load;
+})({
+${definitions.join(',\n')}
+});
+${bindings.join('\n')}
+${BundleEndComment}
+${entry}`;
+
+        return `${BundleStartComment}${stringifyManifest({
+          modules: ids,
+          source: code,
+          checksum: checksum(bundled),
+        })} */${bundled}`;
+      });
+  }
+
+  /**
+   * Updates the checksum stored in a bundle's manifest. Has to be called by transformers that
+   * change bundles before they are pushed, such as compilers. Code that is no valid bundle is
+   * returned unchanged.
+   * @param {string} code The bundle to update.
+   * @return {string} The bundle with an updated checksum.
+   */
+  static updateChecksum(code) {
+    let bundle;
+
+    try {
+      bundle = parseManifest(code);
+    } catch (e) {
+      return code;
+    }
+
+    if (!bundle) {
+      return code;
+    }
+
+    const bundled = code.slice(bundle.end);
+
+    return `${code.slice(0, bundle.start)}${stringifyManifest(Object.assign({}, bundle.manifest, {
+      checksum: checksum(bundled),
+    }))} */${bundled}`;
+  }
+
+  /**
+   * Checks if a bundle was changed after it was pushed, which is the case if its code does not
+   * match the checksum stored in its manifest. Bundles without a checksum are never reported as
+   * changed.
+   * @param {string} code The bundle to check.
+   * @return {boolean} `true` if the bundle was changed.
+   * @throws {Error} Throws an error if the bundle's manifest is invalid.
+   */
+  static isModified(code) {
+    const bundle = parseManifest(code);
+
+    return Boolean(bundle && bundle.manifest.checksum &&
+      bundle.manifest.checksum !== checksum(code.slice(bundle.end)));
+  }
+
+  /**
+   * Restores the entry source of a bundle. Code that is no bundle is returned unchanged.
+   * @param {string} code The bundle to restore the entry source of.
+   * @return {string} The original entry source.
+   * @throws {Error} Throws an error if the bundle's manifest is invalid.
+   */
+  static restoreEntry(code) {
+    const bundle = parseManifest(code);
+
+    return bundle ? bundle.manifest.source : code;
+  }
+
+  /**
+   * Restores the entry source of bundled scripts. Logs a warning for bundles that were changed on
+   * atvise server, as these changes are not pulled.
+   * @param {AtviseFile} file The script source to restore.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error, file: ?AtviseFile)} callback Called with the error that occurred
+   * while restoring or the resulting file.
+   */
+  transformFromDB(file, enc, callback) {
+    const code = file.contents.toString();
+
+    try {
+      const entry = BundleTransformer.restoreEntry(code);
+
+      if (BundleTransformer.isModified(code)) {
+        Logger.warn(`Bundle ${file.relative} was changed on atvise server. These changes are ` +
+          'not pulled, apply them to the bundled sources instead');
+      }
+
+      if (entry !== code) {
+        const result = file.clone();
+        result.contents = Buffer.from(entry);
+
+        callback(null, result);
+        return;
+      }
+    } catch (e) {
+      callback(new Error(`Error restoring bundle ${file.relative}: ${e.message}`));
+      return;
+    }
+
+    callback(null, file);
+  }
+
+  /**
+   * Bundles the modules imported by a script source.
+   * @param {AtviseFile} file The script source to bundle.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error, file: ?AtviseFile)} callback Called with the error that occurred
+   * while bundling or the resulting file.
+   */
+  transformFromFilesystem(file, enc, callback) {
+    Promise.resolve()
+      .then(() => BundleTransformer.bundle(file.contents.toString(), file.path, file.cwd))
+      .then(
+        code => {
+          const result = file.clone();
+          result.contents = Buffer.from(code);
+
+          callback(null, result);
+        },
+        err => callback(new Error(`Error bundling ${file.relative}: ${err.message}`))
+      );
+  }
+
+}
+
+/**
+ * @typedef {Object} BundleTransformer.Manifest
+ * @property {String[]} modules The ids of the bundled modules, which are their paths relative to
+ * the project directory.
+ * @property {string} source The original entry source.
+ * @property {string} [checksum] The checksum of the code following the manifest, used to detect
+ * changes made to the bundle on atvise server.
+ */
+
+/**
+ * @typedef {Object} BundleTransformer.Module
+ * @property {string} code The module's code, converted to a CommonJS module.
+ * @property {Map<String, String>} dependencies The ids of the modules imported, stored against
+ * their import source.
+ */
@@ -0,0 +1,189 @@
+import PartialTransformer from '../lib/transform/PartialTransformer';
+import BundleTransformer from './BundleTransformer';
+
+/**
+ * The compilers used, stored against the extension of the source files they handle.
+ * @type {Map<String, String>}
+ */
+export const CompilerForExtension = {
+  '.js': 'babel',
+  '.ts': 'typescript',
+};
+
+/**
+ * Matches the errors babel reports for presets and plugins that are not installed. The first group
+ * contains the kind, the second one the name of the missing preset or plugin.
+ * @type {RegExp}
+ */
+const MissingBabelModuleRegExp = /^(?:Couldn't find (preset)|Unknown (plugin)) "([^"]+)"/;
+
+/**
+ * The TypeScript compiler options used by default.
+ * @type {Object}
+ */
+export const DefaultTypeScriptOptions = {
+  target: 'ES5',
+};
+
+/**
+ * A transformer that compiles the sources of displays, scripts and quick dynamics to ES5 before
+ * they are pushed to atvise server, as atvise's script engine does not support newer syntax. `.js`
+ * files are compiled using *babel-core*, `.ts` files using *typescript*, which has to be installed
+ * in the project. The babel presets or plugins to use have to be set explicitly and installed in
+ * the project as well. Should be used after {@link DisplayTransformer} and
+ * {@link ScriptTransformer}, so sources are compiled before they are combined. The checksums of
+ * compiled bundles are updated, see {@link BundleTransformer.updateChecksum}. Pulled sources are
+ * not changed.
+ */
+export default class CompileTransformer extends PartialTransformer {
+
+  /**
+   * Creates a new CompileTransformer.
+   * @param {Object} [options] The options to use.
+   * @param {Object} [options.babel] The options passed to babel, e.g. `{ presets: ['es2015'] }`.
+   * Required to compile JavaScript sources.
+   * @param {Object} [options.typescript] The TypeScript compiler options to use. Defaults to
+   * {@link DefaultTypeScriptOptions}.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * The options passed to babel.
+     * @type {Object}
+     */
+    this.babelOptions = options.babel || {};
+
+    /**
+     * The TypeScript compiler options used.
+     * @type {Object}
+     */
+    this.typeScriptOptions = options.typescript || DefaultTypeScriptOptions;
+  }
+
+  /**
+   * Returns `true` for the JavaScript and TypeScript sources of displays, scripts and quick
+   * dynamics.
+   * @param {AtviseFile} file The file to check.
+   * @return {boolean} `true` for all sources to compile.
+   */
+  shouldBeTransformed(file) {
+    return Boolean(CompilerForExtension[file.extname]) &&
+      (file.isDisplay || file.isScript || file.isQuickDynamic);
+  }
+
+  /**
+   * Compiles code using babel.
+   * @param {string} code The code to compile.
+   * @param {string} path The path of the source file, used in error messages.
+   * @param {Object} options The options passed to babel.
+   * @return {string} The compiled code.
+   * @throws {Error} Throws an error if no presets or plugins are set, they are not installed or the
+   * code cannot be compiled.
+   */
+  static compileWithBabel(code, path, options) {
+    if (!(options.presets || []).length && !(options.plugins || []).length) {
+      throw new Error(`${path}: No babel presets or plugins set. Pass them as the babel option, ` +
+        "e.g. new CompileTransformer({ babel: { presets: ['es2015'] } })");
+    }
+
+    const { transform } = require('babel-core'); // eslint-disable-line global-require
+
+    try {
+      return transform(code, Object.assign({ babelrc: false }, options, {
+        filename: path,
+        sourceMaps: false,
+      })).code;
+    } catch (e) {
+      const missing = e.message.match(MissingBabelModuleRegExp);
+
+      if (missing) {
+        const kind = missing[1] || missing[2];
+        const name = missing[3];
+
+        throw new Error(`${path}: Babel ${kind} '${name}' is not installed. Install it in your ` +
+          `project, e.g. run 'npm install --save-dev babel-${kind}-${name}'`);
+      }
+
+      throw e;
+    }
+  }
+
+  /**
+   * Compiles code using the TypeScript compiler.
+   * @param {string} code The code to compile.
+   * @param {string} path The path of the source file, used in error messages.
+   * @param {Object} options The compiler options to use.
+   * @return {string} The compiled code.
+   * @throws {Error} Throws an error if the code cannot be compiled.
+   */
+  static compileWithTypeScript(code, path, options) {
+    const ts = require('typescript'); // eslint-disable-line global-require
+
+    const result = ts.transpileModule(code, {
+      compilerOptions: options,
+      fileName: path,
+      reportDiagnostics: true,
+    });
+
+    const diagnostic = (result.diagnostics || [])
+      .find(d => d.category === ts.DiagnosticCategory.Error);
+
+    if (diagnostic) {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+
+      if (diagnostic.file) {
+        const { line, character } = diagnostic.file
+          .getLineAndCharacterOfPosition(diagnostic.start);
+
+        throw new Error(`${path}: ${message} (${line + 1}:${character})`);
+      }
+
+      throw new Error(`${path}: ${message}`);
+    }
+
+    return result.outputText;
+  }
+
+  /**
+   * Returns pulled files untouched.
+   * @param {AtviseFile} file The file to transform.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error, file: AtviseFile)} callback Called with the file passed.
+   */
+  transformFromDB(file, enc, callback) {
+    callback(null, file);
+  }
+
+  /**
+   * Compiles a source file. Compiled TypeScript files are renamed to JavaScript files, so they are
+   * combined like any other script. Compile errors refer to the path of the source file.
+   * @param {AtviseFile} file The source file to compile.
+   * @param {string} enc The encoding used.
+   * @param {function(err: ?Error, file: ?AtviseFile)} callback Called with the error that occurred
+   * while compiling or the compiled file.
+   */
+  transformFromFilesystem(file, enc, callback) {
+    const code = file.contents.toString();
+    const result = file.clone();
+    let compiled;
+
+    try {
+      if (CompilerForExtension[file.extname] === 'typescript') {
+        compiled = CompileTransformer.compileWithTypeScript(code, file.relative,
+          this.typeScriptOptions);
+        result.extname = '.js';
+      } else {
+        compiled = CompileTransformer.compileWithBabel(code, file.relative, this.babelOptions);
+      }
+    } catch (e) {
+      callback(new Error(`Error compiling ${e.message}`));
+      return;
+    }
+
+    result.contents = Buffer.from(BundleTransformer.updateChecksum(compiled));
+
+    callback(null, result);
+  }
+
+}
@@ -1,12 +1,126 @@
 import { Buffer } from 'buffer';
+import Logger from 'gulplog';
 import XMLTransformer from '../lib/transform/XMLTransformer';
 
+/**
+ * The attributes inline scripts get if no other attributes are stored.
+ * @type {Object}
+ */
+const DefaultScriptAttributes = { type: 'text/ecmascript' };
+
+/**
+ * The order atvise builder stores display metadata elements in. Other elements follow these.
+ * @type {String[]}
+ */
+const MetadataElementOrder = ['atv:parameter', 'atv:gridconfig', 'atv:snapconfig'];
+
+/**
+ * The extension of the file inline event handlers are stored in.
+ * @type {string}
+ */
+const HandlersExtension = '.handlers.json';
+
+/**
+ * Matches the names of event handler attributes, such as *onclick*.
+ * @type {RegExp}
+ */
+const HandlerAttributeRegExp = /^on[a-z]+$/i;
+
+/**
+ * Returns the extension of the n-th split file of a type: The first one is stored as
+ * `{stem}{extension}`, the following ones as `{stem}.2{extension}`, `{stem}.3{extension}`, ...
+ * @param {string} extension The type's extension.
+ * @param {number} index The index of the split file.
+ * @return {string} The extension to use.
+ */
+function numberedExtension(extension, index) {
+  return index > 0 ? `.${index + 1}${extension}` : extension;
+}
+
+/**
+ * Calls `callback` for each child element of a parsed XML element, depth-first.
+ * @param {Object|string} element The parsed element.
+ * @param {function(child: Object|string, name: string, siblings: Array, index: number)} callback
+ * Called with each child element, it's name, the array it is stored in and it's index inside this
+ * array. The child element may be replaced inside the array.
+ */
+function forEachChildElement(element, callback) {
+  if (typeof element !== 'object') {
+    return;
+  }
+
+  Object.keys(element)
+    .filter(name => name !== '$' && name !== '_' && Array.isArray(element[name]))
+    .forEach(name => {
+      const children = element[name];
+
+      children.forEach((child, index) => {
+        callback(child, name, children, index);
+        forEachChildElement(children[index], callback);
+      });
+    });
+}
+
+/**
+ * Calls `callback` for a parsed XML element and all of it's descendants that have attributes.
+ * @param {Object} element The parsed element.
+ * @param {function(attributes: Object)} callback Called with the attributes of each element.
+ */
+function forEachAttributes(element, callback) {
+  const visit = e => {
+    if (typeof e === 'object' && e.$) {
+      callback(e.$);
+    }
+  };
+
+  visit(element);
+  forEachChildElement(element, visit);
+}
+
+/**
+ * Returns `true` if the given attributes equal {@link DefaultScriptAttributes}.
+ * @param {?Object} attributes The attributes to check.
+ * @return {boolean} `true` if the attributes equal the default ones.
+ */
+function isDefaultScriptAttributes(attributes) {
+  return Boolean(attributes) && Object.keys(attributes).length === 1 &&
+    attributes.type === DefaultScriptAttributes.type;
+}
+
 /**
  * Splits read atvise display XML nodes into their SVG and JavaScript sources,
- * alongside with a .json file containing the display's parameters.
+ * alongside with a .json file containing the display's parameters. Optionally, styles and inline
+ * event handlers are stored in separate files, too.
  */
 export default class DisplayTransformer extends XMLTransformer {
 
+  /**
+   * Creates a new DisplayTransformer.
+   * @param {Object} [options] The options to use. See {@link Transformer#constructor} for other
+   * available options.
+   * @param {boolean} [options.extractStyles=false] If the contents of `style` elements should be
+   * stored in separate css files.
+   * @param {boolean} [options.extractHandlers=false] If inline event handlers (such as *onclick*
+   * attributes) should be stored in a separate json file, stored against the id of their element.
+   * Handlers of elements without a unique id are kept inline, restored handlers are appended to
+   * their element's attributes.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * If the contents of `style` elements are stored in separate files.
+     * @type {boolean}
+     */
+    this.extractStyles = Boolean(options.extractStyles);
+
+    /**
+     * If inline event handlers are stored in a separate file.
+     * @type {boolean}
+     */
+    this.extractHandlers = Boolean(options.extractHandlers);
+  }
+
   /**
    * Returns true for all files containing atvise displays.
    * @param {AtviseFile} file The file to check.
@@ -38,25 +152,41 @@ export default class DisplayTransformer extends XMLTransformer {
 
         // Extract JavaScript
         if (this.tagNotEmpty(document.script)) {
+          const scripts = [];
+          let inlineCount = 0;
+
           document.script.forEach(script => {
             if (script.$ && (script.$.src || script.$['xlink:href'])) {
-              if (!config.dependencies) {
-                config.dependencies = [];
-              }
-
-              config.dependencies.push(script.$.src || script.$['xlink:href']);
+              scripts.push({ src: script.$.src || script.$['xlink:href'] });
             } else {
-              // TODO: Warn on multiple inline scripts
-
-              const scriptFile = DisplayTransformer.splitFile(file, '.js');
+              const extension = numberedExtension('.js', inlineCount++);
+              const scriptFile = DisplayTransformer.splitFile(file, extension);
               const scriptText = (typeof script === 'string') ?
                 script : script._ || '';
 
               scriptFile.contents = Buffer.from(scriptText);
               this.push(scriptFile);
+
+              scripts.push(Object.assign({ inline: extension }, script.$ ?
+                { attributes: script.$ } :
+                {}));
             }
           });
 
+          // Store scripts only if they cannot be restored from dependencies: This is the case for
+          // multiple inline scripts, inline scripts followed by dependencies or custom attributes
+          const inlineScripts = scripts.filter(script => script.inline);
+          const dependencies = scripts.filter(script => script.src);
+
+          if (inlineScripts.length > 1 || (inlineScripts.length === 1 && (
+            scripts[scripts.length - 1] !== inlineScripts[0] ||
+            !isDefaultScriptAttributes(inlineScripts[0].attributes)
+          ))) {
+            config.scripts = scripts;
+          } else if (dependencies.length > 0) {
+            config.dependencies = dependencies.map(script => script.src);
+          }
+
           delete xml.svg.script;
         }
 
@@ -75,6 +205,71 @@ export default class DisplayTransformer extends XMLTransformer {
           }
         }
 
+        // Extract styles
+        if (this.extractStyles) {
+          let styleCount = 0;
+
+          forEachChildElement(xml.svg, (element, name, siblings, index) => {
+            if (name !== 'style') {
+              return;
+            }
+
+            const extension = numberedExtension('.css', styleCount++);
+            const styleText = (typeof element === 'string') ? element : element._ || '';
+
+            if (styleText) {
+              const styleFile = DisplayTransformer.splitFile(file, extension);
+
+              styleFile.contents = Buffer.from(styleText);
+              this.push(styleFile);
+
+              const styles = siblings;
+              styles[index] = typeof element === 'string' ? '' : Object.assign({}, element);
+              delete styles[index]._;
+            }
+          });
+        }
+
+        // Extract event handlers
+        if (this.extractHandlers) {
+          const idCount = {};
+          forEachAttributes(xml.svg, ({ id }) => {
+            if (id) {
+              idCount[id] = (idCount[id] || 0) + 1;
+            }
+          });
+
+          const handlers = {};
+          forEachAttributes(xml.svg, attributes => {
+            const names = Object.keys(attributes).filter(n => n.match(HandlerAttributeRegExp));
+
+            if (names.length === 0) {
+              return;
+            }
+
+            if (!attributes.id || idCount[attributes.id] > 1) {
+              Logger.debug(`Keeping event handlers of element without unique id in ${
+                file.relative}`);
+              return;
+            }
+
+            const elementAttributes = attributes;
+
+            handlers[attributes.id] = {};
+            names.forEach(handlerName => {
+              handlers[attributes.id][handlerName] = attributes[handlerName];
+              delete elementAttributes[handlerName];
+            });
+          });
+
+          if (Object.keys(handlers).length > 0) {
+            const handlersFile = DisplayTransformer.splitFile(file, HandlersExtension);
+
+            handlersFile.contents = Buffer.from(JSON.stringify(handlers, null, '  '));
+            this.push(handlersFile);
+          }
+        }
+
         const configFile = DisplayTransformer.splitFile(file, '.json');
 
         configFile.contents = Buffer.from(JSON.stringify(config, null, '  '));
@@ -96,6 +291,25 @@ export default class DisplayTransformer extends XMLTransformer {
     });
   }
 
+  /**
+   * Sorts the elements of a parsed display metadata section the way atvise builder does, so that
+   * pushed displays match the ones created by atvise builder.
+   * @param {Object} metadata The parsed metadata section.
+   * @return {Object} The sorted metadata section.
+   */
+  static sortMetadata(metadata) {
+    const rank = name => {
+      const index = MetadataElementOrder.indexOf(name);
+
+      return index < 0 ? MetadataElementOrder.length : index;
+    };
+
+    return Object.keys(metadata)
+      .map((name, index) => ({ name, index }))
+      .sort((a, b) => (rank(a.name) - rank(b.name)) || (a.index - b.index))
+      .reduce((result, { name }) => Object.assign(result, { [name]: metadata[name] }), {});
+  }
+
   /**
    * Creates a display from the collected files.
    * @param {Map<String, vinyl~File>} files The collected files, stored against their extension.
@@ -116,18 +330,24 @@ export default class DisplayTransformer extends XMLTransformer {
       }
     }
 
+    const handlersFile = files[HandlersExtension];
+    let handlers = {};
+
+    if (handlersFile) {
+      try {
+        handlers = JSON.parse(handlersFile.contents.toString());
+      } catch (e) {
+        callback(new Error(`Error parsing JSON in ${handlersFile.relative}: ${e.message}`));
+        return;
+      }
+    }
+
     const svgFile = files['.svg'];
     if (!svgFile) {
       callback(new Error(`No display SVG in ${lastFile.dirname}`));
       return;
     }
 
-    const scriptFile = files['.js'];
-    let inlineScript = '';
-    if (scriptFile) {
-      inlineScript = scriptFile.contents.toString();
-    }
-
     this.decodeContents(svgFile, (err, xml) => {
       if (err) {
         callback(err);
@@ -141,22 +361,59 @@ export default class DisplayTransformer extends XMLTransformer {
           result.svg = {};
         }
 
-        // Insert dependencies
+        // Insert styles
+        let styleCount = 0;
+        forEachChildElement(result.svg, (element, name, siblings, index) => {
+          if (name !== 'style') {
+            return;
+          }
+
+          const styleFile = files[numberedExtension('.css', styleCount++)];
+
+          if (styleFile) {
+            const styles = siblings;
+            styles[index] = typeof element === 'object' ?
+              Object.assign({}, element, { _: styleFile.contents.toString() }) :
+              styleFile.contents.toString();
+          }
+        });
+
+        // Insert event handlers
+        const missingHandlers = new Set(Object.keys(handlers));
+        forEachAttributes(result.svg, attributes => {
+          if (attributes.id && missingHandlers.has(attributes.id)) {
+            Object.assign(attributes, handlers[attributes.id]);
+            missingHandlers.delete(attributes.id);
+          }
+        });
+
+        missingHandlers.forEach(id => Logger.warn(
+          `No element with id '${id}' for event handlers in ${handlersFile.relative}`
+        ));
+
+        // Insert dependencies and scripts, in the order they were pulled
+        const scripts = config.scripts || (config.dependencies || [])
+          .map(src => ({ src }))
+          .concat({ inline: '.js', attributes: DefaultScriptAttributes });
+
         result.svg.script = [];
-        if (config.dependencies) {
-          config.dependencies.forEach(p => result.svg.script.push({
-            $: { 'xlink:href': p },
-          }));
-        }
+        scripts.forEach(script => {
+          if (script.src) {
+            result.svg.script.push({
+              $: { 'xlink:href': script.src },
+            });
+          } else if (script.inline && files[script.inline]) {
+            const element = {
+              _: XMLTransformer.forceCData(files[script.inline].contents.toString()),
+            };
+
+            if (script.attributes) {
+              element.$ = script.attributes;
+            }
 
-        // Insert script
-        // FIXME: Import order is not preserved!
-        if (scriptFile) {
-          result.svg.script.push({
-            $: { type: 'text/ecmascript' },
-            _: XMLTransformer.forceCData(inlineScript),
-          });
-        }
+            result.svg.script.push(element);
+          }
+        });
 
         // Insert metadata
         // - Parameters
@@ -168,11 +425,14 @@ export default class DisplayTransformer extends XMLTransformer {
             result.svg.metadata[0]['atv:parameter'] = [];
           }
 
-          // FIXME: Parameters should come before `atv:gridconfig` and `atv:snapconfig`
           config.parameters
             .forEach(param => result.svg.metadata[0]['atv:parameter'].push({ $: param }));
         }
 
+        if (result.svg.metadata && typeof result.svg.metadata[0] === 'object') {
+          result.svg.metadata[0] = DisplayTransformer.sortMetadata(result.svg.metadata[0]);
+        }
+
         const display = DisplayTransformer.combineFiles(
           Object.keys(files).map(ext => files[ext]),
           '.xml'
@@ -0,0 +1,162 @@
+import { Buffer } from 'buffer';
+import { basename, extname } from 'path';
+import SplittingTransformer from '../lib/transform/SplittingTransformer';
+
+/**
+ * Matches base64 encoded data URIs, capturing their prefix, mime type and data.
+ * @type {RegExp}
+ */
+const DataURIRegExp = /(data:([\w.+-]+\/[\w.+-]+)(?:;[\w-]+=[\w.-]+)*;base64,)([A-Za-z0-9+/=]+)/g;
+
+/**
+ * The file extensions resources are stored with, stored against their mime type. Resources of
+ * other types are stored as *bin* files.
+ * @type {Map<String, String>}
+ */
+const ExtensionForMimeType = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+  'application/pdf': 'pdf',
+};
+
+/**
+ * The encoding used to edit help pages. As it maps each byte to a single character, help pages are
+ * not altered, regardless of their actual encoding.
+ * @type {string}
+ */
+const HtmlEncoding = 'latin1';
+
+/**
+ * Escapes all characters with a special meaning inside regular expressions.
+ * @param {string} string The string to escape.
+ * @return {string} The escaped string.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits atvise HTML help pages into their HTML source and the images and other resources embedded
+ * as base64 data URIs. References to the resources are replaced with their file names, alongside
+ * with a .json file containing the original data URI prefixes.
+ */
+export default class HtmlHelpTransformer extends SplittingTransformer {
+
+  /**
+   * Returns `true` for all files containing HTML help pages.
+   * @param {AtviseFile} file The file to check.
+   * @return {boolean} `true` for all HTML help files.
+   */
+  shouldBeTransformed(file) {
+    return file.isHtmlHelp;
+  }
+
+  /**
+   * Returns the extension of the file an embedded resource is stored in.
+   * @param {number} index The resource's index.
+   * @param {string} mimeType The resource's mime type.
+   * @return {string} The resource's file extension.
+   */
+  static resourceExtension(index, mimeType) {
+    return `.${index + 1}.${ExtensionForMimeType[mimeType] || 'bin'}`;
+  }
+
+  /**
+   * Splits any read files containing HTML help pages into their HTML source and the resources
+   * embedded.
+   * @param {AtviseFile} file The help file to split.
+   * @param {string} enc The encoding used.
+   * @param {function(err: Error, file: AtviseFile)} callback Called with the error that occured
+   * while transforming the help page, or the file passed through.
+   */
+  transformFromDB(file, enc, callback) {
+    const stem = basename(file.stem, extname(file.stem));
+    const resources = new Map();
+    const config = { resources: {} };
+
+    const html = file.contents.toString(HtmlEncoding)
+      .replace(DataURIRegExp, (uri, prefix, mimeType, data) => {
+        if (!resources.has(uri)) {
+          const extension = HtmlHelpTransformer.resourceExtension(resources.size, mimeType);
+          const resourceFile = HtmlHelpTransformer.splitFile(file, extension);
+
+          resourceFile.contents = Buffer.from(data, 'base64');
+          this.push(resourceFile);
+
+          resources.set(uri, extension);
+          config.resources[extension] = prefix;
+        }
+
+        return `${stem}${resources.get(uri)}`;
+      });
+
+    if (resources.size > 0) {
+      const configFile = HtmlHelpTransformer.splitFile(file, '.json');
+
+      configFile.contents = Buffer.from(JSON.stringify(config, null, '  '));
+      this.push(configFile);
+    }
+
+    const htmlFile = HtmlHelpTransformer.splitFile(file, '.html');
+
+    htmlFile.contents = Buffer.from(html, HtmlEncoding);
+    this.push(htmlFile);
+
+    callback(null);
+  }
+
+  /**
+   * Creates a help page from the collected files.
+   * @param {Map<string, AtviseFile>} files The collected files, stored against their extension.
+   * @param {AtviseFile} lastFile The last file read. *Used for error messages only*.
+   * @param {function(err: ?Error, data: vinyl~File)} callback Called with the error that occured
+   * while creating the help page or the resulting file.
+   */
+  createCombinedFile(files, lastFile, callback) {
+    const configFile = files['.json'];
+    let config = {};
+
+    if (configFile) {
+      try {
+        config = JSON.parse(configFile.contents.toString());
+      } catch (e) {
+        callback(new Error(`Error parsing JSON in ${configFile.relative}: ${e.message}`));
+        return;
+      }
+    }
+
+    const htmlFile = files['.html'];
+    if (!htmlFile) {
+      callback(new Error(`No help HTML in ${lastFile.dirname}`));
+      return;
+    }
+
+    const stem = basename(lastFile.dirname, extname(lastFile.dirname));
+    const resources = config.resources || {};
+
+    // Embed resources
+    const html = Object.keys(resources)
+      .filter(extension => files[extension])
+      .reduce((result, extension) => result.replace(
+        new RegExp(escapeRegExp(`${stem}${extension}`), 'g'),
+        `${resources[extension]}${files[extension].contents.toString('base64')}`
+      ), htmlFile.contents.toString(HtmlEncoding));
+
+    const help = HtmlHelpTransformer.combineFiles(
+      Object.keys(files).map(ext => files[ext]),
+      '.html'
+    );
+
+    help.contents = Buffer.from(html, HtmlEncoding);
+
+    callback(null, help);
+  }
+
+}
@@ -1,9 +1,12 @@
 import { Buffer } from 'buffer';
-import { readFile } from 'fs';
+import { basename } from 'path';
+import File from 'vinyl';
 import Logger from 'gulplog';
+import { NodeClass } from 'node-opcua';
 import Transformer from '../lib/transform/Transformer';
 import AtviseFile from '../lib/server/AtviseFile';
 import NodeId from '../lib/server/NodeId';
+import NodeMetadata from '../lib/server/NodeMetadata';
 
 /**
  * A Transformer that maps {@link ReadStream.ReadResult}s to {@link AtviseFile}s.
@@ -11,28 +14,41 @@ import NodeId from '../lib/server/NodeId';
 export default class MappingTransformer extends Transformer {
 
   /**
-   * Writes an {@link AtviseFile} for each {@link ReadStream.ReadResult} read. If a read file has a
-   * non-standard type (definition) an additional `rc` file is pushed holding this type.
+   * Writes an {@link AtviseFile} for each {@link ReadStream.ReadResult} read. If a read node has
+   * metadata that cannot be derived from it's file, such as a non-standard type definition or a
+   * custom display name, an additional `rc` file is pushed holding this metadata. For object nodes
+   * only the `rc` file is pushed.
    * @param {ReadStream.ReadResult} readResult The read result to create the file for.
    * @param {string} encoding The encoding used.
    * @param {function(err: ?Error, data: ?AtviseFile)} callback Called with the error that occurred
    * while transforming the read result or the resulting file.
    */
   transformFromDB(readResult, encoding, callback) {
-    try {
-      const file = AtviseFile.fromReadResult(readResult);
+    const nodeClass = readResult.referenceDescription && readResult.referenceDescription.nodeClass;
 
-      if (file.relative.match(/\.var\./)) {
-        const rc = file.clone();
-
-        rc.extname = '';
-        rc.basename = `.${rc.stem}.rc`;
+    if (nodeClass && nodeClass.value === NodeClass.Object.value) {
+      callback(null, new File({
+        path: NodeMetadata.objectRcPath(readResult.nodeId),
+        contents: Buffer.from(JSON.stringify(NodeMetadata.fromReadResult(readResult), null, '  ')),
+      }));
+      return;
+    }
 
-        rc.contents = Buffer.from(JSON.stringify({
-          typeDefinition: file.typeDefinition,
-        }, null, '  '));
+    try {
+      const file = AtviseFile.fromReadResult(readResult);
+      const metadata = Object.assign(
+        file.relative.match(/\.var\./) ? { typeDefinition: file.typeDefinition } : {},
+        NodeMetadata.fromReadResult(readResult)
+      );
 
-        this.push(rc);
+      // Resources keep their extension, so their metadata cannot be stored in an rc file
+      if (Object.keys(metadata).length > 0 && !readResult.nodeId.value.match(/RESOURCES\//)) {
+        this.push(new File({
+          cwd: file.cwd,
+          base: file.base,
+          path: NodeMetadata.rcPath(file.path),
+          contents: Buffer.from(JSON.stringify(metadata, null, '  ')),
+        }));
       }
 
       callback(null, file);
@@ -65,21 +81,22 @@ export default class MappingTransformer extends Transformer {
       });
 
       if (file.relative.match(/\.var\./)) {
-        const rcFile = file.clone({ contents: false });
-        rcFile.extname = '';
-        rcFile.basename = `.${rcFile.stem}.rc`;
-
-        readFile(rcFile.path, 'utf8', (err, data) => {
-          try {
-            const rc = JSON.parse(data);
-            atFile._typeDefinition = new NodeId(rc.typeDefinition);
+        NodeMetadata.readForFile(file.path)
+          .then(metadata => {
+            if (!metadata.typeDefinition) {
+              throw new Error(`No type definition stored in ${
+                basename(NodeMetadata.rcPath(file.path))}`);
+            }
 
-            callback(null, atFile);
-          } catch (e) {
-            Logger.error(`Unable to get runtime configuration for ${file.relative}`);
-            callback(err || e);
-          }
-        });
+            atFile._typeDefinition = new NodeId(metadata.typeDefinition);
+          })
+          .then(
+            () => callback(null, atFile),
+            err => {
+              Logger.error(`Unable to get runtime configuration for ${file.relative}`);
+              callback(err);
+            }
+          );
       } else {
         callback(null, atFile);
       }
@@ -0,0 +1,190 @@
+import { Buffer } from 'buffer';
+import Logger from 'gulplog';
+import XMLTransformer from '../lib/transform/XMLTransformer';
+
+/**
+ * Matches the extensions of language files, such as `.de.json`.
+ * @type {RegExp}
+ */
+const LanguageExtensionRegExp = /^\.([^.]+)\.json$/;
+
+/**
+ * Splits atvise translation tables into a json file per language, containing the table's
+ * translations as {@link TranslationTableTransformer.Entry}s in their original order, alongside
+ * with a .json file containing the order of languages and the table's attributes. Translation
+ * tables are expected to contain a `loc` element with a `lang` attribute for each language, holding
+ * `str` elements with a `key` attribute for each translation.
+ */
+export default class TranslationTableTransformer extends XMLTransformer {
+
+  /**
+   * Returns `true` for all files containing translation tables.
+   * @param {AtviseFile} file The file to check.
+   * @return {boolean} `true` for all translation table files.
+   */
+  shouldBeTransformed(file) {
+    return file.isTranslationTable;
+  }
+
+  /**
+   * Returns the extension of the file a language's translations are stored in.
+   * @param {string} language The language.
+   * @return {string} The file extension.
+   */
+  static languageExtension(language) {
+    return `.${language}.json`;
+  }
+
+  /**
+   * Splits any read files containing translation tables into a json file per language.
+   * @param {AtviseFile} file The translation table file to split.
+   * @param {string} enc The encoding used.
+   * @param {function(err: Error, file: AtviseFile)} callback Called with the error that occured
+   * while transforming the translation table, or the file passed through.
+   */
+  transformFromDB(file, enc, callback) {
+    this.decodeContents(file, (err, results) => {
+      if (err) {
+        callback(err);
+      } else if (!results || results.locs === undefined) {
+        callback(new Error('Error parsing translation table: No `locs` tag'));
+      } else {
+        const document = typeof results.locs === 'object' ? results.locs : {};
+        const config = { languages: [] };
+
+        if (document.$) {
+          config.attributes = document.$;
+        }
+
+        // Extract languages
+        if (this.tagNotEmpty(document.loc)) {
+          if (document.loc.some(loc => !loc.$ || !loc.$.lang)) {
+            callback(new Error(`Error parsing translation table: Language without \`lang\` in ${
+              file.relative}`));
+            return;
+          }
+
+          document.loc.forEach(loc => {
+            const translations = [];
+
+            (loc.str || []).forEach(str => {
+              if (!str.$ || str.$.key === undefined) {
+                Logger.warn(`Ignoring translation without key in ${file.relative}`);
+                return;
+              }
+
+              const entry = { key: str.$.key, value: str._ || '' };
+              const attributes = Object.assign({}, str.$);
+              delete attributes.key;
+
+              if (Object.keys(attributes).length > 0) {
+                entry.attributes = attributes;
+              }
+
+              translations.push(entry);
+            });
+
+            config.languages.push(loc.$.lang);
+
+            const languageFile = TranslationTableTransformer.splitFile(file,
+              TranslationTableTransformer.languageExtension(loc.$.lang));
+
+            languageFile.contents = Buffer.from(JSON.stringify(translations, null, '  '));
+            this.push(languageFile);
+          });
+        }
+
+        const configFile = TranslationTableTransformer.splitFile(file, '.json');
+
+        configFile.contents = Buffer.from(JSON.stringify(config, null, '  '));
+        this.push(configFile);
+
+        callback(null);
+      }
+    });
+  }
+
+  /**
+   * Creates a translation table from the collected files.
+   * @param {Map<string, AtviseFile>} files The collected files, stored against their extension.
+   * @param {AtviseFile} lastFile The last file read. *Used for error messages only*.
+   * @param {function(err: ?Error, data: vinyl~File)} callback Called with the error that occured
+   * while creating the translation table or the resulting file.
+   */
+  createCombinedFile(files, lastFile, callback) {
+    const parseJSON = file => {
+      try {
+        return JSON.parse(file.contents.toString());
+      } catch (e) {
+        throw new Error(`Error parsing JSON in ${file.relative}: ${e.message}`);
+      }
+    };
+
+    let config = {};
+    const translations = {};
+
+    try {
+      if (files['.json']) {
+        config = parseJSON(files['.json']);
+      }
+
+      Object.keys(files).forEach(extension => {
+        const match = extension.match(LanguageExtensionRegExp);
+
+        if (match) {
+          translations[match[1]] = parseJSON(files[extension]);
+        }
+      });
+    } catch (e) {
+      callback(e);
+      return;
+    }
+
+    // Languages are inserted in the order they were pulled, new ones are appended
+    const languages = (config.languages || [])
+      .filter(language => translations[language])
+      .concat(Object.keys(translations)
+        .filter(language => !(config.languages || []).includes(language))
+        .sort());
+
+    const result = {
+      locs: {
+        loc: languages.map(language => ({
+          $: { lang: language },
+          str: translations[language]
+            .map(({ key, value, attributes }) => ({
+              $: Object.assign({ key }, attributes),
+              _: value,
+            })),
+        })),
+      },
+    };
+
+    if (config.attributes) {
+      result.locs.$ = config.attributes;
+    }
+
+    const table = TranslationTableTransformer.combineFiles(
+      Object.keys(files).map(ext => files[ext]),
+      '.xml'
+    );
+
+    this.encodeContents(result, (encodeErr, xmlString) => {
+      if (encodeErr) {
+        callback(encodeErr);
+      } else {
+        table.contents = Buffer.from(xmlString);
+
+        callback(null, table);
+      }
+    });
+  }
+
+}
+
+/**
+ * @typedef {Object} TranslationTableTransformer.Entry
+ * @property {string} key The translation's key.
+ * @property {string} value The translated text.
+ * @property {Object} [attributes] Other attributes of the translation's `str` element.
+ */
@@ -0,0 +1,3 @@
+/**
+ * @external {eslint~CLIEngine} https://eslint.org/docs/developer-guide/nodejs-api#cliengine
+ */
@@ -41,3 +41,7 @@
 /**
  * @external {node-opcua~StatusCodes} https://github.com/node-opcua/node-opcua/blob/master/packages/node-opcua-constants/src/raw_status_codes.js
  */
+
+/**
+ * @external {node-opcua~Variant} http://node-opcua.github.io/api_doc/classes/Variant.html
+ */
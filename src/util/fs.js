@@ -1,5 +1,5 @@
-import { resolve as resolvePath } from 'path';
-import { stat } from 'fs';
+import { resolve as resolvePath, dirname, join } from 'path';
+import { stat, mkdir, readdir } from 'fs';
 
 /**
  * Returns the {@link fs~Stats} for a path.
@@ -35,3 +35,52 @@ export function validateDirectoryExists(directoryPath) {
       return stat;
     });
 }
+
+/**
+ * Creates a directory at the given path, including all missing parent directories.
+ * @param {string} directoryPath The path of the directory to create.
+ * @return {Promise<string, Error>} Fulfilled with the resolved directory path once it exists or
+ * rejected with the error that occurred while creating it.
+ */
+export function ensureDirectory(directoryPath) {
+  const path = resolvePath(directoryPath);
+
+  return new Promise((resolve, reject) => {
+    mkdir(path, err => {
+      if (!err || err.code === 'EEXIST') {
+        resolve(path);
+      } else if (err.code === 'ENOENT' && dirname(path) !== path) {
+        ensureDirectory(dirname(path))
+          .then(() => ensureDirectory(path))
+          .then(resolve, reject);
+      } else {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Lists all files inside a directory and it's subdirectories.
+ * @param {string} directoryPath The directory to look at.
+ * @return {Promise<string[], Error>} Fulfilled with the paths of all files found (joined with
+ * `directoryPath`) or rejected with the error that occurred while reading the directory.
+ */
+export function listFiles(directoryPath) {
+  return new Promise((resolve, reject) => {
+    readdir(directoryPath, (err, names) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(names);
+      }
+    });
+  })
+    .then(names => Promise.all(names.map(name => {
+      const path = join(directoryPath, name);
+
+      return getStat(path)
+        .then(stats => (stats.isDirectory() ? listFiles(path) : [path]));
+    })))
+    .then(paths => paths.reduce((result, current) => result.concat(current), []));
+}
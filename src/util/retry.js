@@ -0,0 +1,50 @@
+/**
+ * Returns the time to wait before a retry. The delay doubles with each retry, up to
+ * `maxRetryDelay`.
+ * @param {number} number The number of the retry, starting at 1.
+ * @param {Object} [options] The retry policy to use.
+ * @param {number} [options.retryDelay=1000] The time in milliseconds to wait before the first
+ * retry.
+ * @param {number} [options.maxRetryDelay=30000] The maximum time in milliseconds to wait.
+ * @return {number} The time to wait, in milliseconds.
+ */
+export function backoffDelay(number, { retryDelay = 1000, maxRetryDelay = 30000 } = {}) {
+  return Math.min(retryDelay * Math.pow(2, number - 1), maxRetryDelay);
+}
+
+/**
+ * Calls a function until the promise it returns is fulfilled, waiting an exponentially growing
+ * time between attempts (see {@link backoffDelay}).
+ * @param {function(attempt: number): Promise<*, Error>} fn The function to call. Receives the
+ * number of the attempt, starting at 0.
+ * @param {Object} [options] The retry policy to use.
+ * @param {number} [options.retries=0] The number of times to retry.
+ * @param {number} [options.retryDelay=1000] The time in milliseconds to wait before the first
+ * retry.
+ * @param {number} [options.maxRetryDelay=30000] The maximum time in milliseconds to wait.
+ * @param {function(err: Error): boolean} [options.shouldRetry] Called with each error, return
+ * `false` to fail without retrying. By default all errors are retried.
+ * @param {function(err: Error, retry: number, delay: number)} [options.onRetry] Called before
+ * waiting for a retry.
+ * @return {Promise<*, Error>} Fulfilled with the result of the first successful attempt, rejected
+ * with the last error if all attempts failed.
+ */
+export default function retry(fn, options = {}) {
+  const { retries = 0, shouldRetry = () => true, onRetry = () => {} } = options;
+
+  const attempt = number => Promise.resolve()
+    .then(() => fn(number))
+    .catch(err => {
+      if (number >= retries || !shouldRetry(err)) {
+        throw err;
+      }
+
+      const delay = backoffDelay(number + 1, options);
+      onRetry(err, number + 1, delay);
+
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => attempt(number + 1));
+    });
+
+  return attempt(0);
+}
@@ -0,0 +1,13 @@
+/**
+ * Re-emits the errors of the given streams on another stream. Errors are not passed on when piping
+ * streams, so tasks use it to fail with the errors of all streams they pipe, for example if atvise
+ * server cannot be reached.
+ * @param {Stream} target The stream to emit the errors on, usually the last one piped.
+ * @param {...Stream} sources The streams whose errors should be re-emitted.
+ * @return {Stream} The target stream, to be chainable.
+ */
+export default function forwardErrors(target, ...sources) {
+  sources.forEach(source => source.on('error', err => target.emit('error', err)));
+
+  return target;
+}
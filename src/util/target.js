@@ -0,0 +1,82 @@
+import readline from 'readline';
+import Logger from 'gulplog';
+import ProjectConfig from '../config/ProjectConfig';
+
+/**
+ * `true` once the selected target was printed.
+ * @type {boolean}
+ */
+let announced = false;
+
+/**
+ * The pending or finished confirmation of the selected target, so it is only asked for once.
+ * @type {?Promise<undefined, Error>}
+ */
+let confirmation = null;
+
+/**
+ * Returns a description of the atvise server connected to, including the selected target's name.
+ * @return {string} The resulting description.
+ */
+export function describeTarget() {
+  const endpoint = `opc.tcp://${ProjectConfig.host}:${ProjectConfig.port.opc}`;
+  const name = ProjectConfig.targetName;
+
+  return name ? `target '${name}' (${endpoint})` : endpoint;
+}
+
+/**
+ * Prints the selected target, once per process.
+ */
+export function announceTarget() {
+  if (!announced && ProjectConfig.targetName) {
+    announced = true;
+    Logger.info(`Using ${describeTarget()}`);
+  }
+}
+
+/**
+ * Asks the user to confirm writing to the selected target if it's `confirm` option is set. The
+ * user has to type the target's name. When not running in a terminal, the confirmation can be
+ * given in advance by setting the `ATSCM_PROJECT__CONFIRM` env variable to the target's name.
+ * @param {Object} [options] The options to use.
+ * @param {stream~Readable} [options.input=process.stdin] The stream to read the answer from.
+ * @param {stream~Writable} [options.output=process.stdout] The stream to ask the question on.
+ * @return {Promise<undefined, Error>} Fulfilled once writing to the target is confirmed, rejected
+ * if it is not.
+ */
+export function confirmTarget({ input = process.stdin, output = process.stdout } = {}) {
+  if (!confirmation) {
+    confirmation = Promise.resolve()
+      .then(() => {
+        const target = ProjectConfig.target;
+        const name = ProjectConfig.targetName;
+
+        if (!target || !target.confirm || ProjectConfig._env('CONFIRM') === name) {
+          return undefined;
+        }
+
+        if (!input.isTTY) {
+          throw new Error(`Writing to target '${name}' has to be confirmed. Set ` +
+            `ATSCM_PROJECT__CONFIRM to '${name}' to confirm it in advance`);
+        }
+
+        return new Promise((resolve, reject) => {
+          const rl = readline.createInterface({ input, output });
+
+          rl.question(`Writing to ${describeTarget()}. Type the target's name to confirm: `,
+            answer => {
+              rl.close();
+
+              if (answer.trim() === name) {
+                resolve();
+              } else {
+                reject(new Error(`Writing to target '${name}' was not confirmed`));
+              }
+            });
+        });
+      });
+  }
+
+  return confirmation;
+}
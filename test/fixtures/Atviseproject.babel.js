@@ -20,4 +20,21 @@ export default class TestProject extends Atviseproject {
     };
   }
 
+  static get targets() {
+    return {
+      staging: {
+        host: 'staging.local',
+        port: { opc: 4841 },
+      },
+      production: {
+        host: 'production.local',
+        login: { username: 'deploy', password: 'secret' },
+        security: { mode: 'SignAndEncrypt', policy: 'Basic256' },
+        nodes: ['AGENT'],
+        nodesToWatch: ['AGENT.DISPLAYS'],
+        confirm: true,
+      },
+    };
+  }
+
 }
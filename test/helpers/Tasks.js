@@ -0,0 +1,99 @@
+import { ctor as throughStreamClass } from 'through2';
+
+/**
+ * An object stream passing all chunks, used to replace the streams a task pipes.
+ */
+export const StubStream = throughStreamClass({ objectMode: true });
+
+/**
+ * Returns a proxyquire stub for a module with the given default export.
+ * @param {*} defaultExport The module's default export.
+ * @return {Object} The stub to pass to proxyquire.
+ */
+export function stubModule(defaultExport) {
+  return { default: defaultExport };
+}
+
+/**
+ * Returns a stream class whose instances push the given chunks and end. Used to replace a
+ * {@link NodeStream} or the stream returned by gulp's `src`.
+ * @param {Object[]} [chunks=[]] The chunks to push.
+ * @return {Class<StubStream>} The stream class.
+ */
+export function sourceStreamClass(chunks = []) {
+  return class SourceStream extends StubStream {
+
+    constructor() {
+      super();
+
+      chunks.forEach(chunk => this.push(chunk));
+      this.end();
+    }
+
+  };
+}
+
+/**
+ * Returns a stream class that stores its instances and the options they were created with. Used to
+ * check how a task creates a {@link ReadStream}.
+ * @return {Class<StubStream>} The stream class, with the instances created as the static property
+ * `instances`.
+ */
+export function recordingStreamClass() {
+  const instances = [];
+
+  return class RecordingStream extends StubStream {
+
+    static get instances() {
+      return instances;
+    }
+
+    constructor(options) {
+      super();
+
+      this.options = options;
+      instances.push(this);
+    }
+
+  };
+}
+
+/**
+ * Returns a stream class whose instances fail with the given message once created, as server
+ * streams do if atvise server cannot be reached. Chunks written are never processed and the stream
+ * never ends.
+ * @param {string} message The error message to use.
+ * @return {Class<StubStream>} The stream class.
+ */
+export function failingStreamClass(message) {
+  return class FailingStream extends StubStream {
+
+    constructor() {
+      super();
+
+      setImmediate(() => this.emit('error', new Error(message)));
+    }
+
+    _transform() {}
+
+    _flush() {}
+
+  };
+}
+
+/**
+ * Reads all chunks a task's stream pushes.
+ * @param {Stream} stream The stream returned by the task.
+ * @return {Promise<Object[], Error>} Fulfilled with the chunks pushed once the stream ended,
+ * rejected with the first error the stream emits.
+ */
+export function readTask(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    stream
+      .on('data', chunk => chunks.push(chunk))
+      .once('error', reject)
+      .once('end', () => resolve(chunks));
+  });
+}
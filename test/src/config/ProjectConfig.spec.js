@@ -84,5 +84,67 @@ describe('ProjectConfig', function() {
 
   checkDefault('ATSCM_PROJECT__LOGIN__PASSWORD',
     () => expect(ProjectConfig.login, 'to equal', TestConfig.login));
-});
 
+  checkOverride('use the selected target\'s settings', {
+    ATSCM_PROJECT__TARGET: 'production',
+    ATSCM_PROJECT__HOST: undefined,
+    ATSCM_PROJECT__LOGIN__USERNAME: undefined,
+    ATSCM_PROJECT__LOGIN__PASSWORD: undefined,
+  }, function() {
+    expect(ProjectConfig.targetName, 'to equal', 'production');
+    expect(ProjectConfig.host, 'to equal', 'production.local');
+    expect(ProjectConfig.login, 'to equal', { username: 'deploy', password: 'secret' });
+    expect(ProjectConfig.security, 'to equal', { mode: 'SignAndEncrypt', policy: 'Basic256' });
+    expect(ProjectConfig.nodes, 'to equal', ['AGENT']);
+    expect(ProjectConfig.nodesToWatch, 'to equal', ['AGENT.DISPLAYS']);
+  });
+
+  checkOverride('use project settings not overridden by the selected target', {
+    ATSCM_PROJECT__TARGET: 'staging',
+    ATSCM_PROJECT__PORT__OPC: undefined,
+    ATSCM_PROJECT__PORT__HTTP: undefined,
+  }, function() {
+    expect(ProjectConfig.port, 'to equal', { opc: 4841, http: TestConfig.port.http });
+    expect(ProjectConfig.nodes, 'to equal', TestConfig.nodes);
+  });
+
+  checkOverride('prefer env variables over target settings', {
+    ATSCM_PROJECT__TARGET: 'staging',
+    ATSCM_PROJECT__HOST: '1.2.3.4',
+  }, function() {
+    expect(ProjectConfig.host, 'to equal', '1.2.3.4');
+  });
+
+  checkOverride('use ATSCM_PROJECT__SECURITY__MODE and __POLICY if provided', {
+    ATSCM_PROJECT__SECURITY__MODE: 'Sign',
+    ATSCM_PROJECT__SECURITY__POLICY: 'Basic128Rsa15',
+  }, function() {
+    expect(ProjectConfig.security, 'to equal', { mode: 'Sign', policy: 'Basic128Rsa15' });
+  });
+
+  checkDefault('ATSCM_PROJECT__SECURITY__MODE',
+    () => expect(ProjectConfig.security.mode, 'to equal', 'None'));
+
+  checkOverride('use ATSCM_PROJECT__CONNECTION__TIMEOUT and __RETRIES if provided', {
+    ATSCM_PROJECT__CONNECTION__TIMEOUT: '1000',
+    ATSCM_PROJECT__CONNECTION__RETRIES: '0',
+    ATSCM_PROJECT__CONNECTION__MAX_SESSIONS: '2',
+  }, function() {
+    expect(ProjectConfig.connection, 'to satisfy', { timeout: 1000, retries: 0, maxSessions: 2 });
+  });
+
+  checkDefault('ATSCM_PROJECT__CONNECTION__RETRIES',
+    () => expect(ProjectConfig.connection.retries, 'to equal', TestConfig.connection.retries));
+
+  checkOverride('throw for unknown targets', {
+    ATSCM_PROJECT__TARGET: 'unknown',
+  }, function() {
+    expect(() => ProjectConfig.target, 'to throw',
+      'Unknown target \'unknown\'. Available targets: staging, production');
+  });
+
+  checkDefault('ATSCM_PROJECT__TARGET', () => {
+    expect(ProjectConfig.targetName, 'to be null');
+    expect(ProjectConfig.target, 'to be null');
+  });
+});
@@ -0,0 +1,77 @@
+import { gunzipSync } from 'zlib';
+import { DataType, Variant, VariantArrayType } from 'node-opcua';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import BackupStream, { BackupVersion } from '../../../../src/lib/gulp/BackupStream';
+
+/** @test {BackupStream} */
+describe('BackupStream', function() {
+  /** @test {BackupStream.fileName} */
+  describe('.fileName', function() {
+    it('should not contain colons', function() {
+      expect(BackupStream.fileName(new Date('2017-12-20T10:11:12.000Z')), 'to equal',
+        'backup-2017-12-20T10-11-12.000Z.json.gz');
+    });
+  });
+
+  /** @test {BackupStream.encodeValue} */
+  describe('.encodeValue', function() {
+    it('should keep null values', function() {
+      expect(BackupStream.encodeValue(null, DataType.String, VariantArrayType.Scalar),
+        'to be', null);
+    });
+
+    it('should keep strings untouched', function() {
+      expect(BackupStream.encodeValue(' text\n', DataType.String, VariantArrayType.Scalar),
+        'to equal', ' text\n');
+    });
+
+    it('should encode byte strings as base64', function() {
+      expect(BackupStream.encodeValue(Buffer.from('abc'), DataType.ByteString,
+        VariantArrayType.Scalar), 'to equal', 'YWJj');
+    });
+
+    it('should encode arrays', function() {
+      expect(BackupStream.encodeValue(new Int32Array([1, 2]), DataType.Int32,
+        VariantArrayType.Array), 'to equal', [1, 2]);
+    });
+  });
+
+  /** @test {BackupStream#_flush} */
+  describe('#_flush', function() {
+    const date = new Date('2017-12-20T10:11:12.000Z');
+
+    function readResult(value) {
+      return {
+        nodeId: new NodeId('AGENT.OBJECTS.Test'),
+        value,
+        referenceDescription: {
+          typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 62, 0),
+        },
+      };
+    }
+
+    it('should push a gzipped archive', function() {
+      return expect([
+        readResult(new Variant({ dataType: DataType.String, value: ' text ' })),
+        readResult(null),
+      ], 'when piped through', new BackupStream({ date }),
+      'to yield objects satisfying', [
+        expect.it(file => {
+          expect(file.relative, 'to equal', 'backup-2017-12-20T10-11-12.000Z.json.gz');
+          expect(JSON.parse(gunzipSync(file.contents).toString()), 'to equal', {
+            version: BackupVersion,
+            date: date.toISOString(),
+            nodes: [{
+              nodeId: 'ns=1;s=AGENT.OBJECTS.Test',
+              dataType: 'String',
+              arrayType: 'Scalar',
+              typeDefinition: 'ns=0;i=62',
+              value: ' text ',
+            }],
+          });
+        }),
+      ]);
+    });
+  });
+});
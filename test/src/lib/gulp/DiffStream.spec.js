@@ -0,0 +1,143 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeFileSync } from 'fs';
+import File from 'vinyl';
+import { spy } from 'sinon';
+import Logger from 'gulplog';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import DiffStream, { DiffStatus } from '../../../../src/lib/gulp/DiffStream';
+import { ensureDirectory } from '../../../../src/util/fs';
+
+/** @test {DiffStream} */
+describe('DiffStream', function() {
+  const base = join(tmpdir(), 'atscm-diff');
+
+  /** @test {DiffStream#isCompared} */
+  describe('#isCompared', function() {
+    const stream = new DiffStream({
+      nodes: [new NodeId('AGENT')],
+      ignoreNodes: [new NodeId('AGENT.IGNORED')],
+    });
+
+    it('should return false for nodes outside the compared nodes', function() {
+      expect(stream.isCompared(new NodeId('SYSTEM.Test')), 'to be', false);
+    });
+
+    it('should return false for ignored nodes', function() {
+      expect(stream.isCompared(new NodeId('AGENT.IGNORED.Test')), 'to be', false);
+    });
+
+    it('should return true for compared nodes', function() {
+      expect(stream.isCompared(new NodeId('AGENT.DISPLAYS.Main')), 'to be', true);
+    });
+  });
+
+  /** @test {DiffStream.isTextFile} */
+  describe('.isTextFile', function() {
+    it('should return true for display and script files', function() {
+      expect(DiffStream.isTextFile('AGENT/DISPLAYS/Main.display/Main.svg'), 'to be', true);
+      expect(DiffStream.isTextFile('AGENT/DISPLAYS/Main.display/Main.js'), 'to be', true);
+      expect(DiffStream.isTextFile('AGENT/DISPLAYS/Main.display/Main.json'), 'to be', true);
+    });
+
+    it('should return false for binary files', function() {
+      expect(DiffStream.isTextFile('SYSTEM/LIBRARY/RESOURCES/logo.png'), 'to be', false);
+    });
+  });
+
+  /** @test {DiffStream.unifiedDiff} */
+  describe('.unifiedDiff', function() {
+    it('should return a unified diff', function() {
+      const diff = DiffStream.unifiedDiff('Main.js', Buffer.from('a\nb\n'), Buffer.from('a\nc\n'));
+
+      expect(diff, 'to contain', '--- atvise server/Main.js', '+++ local/Main.js', '-b', '+c');
+    });
+  });
+
+  /** @test {DiffStream#_flush} */
+  describe('#_flush', function() {
+    let directory;
+
+    beforeEach(function() {
+      directory = join(base, `${Date.now()}`);
+
+      return Promise.all([
+        ensureDirectory(join(directory, 'AGENT/DISPLAYS/Main.display')),
+        ensureDirectory(join(directory, 'AGENT/DISPLAYS/Added.display')),
+      ])
+        .then(() => {
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Main.display/Main.svg'), '<svg/>');
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Main.display/Main.js'), 'local();\n');
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Added.display/Added.svg'), '<svg/>');
+        });
+    });
+
+    function serverFile(path, contents) {
+      return new File({
+        base: directory,
+        path: join(directory, path),
+        contents: Buffer.from(contents),
+      });
+    }
+
+    function createStream() {
+      return new DiffStream({
+        directory,
+        nodes: [new NodeId('AGENT')],
+        ignoreNodes: [],
+      });
+    }
+
+    it('should push nothing if nothing changed', function() {
+      return expect([
+        serverFile('AGENT/DISPLAYS/Main.display/Main.svg', '<svg/>'),
+        serverFile('AGENT/DISPLAYS/Main.display/Main.js', 'local();\n'),
+        serverFile('AGENT/DISPLAYS/Added.display/Added.svg', '<svg/>'),
+      ], 'when piped through', createStream(), 'to yield objects satisfying', 'to have length', 0);
+    });
+
+    it('should push added, removed and modified nodes', function() {
+      return expect([
+        serverFile('AGENT/DISPLAYS/Main.display/Main.svg', '<svg/>'),
+        serverFile('AGENT/DISPLAYS/Main.display/Main.js', 'server();\n'),
+        serverFile('AGENT/DISPLAYS/Removed.display/Removed.svg', '<svg/>'),
+      ], 'when piped through', createStream(), 'to yield objects satisfying', [
+        {
+          nodeId: expect.it('to equal', new NodeId('AGENT.DISPLAYS.Added')),
+          status: DiffStatus.Added,
+        },
+        {
+          nodeId: expect.it('to equal', new NodeId('AGENT.DISPLAYS.Main')),
+          status: DiffStatus.Modified,
+          files: [
+            { path: join('AGENT/DISPLAYS/Main.display/Main.js'), diff: /\+local\(\);/ },
+          ],
+        },
+        {
+          nodeId: expect.it('to equal', new NodeId('AGENT.DISPLAYS.Removed')),
+          status: DiffStatus.Removed,
+        },
+      ]);
+    });
+
+    it('should print a summary', function() {
+      const listener = spy();
+      Logger.on('info', listener);
+
+      return expect([], 'when piped through', createStream(),
+        'to yield objects satisfying', 'to have length', 2)
+        .then(() => {
+          Logger.removeListener('info', listener);
+
+          expect(listener, 'to have a call satisfying', [/Diff: 2 added, 0 removed/]);
+        });
+    });
+
+    it('should ignore files of nodes not compared', function() {
+      return expect([serverFile('SYSTEM/Test.bool', 'true')], 'when piped through',
+        new DiffStream({ directory, nodes: [new NodeId('AGENT.DISPLAYS.Main')], ignoreNodes: [] }),
+        'to yield objects satisfying', 'to have length', 1);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import File from 'vinyl';
+import { DataType, NodeClass, VariantArrayType } from 'node-opcua';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import ImportStream from '../../../../src/lib/gulp/ImportStream';
+
+const exportXml = `<?xml version="1.0" encoding="UTF-8"?>
+<UANodeSet xmlns="http://opcfoundation.org/UA/2011/03/UANodeSet.xsd">
+  <NamespaceUris>
+    <Uri>http://www.atvise.com/atServer/UA/</Uri>
+  </NamespaceUris>
+  <Aliases>
+    <Alias Alias="Boolean">i=1</Alias>
+    <Alias Alias="XmlElement">i=16</Alias>
+    <Alias Alias="HasTypeDefinition">i=40</Alias>
+    <Alias Alias="Organizes">i=35</Alias>
+  </Aliases>
+  <UAObjectType NodeId="ns=1;s=ObjectTypes.PROJECT.Type" BrowseName="1:Type"/>
+  <UAObject NodeId="ns=1;s=AGENT.DISPLAYS" BrowseName="1:DISPLAYS" ParentNodeId="ns=1;s=AGENT">
+    <DisplayName>Displays</DisplayName>
+    <References>
+      <Reference ReferenceType="HasTypeDefinition">i=61</Reference>
+      <Reference ReferenceType="Organizes" IsForward="false">ns=1;s=AGENT</Reference>
+      <Reference ReferenceType="Organizes">ns=1;s=AGENT.DISPLAYS.Main</Reference>
+    </References>
+  </UAObject>
+  <UAVariable NodeId="ns=1;s=AGENT.DISPLAYS.Main" BrowseName="1:Main" DataType="XmlElement"
+    ParentNodeId="ns=1;s=AGENT.DISPLAYS">
+    <DisplayName>Main</DisplayName>
+    <References>
+      <Reference ReferenceType="HasTypeDefinition">ns=1;s=VariableTypes.ATVISE.Display</Reference>
+      <Reference ReferenceType="i=47" IsForward="false">ns=1;s=AGENT.DISPLAYS</Reference>
+    </References>
+    <Value>
+      <uax:XmlElement xmlns:uax="http://opcfoundation.org/UA/2008/02/Types.xsd"><svg><g/><script><![CDATA[a < b]]></script></svg></uax:XmlElement>
+    </Value>
+  </UAVariable>
+  <UAVariable NodeId="ns=1;s=AGENT.OBJECTS.Flags" BrowseName="1:Flags" DataType="Boolean"
+    ValueRank="1" AccessLevel="1" ParentNodeId="ns=1;s=AGENT.OBJECTS">
+    <DisplayName>Flags</DisplayName>
+    <References>
+      <Reference ReferenceType="HasTypeDefinition">i=62</Reference>
+      <Reference ReferenceType="HasComponent" IsForward="false">ns=1;s=AGENT.OBJECTS</Reference>
+      <Reference ReferenceType="Organizes">ns=1;s=AGENT.DISPLAYS</Reference>
+    </References>
+    <Value>
+      <ListOfBoolean xmlns="http://opcfoundation.org/UA/2008/02/Types.xsd">
+        <Boolean>true</Boolean>
+        <Boolean>false</Boolean>
+      </ListOfBoolean>
+    </Value>
+  </UAVariable>
+</UANodeSet>`;
+
+/** @test {ImportStream} */
+describe('ImportStream', function() {
+  /** @test {ImportStream.parseDocument} */
+  describe('.parseDocument', function() {
+    it('should strip namespace prefixes', function() {
+      expect(ImportStream.parseDocument('<a:b><a:c>text</a:c></a:b>'), 'to satisfy', {
+        name: 'b',
+        children: [{ name: 'c', text: 'text' }],
+      });
+    });
+
+    it('should keep the contents of XmlElement elements', function() {
+      expect(ImportStream.parseDocument(
+        '<Value><XmlElement><svg><![CDATA[a < b]]></svg></XmlElement></Value>'
+      ), 'to satisfy', {
+        children: [{ name: 'XmlElement', text: '<svg><![CDATA[a < b]]></svg>', children: [] }],
+      });
+    });
+
+    it('should throw on invalid documents', function() {
+      expect(() => ImportStream.parseDocument('<a>'), 'to throw');
+    });
+  });
+
+  /** @test {ImportStream.parseNodeId} */
+  describe('.parseNodeId', function() {
+    it('should return standard node ids for ids without namespace', function() {
+      expect(ImportStream.parseNodeId('i=61'), 'to equal',
+        new NodeId(NodeId.NodeIdType.NUMERIC, 61, 0));
+    });
+
+    it('should keep the namespace of other node ids', function() {
+      expect(ImportStream.parseNodeId('ns=1;s=AGENT'), 'to equal', new NodeId('AGENT'));
+    });
+  });
+
+  /** @test {ImportStream.resolveAlias} */
+  describe('.resolveAlias', function() {
+    it('should resolve aliases', function() {
+      expect(ImportStream.resolveAlias('Bool', { Bool: 'i=1' }), 'to equal',
+        new NodeId(NodeId.NodeIdType.NUMERIC, 1, 0));
+    });
+
+    it('should resolve standard names without an alias', function() {
+      expect(ImportStream.resolveAlias('HasComponent', {}), 'to equal',
+        new NodeId(NodeId.NodeIdType.NUMERIC, 47, 0));
+    });
+  });
+
+  /** @test {ImportStream.readResults} */
+  describe('.readResults', function() {
+    it('should throw for documents other than node sets', function() {
+      expect(() => ImportStream.readResults('<svg/>'), 'to throw', /Not an OPC-UA NodeSet/);
+    });
+
+    it('should only return objects and variables', function() {
+      expect(ImportStream.readResults(exportXml), 'to have length', 3);
+    });
+
+    it('should return read results for objects', function() {
+      expect(ImportStream.readResults(exportXml)[0], 'to satisfy', {
+        nodeId: new NodeId('AGENT.DISPLAYS'),
+        value: null,
+        referenceDescription: {
+          nodeClass: NodeClass.Object,
+          typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 61, 0),
+          referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, 35, 0),
+        },
+        attributes: { displayName: 'Displays' },
+        references: [],
+      });
+    });
+
+    it('should keep raw xml values', function() {
+      expect(ImportStream.readResults(exportXml)[1], 'to satisfy', {
+        nodeId: new NodeId('AGENT.DISPLAYS.Main'),
+        value: {
+          dataType: DataType.XmlElement,
+          value: '<svg><g/><script><![CDATA[a < b]]></script></svg>',
+        },
+        referenceDescription: {
+          typeDefinition: new NodeId('VariableTypes.ATVISE.Display'),
+          referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, 47, 0),
+        },
+      });
+    });
+
+    it('should return array values, access levels and references', function() {
+      expect(ImportStream.readResults(exportXml)[2], 'to satisfy', {
+        value: {
+          dataType: DataType.Boolean,
+          arrayType: VariantArrayType.Array,
+          value: [true, false],
+        },
+        attributes: { accessLevel: 1 },
+        references: [
+          {
+            referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, 35, 0),
+            nodeId: new NodeId('AGENT.DISPLAYS'),
+            nodeClass: NodeClass.Object,
+          },
+        ],
+      });
+    });
+  });
+
+  /** @test {ImportStream#_transform} */
+  describe('#_transform', function() {
+    it('should push read results', function() {
+      return expect([new File({ path: 'export.xml', contents: Buffer.from(exportXml) })],
+        'when piped through', new ImportStream(),
+        'to yield objects satisfying', 'to have length', 3);
+    });
+
+    it('should only push nodes that are synced and not ignored', function() {
+      return expect([new File({ path: 'export.xml', contents: Buffer.from(exportXml) })],
+        'when piped through', new ImportStream({
+          nodes: [new NodeId('AGENT.DISPLAYS')],
+          ignoreNodes: [new NodeId('AGENT.DISPLAYS.Main')],
+        }),
+        'to yield objects satisfying', [
+          { nodeId: expect.it('to equal', new NodeId('AGENT.DISPLAYS')) },
+        ]);
+    });
+
+    it('should forward parse errors', function() {
+      const stream = new ImportStream();
+      const promise = expect(stream, 'to error with', /Error importing export.xml/);
+
+      stream.write(new File({ path: 'export.xml', contents: Buffer.from('<a>') }));
+      stream.end();
+
+      return promise;
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import File from 'vinyl';
+import { stub } from 'sinon';
+import proxyquire from 'proxyquire';
+import expect from '../../../expect';
+import AtviseFile from '../../../../src/lib/server/AtviseFile';
+import NodeId from '../../../../src/lib/server/NodeId';
+
+const executeOnText = stub().returns({ results: [{ messages: [] }] });
+const CLIEngine = stub().returns({ executeOnText });
+
+const LintStream = proxyquire('../../../../src/lib/gulp/LintStream', {
+  eslint: { CLIEngine, '@noCallThru': true },
+}).default;
+
+function splitFile(path, contents) {
+  return new File({
+    cwd: '/project',
+    base: '/project/src',
+    path: `/project/src/${path}`,
+    contents: Buffer.from(contents),
+  });
+}
+
+function lintFiles(files) {
+  const stream = new LintStream();
+  const results = [];
+
+  stream.on('data', result => results.push(result));
+
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.once('end', () => resolve(results));
+
+    files.forEach(file => stream.write(file));
+    stream.end();
+  });
+}
+
+/** @test {LintStream} */
+describe('LintStream', function() {
+  beforeEach(function() {
+    CLIEngine.resetHistory();
+    executeOnText.resetHistory();
+  });
+
+  /** @test {LintStream.configForNode} */
+  describe('.configForNode', function() {
+    function node(path) {
+      return new AtviseFile({ path });
+    }
+
+    it('should use browser globals for displays', function() {
+      expect(LintStream.configForNode(node('AGENT/DISPLAYS/Main.display'), {}), 'to equal',
+        { globals: ['webMI', '$', 'console'], envs: ['browser'] });
+    });
+
+    it('should add parameters of displays', function() {
+      expect(LintStream.configForNode(node('AGENT/DISPLAYS/Main.display'), {
+        parameters: [{ name: 'title' }],
+      }), 'to equal', { globals: ['webMI', '$', 'console', 'title'], envs: ['browser'] });
+    });
+
+    it('should add parameters of quick dynamics', function() {
+      expect(LintStream.configForNode(node('SYSTEM/LIBRARY/Dyn.qd'), {
+        parameters: [{ name: 'base' }],
+      }), 'to equal', { globals: ['webMI', '$', 'console', 'base'], envs: ['browser'] });
+    });
+
+    it('should add parameters of server scripts', function() {
+      expect(LintStream.configForNode(node('SYSTEM/LIBRARY/Test.script'), {
+        parameters: [{ name: 'value' }, { valuetype: 'string' }],
+      }), 'to equal', { globals: ['call', 'Ua', 'console', 'value'], envs: [] });
+    });
+
+    it('should return null for other nodes', function() {
+      expect(LintStream.configForNode(node('AGENT/OBJECTS/Variable.int32'), {}), 'to be null');
+    });
+  });
+
+  /** @test {LintStream.createEngine} */
+  describe('.createEngine', function() {
+    it('should pass globals and environments to ESLint', function() {
+      LintStream.createEngine({ globals: ['webMI'], envs: ['browser'] });
+
+      expect(CLIEngine.lastCall.args[0], 'to equal', {
+        globals: ['webMI:false'],
+        envs: ['browser'],
+      });
+    });
+
+    it('should fail with a clear message if ESLint is not installed', function() {
+      const MissingESLintStream = proxyquire('../../../../src/lib/gulp/LintStream', {
+        eslint: null,
+      }).default;
+
+      expect(() => MissingESLintStream.createEngine({ globals: [], envs: [] }), 'to throw',
+        /^ESLint is required to lint scripts/);
+    });
+  });
+
+  /** @test {LintStream.lintScript} */
+  describe('.lintScript', function() {
+    it('should lint with the engine passed', function() {
+      LintStream.lintScript('code', '/path/to/file.js', { executeOnText });
+
+      expect(executeOnText.lastCall.args, 'to equal', ['code', '/path/to/file.js']);
+    });
+  });
+
+  /** @test {LintStream#_flush} */
+  describe('#_flush', function() {
+    it('should lint display and script sources only', function() {
+      return lintFiles([
+        splitFile('AGENT/DISPLAYS/Main.display/Main.js', 'display'),
+        splitFile('AGENT/DISPLAYS/Main.display/Main.svg', '<svg/>'),
+        splitFile('SYSTEM/LIBRARY/Test.script/Test.js', 'script'),
+        splitFile('SYSTEM/LIBRARY/Test.script/Test.json', '{"parameters":[{"name":"p"}]}'),
+      ])
+        .then(results => {
+          expect(results, 'to equal', []);
+          expect(executeOnText.callCount, 'to equal', 2);
+          expect(CLIEngine.lastCall.args[0].globals, 'to contain', 'p:false');
+        });
+    });
+
+    it('should ignore other json files split from the same node', function() {
+      return lintFiles([
+        splitFile('AGENT/DISPLAYS/Main.display/Main.js', 'display'),
+        splitFile('AGENT/DISPLAYS/Main.display/Main.json', '{"parameters":[{"name":"title"}]}'),
+        splitFile('AGENT/DISPLAYS/Main.display/Main.handlers.json', '{"click":[]}'),
+      ])
+        .then(() => expect(CLIEngine.lastCall.args[0].globals, 'to contain', 'title:false'));
+    });
+
+    it('should create one engine per configuration', function() {
+      return lintFiles([
+        splitFile('AGENT/DISPLAYS/Main.display/Main.js', 'display'),
+        splitFile('AGENT/DISPLAYS/Other.display/Other.js', 'display'),
+        splitFile('SYSTEM/LIBRARY/Test.script/Test.js', 'script'),
+      ])
+        .then(() => {
+          expect(executeOnText.callCount, 'to equal', 3);
+          expect(CLIEngine.callCount, 'to equal', 2);
+        });
+    });
+
+    it('should forward invalid configuration files', function() {
+      return expect(lintFiles([
+        splitFile('SYSTEM/LIBRARY/Test.script/Test.js', 'script'),
+        splitFile('SYSTEM/LIBRARY/Test.script/Test.json', '{'),
+      ]), 'to be rejected with', /Error parsing JSON in SYSTEM\/LIBRARY\/Test.script\/Test.json/);
+    });
+
+    it('should push problems and fail if problems were found', function() {
+      const stream = new LintStream();
+      const results = [];
+
+      executeOnText.onCall(0).returns({
+        results: [{
+          messages: [
+            { severity: 2, line: 1, column: 2, message: 'Unexpected', ruleId: 'no-undef' },
+            { severity: 1, line: 3, column: 4, message: 'Unused' },
+          ],
+        }],
+      });
+
+      stream.on('data', result => results.push(result));
+      const promise = expect(stream, 'to error with',
+        'Found 2 problem(s) (1 error(s), 1 warning(s))');
+
+      stream.write(splitFile('AGENT/DISPLAYS/Main.display/Main.js', 'display'));
+      stream.end();
+
+      return promise
+        .then(() => expect(results, 'to satisfy', [{
+          nodeId: new NodeId('AGENT.DISPLAYS.Main'),
+          path: 'AGENT/DISPLAYS/Main.display/Main.js',
+          messages: expect.it('to have length', 2),
+        }]));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeFileSync } from 'fs';
+import { DataType, VariantArrayType } from 'node-opcua';
+import expect from '../../../expect';
+import AtviseFile from '../../../../src/lib/server/AtviseFile';
+import NodeSetStream from '../../../../src/lib/gulp/NodeSetStream';
+import { ensureDirectory } from '../../../../src/util/fs';
+
+/** @test {NodeSetStream} */
+describe('NodeSetStream', function() {
+  const base = join(tmpdir(), 'atscm-nodeset');
+
+  function file(directory, path, contents) {
+    return new AtviseFile({
+      base: directory,
+      path: join(directory, path),
+      contents: Buffer.from(contents),
+    });
+  }
+
+  /** @test {NodeSetStream.valueForFile} */
+  describe('.valueForFile', function() {
+    it('should return null for empty files', function() {
+      return expect(NodeSetStream.valueForFile(file(base, 'AGENT/Test.string', '')),
+        'to be fulfilled with', null);
+    });
+
+    it('should return scalar values', function() {
+      return expect(NodeSetStream.valueForFile(file(base, 'AGENT/Test.int32', '13')),
+        'to be fulfilled with', { 'uax:Int32': { _: '13' } });
+    });
+
+    it('should encode byte strings as base64', function() {
+      const f = file(base, 'AGENT/Test.bytestring', 'abc');
+
+      return expect(NodeSetStream.valueForFile(f),
+        'to be fulfilled with', { 'uax:ByteString': { _: 'YWJj' } });
+    });
+
+    it('should return list values for arrays', function() {
+      const f = file(base, 'AGENT/Test.int32.array', '1,2');
+
+      expect(f.arrayType, 'to be', VariantArrayType.Array);
+      expect(f.dataType, 'to be', DataType.Int32);
+
+      return expect(NodeSetStream.valueForFile(f),
+        'to be fulfilled with', { 'uax:ListOfInt32': { 'uax:Int32': ['1', '2'] } });
+    });
+
+    it('should embed xml values', function() {
+      return expect(NodeSetStream.valueForFile(file(base, 'AGENT/Test.xml', '<svg/>')),
+        'to be fulfilled with', { 'uax:XmlElement': { svg: '' } });
+    });
+  });
+
+  /** @test {NodeSetStream#_flush} */
+  describe('#_flush', function() {
+    let directory;
+
+    beforeEach(function() {
+      directory = join(base, `${Date.now()}`);
+
+      return ensureDirectory(join(directory, 'AGENT/OBJECTS'))
+        .then(() => {
+          writeFileSync(join(directory, 'AGENT/OBJECTS/.Variable.rc'),
+            JSON.stringify({ displayName: 'A variable', accessLevel: 1 }));
+          writeFileSync(join(directory, 'AGENT/.OBJECTS.obj.rc'),
+            JSON.stringify({ description: 'Objects' }));
+        });
+    });
+
+    function exportFiles(files) {
+      return new Promise((resolve, reject) => {
+        const stream = new NodeSetStream();
+
+        stream.once('data', nodeSet => resolve(nodeSet.contents.toString()));
+        stream.once('error', reject);
+
+        files.forEach(f => stream.write(f));
+        stream.end();
+      });
+    }
+
+    it('should add variables with data type, value rank and metadata', function() {
+      return expect(exportFiles([file(directory, 'AGENT/OBJECTS/Variable.bool', 'true')]),
+        'to be fulfilled with', expect.it('to contain',
+          '<UAVariable NodeId="ns=1;s=AGENT.OBJECTS.Variable" BrowseName="1:Variable" ' +
+          'ParentNodeId="ns=1;s=AGENT.OBJECTS" DataType="Boolean" ValueRank="-1" ' +
+          'AccessLevel="1" UserAccessLevel="1">',
+          '<DisplayName>A variable</DisplayName>',
+          '<Reference ReferenceType="HasTypeDefinition">i=62</Reference>',
+          '<Reference ReferenceType="HasComponent" IsForward="false">' +
+          'ns=1;s=AGENT.OBJECTS</Reference>',
+          '<uax:Boolean xmlns:uax="http://opcfoundation.org/UA/2008/02/Types.xsd">true</uax:Boolean>',
+          '<Alias Alias="Boolean">i=1</Alias>'
+        ));
+    });
+
+    it('should add parent objects', function() {
+      return expect(exportFiles([file(directory, 'AGENT/OBJECTS/Variable.bool', 'true')]),
+        'to be fulfilled with', expect.it('to contain',
+          '<UAObject NodeId="ns=1;s=AGENT" BrowseName="1:AGENT" ParentNodeId="i=85">',
+          '<UAObject NodeId="ns=1;s=AGENT.OBJECTS" BrowseName="1:OBJECTS" ' +
+          'ParentNodeId="ns=1;s=AGENT">',
+          '<Description>Objects</Description>',
+          '<Reference ReferenceType="HasTypeDefinition">i=61</Reference>',
+          '<Reference ReferenceType="Organizes" IsForward="false">i=85</Reference>'
+        ));
+    });
+
+    it('should not add variables as objects', function() {
+      return expect(exportFiles([
+        file(directory, 'AGENT/OBJECTS/Variable.bool', 'true'),
+        file(directory, 'AGENT/OBJECTS/Variable/Property.prop.int32', '1'),
+      ]), 'to be fulfilled with', expect.it('not to contain',
+        '<UAObject NodeId="ns=1;s=AGENT.OBJECTS.Variable"'
+      ).and('to contain',
+        '<Reference ReferenceType="HasProperty" IsForward="false">' +
+        'ns=1;s=AGENT.OBJECTS.Variable</Reference>'
+      ));
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeFileSync, existsSync } from 'fs';
+import { spy } from 'sinon';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import OrphanedFilesStream from '../../../../src/lib/gulp/OrphanedFilesStream';
+import { ensureDirectory } from '../../../../src/util/fs';
+
+/** @test {OrphanedFilesStream} */
+describe('OrphanedFilesStream', function() {
+  const base = join(tmpdir(), 'atscm-orphaned');
+
+  /** @test {OrphanedFilesStream.nodeIdForPath} */
+  describe('.nodeIdForPath', function() {
+    function expectNodeId(path, id) {
+      const nodeId = OrphanedFilesStream.nodeIdForPath(join(base, path), base);
+
+      expect(nodeId && nodeId.value, 'to equal', id);
+    }
+
+    it('should work with regular files', function() {
+      expectNodeId('AGENT/OBJECTS/Variable.bool', 'AGENT.OBJECTS.Variable');
+    });
+
+    it('should work with split files', function() {
+      expectNodeId('AGENT/DISPLAYS/Main.display/Main.svg', 'AGENT.DISPLAYS.Main');
+      expectNodeId('AGENT/DISPLAYS/Main.display/Main.json', 'AGENT.DISPLAYS.Main');
+      expectNodeId('AGENT/DISPLAYS/Main.display/Main.2.js', 'AGENT.DISPLAYS.Main');
+    });
+
+    it('should work with runtime configuration files', function() {
+      expectNodeId('AGENT/OBJECTS/.Custom.var.rc', 'AGENT.OBJECTS.Custom');
+      expectNodeId('AGENT/OBJECTS/.Property.prop.rc', 'AGENT.OBJECTS.Property');
+      expectNodeId('AGENT/OBJECTS/.Folder.obj.rc', 'AGENT.OBJECTS.Folder');
+      expectNodeId('AGENT/DISPLAYS/.Main.display.rc', 'AGENT.DISPLAYS.Main');
+    });
+
+    it('should keep extensions of resources', function() {
+      expectNodeId('SYSTEM/LIBRARY/RESOURCES/logo.png', 'SYSTEM.LIBRARY.RESOURCES/logo.png');
+    });
+
+    it('should return null for other hidden files', function() {
+      expect(OrphanedFilesStream.nodeIdForPath(join(base, 'AGENT/.DS_Store'), base), 'to be null');
+    });
+  });
+
+  /** @test {OrphanedFilesStream#isSynced} */
+  describe('#isSynced', function() {
+    const stream = new OrphanedFilesStream(new Set(), {
+      nodes: [new NodeId('AGENT')],
+      ignoreNodes: [new NodeId('AGENT.IGNORED')],
+    });
+
+    it('should return false for nodes outside the synced nodes', function() {
+      expect(stream.isSynced(new NodeId('SYSTEM.Test')), 'to be', false);
+      expect(stream.isSynced(new NodeId('AGENTS.Test')), 'to be', false);
+    });
+
+    it('should return false for ignored nodes', function() {
+      expect(stream.isSynced(new NodeId('AGENT.IGNORED.Test')), 'to be', false);
+    });
+
+    it('should return true for synced nodes', function() {
+      expect(stream.isSynced(new NodeId('AGENT.DISPLAYS.Main')), 'to be', true);
+    });
+  });
+
+  /** @test {OrphanedFilesStream#_flush} */
+  describe('#_flush', function() {
+    let directory;
+
+    beforeEach(function() {
+      directory = join(base, `${Date.now()}`);
+
+      return Promise.all([
+        ensureDirectory(join(directory, 'AGENT/DISPLAYS/Main.display')),
+        ensureDirectory(join(directory, 'AGENT/DISPLAYS/Removed.display')),
+      ])
+        .then(() => {
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Main.display/Main.svg'), '');
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Removed.display/Removed.svg'), '');
+          writeFileSync(join(directory, 'AGENT/DISPLAYS/Removed.display/Removed.json'), '');
+        });
+    });
+
+    function createStream(remove) {
+      return new OrphanedFilesStream(new Set(['ns=1;s=AGENT.DISPLAYS.Main']), {
+        directory,
+        remove,
+        nodes: [new NodeId('AGENT')],
+        ignoreNodes: [],
+      });
+    }
+
+    it('should report orphaned files', function() {
+      const listener = spy();
+
+      return expect([], 'when piped through', createStream(false).on('orphaned', listener),
+        'to yield objects satisfying', 'to have length', 0)
+        .then(() => {
+          expect(listener, 'was called once');
+          expect(listener.lastCall.args[0], 'to have length', 2);
+          expect(existsSync(join(directory, 'AGENT/DISPLAYS/Removed.display')), 'to be', true);
+        });
+    });
+
+    it('should remove orphaned files and empty split directories', function() {
+      return expect([], 'when piped through', createStream(true),
+        'to yield objects satisfying', 'to have length', 0)
+        .then(() => {
+          expect(existsSync(join(directory, 'AGENT/DISPLAYS/Removed.display')), 'to be', false);
+          expect(existsSync(join(directory, 'AGENT/DISPLAYS/Main.display/Main.svg')),
+            'to be', true);
+        });
+    });
+
+    it('should work if source directory does not exist', function() {
+      directory = join(base, 'does-not-exist');
+
+      return expect([], 'when piped through', createStream(true),
+        'to yield objects satisfying', 'to have length', 0);
+    });
+  });
+});
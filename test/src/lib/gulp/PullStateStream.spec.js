@@ -0,0 +1,153 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readFileSync, writeFileSync } from 'fs';
+import { spy } from 'sinon';
+import { obj as createStream } from 'through2';
+import Logger from 'gulplog';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import PullStateStream, { DefaultStatePath } from '../../../../src/lib/gulp/PullStateStream';
+
+/** @test {PullStateStream} */
+describe('PullStateStream', function() {
+  let statePath;
+
+  beforeEach(function() {
+    statePath = join(tmpdir(), `atscm-pull-state-${Date.now()}`, 'state.json');
+  });
+
+  function readResult(id, time) {
+    return {
+      nodeId: new NodeId(id),
+      mtime: time === undefined ? undefined : new Date(time),
+    };
+  }
+
+  /** @test {PullStateStream#constructor} */
+  describe('#constructor', function() {
+    it('should use default state path', function() {
+      expect((new PullStateStream()).statePath, 'to equal', DefaultStatePath);
+    });
+  });
+
+  /** @test {PullStateStream.readState} */
+  describe('.readState', function() {
+    it('should return empty state if file does not exist', function() {
+      return expect(PullStateStream.readState(statePath), 'to be fulfilled with', {});
+    });
+
+    it('should fail with invalid JSON', function() {
+      return PullStateStream.writeState(statePath, {})
+        .then(() => writeFileSync(statePath, 'invalid'))
+        .then(() => expect(PullStateStream.readState(statePath),
+          'to be rejected with', /Error parsing pull state/));
+    });
+
+    it('should forward read errors', function() {
+      return expect(PullStateStream.readState('./test'), 'to be rejected with', /EISDIR/);
+    });
+  });
+
+  /** @test {PullStateStream#_transform} */
+  describe('#_transform', function() {
+    it('should pass all nodes on first pull', function() {
+      return expect([readResult('AGENT.Test', 1000), readResult('AGENT.Other', 2000)],
+        'when piped through', new PullStateStream({ path: statePath }),
+        'to yield objects satisfying', 'to have length', 2);
+    });
+
+    it('should only pass nodes that changed', function() {
+      return PullStateStream.writeState(statePath, {
+        'ns=1;s=AGENT.Test': 1000,
+        'ns=1;s=AGENT.Other': 1000,
+      })
+        .then(() => expect([readResult('AGENT.Test', 1000), readResult('AGENT.Other', 2000)],
+          'when piped through', new PullStateStream({ path: statePath }),
+          'to yield objects satisfying', [
+            { nodeId: expect.it('to equal', new NodeId('AGENT.Other')) },
+          ]));
+    });
+
+    it('should always pass nodes without timestamp', function() {
+      return PullStateStream.writeState(statePath, { 'ns=1;s=AGENT.Test': null })
+        .then(() => expect([readResult('AGENT.Test')],
+          'when piped through', new PullStateStream({ path: statePath }),
+          'to yield objects satisfying', 'to have length', 1));
+    });
+
+    it('should forward state errors', function() {
+      return expect([readResult('AGENT.Test', 1000)],
+        'when piped through', new PullStateStream({ path: './test' }),
+        'to error with', /EISDIR/);
+    });
+  });
+
+  /** @test {PullStateStream#_flush} */
+  describe('#_flush', function() {
+    it('should not store state', function() {
+      return expect([readResult('AGENT.Test', 1000)],
+        'when piped through', new PullStateStream({ path: statePath }),
+        'to yield objects satisfying', 'to have length', 1)
+        .then(() => expect(PullStateStream.readState(statePath), 'to be fulfilled with', {}));
+    });
+
+    it('should report removed nodes', function() {
+      const removedListener = spy();
+      const infoListener = spy();
+
+      Logger.on('info', infoListener);
+
+      return PullStateStream.writeState(statePath, {
+        'ns=1;s=AGENT.Test': 1000,
+        'ns=1;s=AGENT.Removed': 1000,
+      })
+        .then(() => expect([readResult('AGENT.Test', 1000)],
+          'when piped through', new PullStateStream({ path: statePath })
+            .on('removed', removedListener),
+          'to yield objects satisfying', 'to have length', 0))
+        .then(() => {
+          Logger.removeListener('info', infoListener);
+
+          expect(removedListener, 'to have a call satisfying', [['ns=1;s=AGENT.Removed']]);
+          expect(infoListener, 'to have a call satisfying', [/AGENT\.Removed/]);
+        });
+    });
+  });
+
+  /** @test {PullStateStream#createStoreStream} */
+  describe('#createStoreStream', function() {
+    function pull(stateStream, files) {
+      return expect([readResult('AGENT.Test', 1000), readResult('AGENT.Other', 2000)],
+        'when piped through', stateStream,
+        'to yield objects satisfying', 'to have length', 2)
+        .then(() => expect(files, 'when piped through', stateStream.createStoreStream(),
+          'to yield objects satisfying', 'to have length', files.length));
+    }
+
+    it('should store new state once flushed', function() {
+      return pull(new PullStateStream({ path: statePath }), [{ path: 'Test.js' }])
+        .then(() => expect(JSON.parse(readFileSync(statePath, 'utf8')), 'to equal', {
+          nodes: { 'ns=1;s=AGENT.Test': 1000, 'ns=1;s=AGENT.Other': 2000 },
+        }));
+    });
+
+    it('should keep the last state if writing files fails', function() {
+      const stateStream = new PullStateStream({ path: statePath });
+      const storeStream = stateStream.createStoreStream();
+      const destStream = createStream((file, enc, callback) => callback(new Error('EACCES')));
+
+      return PullStateStream.writeState(statePath, { 'ns=1;s=AGENT.Test': 500 })
+        .then(() => expect([readResult('AGENT.Test', 1000)],
+          'when piped through', stateStream,
+          'to yield objects satisfying', 'to have length', 1))
+        .then(() => new Promise(resolve => {
+          destStream.on('error', resolve).pipe(storeStream);
+          destStream.end({ path: 'Test.js' });
+        }))
+        .then(err => expect(err, 'to have message', 'EACCES'))
+        .then(() => expect(JSON.parse(readFileSync(statePath, 'utf8')), 'to equal', {
+          nodes: { 'ns=1;s=AGENT.Test': 500 },
+        }));
+    });
+  });
+});
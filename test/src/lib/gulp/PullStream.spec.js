@@ -18,6 +18,24 @@ const readline = {
   moveCursor: spy().named('readline.moveCursor'),
 };
 
+const StubPullStateStream = spy(class PullStateStream {
+
+  constructor() {
+    return Object.assign(createTransformSteam(), {
+      createStoreStream: spy(() => createTransformSteam()),
+    });
+  }
+
+});
+
+const StubOrphanedFilesStream = spy(class OrphanedFilesStream {
+
+  constructor() {
+    return createTransformSteam();
+  }
+
+});
+
 const PullStream = proxyquire('../../../../src/lib/gulp/PullStream', {
   readline,
   gulp: {
@@ -27,6 +45,14 @@ const PullStream = proxyquire('../../../../src/lib/gulp/PullStream', {
     _esModule: true,
     default: StubTransformer,
   },
+  './PullStateStream': {
+    _esModule: true,
+    default: StubPullStateStream,
+  },
+  './OrphanedFilesStream': {
+    _esModule: true,
+    default: StubOrphanedFilesStream,
+  },
 }).default;
 
 class StubReadStream extends ReadStream {
@@ -94,6 +120,32 @@ describe('PullStream', function() {
         });
     });
 
+    it('should only filter changed nodes if incremental', function() {
+      StubPullStateStream.reset();
+
+      const stream = new PullStream(new StubReadStream(), { incremental: true });
+      stream.end();
+
+      return expect(stream, 'to yield objects satisfying', 'to have length', 0)
+        .then(() => {
+          expect(StubPullStateStream, 'was called once');
+          expect(StubPullStateStream.lastCall.returnValue.createStoreStream, 'was called once');
+        });
+    });
+
+    it('should handle orphaned files if clean', function() {
+      StubOrphanedFilesStream.reset();
+
+      const stream = new PullStream(new StubReadStream(), { clean: true });
+      stream.end();
+
+      return expect(stream, 'to yield objects satisfying', 'to have length', 0)
+        .then(() => {
+          expect(StubOrphanedFilesStream, 'was called once');
+          expect(StubOrphanedFilesStream.lastCall.args[1], 'to satisfy', { remove: true });
+        });
+    });
+
     it('should print progress', function() {
       const stream = new PullStream(Object.assign(new StubReadStream(), { _processed: 12 }));
 
@@ -34,6 +34,19 @@ const PushStream = proxyquire('../../../../src/lib/gulp/PushStream', {
     _esModule: true,
     default: StubTransformer,
   },
+  '../server/CompareStream': {
+    _esModule: true,
+    default: class CompareStream {
+
+      constructor() {
+        return Object.assign(createTransformStream(), {
+          opsPerSecond: 13.2,
+          _processed: 3,
+        });
+      }
+
+    },
+  },
 }).default;
 
 /** @test {PushStream} */
@@ -97,6 +110,21 @@ describe('PushStream', function() {
         });
     });
 
+    it('should print compared files on dry run', function() {
+      const stream = new PushStream(createTransformStream(), { dryRun: true });
+
+      setTimeout(() => stream.end(), 1200);
+
+      logListener = spy().named('logListener');
+      Logger.on('info', logListener);
+
+      return expect(stream, 'to yield objects satisfying', 'to have length', 0)
+        .then(() => {
+          expect(logListener, 'to have a call satisfying', [/Compared: 3/]);
+          expect(logListener, 'to have a call satisfying', [/Dry run: 0 changed, 0 new/]);
+        });
+    });
+
     it('should work without log listeners', function() {
       const stream = new PushStream(createTransformStream());
 
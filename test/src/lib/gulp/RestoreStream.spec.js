@@ -0,0 +1,79 @@
+import { gzipSync } from 'zlib';
+import File from 'vinyl';
+import { DataType, VariantArrayType } from 'node-opcua';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import RestoreStream from '../../../../src/lib/gulp/RestoreStream';
+
+function backupFile(name, nodes, version = 1) {
+  return new File({
+    path: name,
+    contents: gzipSync(JSON.stringify({ version, nodes })),
+  });
+}
+
+const node = {
+  nodeId: 'ns=1;s=AGENT.OBJECTS.Test',
+  dataType: 'String',
+  arrayType: 'Scalar',
+  typeDefinition: 'ns=0;i=62',
+  value: ' text ',
+};
+
+/** @test {RestoreStream} */
+describe('RestoreStream', function() {
+  /** @test {RestoreStream.decodeValue} */
+  describe('.decodeValue', function() {
+    it('should decode byte strings', function() {
+      expect(RestoreStream.decodeValue('YWJj', DataType.ByteString, VariantArrayType.Scalar),
+        'to equal', Buffer.from('abc'));
+    });
+
+    it('should decode arrays', function() {
+      expect(RestoreStream.decodeValue(['2017-12-20T10:11:12.000Z'], DataType.DateTime,
+        VariantArrayType.Array), 'to equal', [new Date('2017-12-20T10:11:12.000Z')]);
+    });
+  });
+
+  /** @test {RestoreStream.nodesInBackup} */
+  describe('.nodesInBackup', function() {
+    it('should fail for unsupported versions', function() {
+      expect(() => RestoreStream.nodesInBackup(backupFile('backup.json.gz', [], 2).contents),
+        'to throw', /Unsupported backup version 2/);
+    });
+  });
+
+  /** @test {RestoreStream#_flush} */
+  describe('#_flush', function() {
+    it('should fail without backup', function() {
+      const stream = new RestoreStream();
+      const promise = expect(stream, 'to error with', /No backup found/);
+
+      stream.end();
+
+      return promise;
+    });
+
+    it('should push files with the stored values', function() {
+      return expect([backupFile('backup-1.json.gz', [node])],
+        'when piped through', new RestoreStream(),
+        'to yield objects satisfying', [
+          {
+            nodeId: new NodeId('AGENT.OBJECTS.Test'),
+            dataType: DataType.String,
+            arrayType: VariantArrayType.Scalar,
+            typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 62, 0),
+            value: ' text ',
+          },
+        ]);
+    });
+
+    it('should only restore the latest backup', function() {
+      return expect([
+        backupFile('backup-2.json.gz', [node]),
+        backupFile('backup-1.json.gz', [node, node]),
+      ], 'when piped through', new RestoreStream(),
+      'to yield objects satisfying', 'to have length', 1);
+    });
+  });
+});
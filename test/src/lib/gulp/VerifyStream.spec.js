@@ -0,0 +1,128 @@
+import { Buffer } from 'buffer';
+import File from 'vinyl';
+import Logger from 'gulplog';
+import expect from '../../../expect';
+import AtviseFile from '../../../../src/lib/server/AtviseFile';
+import NodeId from '../../../../src/lib/server/NodeId';
+import { TransformDirection } from '../../../../src/lib/transform/Transformer';
+import DisplayTransformer from '../../../../src/transform/DisplayTransformer';
+import VerifyStream, { VerifyStatus } from '../../../../src/lib/gulp/VerifyStream';
+
+const stableDisplay = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg>
+ <rect/>
+ <script type="text/ecmascript"><![CDATA[code()]]></script>
+</svg>`.replace(/\r?\n/g, '\r\n');
+
+function displayFile(name, contents) {
+  return new AtviseFile({
+    path: `AGENT/DISPLAYS/${name}.display.xml`,
+    contents: Buffer.from(contents),
+  });
+}
+
+/** @test {VerifyStream} */
+describe('VerifyStream', function() {
+  /** @test {VerifyStream.copyTransformers} */
+  describe('.copyTransformers', function() {
+    it('should create new transformers with the same options', function() {
+      const transformer = new DisplayTransformer({ direction: TransformDirection.FromDB });
+      const copies = VerifyStream.copyTransformers([transformer]);
+
+      expect(copies, 'to have length', 1);
+      expect(copies[0], 'not to be', transformer);
+      expect(copies[0], 'to be a', DisplayTransformer);
+      expect(copies[0]._options, 'to be', transformer._options);
+    });
+  });
+
+  /** @test {VerifyStream.transformFiles} */
+  describe('.transformFiles', function() {
+    it('should split displays in memory', function() {
+      return expect(VerifyStream.transformFiles([displayFile('Main', stableDisplay)],
+        TransformDirection.FromDB), 'to be fulfilled with', expect.it('to have length', 3));
+    });
+
+    it('should combine split files without reading from disk', function() {
+      return VerifyStream.transformFiles([displayFile('Main', stableDisplay)],
+        TransformDirection.FromDB)
+        .then(files => VerifyStream.transformFiles(files, TransformDirection.FromFilesystem))
+        .then(files => {
+          expect(files, 'to have length', 1);
+          expect(files[0].relative, 'to equal', 'AGENT/DISPLAYS/Main.display.xml');
+        });
+    });
+
+    it('should run each direction with the transformers given', function() {
+      const transformers = [new DisplayTransformer()];
+
+      return VerifyStream.transformFiles([displayFile('Main', stableDisplay)],
+        TransformDirection.FromDB, VerifyStream.copyTransformers(transformers))
+        .then(files => VerifyStream.transformFiles(files, TransformDirection.FromFilesystem,
+          VerifyStream.copyTransformers(transformers)))
+        .then(files => expect(files, 'to satisfy', [
+          { contents: Buffer.from(stableDisplay) },
+        ]));
+    });
+  });
+
+  /** @test {VerifyStream.unifiedDiff} */
+  describe('.unifiedDiff', function() {
+    it('should return null for binary files', function() {
+      expect(VerifyStream.unifiedDiff('AGENT/OBJECTS/Image.png', Buffer.from('a'),
+        Buffer.from('b')), 'to be', null);
+    });
+
+    it('should return a diff for text files', function() {
+      expect(VerifyStream.unifiedDiff('AGENT/DISPLAYS/Main.display.xml', Buffer.from('a'),
+        Buffer.from('b')), 'to contain', '-a', '+b');
+    });
+  });
+
+  /** @test {VerifyStream#compare} */
+  describe('#compare', function() {
+    it('should report missing nodes', function() {
+      const stream = new VerifyStream();
+      stream._originals.set('ns=1;s=AGENT.DISPLAYS.Main', displayFile('Main', '<svg/>'));
+
+      expect(stream.compare([]), 'to satisfy', [
+        { nodeId: new NodeId('AGENT.DISPLAYS.Main'), status: VerifyStatus.Missing },
+      ]);
+    });
+  });
+
+  /** @test {VerifyStream#_flush} */
+  describe('#_flush', function() {
+    const listener = () => {};
+
+    beforeEach(() => Logger.on('info', listener));
+    afterEach(() => Logger.removeListener('info', listener));
+
+    it('should ignore files other than atvise files', function() {
+      return expect([new File({ path: 'AGENT/OBJECTS/.Test.obj.rc', contents: Buffer.from('{}') })],
+        'when piped through', new VerifyStream(),
+        'to yield objects satisfying', 'to have length', 0);
+    });
+
+    it('should not push stable nodes', function() {
+      return expect([displayFile('Main', stableDisplay)],
+        'when piped through', new VerifyStream(),
+        'to yield objects satisfying', 'to have length', 0);
+    });
+
+    it('should push nodes changed by transformers', function() {
+      return expect([
+        displayFile('Main', stableDisplay),
+        displayFile('Changed', '<svg><script>code()</script><rect></rect></svg>'),
+      ], 'when piped through', new VerifyStream(),
+      'to yield objects satisfying', [
+        {
+          nodeId: new NodeId('AGENT.DISPLAYS.Changed'),
+          path: 'AGENT/DISPLAYS/Changed.display.xml',
+          status: VerifyStatus.Modified,
+          diff: expect.it('to contain', '-<svg><script>code()</script><rect></rect></svg>'),
+        },
+      ]);
+    });
+  });
+});
@@ -118,8 +118,8 @@ describe('AtviseFile', function() {
         expect(AtviseFile.pathForReadResult({
           nodeId: test.nodeId,
           value: {
-            $dataType: test.dataType,
-            $arrayType: test.arrayType,
+            dataType: test.dataType,
+            arrayType: test.arrayType,
           },
           referenceDescription: {
             typeDefinition: test.typeDefinition,
@@ -132,8 +132,8 @@ describe('AtviseFile', function() {
       expect(AtviseFile.pathForReadResult({
         nodeId: new NodeId('AGENT.OBJECTS.CustomVar'),
         value: {
-          $dataType: DataType.Boolean,
-          $arrayType: VariantArrayType.Scalar,
+          dataType: DataType.Boolean,
+          arrayType: VariantArrayType.Scalar,
         },
         referenceDescription: {
           typeDefinition: new NodeId('VariableTypes.Project.CustomType'),
@@ -226,8 +226,8 @@ describe('AtviseFile', function() {
         nodeId,
         value: {
           value: '<svg></svg>',
-          $dataType: DataType.XmlElement,
-          $arrayType: VariantArrayType.Scalar,
+          dataType: DataType.XmlElement,
+          arrayType: VariantArrayType.Scalar,
         },
         referenceDescription: {
           nodeId,
@@ -244,8 +244,8 @@ describe('AtviseFile', function() {
         nodeId,
         value: {
           value: '<svg></svg>',
-          $dataType: DataType.XmlElement,
-          $arrayType: VariantArrayType.Scalar,
+          dataType: DataType.XmlElement,
+          arrayType: VariantArrayType.Scalar,
         },
         referenceDescription: {
           nodeId,
@@ -354,6 +354,24 @@ describe('AtviseFile', function() {
     });
   });
 
+  /** @test {AtviseFile#isTranslationTable} */
+  describe('#isTranslationTable', function() {
+    it('should return true for AtviseFiles with correct TypeDefinition', function() {
+      expect((new AtviseFile({
+        _typeDefinition: new NodeId('VariableTypes.ATVISE.TranslationTable'),
+      })).isTranslationTable, 'to be true');
+    });
+  });
+
+  /** @test {AtviseFile#isHtmlHelp} */
+  describe('#isHtmlHelp', function() {
+    it('should return true for AtviseFiles with correct TypeDefinition', function() {
+      expect((new AtviseFile({
+        _typeDefinition: new NodeId('VariableTypes.ATVISE.HtmlHelp'),
+      })).isHtmlHelp, 'to be true');
+    });
+  });
+
   /** @test {AtivseFile#value} */
   describe('#value', function() {
     const val = new Buffer('test');
@@ -1,7 +1,11 @@
+import { resolve } from 'path';
+import { createServer } from 'net';
 import expect from 'unexpected';
+import { spy } from 'sinon';
 import proxyquire from 'proxyquire';
+import Logger from 'gulplog';
 
-import { OPCUAClient } from 'node-opcua';
+import { OPCUAClient, MessageSecurityMode, SecurityPolicy } from 'node-opcua';
 import Client from '../../../../src/lib/server/Client';
 
 const InvalidHostClient = proxyquire('../../../../src/lib/server/Client', {
@@ -34,8 +38,119 @@ const FailingClient = proxyquire('../../../../src/lib/server/Client', {
   },
 }).default;
 
+function clientWithEndpoints(err, endpoints) {
+  return proxyquire('../../../../src/lib/server/Client', {
+    'node-opcua': {
+      OPCUAClient: class EndpointsCli {
+
+        connect(endpoint, callback) {
+          callback(null);
+        }
+
+        getEndpoints(callback) {
+          callback(err, endpoints);
+        }
+
+        disconnect(callback) {
+          callback(null);
+        }
+
+      },
+    },
+  }).default;
+}
+
+function clientConnecting(results, connection = { timeout: 100, retries: 2, retryDelay: 1 }) {
+  const attempts = [];
+
+  return {
+    attempts,
+    Client: proxyquire('../../../../src/lib/server/Client', {
+      '../../config/ProjectConfig': {
+        default: { host: 'localhost', port: { opc: 4840 }, connection },
+      },
+      'node-opcua': {
+        OPCUAClient: class ConnectingCli {
+
+          constructor(options) {
+            this.options = options;
+          }
+
+          connect(endpoint, callback) {
+            const result = results[attempts.length];
+            attempts.push(this);
+
+            if (result === 'late') {
+              setTimeout(() => callback(null), 20);
+            } else if (result !== 'timeout') {
+              callback(result);
+            }
+          }
+
+          disconnect(callback) {
+            this.disconnected = true;
+            callback(null);
+          }
+
+        },
+      },
+    }).default,
+  };
+}
+
 /** @test {Client} */
 describe('Client', function() {
+  /** @test {Client.securityOptions} */
+  describe('.securityOptions', function() {
+    it('should default to no security', function() {
+      expect(Client.securityOptions(), 'to equal', {
+        securityMode: MessageSecurityMode.NONE,
+        securityPolicy: SecurityPolicy.None,
+      });
+    });
+
+    it('should return mode, policy and resolved certificate paths', function() {
+      expect(Client.securityOptions({
+        mode: 'SignAndEncrypt',
+        policy: 'Basic256',
+        certificateFile: 'certs/client.pem',
+        privateKeyFile: 'certs/client.key',
+      }), 'to equal', {
+        securityMode: MessageSecurityMode.SIGNANDENCRYPT,
+        securityPolicy: SecurityPolicy.Basic256,
+        certificateFile: resolve('certs/client.pem'),
+        privateKeyFile: resolve('certs/client.key'),
+      });
+    });
+
+    it('should support Basic256Sha256', function() {
+      expect(Client.securityOptions({ mode: 'Sign', policy: 'Basic256Sha256' }), 'to equal', {
+        securityMode: MessageSecurityMode.SIGN,
+        securityPolicy: SecurityPolicy.Basic256Sha256,
+      });
+    });
+
+    it('should throw for policies node-opcua cannot use', function() {
+      expect(() => Client.securityOptions({ mode: 'Sign', policy: 'Basic192' }), 'to throw',
+        /^Security policy 'Basic192' is not supported. Use one of None, Basic128Rsa15, Basic256, /);
+    });
+
+    it('should throw for invalid modes', function() {
+      expect(() => Client.securityOptions({ mode: 'Encrypt', policy: 'Basic256' }), 'to throw',
+        /^Invalid security mode 'Encrypt'/);
+    });
+
+    it('should throw for invalid policies', function() {
+      expect(() => Client.securityOptions({ mode: 'Sign', policy: 'Basic1' }), 'to throw',
+        'Invalid security policy \'Basic1\'');
+    });
+
+    it('should throw if only one of mode and policy is set', function() {
+      expect(() => Client.securityOptions({ mode: 'Sign' }), 'to throw',
+        'Security mode and policy have to be set together');
+    });
+  });
+
   /** @test {Client.create} */
   describe('.create', function() {
     it('should return a OPCUAClient', function() {
@@ -46,12 +161,147 @@ describe('Client', function() {
       return expect(InvalidHostClient.create(), 'to be rejected with', /Invalid endpoint url/);
     });
 
-    it('should fail on connection timeout', function() {
-      return expect(NotExisingHostClient.create(), 'to be rejected with', /Connection timed out/);
+    it('should fail for hosts that cannot be resolved', function() {
+      return expect(NotExisingHostClient.create(), 'to be rejected with', /^Unable to connect to/);
     });
 
     it('should fail when node-opcua encounters an error', function() {
       return expect(FailingClient.create(), 'to be rejected with', Error);
     });
   });
+
+  /** @test {Client.connect} */
+  describe('.connect', function() {
+    it('should disable the reconnection strategy of node-opcua', function() {
+      const { Client: StubClient } = clientConnecting([null]);
+
+      return expect(StubClient.connect({}), 'when fulfilled', 'to satisfy', {
+        options: { connectionStrategy: { maxRetry: 0 } },
+      });
+    });
+
+    it('should mark connection errors as retryable', function() {
+      const { Client: StubClient } = clientConnecting([new Error('Connection refused')]);
+
+      return expect(StubClient.connect({}), 'to be rejected with', {
+        message: /Connection refused$/,
+        retryable: true,
+      });
+    });
+
+    it('should not retry invalid endpoint urls', function() {
+      const { Client: StubClient } = clientConnecting([new Error('Invalid endpoint url')]);
+
+      return expect(StubClient.connect({}), 'to be rejected with', { retryable: false });
+    });
+
+    it('should reject on timeout', function() {
+      const { Client: StubClient, attempts } = clientConnecting(['timeout']);
+
+      return expect(StubClient.connect({}, 10), 'to be rejected with', {
+        message: /Connection timed out$/,
+        retryable: true,
+      })
+        .then(() => expect(attempts[0].disconnected, 'to be undefined'));
+    });
+
+    it('should disconnect clients connecting after the timeout', function() {
+      const { Client: StubClient, attempts } = clientConnecting(['late']);
+
+      return expect(StubClient.connect({}, 10), 'to be rejected with', /Connection timed out$/)
+        .then(() => new Promise(done => setTimeout(done, 30)))
+        .then(() => expect(attempts[0].disconnected, 'to be true'));
+    });
+
+    context('with an unresponsive endpoint', function() {
+      const sockets = [];
+      let server;
+
+      before(function(done) {
+        server = createServer(socket => sockets.push(socket));
+        server.listen(0, 'localhost', done);
+      });
+
+      after(function(done) {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      });
+
+      it('should fail without throwing', function() {
+        const UnresponsiveClient = proxyquire('../../../../src/lib/server/Client', {
+          '../../config/ProjectConfig': {
+            default: { host: 'localhost', port: { opc: server.address().port } },
+          },
+        }).default;
+
+        return expect(UnresponsiveClient.connect({}, 50), 'to be rejected with', {
+          message: /Connection timed out$/,
+          retryable: true,
+        })
+          .then(() => sockets.forEach(socket => socket.destroy()))
+          .then(() => new Promise(done => setTimeout(done, 50)));
+      });
+    });
+  });
+
+  /** @test {Client.create} */
+  describe('.create with retries', function() {
+    it('should retry failed connection attempts', function() {
+      const { Client: StubClient, attempts } = clientConnecting([
+        new Error('Connection refused'),
+        'timeout',
+        null,
+      ]);
+
+      return expect(StubClient.create({}), 'to be fulfilled')
+        .then(client => {
+          expect(attempts, 'to have length', 3);
+          expect(client, 'to be', attempts[2]);
+        });
+    });
+
+    it('should log retries', function() {
+      const { Client: StubClient } = clientConnecting([new Error('Connection refused'), null]);
+      const warn = spy();
+      Logger.on('warn', warn);
+
+      return expect(StubClient.create({}), 'to be fulfilled')
+        .then(() => {
+          Logger.removeListener('warn', warn);
+          expect(warn.calledOnce, 'to be true');
+          expect(warn.lastCall.args[0], 'to match', /Retrying in 1ms \(1\/2\)$/);
+        });
+    });
+
+    it('should not retry by default', function() {
+      const { Client: StubClient, attempts } = clientConnecting([
+        new Error('Connection refused'),
+        null,
+      ], { timeout: 100 });
+
+      return expect(StubClient.create({}), 'to be rejected with', /Connection refused$/)
+        .then(() => expect(attempts, 'to have length', 1));
+    });
+
+    it('should fail once all retries failed', function() {
+      const error = new Error('Connection refused');
+      const { Client: StubClient, attempts } = clientConnecting([error, error, error, null]);
+
+      return expect(StubClient.create({}), 'to be rejected with', /Connection refused$/)
+        .then(() => expect(attempts, 'to have length', 3));
+    });
+  });
+
+  /** @test {Client.getEndpoints} */
+  describe('.getEndpoints', function() {
+    it('should return the endpoints provided', function() {
+      return expect(clientWithEndpoints(null, ['endpoint']).getEndpoints(), 'to be fulfilled with',
+        ['endpoint']);
+    });
+
+    it('should fail if endpoints cannot be read', function() {
+      return expect(clientWithEndpoints(new Error('Test')).getEndpoints(), 'to be rejected with',
+        'Unable to get endpoints: Test');
+    });
+  });
 });
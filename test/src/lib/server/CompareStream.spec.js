@@ -0,0 +1,141 @@
+import { Buffer } from 'buffer';
+import { StatusCodes, DataType, VariantArrayType, Variant, resolveNodeId } from 'node-opcua';
+import expect from '../../../expect';
+import CompareStream, { CompareStatus } from '../../../../src/lib/server/CompareStream';
+import AtviseFile from '../../../../src/lib/server/AtviseFile';
+
+/** @test {CompareStream} */
+describe('CompareStream', function() {
+  function createFile(contents = 'true') {
+    return new AtviseFile({
+      path: 'src/AGENT/OBJECTS/Variable.bool',
+      base: 'src',
+      contents: Buffer.from(contents),
+    });
+  }
+
+  /** @test {CompareStream.compare} */
+  describe('.compare', function() {
+    it('should return unchanged for equal values', function() {
+      expect(CompareStream.compare(createFile(), new Variant({
+        dataType: DataType.Boolean,
+        value: true,
+      })), 'to equal', CompareStatus.Unchanged);
+    });
+
+    it('should return changed for different values', function() {
+      expect(CompareStream.compare(createFile(), new Variant({
+        dataType: DataType.Boolean,
+        value: false,
+      })), 'to equal', CompareStatus.Changed);
+    });
+
+    it('should return changed for different data types', function() {
+      expect(CompareStream.compare(createFile(), new Variant({
+        dataType: DataType.String,
+        value: 'true',
+      })), 'to equal', CompareStatus.Changed);
+    });
+
+    it('should return changed for different array types', function() {
+      expect(CompareStream.compare(createFile(), new Variant({
+        dataType: DataType.Boolean,
+        arrayType: VariantArrayType.Array,
+        value: [true],
+      })), 'to equal', CompareStatus.Changed);
+    });
+  });
+
+  /** @test {CompareStream#processErrorMessage} */
+  describe('#processErrorMessage', function() {
+    it('should include nodeId', function() {
+      expect(CompareStream.prototype.processErrorMessage(createFile()),
+        'to contain', 'AGENT.OBJECTS.Variable');
+    });
+  });
+
+  /** @test {CompareStream#processChunk} */
+  describe('#processChunk', function() {
+    it('should forward errors', function() {
+      const stream = new CompareStream();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = (nodes, callback) => callback(new Error('Test'));
+      });
+
+      return expect([createFile()], 'when piped through', stream, 'to error with', /Test/);
+    });
+
+    it('should error without results', function() {
+      const stream = new CompareStream();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = (nodes, callback) => callback(null, []);
+      });
+
+      return expect([createFile()], 'when piped through', stream, 'to error with', /No results/);
+    });
+
+    it('should forward synchronous errors', function() {
+      const stream = new CompareStream();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = () => {
+          throw new Error('Sync test');
+        };
+      });
+
+      return expect([{ nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
+        'when piped through', stream,
+        'to error with', /Sync test/);
+    });
+
+    it('should forward compare errors', function() {
+      const stream = new CompareStream();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = (nodes, callback) => callback(null, [{
+          statusCode: StatusCodes.Good,
+          value: new Variant({ dataType: DataType.Boolean, value: false }),
+        }]);
+      });
+
+      return expect([{ nodeId: resolveNodeId('ns=1;s=AGENT.OBJECTS.Variable') }],
+        'when piped through', stream,
+        'to error with', /^Error reading ns=1;s=AGENT\.OBJECTS\.Variable: /);
+    });
+
+    it('should push new nodes', function() {
+      const stream = new CompareStream();
+      const file = createFile();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = (nodes, callback) => callback(null, [
+          { statusCode: StatusCodes.BadNodeIdUnknown },
+        ]);
+      });
+
+      return expect([file], 'when piped through', stream,
+        'to yield objects satisfying', [
+          { file, status: CompareStatus.New, serverValue: null },
+        ]);
+    });
+
+    it('should push compare result of existing nodes', function() {
+      const stream = new CompareStream();
+      const file = createFile();
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.read = (nodes, callback) => callback(null, [{
+          statusCode: StatusCodes.Good,
+          value: new Variant({ dataType: DataType.Boolean, value: false }),
+        }]);
+      });
+
+      return expect([file], 'when piped through', stream,
+        'to yield objects satisfying', [
+          { file, status: CompareStatus.Changed },
+        ]);
+    });
+  });
+});
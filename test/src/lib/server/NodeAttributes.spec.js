@@ -0,0 +1,80 @@
+import { DataType, VariantArrayType } from 'node-opcua';
+import expect from '../../../expect';
+import {
+  NodeAttributes,
+  ObjectAttributes,
+  VariableAttributes,
+} from '../../../../src/lib/server/NodeAttributes';
+
+/** @test {NodeAttributes} */
+describe('NodeAttributes', function() {
+  /** @test {NodeAttributes#encode} */
+  describe('#encode', function() {
+    it('should throw if not overridden', function() {
+      expect(() => new NodeAttributes(1, { displayName: 'Test' }).encode(),
+        'to throw', /must be implemented/);
+    });
+  });
+});
+
+/** @test {ObjectAttributes} */
+describe('ObjectAttributes', function() {
+  /** @test {ObjectAttributes#constructor} */
+  describe('#constructor', function() {
+    it('should use default binary encoding id', function() {
+      expect(new ObjectAttributes({ displayName: 'Test' }).encodingDefaultBinary.value,
+        'to equal', 354);
+    });
+  });
+
+  /** @test {ObjectAttributes#binaryStoreSize} */
+  describe('#binaryStoreSize', function() {
+    it('should include display name', function() {
+      // mask (4) + display name (1 + 4 + 4) + description (1) + event notifier (1) + masks (8)
+      expect(new ObjectAttributes({ displayName: 'Test' }).binaryStoreSize(), 'to equal', 23);
+    });
+  });
+});
+
+/** @test {VariableAttributes} */
+describe('VariableAttributes', function() {
+  function createAttributes(arrayType = VariantArrayType.Scalar) {
+    return new VariableAttributes({
+      displayName: 'Test',
+      dataType: DataType.Boolean,
+      arrayType,
+      value: arrayType === VariantArrayType.Scalar ? true : [true, false],
+    });
+  }
+
+  /** @test {VariableAttributes#constructor} */
+  describe('#constructor', function() {
+    it('should use default binary encoding id', function() {
+      expect(createAttributes().encodingDefaultBinary.value, 'to equal', 357);
+    });
+
+    it('should use data type node', function() {
+      expect(createAttributes().dataType.value, 'to equal', DataType.Boolean.value);
+    });
+
+    it('should set value rank for scalars', function() {
+      expect(createAttributes().valueRank, 'to equal', -1);
+    });
+
+    it('should set value rank for arrays', function() {
+      expect(createAttributes(VariantArrayType.Array).valueRank, 'to equal', 1);
+    });
+
+    it('should allow reading and writing by default', function() {
+      expect(createAttributes().accessLevel, 'to equal', 3);
+    });
+  });
+
+  /** @test {VariableAttributes#binaryStoreSize} */
+  describe('#binaryStoreSize', function() {
+    it('should include value', function() {
+      expect(createAttributes(VariantArrayType.Array).binaryStoreSize(),
+        'to be greater than', createAttributes().binaryStoreSize());
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import NodeFilter from '../../../../src/lib/server/NodeFilter';
+
+/** @test {NodeFilter} */
+describe('NodeFilter', function() {
+  const filter = new NodeFilter({
+    nodes: [new NodeId('AGENT')],
+    ignoreNodes: [new NodeId('AGENT.IGNORED'), new NodeId('AGENT.(GROUP)')],
+  });
+
+  /** @test {NodeFilter#constructor} */
+  describe('#constructor', function() {
+    it('should default to the project\'s nodes', function() {
+      expect(new NodeFilter().nodes, 'to have items satisfying', 'to be a', NodeId);
+    });
+  });
+
+  /** @test {NodeFilter#isIgnored} */
+  describe('#isIgnored', function() {
+    it('should return true for ignored nodes and their children', function() {
+      expect(filter.isIgnored(new NodeId('AGENT.IGNORED')), 'to be true');
+      expect(filter.isIgnored(new NodeId('AGENT.IGNORED.Test')), 'to be true');
+    });
+
+    it('should match node ids literally', function() {
+      expect(filter.isIgnored(new NodeId('AGENT.(GROUP).Test')), 'to be true');
+      expect(filter.isIgnored(new NodeId('AGENT.GROUP.Test')), 'to be false');
+    });
+  });
+
+  /** @test {NodeFilter#isInside} */
+  describe('#isInside', function() {
+    it('should return true for synced nodes and their children', function() {
+      expect(filter.isInside(new NodeId('AGENT')), 'to be true');
+      expect(filter.isInside(new NodeId('AGENT.DISPLAYS.Main')), 'to be true');
+    });
+
+    it('should return false for other nodes', function() {
+      expect(filter.isInside(new NodeId('AGENTS.Test')), 'to be false');
+      expect(filter.isInside(new NodeId('ns=2;s=AGENT.Test')), 'to be false');
+    });
+  });
+
+  /** @test {NodeFilter#matches} */
+  describe('#matches', function() {
+    it('should return true for synced nodes', function() {
+      expect(filter.matches(new NodeId('AGENT.DISPLAYS.Main')), 'to be true');
+    });
+
+    it('should return false for ignored nodes', function() {
+      expect(filter.matches(new NodeId('AGENT.IGNORED.Test')), 'to be false');
+    });
+
+    it('should return false for nodes outside the synced nodes', function() {
+      expect(filter.matches(new NodeId('SYSTEM.Test')), 'to be false');
+    });
+  });
+});
@@ -111,6 +111,38 @@ describe('NodeId', function() {
     });
   });
 
+  /** @test {NodeId#parent} */
+  describe('#parent', function() {
+    it('should return the parent node id', function() {
+      expect(new NodeId('AGENT.DISPLAYS.Main').parent, 'to equal', new NodeId('AGENT.DISPLAYS'));
+    });
+
+    it('should return resources folder for resources', function() {
+      expect(new NodeId('SYSTEM.LIBRARY.RESOURCES/dir/test.e').parent,
+        'to equal', new NodeId('SYSTEM.LIBRARY.RESOURCES'));
+    });
+
+    it('should return null for root nodes', function() {
+      expect(new NodeId('AGENT').parent, 'to be null');
+    });
+
+    it('should return null for numeric node ids', function() {
+      expect(new NodeId(NodeId.NodeIdType.NUMERIC, 85, 0).parent, 'to be null');
+    });
+  });
+
+  /** @test {NodeId#browseName} */
+  describe('#browseName', function() {
+    it('should return the last part of the node id', function() {
+      expect(new NodeId('AGENT.DISPLAYS.Main').browseName, 'to equal', 'Main');
+    });
+
+    it('should return the resource path for resources', function() {
+      expect(new NodeId('SYSTEM.LIBRARY.RESOURCES/dir/test.e').browseName,
+        'to equal', 'dir/test.e');
+    });
+  });
+
   /** @test {NodeId#inspect} */
   describe('#inspect', function() {
     const opts = {
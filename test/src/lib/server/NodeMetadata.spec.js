@@ -0,0 +1,191 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeFileSync } from 'fs';
+import { NodeClass, ReferenceTypeIds } from 'node-opcua';
+import expect from '../../../expect';
+import NodeId from '../../../../src/lib/server/NodeId';
+import NodeMetadata from '../../../../src/lib/server/NodeMetadata';
+import { ensureDirectory } from '../../../../src/util/fs';
+
+/** @test {NodeMetadata} */
+describe('NodeMetadata', function() {
+  const standardNodeId = value => new NodeId(NodeId.NodeIdType.NUMERIC, value, 0);
+
+  /** @test {NodeMetadata.defaultReferenceTypeId} */
+  describe('.defaultReferenceTypeId', function() {
+    it('should return Organizes for objects', function() {
+      expect(NodeMetadata.defaultReferenceTypeId(NodeClass.Object),
+        'to equal', standardNodeId(ReferenceTypeIds.Organizes));
+    });
+
+    it('should return HasProperty for properties', function() {
+      expect(NodeMetadata.defaultReferenceTypeId(NodeClass.Variable, standardNodeId(68)),
+        'to equal', standardNodeId(ReferenceTypeIds.HasProperty));
+    });
+
+    it('should return HasComponent for other variables', function() {
+      expect(NodeMetadata.defaultReferenceTypeId(NodeClass.Variable, standardNodeId(63)),
+        'to equal', standardNodeId(ReferenceTypeIds.HasComponent));
+    });
+  });
+
+  /** @test {NodeMetadata.fromReadResult} */
+  describe('.fromReadResult', function() {
+    function readResult(options = {}) {
+      return Object.assign({
+        nodeId: new NodeId('AGENT.OBJECTS.Test'),
+        referenceDescription: {
+          nodeClass: NodeClass.Variable,
+          typeDefinition: standardNodeId(63),
+          referenceTypeId: standardNodeId(ReferenceTypeIds.HasComponent),
+        },
+        attributes: { displayName: 'Test', description: null, accessLevel: 3 },
+        references: [],
+      }, options);
+    }
+
+    it('should return empty metadata for default variables', function() {
+      expect(NodeMetadata.fromReadResult(readResult()), 'to equal', {});
+    });
+
+    it('should store non-default attributes', function() {
+      expect(NodeMetadata.fromReadResult(readResult({
+        attributes: { displayName: 'Display name', description: 'Description', accessLevel: 1 },
+      })), 'to equal', {
+        displayName: 'Display name',
+        description: 'Description',
+        accessLevel: 1,
+      });
+    });
+
+    it('should store non-default reference type', function() {
+      expect(NodeMetadata.fromReadResult(readResult({
+        referenceDescription: {
+          nodeClass: NodeClass.Variable,
+          typeDefinition: standardNodeId(63),
+          referenceTypeId: standardNodeId(ReferenceTypeIds.HasProperty),
+        },
+      })), 'to equal', { referenceTypeId: 'ns=0;i=46' });
+    });
+
+    it('should store references', function() {
+      expect(NodeMetadata.fromReadResult(readResult({
+        references: [{
+          referenceTypeId: standardNodeId(37),
+          nodeId: standardNodeId(78),
+          nodeClass: NodeClass.Object,
+        }],
+      })), 'to equal', {
+        references: [{ referenceTypeId: 'ns=0;i=37', nodeId: 'ns=0;i=78', nodeClass: 'Object' }],
+      });
+    });
+
+    it('should always store node class, type and reference type of objects', function() {
+      expect(NodeMetadata.fromReadResult(readResult({
+        referenceDescription: {
+          nodeClass: NodeClass.Object,
+          typeDefinition: standardNodeId(61),
+          referenceTypeId: standardNodeId(ReferenceTypeIds.Organizes),
+        },
+        attributes: { displayName: 'Test', description: null },
+      })), 'to equal', {
+        nodeClass: 'Object',
+        typeDefinition: 'ns=0;i=61',
+        referenceTypeId: 'ns=0;i=35',
+      });
+    });
+  });
+
+  /** @test {NodeMetadata.rcPath} */
+  describe('.rcPath', function() {
+    it('should return hidden file next to the node file', function() {
+      expect(NodeMetadata.rcPath(join('AGENT', 'DISPLAYS', 'Main.display.xml')),
+        'to equal', join('AGENT', 'DISPLAYS', '.Main.display.rc'));
+      expect(NodeMetadata.rcPath(join('AGENT', 'OBJECTS', 'Custom.var.string')),
+        'to equal', join('AGENT', 'OBJECTS', '.Custom.var.rc'));
+    });
+  });
+
+  /** @test {NodeMetadata.legacyRcPath} */
+  describe('.legacyRcPath', function() {
+    it('should return hidden file named after the variable', function() {
+      expect(NodeMetadata.legacyRcPath(join('AGENT', 'OBJECTS', 'Custom.var.string')),
+        'to equal', join('AGENT', 'OBJECTS', '.Custom.rc'));
+    });
+  });
+
+  /** @test {NodeMetadata.objectRcPath} */
+  describe('.objectRcPath', function() {
+    it('should return hidden file next to the object directory', function() {
+      expect(NodeMetadata.objectRcPath(new NodeId('AGENT.OBJECTS.Folder')),
+        'to equal', join('AGENT', 'OBJECTS', '.Folder.obj.rc'));
+    });
+  });
+
+  /** @test {NodeMetadata.read} */
+  describe('.read', function() {
+    const directory = join(tmpdir(), 'atscm-metadata');
+
+    before(function() {
+      return ensureDirectory(directory);
+    });
+
+    it('should return empty metadata if file does not exist', function() {
+      return expect(NodeMetadata.read(join(directory, '.Missing.rc')), 'to be fulfilled with', {});
+    });
+
+    it('should return stored metadata', function() {
+      writeFileSync(join(directory, '.Test.rc'), JSON.stringify({ description: 'Test' }));
+
+      return expect(NodeMetadata.read(join(directory, '.Test.rc')),
+        'to be fulfilled with', { description: 'Test' });
+    });
+
+    it('should fail with invalid JSON', function() {
+      writeFileSync(join(directory, '.Invalid.rc'), 'invalid');
+
+      return expect(NodeMetadata.read(join(directory, '.Invalid.rc')),
+        'to be rejected with', /Error parsing runtime configuration/);
+    });
+
+    it('should forward read errors', function() {
+      return expect(NodeMetadata.read('./test'), 'to be rejected with', /EISDIR/);
+    });
+  });
+
+  /** @test {NodeMetadata.readForFile} */
+  describe('.readForFile', function() {
+    const directory = join(tmpdir(), 'atscm-metadata', `${Date.now()}`);
+
+    before(function() {
+      return ensureDirectory(directory);
+    });
+
+    it('should read the runtime configuration file of the node', function() {
+      writeFileSync(join(directory, '.Current.var.rc'), JSON.stringify({ description: 'Current' }));
+      writeFileSync(join(directory, '.Current.rc'), JSON.stringify({ description: 'Legacy' }));
+
+      return expect(NodeMetadata.readForFile(join(directory, 'Current.var.string')),
+        'to be fulfilled with', { description: 'Current' });
+    });
+
+    it('should fall back to the legacy runtime configuration file of variables', function() {
+      writeFileSync(join(directory, '.Legacy.rc'), JSON.stringify({ description: 'Legacy' }));
+
+      return expect(NodeMetadata.readForFile(join(directory, 'Legacy.var.string')),
+        'to be fulfilled with', { description: 'Legacy' });
+    });
+
+    it('should return empty metadata without runtime configuration file', function() {
+      return expect(NodeMetadata.readForFile(join(directory, 'Missing.var.string')),
+        'to be fulfilled with', {});
+    });
+
+    it('should only read legacy runtime configuration files for variables', function() {
+      writeFileSync(join(directory, '.Main.rc'), JSON.stringify({ description: 'Legacy' }));
+
+      return expect(NodeMetadata.readForFile(join(directory, 'Main.display.xml')),
+        'to be fulfilled with', {});
+    });
+  });
+});
@@ -29,6 +29,14 @@ describe('NodeStream', function() {
       expect((new StubNodeStream(testNodes, { recursive: false })).recursive, 'to be', false);
     });
 
+    it('should not push objects by default', function() {
+      expect((new StubNodeStream(testNodes)).objects, 'to be', false);
+    });
+
+    it('should store "objects" option', function() {
+      expect((new StubNodeStream(testNodes, { objects: true })).objects, 'to be', true);
+    });
+
     it('should create ignoredRexExp', function() {
       expect((new StubNodeStream(testNodes, { ignoreNodes: testNodes })).ignoredRegExp,
         'to equal', /^(ns=1;s=AGENT.DISPLAYS)/);
@@ -135,6 +143,25 @@ describe('NodeStream', function() {
       return expect(stream, 'to yield objects satisfying', 'to have length', 0);
     });
 
+    it('should push discovered object nodes if objects option is set', function() {
+      const stream = new NodeStream(testNodes, { recursive: false, objects: true })
+        .prependOnceListener('session-open', () => {
+          stream.session.browse = (options, callback) => {
+            callback(null, [{
+              statusCode: StatusCodes.Good,
+              references: [
+                {
+                  nodeClass: NodeClass.Object,
+                  nodeId: new NodeId('ns=1;s=AGENT.DISPLAYS.Folder'),
+                },
+              ],
+            }]);
+          };
+        });
+
+      return expect(stream, 'to yield objects satisfying', 'to have length', 1);
+    });
+
     it('should push discovered variable nodes', function() {
       const stream = new NodeStream(testNodes, { recursive: false })
         .prependOnceListener('session-open', () => {
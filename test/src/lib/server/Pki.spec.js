@@ -0,0 +1,144 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spy } from 'sinon';
+import proxyquire from 'proxyquire';
+import expect from '../../../expect';
+import Pki, { DefaultPkiDirectory } from '../../../../src/lib/server/Pki';
+
+const execFile = spy((command, args, callback) => callback(null));
+const StubPki = proxyquire('../../../../src/lib/server/Pki', {
+  child_process: { execFile },
+}).default;
+
+/** @test {Pki} */
+describe('Pki', function() {
+  const certificate = Buffer.from('certificate');
+  const thumbprint = '735ad571c189d7ba84464bf4a9f1d2280175b128';
+  let base;
+
+  beforeEach(function() {
+    base = join(tmpdir(), `atscm-pki-${Date.now()}-${Math.round(Math.random() * 1000)}`);
+  });
+
+  /** @test {Pki#constructor} */
+  describe('#constructor', function() {
+    it('should use the default directory', function() {
+      expect((new Pki()).directory, 'to equal', join(process.cwd(), DefaultPkiDirectory));
+    });
+  });
+
+  /** @test {Pki.thumbprint} */
+  describe('.thumbprint', function() {
+    it('should return the SHA-1 hash of a certificate', function() {
+      expect(Pki.thumbprint(certificate), 'to equal', thumbprint);
+    });
+  });
+
+  /** @test {Pki.toPem} */
+  describe('.toPem', function() {
+    it('should wrap the base64 encoded certificate', function() {
+      expect(Pki.toPem(Buffer.alloc(60)), 'to equal', `-----BEGIN CERTIFICATE-----
+${'A'.repeat(64)}
+${'A'.repeat(16)}
+-----END CERTIFICATE-----
+`);
+    });
+  });
+
+  /** @test {Pki.opensslConfig} */
+  describe('.opensslConfig', function() {
+    it('should store the application URI as subject alternative name', function() {
+      expect(Pki.opensslConfig({ commonName: 'test', applicationUri: 'urn:test' }),
+        'to contain', 'CN = test', 'subjectAltName = URI:urn:test');
+    });
+  });
+
+  /** @test {Pki#createClientCertificate} */
+  describe('#createClientCertificate', function() {
+    beforeEach(() => execFile.resetHistory());
+
+    it('should call openssl', function() {
+      const pki = new StubPki(base);
+
+      return expect(pki.createClientCertificate({ days: 10 }), 'to be fulfilled with', {
+        certificateFile: join(base, 'own/certs/client_cert.pem'),
+        privateKeyFile: join(base, 'own/private/private_key.pem'),
+      })
+        .then(() => {
+          expect(execFile.calledOnce, 'to be true');
+          expect(execFile.lastCall.args[0], 'to equal', 'openssl');
+          expect(execFile.lastCall.args[1], 'to contain', '-x509', '10',
+            join(base, 'own/certs/client_cert.pem'));
+          expect(existsSync(join(base, 'own/openssl.cnf')), 'to be false');
+        });
+    });
+
+    it('should not replace existing certificates', function() {
+      const pki = new Pki('./test');
+      Object.defineProperty(pki, 'certificateFile', { value: './package.json' });
+
+      return expect(pki.createClientCertificate(), 'to be rejected with',
+        /^A client certificate already exists/);
+    });
+  });
+
+  /** @test {Pki#addCertificate} */
+  describe('#addCertificate', function() {
+    it('should add unknown certificates to the rejected store', function() {
+      const pki = new Pki(base);
+
+      return expect(pki.addCertificate(certificate), 'to be fulfilled with', 'rejected')
+        .then(() => expect(readFileSync(join(base, 'rejected', `${thumbprint}.pem`), 'utf8'),
+          'to equal', Pki.toPem(certificate)));
+    });
+
+    it('should keep known certificates in their store', function() {
+      const pki = new Pki(base);
+
+      return pki.addCertificate(certificate, 'trusted')
+        .then(() => expect(pki.addCertificate(certificate), 'to be fulfilled with', 'trusted'));
+    });
+  });
+
+  /** @test {Pki#certificateStatus} */
+  describe('#certificateStatus', function() {
+    it('should return null for unknown certificates', function() {
+      return expect((new Pki(base)).certificateStatus(certificate), 'to be fulfilled with', null);
+    });
+  });
+
+  /** @test {Pki#moveCertificate} */
+  describe('#moveCertificate', function() {
+    it('should move certificates selected by the start of their thumbprint', function() {
+      const pki = new Pki(base);
+
+      return pki.addCertificate(certificate)
+        .then(() => expect(pki.moveCertificate('735AD5', 'trusted'), 'to be fulfilled with',
+          thumbprint))
+        .then(() => expect(pki.certificateStatus(certificate), 'to be fulfilled with', 'trusted'))
+        .then(() => expect(pki.certificates('rejected'), 'to be fulfilled with', []));
+    });
+
+    it('should fail for unknown certificates', function() {
+      return expect((new Pki(base)).moveCertificate('abc', 'trusted'), 'to be rejected with',
+        'No certificate matches \'abc\'');
+    });
+
+    it('should fail if multiple certificates match', function() {
+      const pki = new Pki(base);
+
+      return Promise.all([
+        pki.addCertificate(Buffer.from('a')),
+        pki.addCertificate(Buffer.from('b')),
+      ])
+        .then(() => expect(pki.moveCertificate('', 'trusted'), 'to be rejected with',
+          /^Multiple certificates match/));
+    });
+
+    it('should fail for invalid stores', function() {
+      return expect((new Pki(base)).moveCertificate('abc', 'own'), 'to be rejected with',
+        'Invalid certificate store \'own\'');
+    });
+  });
+});
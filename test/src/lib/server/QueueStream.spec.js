@@ -1,5 +1,7 @@
 import { StatusCodes } from 'node-opcua';
 import { spy, stub } from 'sinon';
+import proxyquire from 'proxyquire';
+import { ctor as throughStreamClass } from 'through2';
 import expect from '../../../expect';
 import QueueStream from '../../../../src/lib/server/QueueStream';
 
@@ -110,6 +112,19 @@ describe('QueueStream', function() {
     });
   });
 
+  /** @test {QueueStream#processError} */
+  describe('#processError', function() {
+    it('should emit the error', function() {
+      const stream = fakeQueueStream();
+      const listener = spy();
+      stream.on('error', listener);
+
+      stream.processError('item', new Error('Test'));
+      expect(listener, 'was called once');
+      expect(listener.lastCall, 'to satisfy', [/Test/]);
+    });
+  });
+
   /** @test {QueueStream#_processChunk} */
   describe('#_processChunk', function() {
     it('should increase #_processing', function() {
@@ -254,4 +269,88 @@ describe('QueueStream', function() {
       });
     });
   });
+
+  context('when the connection is lost', function() {
+    const OfflineQueueStream = proxyquire('../../../../src/lib/server/QueueStream', {
+      './Stream': {
+        __esModule: true,
+        default: class OfflineStream extends throughStreamClass({ objectMode: true }) {
+
+          reconnect() {
+            return Promise.reject(new Error('Not implemented'));
+          }
+
+        },
+      },
+    }).default;
+
+    function reconnectingStream(errors, options) {
+      let attempt = 0;
+      const stream = new (class ReconnectingQueueStream extends OfflineQueueStream {
+
+        processErrorMessage(chunk) { return `Error processing ${chunk}`; }
+
+        processChunk(chunk, handle) {
+          handle(errors[attempt++] || null, StatusCodes.Good, done => done());
+        }
+
+      })(options);
+
+      stream.session = 'session';
+      stub(stream, 'reconnect').callsFake(() => {
+        stream.session = 'new session';
+        return Promise.resolve(stream.session);
+      });
+
+      return stream;
+    }
+
+    it('should reconnect and process the chunk again', function() {
+      const stream = reconnectingStream([new Error('Connection Break')]);
+      const listener = spy();
+      stream.on('processed-chunk', listener);
+
+      stream._processChunk('item');
+      expect(stream._queued, 'to equal', ['item']);
+
+      return new Promise(resolve => setImmediate(resolve))
+        .then(() => {
+          expect(stream.reconnect, 'was called once');
+          expect(listener, 'to have a call satisfying', ['item']);
+          expect(stream._processing, 'to equal', 0);
+          expect(stream._reconnects, 'to equal', 0);
+        });
+    });
+
+    it('should not reconnect again for chunks processed with the lost session', function() {
+      const stream = reconnectingStream([]);
+      stream.session = 'new session';
+      stream._processing = 1;
+
+      expect(stream._retryAfterConnectionLoss('item', new Error('Connection Break'), 'session'),
+        'to be true');
+      expect(stream.reconnect, 'was not called');
+    });
+
+    it('should emit errors if reconnecting is disabled', function() {
+      const stream = reconnectingStream([new Error('Connection Break')], { reconnect: false });
+      const listener = spy();
+      stream.on('error', listener);
+
+      stream._processChunk('item');
+      expect(listener, 'was called once');
+      expect(stream.reconnect, 'was not called');
+    });
+
+    it('should emit errors once the number of reconnects is exceeded', function() {
+      const stream = reconnectingStream([new Error('Connection Break')]);
+      const listener = spy();
+      stream.on('error', listener);
+      stream._reconnects = 100;
+
+      stream._processChunk('item');
+      expect(listener, 'was called once');
+      expect(stream.reconnect, 'was not called');
+    });
+  });
 });
@@ -1,4 +1,4 @@
-import { StatusCodes } from 'node-opcua';
+import { StatusCodes, AttributeIds, ReferenceTypeIds } from 'node-opcua';
 import expect from '../../../expect';
 import NodeId from '../../../../src/lib/server/NodeId';
 import ReadStream from '../../../../src/lib/server/ReadStream';
@@ -19,7 +19,7 @@ describe('ReadStream', function() {
       const stream = new ReadStream();
 
       stream.once('session-open', () => {
-        stream.session.read = (node, cb) => cb(null, [node], undefined);
+        stream.session.read = (node, cb) => cb(null, undefined);
       });
 
       return expect([{ nodeId: new NodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
@@ -31,7 +31,7 @@ describe('ReadStream', function() {
       const stream = new ReadStream();
 
       stream.once('session-open', () => {
-        stream.session.read = (node, cb) => cb(null, [node], []);
+        stream.session.read = (node, cb) => cb(null, []);
       });
 
       return expect([{ nodeId: new NodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
@@ -43,7 +43,7 @@ describe('ReadStream', function() {
       const stream = new ReadStream();
 
       stream.once('session-open', () => {
-        stream.session.read = (node, cb) => cb(new Error('Test'), [node], []);
+        stream.session.read = (node, cb) => cb(new Error('Test'));
       });
 
       return expect([{ nodeId: new NodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
@@ -51,29 +51,119 @@ describe('ReadStream', function() {
         'to error with', /Test/);
     });
 
-    it('should push result when reading succeeds', function() {
+    it('should only read the value by default', function() {
       const stream = new ReadStream();
       const result = {
         value: 'test',
         sourceTimestamp: new Date(),
         statusCode: StatusCodes.Good,
       };
+      let nodesRead;
+      let browsed = false;
 
       stream.once('session-open', () => {
-        stream.session.read = (node, cb) => cb(null, [node], [result]);
+        stream.session.read = (nodes, cb) => {
+          nodesRead = nodes;
+          cb(null, [result]);
+        };
+        stream.session.browse = (options, cb) => {
+          browsed = true;
+          cb(null, [{ references: [] }]);
+        };
       });
 
       const nodeId = new NodeId('ns=1;s=AGENT.DISPLAYS.Main');
       return expect([{ nodeId }],
         'when piped through', stream,
         'to yield objects satisfying', [
-          expect.it('to equal', {
+          {
+            nodeId,
+            value: result.value,
+            attributes: undefined,
+            references: undefined,
+          },
+        ])
+        .then(() => {
+          expect(nodesRead, 'to equal', [{ nodeId, attributeId: AttributeIds.Value }]);
+          expect(browsed, 'to be false');
+        });
+    });
+
+    it('should push result when reading succeeds', function() {
+      const stream = new ReadStream({ metadata: true });
+      const result = {
+        value: 'test',
+        sourceTimestamp: new Date(),
+        statusCode: StatusCodes.Good,
+      };
+
+      stream.once('session-open', () => {
+        stream.session.read = (node, cb) => cb(null, [result]);
+        stream.session.browse = (options, cb) => cb(null, [{ references: [] }]);
+      });
+
+      const nodeId = new NodeId('ns=1;s=AGENT.DISPLAYS.Main');
+      return expect([{ nodeId }],
+        'when piped through', stream,
+        'to yield objects satisfying', [
+          {
             nodeId,
             value: result.value,
             referenceDescription: { nodeId },
             mtime: result.sourceTimestamp,
-          }),
+            references: [],
+          },
         ]);
     });
   });
+
+  /** @test {ReadStream.attributesForResults} */
+  describe('.attributesForResults', function() {
+    it('should return display name, description and access level', function() {
+      expect(ReadStream.attributesForResults([
+        AttributeIds.Value,
+        AttributeIds.DisplayName,
+        AttributeIds.Description,
+        AttributeIds.AccessLevel,
+      ], [
+        { value: { value: 'test' } },
+        { value: { value: { text: 'Display name' } } },
+        { value: { value: { text: null } } },
+        { value: { value: 1 } },
+      ]), 'to equal', {
+        displayName: 'Display name',
+        description: null,
+        accessLevel: 1,
+      });
+    });
+  });
+
+  /** @test {ReadStream.isStoredReference} */
+  describe('.isStoredReference', function() {
+    const nodeId = new NodeId('AGENT.OBJECTS.Test');
+
+    function reference(id, referenceType = ReferenceTypeIds.HasComponent) {
+      return {
+        nodeId: new NodeId(id),
+        referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, referenceType, 0),
+      };
+    }
+
+    it('should return false for type definitions', function() {
+      expect(ReadStream.isStoredReference(nodeId,
+        reference('ns=0;i=58', ReferenceTypeIds.HasTypeDefinition)), 'to be', false);
+    });
+
+    it('should return false for child nodes', function() {
+      expect(ReadStream.isStoredReference(nodeId, reference('AGENT.OBJECTS.Test.Child')),
+        'to be', false);
+    });
+
+    it('should return true for other references', function() {
+      expect(ReadStream.isStoredReference(nodeId, reference('AGENT.OBJECTS.Other')),
+        'to be', true);
+      expect(ReadStream.isStoredReference(nodeId, reference('AGENT.OBJECTS.TestOther')),
+        'to be', true);
+    });
+  });
 });
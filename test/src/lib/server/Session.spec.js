@@ -45,6 +45,38 @@ const FailingSession = proxyquire('../../../../src/lib/server/Session', {
   },
 }).default;
 
+function stubClientSession(login, client) {
+  return proxyquire('../../../../src/lib/server/Session', {
+    '../../config/ProjectConfig': {
+      default: { login },
+    },
+    './Client': {
+      __esModule: true,
+      default: class StubClient {
+
+        static create() {
+          return Promise.resolve(client);
+        }
+
+      },
+    },
+  }).default;
+}
+
+function pooledSession(maxSessions) {
+  let number = 0;
+  const PooledSession = proxyquire('../../../../src/lib/server/Session', {
+    '../../config/ProjectConfig': {
+      default: { connection: { maxSessions } },
+    },
+  }).default;
+
+  PooledSession.create = spy(() => Promise.resolve({ name: `session ${++number}` }));
+  PooledSession.close = spy(session => Promise.resolve(session));
+
+  return PooledSession;
+}
+
 /** @test {Session} */
 describe('Session', function() {
   /** @test {Session.create} */
@@ -93,10 +125,50 @@ describe('Session', function() {
       return expect(FailingClientSession.create(), 'to be rejected with', 'Client.create error');
     });
 
+    it('should not wait for sessions that failed to connect when closing', function() {
+      return expect(FailingClientSession.create(), 'to be rejected')
+        .then(() => expect(FailingClientSession.closeOpen(), 'to be fulfilled with', []));
+    });
+
     it('should forward non-login errors', function() {
       return expect(FailingSession.create(), 'to be rejected with', /Client\.createSession error/);
     });
 
+    it('should disconnect the client if the login is invalid', function() {
+      const client = { disconnect: spy(cb => cb()), createSession: spy() };
+
+      return expect(stubClientSession({ username: 'user' }, client).create(), 'to be rejected with',
+        'Unable to create session: Invalid login')
+        .then(() => {
+          expect(client.disconnect, 'was called once');
+          expect(client.createSession, 'was not called');
+        });
+    });
+
+    it('should disconnect the client if the certificate cannot be read', function() {
+      const client = { disconnect: spy(cb => cb()), createSession: spy() };
+      const CertificateSession = stubClientSession({ certificateFile: 'user.pem' }, client);
+
+      return expect(CertificateSession.create(), 'to be rejected with',
+        'Unable to create session: A private key is required to log in with a certificate')
+        .then(() => {
+          expect(client.disconnect, 'was called once');
+          expect(client.createSession, 'was not called');
+          return expect(CertificateSession.closeOpen(), 'to be fulfilled with', []);
+        });
+    });
+
+    it('should disconnect the client if the session cannot be created', function() {
+      const client = {
+        disconnect: spy(cb => cb()),
+        createSession: spy((info, cb) => cb(new Error('Client.createSession error'))),
+      };
+
+      return expect(stubClientSession({}, client).create(), 'to be rejected with',
+        'Unable to create session: Client.createSession error')
+        .then(() => expect(client.disconnect, 'was called once'));
+    });
+
     it('should emit "all-open" once all opening sessions are open', function() {
       const listener = spy();
       Session.emitter.on('all-open', listener);
@@ -204,6 +276,116 @@ describe('Session', function() {
     });
   });
 
+  /** @test {Session.acquire} */
+  describe('.acquire', function() {
+    it('should share a single session by default', function() {
+      const PooledSession = pooledSession();
+
+      return Promise.all([PooledSession.acquire(), PooledSession.acquire()])
+        .then(([first, second]) => {
+          expect(first, 'to be', second);
+          expect(PooledSession.create, 'was called once');
+        });
+    });
+
+    it('should open up to the maximum number of sessions', function() {
+      const PooledSession = pooledSession(2);
+
+      return Promise.all([
+        PooledSession.acquire(),
+        PooledSession.acquire(),
+        PooledSession.acquire(),
+      ])
+        .then(sessions => {
+          expect(PooledSession.create, 'was called twice');
+          expect(sessions.map(s => s.name), 'to equal', ['session 1', 'session 2', 'session 1']);
+        });
+    });
+
+    it('should not pool sessions that failed to open', function() {
+      const PooledSession = pooledSession();
+      PooledSession.create = spy(() => Promise.reject(new Error('Failed')));
+
+      return expect(PooledSession.acquire(), 'to be rejected with', 'Failed')
+        .then(() => expect(PooledSession.acquire(), 'to be rejected with', 'Failed'))
+        .then(() => expect(PooledSession.create, 'was called twice'));
+    });
+  });
+
+  /** @test {Session.release} */
+  describe('.release', function() {
+    it('should close the session once the last stream gives it back', function() {
+      const PooledSession = pooledSession();
+      let session;
+
+      return Promise.all([PooledSession.acquire(), PooledSession.acquire()])
+        .then(([first]) => (session = first))
+        .then(() => PooledSession.release(session))
+        .then(() => expect(PooledSession.close, 'was not called'))
+        .then(() => PooledSession.release(session))
+        .then(() => expect(PooledSession.close, 'to have a call satisfying', [session]))
+        .then(() => PooledSession.acquire())
+        .then(() => expect(PooledSession.create, 'was called twice'));
+    });
+
+    it('should close sessions not borrowed from the pool', function() {
+      const PooledSession = pooledSession();
+      const session = {};
+
+      return expect(PooledSession.release(session), 'to be fulfilled with', session)
+        .then(() => expect(PooledSession.close, 'to have a call satisfying', [session]));
+    });
+  });
+
+  /** @test {Session.discard} */
+  describe('.discard', function() {
+    it('should not borrow discarded sessions any more', function() {
+      const PooledSession = pooledSession();
+
+      return Promise.all([PooledSession.acquire(), PooledSession.acquire()])
+        .then(([session]) => PooledSession.discard(session))
+        .then(() => expect(PooledSession.acquire(), 'to be fulfilled with', { name: 'session 2' }));
+    });
+
+    it('should close the session once the last stream discards it', function() {
+      const PooledSession = pooledSession();
+      let session;
+
+      return Promise.all([PooledSession.acquire(), PooledSession.acquire()])
+        .then(([first]) => (session = first))
+        .then(() => PooledSession.discard(session))
+        .then(() => expect(PooledSession.close, 'was not called'))
+        .then(() => PooledSession.discard(session))
+        .then(() => expect(PooledSession.close, 'to have a call satisfying', [session]));
+    });
+
+    it('should close the session once the other streams give it back', function() {
+      const PooledSession = pooledSession();
+      let session;
+
+      return Promise.all([PooledSession.acquire(), PooledSession.acquire()])
+        .then(([first]) => (session = first))
+        .then(() => PooledSession.discard(session))
+        .then(() => PooledSession.acquire())
+        .then(() => PooledSession.release(session))
+        .then(() => expect(PooledSession.close, 'to have a call satisfying', [session]));
+    });
+  });
+
+  /** @test {Session.isConnectionError} */
+  describe('.isConnectionError', function() {
+    it('should return true for errors caused by a lost connection', function() {
+      expect(Session.isConnectionError(new Error('Connection Break')), 'to be true');
+      expect(Session.isConnectionError(new Error('BadSessionIdInvalid (0x80250000)')),
+        'to be true');
+    });
+
+    it('should return false for other errors', function() {
+      expect(Session.isConnectionError(new Error('BadNodeIdUnknown')), 'to be false');
+      expect(Session.isConnectionError(null), 'to be false');
+    });
+  });
+
   /** @test {Session.closeOpen} */
   describe('.closeOpen', function() {
     it('should return if no sessions are open', function() {
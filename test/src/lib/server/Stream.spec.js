@@ -1,6 +1,6 @@
+import { Stream as CoreStream } from 'stream';
 import proxyquire from 'proxyquire';
 import { spy } from 'sinon';
-import { Stream as CoreStream } from 'stream';
 import { ClientSession } from 'node-opcua';
 import expect from '../../../expect';
 import Stream from '../../../../src/lib/server/Stream';
@@ -31,7 +31,7 @@ describe('Stream', function() {
         './Session': {
           _esModule: true,
           default: class FailingSession {
-            static create() {
+            static acquire() {
               return Promise.reject(new Error('Failed'));
             }
           },
@@ -45,6 +45,32 @@ describe('Stream', function() {
         });
     });
 
+    it('should confirm the target before opening a session if required', function(done) {
+      const create = spy(() => Promise.resolve());
+      const ConfirmingStream = proxyquire('../../../../src/lib/server/Stream', {
+        '../../util/target': {
+          confirmTarget: () => Promise.reject(new Error('Not confirmed')),
+        },
+        './Session': {
+          _esModule: true,
+          default: class StubSession {
+
+            static acquire() {
+              return create();
+            }
+
+          },
+        },
+      }).default;
+
+      (new ConfirmingStream({ confirmTarget: true }))
+        .on('error', err => {
+          expect(err, 'to have message', 'Not confirmed');
+          expect(create, 'was not called');
+          done();
+        });
+    });
+
     it('should close session on end', function() {
       const stream = new Stream();
 
@@ -80,7 +106,7 @@ describe('Stream', function() {
           _esModule: true,
           default: class FailingStream extends Session {
 
-            static close() {
+            static release() {
               return Promise.reject(new Error('Failed'));
             }
 
@@ -97,4 +123,184 @@ describe('Stream', function() {
         .once('session-open', () => stream.end());
     });
   });
+
+  /** @test {Stream#reconnect} */
+  describe('#reconnect', function() {
+    function reconnectingStream(create) {
+      const discard = spy(() => Promise.reject(new Error('Not closable')));
+      const release = spy(() => Promise.resolve());
+      const ReconnectingStream = proxyquire('../../../../src/lib/server/Stream', {
+        './Session': {
+          _esModule: true,
+          default: class StubSession {
+
+            static acquire() { return create(); }
+
+            static discard(session) { return discard(session); }
+
+            static release(session) { return release(session); }
+
+          },
+        },
+      }).default;
+
+      return { stream: new ReconnectingStream(), discard, release };
+    }
+
+    it('should replace the session', function() {
+      let number = 0;
+      const { stream, discard } = reconnectingStream(() => Promise.resolve(`session ${++number}`));
+      const listener = spy();
+
+      return new Promise(resolve => stream.once('session-open', resolve))
+        .then(() => {
+          stream.on('session-open', listener);
+          const reconnect = stream.reconnect();
+
+          expect(stream.session, 'to be null');
+          expect(stream.reconnect(), 'to be', reconnect);
+
+          return expect(reconnect, 'to be fulfilled with', 'session 2');
+        })
+        .then(() => {
+          expect(discard, 'to have a call satisfying', ['session 1']);
+          expect(stream.session, 'to equal', 'session 2');
+          expect(listener, 'to have a call satisfying', ['session 2']);
+        });
+    });
+
+    it('should forward errors opening the new session', function() {
+      let number = 0;
+      const { stream } = reconnectingStream(() => (number++ === 0 ?
+        Promise.resolve('session') :
+        Promise.reject(new Error('Failed'))));
+
+      return new Promise(resolve => stream.once('session-open', resolve))
+        .then(() => expect(stream.reconnect(), 'to be rejected with', 'Failed'))
+        .then(() => expect(stream._reconnecting, 'to be null'));
+    });
+
+    it('should give back the new session if ended while reconnecting', function() {
+      let number = 0;
+      const { stream, release } = reconnectingStream(() => Promise.resolve(`session ${++number}`));
+
+      return new Promise(resolve => stream.once('session-open', resolve))
+        .then(() => {
+          const reconnect = stream.reconnect();
+          expect(stream.session, 'to be null');
+
+          const ended = expect(stream.on('data', () => {}), 'to yield objects satisfying',
+            'to have length', 0);
+
+          stream.end();
+
+          return ended.then(() => reconnect);
+        })
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          expect(release, 'was called once');
+          expect(release, 'to have a call satisfying', ['session 2']);
+        });
+    });
+  });
+
+  /** @test {Stream#_flush} */
+  describe('#_flush', function() {
+    it('should give back sessions that were not open yet', function() {
+      let open;
+      const opening = new Promise(resolve => (open = resolve));
+      const release = spy(() => Promise.resolve());
+      const OpeningStream = proxyquire('../../../../src/lib/server/Stream', {
+        './Session': {
+          _esModule: true,
+          default: class StubSession {
+
+            static acquire() {
+              return opening;
+            }
+
+            static release(session) { return release(session); }
+
+          },
+        },
+      }).default;
+
+      const stream = new OpeningStream();
+      const ended = expect(stream.on('data', () => {}), 'to yield objects satisfying',
+        'to have length', 0);
+
+      stream.end();
+
+      return ended
+        .then(() => {
+          expect(release, 'was not called');
+          open('session');
+
+          return opening;
+        })
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => expect(release, 'to have a call satisfying', ['session']));
+    });
+
+    it('should not give back sessions that failed to open', function() {
+      const release = spy(() => Promise.resolve());
+      const FailingStream = proxyquire('../../../../src/lib/server/Stream', {
+        './Session': {
+          _esModule: true,
+          default: class FailingSession {
+
+            static acquire() {
+              return Promise.reject(new Error('Failed'));
+            }
+
+            static release(session) { return release(session); }
+
+          },
+        },
+      }).default;
+
+      const stream = new FailingStream();
+
+      return new Promise(resolve => stream.once('error', resolve))
+        .then(() => {
+          stream.end();
+
+          return new Promise(resolve => setImmediate(resolve));
+        })
+        .then(() => expect(release, 'was not called'));
+    });
+
+    it('should keep sessions alive if requested', function() {
+      const release = spy(() => Promise.resolve());
+      const KeepingStream = proxyquire('../../../../src/lib/server/Stream', {
+        './Session': {
+          _esModule: true,
+          default: class StubSession {
+
+            static acquire() {
+              return Promise.resolve('session');
+            }
+
+            static release(session) { return release(session); }
+
+          },
+        },
+      }).default;
+
+      const stream = new KeepingStream({ keepSessionAlive: true });
+      const ended = expect(stream.on('data', () => {}), 'to yield objects satisfying',
+        'to have length', 0);
+
+      stream.end();
+
+      return ended
+        .then(() => expect(release, 'was not called'));
+    });
+
+    it('should call back for streams that never borrowed a session', function() {
+      const stream = Object.create(Stream.prototype);
+
+      return expect(cb => stream._flush(cb), 'to call the callback without error');
+    });
+  });
 });
@@ -1,9 +1,10 @@
-import { spy } from 'sinon';
+import { spy, stub } from 'sinon';
 import { StatusCodes, resolveNodeId } from 'node-opcua';
 import Logger from 'gulplog';
 import expect from '../../../expect';
 import WriteStream from '../../../../src/lib/server/WriteStream';
 import AtviseFile from '../../../../src/lib/server/AtviseFile';
+import NodeId from '../../../../src/lib/server/NodeId';
 
 /** @test {WriteStream} */
 describe('WriteStream', function() {
@@ -26,9 +27,10 @@ describe('WriteStream', function() {
         stream.session.writeSingleNode = (nodeId, value, callback) => callback(new Error('Test'));
       });
 
-      return expect([{ nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
-        'when piped through', stream,
-        'to error with', /Test/);
+      return expect([{
+        nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main'),
+        path: 'src/AGENT/DISPLAYS/Main.display',
+      }], 'when piped through', stream, 'to error with', /Test/);
     });
 
     it('should forward synchronous errors', function() {
@@ -40,9 +42,10 @@ describe('WriteStream', function() {
         };
       });
 
-      return expect([{ nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
-        'when piped through', stream,
-        'to error with', /Sync test/);
+      return expect([{
+        nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main'),
+        path: 'src/AGENT/DISPLAYS/Main.display',
+      }], 'when piped through', stream, 'to error with', /Sync test/);
     });
 
     it('should warn if access is denied', function() {
@@ -56,13 +59,45 @@ describe('WriteStream', function() {
       const warnSpy = spy();
       Logger.on('warn', warnSpy);
 
-      return expect([{ nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main') }],
-        'when piped through', stream,
-        'to yield objects satisfying', 'to have length', 0)
+      return expect([{
+        nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main'),
+        path: 'src/AGENT/DISPLAYS/Main.display',
+      }], 'when piped through', stream, 'to yield objects satisfying', 'to have length', 0)
         .then(() => expect(warnSpy, 'was called once'))
         .then(() => expect(warnSpy.lastCall, 'to satisfy', [/opened in atvise builder/]));
     });
 
+    it('should create missing nodes', function() {
+      const stream = new WriteStream();
+      const file = new AtviseFile({
+        path: 'src/AGENT/DISPLAYS/Main.display',
+        base: 'src',
+        contents: Buffer.from('<svg></svg>'),
+      });
+
+      stream.prependOnceListener('session-open', () => {
+        stream.session.writeSingleNode = (nodeId, value, callback) =>
+          callback(null, StatusCodes.BadNodeIdUnknown);
+        stream.createNode = stub().callsArgWith(2, null, StatusCodes.Good);
+      });
+
+      return expect([file],
+        'when piped through', stream,
+        'to yield objects satisfying', [expect.it('to be', file)])
+        .then(() => expect(stream.createNode.lastCall.args[0], 'to be', file));
+    });
+
+    it('should skip files once a transactional push failed', function() {
+      const handleErrors = spy();
+
+      WriteStream.prototype.processChunk.call({ _error: new Error('Test') }, {
+        nodeId: new NodeId('AGENT.OBJECTS.Test'),
+      }, handleErrors);
+
+      expect(handleErrors.lastCall.args, 'to satisfy',
+        [null, StatusCodes.Good, expect.it('to be a function')]);
+    });
+
     it('should forward file with good status', function() {
       const stream = new WriteStream();
 
@@ -71,7 +106,10 @@ describe('WriteStream', function() {
           callback(null, StatusCodes.Good);
       });
 
-      const file = { nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main') };
+      const file = {
+        nodeId: resolveNodeId('ns=1;s=AGENT.DISPLAYS.Main'),
+        path: 'src/AGENT/DISPLAYS/Main.display',
+      };
       return expect([file],
         'when piped through', stream,
         'to yield objects satisfying', [
@@ -79,4 +117,284 @@ describe('WriteStream', function() {
         ]);
     });
   });
+
+  /** @test {WriteStream#processError} */
+  describe('#processError', function() {
+    function fakeStream(transactional) {
+      return Object.assign(Object.create(WriteStream.prototype), {
+        transactional,
+        _error: null,
+        _processing: 1,
+        emit: spy(),
+      });
+    }
+
+    it('should emit errors if not transactional', function() {
+      const stream = fakeStream(false);
+      stream.processError({}, new Error('Test'));
+
+      expect(stream.emit.lastCall.args, 'to satisfy', ['error', /Test/]);
+    });
+
+    it('should store the first error and continue if transactional', function() {
+      const stream = fakeStream(true);
+      const file = {};
+      const errorSpy = spy();
+      Logger.on('error', errorSpy);
+
+      stream.processError(file, new Error('First'));
+      stream._processing++;
+      stream.processError(file, new Error('Second'));
+      Logger.removeListener('error', errorSpy);
+
+      expect(errorSpy, 'to have a call satisfying', ['Second']);
+      expect(stream._error, 'to satisfy', /First/);
+      expect(stream._processing, 'to equal', 0);
+      expect(stream.emit.args, 'to equal', [['processed-chunk', file], ['processed-chunk', file]]);
+    });
+  });
+
+  /** @test {WriteStream#snapshotNode} */
+  describe('#snapshotNode', function() {
+    function snapshot(err, results) {
+      return WriteStream.prototype.snapshotNode.call({
+        session: { read: stub().callsArgWith(1, err, results) },
+      }, new NodeId('AGENT.OBJECTS.Test'));
+    }
+
+    it('should forward errors', function() {
+      return expect(snapshot(new Error('Test')), 'to be rejected with', /Test/);
+    });
+
+    it('should return null for missing nodes', function() {
+      return expect(snapshot(null, [{ statusCode: StatusCodes.BadNodeIdUnknown }]),
+        'to be fulfilled with', { value: null });
+    });
+
+    it('should fail with bad status codes', function() {
+      return expect(snapshot(null, [{ statusCode: StatusCodes.BadUserAccessDenied }]),
+        'to be rejected with', /Unable to read current value/);
+    });
+
+    it('should return the current value', function() {
+      return expect(snapshot(null, [{ statusCode: StatusCodes.Good, value: 'value' }]),
+        'to be fulfilled with', { value: 'value' });
+    });
+  });
+
+  /** @test {WriteStream#rollback} */
+  describe('#rollback', function() {
+    const written = new NodeId('AGENT.OBJECTS.Written');
+    const created = new NodeId('AGENT.OBJECTS.Created');
+
+    function fakeStream(writeResults, deleteResults) {
+      return {
+        _snapshots: [{ nodeId: written, value: 'previous' }, { nodeId: created, value: null }],
+        session: {
+          write: stub().callsArgWith(1, null, writeResults),
+          performMessageTransaction: stub().callsArgWith(1, null, { results: deleteResults }),
+        },
+      };
+    }
+
+    it('should restore values and delete created nodes', function() {
+      const stream = fakeStream([StatusCodes.Good], [StatusCodes.Good]);
+
+      return expect(WriteStream.prototype.rollback.call(stream),
+        'to be fulfilled with', [written, created])
+        .then(() => {
+          expect(stream.session.write.lastCall.args[0], 'to satisfy', [
+            { nodeId: written, value: { value: 'previous' } },
+          ]);
+          expect(stream.session.performMessageTransaction.lastCall.args[0], 'to satisfy', {
+            nodesToDelete: [{ nodeId: created }],
+          });
+        });
+    });
+
+    it('should report nodes that could not be rolled back', function() {
+      const stream = fakeStream([StatusCodes.BadUserAccessDenied], [StatusCodes.Good]);
+      const errorSpy = spy();
+      Logger.on('error', errorSpy);
+
+      return expect(WriteStream.prototype.rollback.call(stream),
+        'to be fulfilled with', [created])
+        .then(() => {
+          Logger.removeListener('error', errorSpy);
+          expect(errorSpy, 'to have a call satisfying', [/Unable to roll back.*Written/]);
+        });
+    });
+  });
+
+  /** @test {WriteStream#_flush} */
+  describe('#_flush', function() {
+    function fakeStream(error) {
+      return Object.assign(Object.create(WriteStream.prototype), {
+        transactional: true,
+        _error: error,
+        _processing: 0,
+        _queued: [],
+        rollback: stub().returns(Promise.resolve([new NodeId('AGENT.OBJECTS.Test')])),
+      });
+    }
+
+    it('should not roll back successful pushes', function() {
+      const stream = fakeStream(null);
+
+      return expect(cb => stream._flush(cb), 'to call the callback without error')
+        .then(() => expect(stream.rollback, 'was not called'));
+    });
+
+    it('should roll back and forward errors', function() {
+      const stream = fakeStream(new Error('Test'));
+
+      return expect(cb => stream._flush(cb), 'to call the callback with error',
+        /Test \(rolled back 1 node\(s\)\)/)
+        .then(() => expect(stream.rollback, 'was called once'));
+    });
+  });
+
+  /** @test {WriteStream#addNode} */
+  describe('#addNode', function() {
+    const options = {
+      nodeClass: 1,
+      nodeAttributes: {},
+      typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 61, 0),
+      referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, 35, 0),
+      base: 'src',
+    };
+
+    it('should fail for nodes without parent', function() {
+      const callback = spy();
+
+      WriteStream.prototype.addNode(new NodeId('AGENT'), options, callback);
+
+      expect(callback, 'to have a call satisfying', [/has no parent node/]);
+    });
+
+    it('should forward transaction errors', function() {
+      const callback = spy();
+
+      WriteStream.prototype.addNode.call({
+        session: { performMessageTransaction: (request, cb) => cb(new Error('Test')) },
+      }, new NodeId('AGENT.Test'), options, callback);
+
+      expect(callback, 'to have a call satisfying', [/Test/]);
+    });
+
+    it('should create missing parent folders', function() {
+      const callback = spy();
+      const context = {
+        session: {
+          performMessageTransaction: stub()
+            .onFirstCall()
+            .callsArgWith(1, null, {
+              results: [{ statusCode: StatusCodes.BadParentNodeIdInvalid }],
+            })
+            .onSecondCall()
+            .callsArgWith(1, null, { results: [{ statusCode: StatusCodes.Good }] }),
+        },
+        createFolder: stub().callsArgWith(2, null, StatusCodes.Good),
+      };
+      context.addNode = WriteStream.prototype.addNode.bind(context);
+
+      context.addNode(new NodeId('AGENT.Folder.Test'), options, callback);
+
+      expect(context.createFolder.lastCall.args[0], 'to equal', new NodeId('AGENT.Folder'));
+      expect(context.session.performMessageTransaction, 'was called twice');
+      expect(callback, 'to have a call satisfying', [null, StatusCodes.Good]);
+    });
+  });
+
+  /** @test {WriteStream#applyMetadata} */
+  describe('#applyMetadata', function() {
+    const nodeId = new NodeId('AGENT.OBJECTS.Test');
+
+    it('should not call atvise server without metadata', function() {
+      const context = { session: { write: spy(), performMessageTransaction: spy() } };
+
+      return expect(cb => WriteStream.prototype.applyMetadata.call(context, nodeId, {}, cb),
+        'to call the callback')
+        .then(() => {
+          expect(context.session.write, 'was not called');
+          expect(context.session.performMessageTransaction, 'was not called');
+        });
+    });
+
+    it('should write attributes', function() {
+      const context = {
+        session: { write: stub().callsArgWith(1, null, [StatusCodes.Good, StatusCodes.Good]) },
+      };
+
+      return expect(cb => WriteStream.prototype.applyMetadata.call(context, nodeId, {
+        displayName: 'Display name',
+        accessLevel: 1,
+      }, cb), 'to call the callback')
+        .then(() => expect(context.session.write.lastCall.args[0], 'to satisfy', [
+          { attributeId: 4, value: { value: { value: { text: 'Display name' } } } },
+          { attributeId: 17, value: { value: { value: 1 } } },
+        ]));
+    });
+
+    it('should add references', function() {
+      const context = {
+        session: {
+          performMessageTransaction: stub().callsArgWith(1, null, {
+            results: [StatusCodes.BadDuplicateReferenceNotAllowed],
+          }),
+        },
+      };
+      const warnListener = spy();
+      Logger.on('warn', warnListener);
+
+      return expect(cb => WriteStream.prototype.applyMetadata.call(context, nodeId, {
+        references: [{ referenceTypeId: 'ns=0;i=37', nodeId: 'ns=0;i=78', nodeClass: 'Object' }],
+      }, cb), 'to call the callback')
+        .then(() => {
+          Logger.removeListener('warn', warnListener);
+
+          expect(context.session.performMessageTransaction.lastCall.args[0].referencesToAdd,
+            'to satisfy', [{ isForward: true, targetNodeId: { value: 78 } }]);
+          expect(warnListener, 'was not called');
+        });
+    });
+
+    it('should warn on errors', function() {
+      const context = {
+        session: { write: stub().callsArgWith(1, new Error('Test')) },
+      };
+      const warnListener = spy();
+      Logger.on('warn', warnListener);
+
+      return expect(cb => WriteStream.prototype.applyMetadata.call(context, nodeId, {
+        description: 'Test',
+      }, cb), 'to call the callback')
+        .then(() => {
+          Logger.removeListener('warn', warnListener);
+
+          expect(warnListener, 'to have a call satisfying', [/Unable to restore metadata/]);
+        });
+    });
+  });
+
+  /** @test {WriteStream#createFolder} */
+  describe('#createFolder', function() {
+    it('should ignore existing folders', function() {
+      return expect(cb => WriteStream.prototype.createFolder.call({
+        addNode: stub().callsArgWith(2, null, StatusCodes.BadNodeIdExists),
+      }, new NodeId('AGENT.Folder'), 'src', cb), 'to call the callback')
+        .then(args => expect(args, 'to satisfy', [null, StatusCodes.Good]));
+    });
+
+    it('should use folder type by default', function() {
+      const addNode = stub().callsArgWith(2, null, StatusCodes.BadNodeIdExists);
+
+      return expect(cb => WriteStream.prototype.createFolder.call({ addNode },
+        new NodeId('AGENT.Folder'), 'src', cb), 'to call the callback')
+        .then(() => expect(addNode.lastCall.args[1], 'to satisfy', {
+          typeDefinition: { value: 61, namespace: 0 },
+          referenceTypeId: { value: 35, namespace: 0 },
+        }));
+    });
+  });
 });
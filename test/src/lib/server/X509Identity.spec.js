@@ -0,0 +1,239 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createVerify, generateKeyPairSync } from 'crypto';
+import {
+  OPCUAClient,
+  OPCUAServer,
+  MessageSecurityMode,
+  SecurityPolicy,
+  mini_nodeset_filename as miniNodesetFilename,
+  get_endpoints_service as endpointsService,
+  session_service as sessionService,
+} from 'node-opcua';
+import expect from '../../../expect';
+import X509Identity from '../../../../src/lib/server/X509Identity';
+import Pki from '../../../../src/lib/server/Pki';
+
+const pki = new Pki(join(tmpdir(), `atscm-x509-${Date.now()}`));
+const { certificateFile, privateKeyFile } = pki;
+
+/** @test {X509Identity} */
+describe('X509Identity', function() {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 1024,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const identity = new X509Identity(Buffer.from('user'), privateKey);
+
+  before(function() {
+    return pki.createClientCertificate();
+  });
+
+  /** @test {X509Identity.fromFiles} */
+  describe('.fromFiles', function() {
+    it('should throw without a private key', function() {
+      expect(() => X509Identity.fromFiles({ certificateFile: 'user.pem' }), 'to throw',
+        'A private key is required to log in with a certificate');
+    });
+
+    it('should read the certificate as DER', function() {
+      const pem = readFileSync(certificateFile, 'utf8');
+
+      expect(X509Identity.fromFiles({ certificateFile, privateKeyFile }), 'to satisfy', {
+        certificate: Buffer.from(pem.split('-----')[2].replace(/\s+/g, ''), 'base64'),
+        privateKey: readFileSync(privateKeyFile, 'utf8'),
+      });
+    });
+  });
+
+  /** @test {X509Identity#sign} */
+  describe('#sign', function() {
+    it('should sign server certificate and nonce', function() {
+      const { algorithm, signature } = identity.sign(Buffer.from('certificate'),
+        Buffer.from('nonce'), SecurityPolicy.Basic256.value);
+
+      expect(algorithm, 'to equal', 'http://www.w3.org/2000/09/xmldsig#rsa-sha1');
+      expect(createVerify('RSA-SHA1').update('certificatenonce').verify(publicKey, signature),
+        'to be true');
+    });
+
+    it('should sign with SHA256 for Basic256Sha256', function() {
+      const { algorithm, signature } = identity.sign(Buffer.from('certificate'),
+        Buffer.from('nonce'), SecurityPolicy.Basic256Sha256.value);
+
+      expect(algorithm, 'to equal', 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256');
+      expect(createVerify('RSA-SHA256').update('certificatenonce').verify(publicKey, signature),
+        'to be true');
+    });
+
+    it('should throw without security policy', function() {
+      expect(() => identity.sign(null, null, SecurityPolicy.None.value), 'to throw',
+        'Logging in with a certificate requires one of the security policies Basic128Rsa15, ' +
+        'Basic256, Basic256Sha256');
+    });
+  });
+
+  /** @test {X509Identity#createToken} */
+  describe('#createToken', function() {
+    it('should fail if the server does not accept certificates', function() {
+      expect(() => identity.createToken({ endpoint: { userIdentityTokens: [] } }), 'to throw',
+        'The server does not accept certificates as user identity');
+    });
+
+    it('should fall back to the security policy of the client', function() {
+      const { signature } = identity.createToken({
+        endpoint: {
+          userIdentityTokens: [{
+            tokenType: endpointsService.UserIdentityTokenType.CERTIFICATE,
+            policyId: 'cert',
+          }],
+        },
+      }, SecurityPolicy.Basic128Rsa15);
+
+      expect(signature.algorithm, 'to equal', 'http://www.w3.org/2000/09/xmldsig#rsa-sha1');
+    });
+  });
+
+  /** @test {X509Identity#applyTo} */
+  describe('#applyTo', function() {
+    const policyId = 'certificate';
+    let server;
+    let tokenPolicies;
+    let activations;
+
+    before(function(done) {
+      server = new OPCUAServer({ port: 0, nodeset_filename: [miniNodesetFilename] });
+
+      server.start(err => {
+        // node-opcua servers do not offer certificate tokens
+        tokenPolicies = server.endpoints[0].endpointDescriptions()
+          .filter(e => e.securityMode === MessageSecurityMode.NONE)
+          .map(e => {
+            const tokenPolicy = new endpointsService.UserTokenPolicy({
+              policyId,
+              tokenType: endpointsService.UserIdentityTokenType.CERTIFICATE,
+            });
+
+            e.userIdentityTokens.push(tokenPolicy);
+            return tokenPolicy;
+          });
+
+        const onActivateSession = server._on_ActivateSessionRequest;
+        server._on_ActivateSessionRequest = function(message, channel) {
+          const session = server.engine.getSession(message.request.requestHeader
+            .authenticationToken);
+
+          activations.push({ request: message.request, serverNonce: session.nonce });
+          return onActivateSession.call(this, message, channel);
+        };
+
+        done(err);
+      });
+    });
+
+    function useTokenPolicy(securityPolicy) {
+      tokenPolicies.forEach(p => Object.assign(p, { securityPolicyUri: securityPolicy.value }));
+    }
+
+    beforeEach(() => {
+      activations = [];
+      useTokenPolicy(SecurityPolicy.Basic256);
+    });
+
+    after(function(done) {
+      server.shutdown(done);
+    });
+
+    function connectedClient() {
+      // node-opcua requires the client certificate to contain an application URI
+      const client = new OPCUAClient({
+        certificateFile,
+        privateKeyFile,
+        connectionStrategy: { maxRetry: 0 },
+      });
+
+      return new Promise((resolve, reject) => {
+        client.connect(`opc.tcp://localhost:${server.endpoints[0].port}`,
+          err => (err ? reject(err) : resolve(client)));
+      });
+    }
+
+    function activate() {
+      const userIdentity = X509Identity.fromFiles({ certificateFile, privateKeyFile });
+      let client;
+
+      return connectedClient()
+        .then(c => (client = c))
+        .then(() => userIdentity.applyTo(client))
+        .then(() => new Promise((resolve, reject) => client.createSession({},
+          (err, session) => (err ? reject(err) : resolve(session)))))
+        .then(session => new Promise(resolve => session.close(() => client.disconnect(resolve))))
+        .then(() => {
+          expect(activations, 'to have length', 1);
+          expect(activations[0].request.userIdentityToken, 'to be a',
+            sessionService.X509IdentityToken);
+          expect(activations[0].request.userIdentityToken, 'to satisfy', {
+            policyId,
+            certificateData: userIdentity.certificate,
+          });
+
+          return activations[0];
+        });
+    }
+
+    function verifyActivation({ request, serverNonce }, algorithm) {
+      return createVerify(algorithm)
+        .update(Buffer.concat([server.getCertificateChain(), serverNonce]))
+        .verify(readFileSync(certificateFile, 'utf8'), request.userTokenSignature.signature);
+    }
+
+    it('should activate sessions with a signed X.509 token', function() {
+      return activate()
+        .then(activation => {
+          expect(activation.request.userTokenSignature.algorithm, 'to equal',
+            'http://www.w3.org/2000/09/xmldsig#rsa-sha1');
+          expect(verifyActivation(activation, 'RSA-SHA1'), 'to be true');
+        });
+    });
+
+    it('should sign tokens with SHA256 for Basic256Sha256', function() {
+      useTokenPolicy(SecurityPolicy.Basic256Sha256);
+
+      return activate()
+        .then(activation => {
+          expect(activation.request.userTokenSignature.algorithm, 'to equal',
+            'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256');
+          expect(verifyActivation(activation, 'RSA-SHA256'), 'to be true');
+        });
+    });
+
+    it('should throw if node-opcua creates tokens differently', function() {
+      expect(() => X509Identity.fromFiles({ certificateFile, privateKeyFile }).applyTo({}),
+        'to throw', 'The installed node-opcua version does not support logging in with ' +
+        'certificates');
+    });
+
+    it('should only sign the activation request', function() {
+      const userIdentity = X509Identity.fromFiles({ certificateFile, privateKeyFile });
+      let client;
+      let session;
+
+      return connectedClient()
+        .then(c => (client = c))
+        .then(() => userIdentity.applyTo(client))
+        .then(() => new Promise((resolve, reject) => client.createSession({},
+          (err, s) => (err ? reject(err) : resolve(s)))))
+        .then(s => (session = s))
+        .then(() => new Promise((resolve, reject) => session.readVariableValue('ns=0;i=2258',
+          (err, dataValue) => (err ? reject(err) : resolve(dataValue)))))
+        .then(dataValue => {
+          expect(dataValue.value.value, 'to be a', Date);
+          expect(session.performMessageTransaction, 'to be',
+            Object.getPrototypeOf(session).performMessageTransaction);
+        })
+        .then(() => new Promise(resolve => session.close(() => client.disconnect(resolve))));
+    });
+  });
+});
@@ -7,6 +7,7 @@ import { TransformDirection } from '../../../../src/lib/transform/Transformer';
 import AtviseFile from '../../../../src/lib/server/AtviseFile';
 import SplittingTransformer, {
   CombineFilesCache,
+  splitExtname,
 } from '../../../../src/lib/transform/SplittingTransformer';
 
 class StubSplittingTransformer extends proxyquire(
@@ -42,6 +43,17 @@ const StubCombineFilesCache = proxyquire('../../../../src/lib/transform/Splittin
   },
 }).CombineFilesCache;
 
+/** @test {splitExtname} */
+describe('splitExtname', function() {
+  it('should return all extensions after the directory stem', function() {
+    expect(splitExtname('path/Main.display', 'Main.2.js'), 'to equal', '.2.js');
+  });
+
+  it('should return the last extension for other files', function() {
+    expect(splitExtname('path/Main.display', 'other.2.js'), 'to equal', '.js');
+  });
+});
+
 /** @test {CombineFilesCache} */
 describe('CombineFilesCache', function() {
   /** @test {CombineFilesCache#missingExtensions} */
@@ -75,7 +87,7 @@ describe('CombineFilesCache', function() {
     it('should store required files if missing', function() {
       const cache = new StubCombineFilesCache();
 
-      return expect(cb => cache.gotAllFiles({ dirname: 'dirname' }, cb),
+      return expect(cb => cache.gotAllFiles({ dirname: 'dirname', basename: 'file.ext1' }, cb),
         'to call the callback')
         .then(args => {
           expect(args[0], 'to be falsy');
@@ -84,9 +96,26 @@ describe('CombineFilesCache', function() {
         });
     });
 
+    it('should require compiled files for TypeScript sources', function() {
+      const cache = new CombineFilesCache({
+        readdir: (dir, cb) => cb(null, ['Main.svg', 'Main.ts', 'Main.2.ts']),
+      });
+
+      return expect(cb => cache.gotAllFiles({ dirname: 'path/Main.display', basename: 'Main.svg' },
+        cb), 'to call the callback')
+        .then(() => {
+          expect(cache._required['path/Main.display'], 'to equal', ['.svg', '.js', '.2.js']);
+          expect(cache._sources['path/Main.display'], 'to equal', {
+            '.svg': 'Main.svg',
+            '.js': 'Main.ts',
+            '.2.js': 'Main.2.ts',
+          });
+        });
+    });
+
     const fillCache = new StubCombineFilesCache();
-    const file1 = { dirname: 'dirname', extname: '.ext1' };
-    const file2 = { dirname: 'dirname', extname: '.ext2' };
+    const file1 = { dirname: 'dirname', basename: 'file.ext1', extname: '.ext1' };
+    const file2 = { dirname: 'dirname', basename: 'file.ext2', extname: '.ext2' };
 
     it('should cache passed file', function() {
       return expect(cb => fillCache.gotAllFiles(file1, cb),
@@ -126,6 +155,22 @@ describe('SplittingTransformer', function() {
     });
   });
 
+  /** @test {SplittingTransformer#useReaddir} */
+  describe('#useReaddir', function() {
+    it('should list files with the given function', function() {
+      const transformer = new SplittingTransformer();
+      const readdir = (dirname, cb) => cb(null, ['file.ext1']);
+
+      expect(transformer.useReaddir(readdir), 'to be', transformer);
+
+      return expect(cb => transformer._combineFilesCache.gotAllFiles({
+        dirname: 'dirname',
+        basename: 'file.ext1',
+      }, cb), 'to call the callback')
+        .then(args => expect(args[1], 'to have keys', ['.ext1']));
+    });
+  });
+
   /** @test {SplittingTransformer#transformFromFilesystem} */
   describe('#transformFromFilesystem', function() {
     it('should forward cache errors', function() {
@@ -239,6 +284,32 @@ describe('SplittingTransformer', function() {
       });
     });
 
+    it('should load missing files by their source names', function(done) {
+      const transformer = new StubSplittingTransformer();
+      const file = {
+        cwd: '/fake/cwd',
+        base: '/base',
+      };
+
+      transformer._combineFilesCache._files['base/Main.display'] = { '.svg': file };
+      transformer._combineFilesCache._required['base/Main.display'] = ['.svg', '.js'];
+      transformer._combineFilesCache._sources['base/Main.display'] = {
+        '.svg': 'Main.svg',
+        '.js': 'Main.ts',
+      };
+      spy(transformer, 'createCombinedFile');
+
+      transformer._flush(err => {
+        expect(err, 'to be falsy');
+        expect(transformer.createCombinedFile.lastCall.args[0]['.js'], 'to satisfy', {
+          path: 'base/Main.display/Main.ts',
+        });
+        expect(transformer._combineFilesCache._sources, 'to equal', {});
+
+        done();
+      });
+    });
+
     it('should forward read errors', function(done) {
       const transformer = new StubSplittingTransformer(new Error('Test error'));
       const file = {
@@ -0,0 +1,109 @@
+import { Stream } from 'stream';
+import proxyquire from 'proxyquire';
+import { spy } from 'sinon';
+import expect from '../../expect';
+import {
+  StubStream,
+  stubModule,
+  sourceStreamClass,
+  recordingStreamClass,
+  failingStreamClass,
+  readTask,
+} from '../../helpers/Tasks';
+
+function backupTasks({
+  NodeStream = sourceStreamClass(),
+  RestoreStream = StubStream,
+  WriteStream = recordingStreamClass(),
+} = {}) {
+  const SourceStream = sourceStreamClass([{ path: 'backup.json.gz' }]);
+  const src = spy(() => new SourceStream());
+  const dest = spy(() => new StubStream());
+
+  return Object.assign({ src, dest }, proxyquire('../../../src/tasks/backup', {
+    gulp: { src, dest },
+    '../lib/server/NodeStream': stubModule(NodeStream),
+    '../lib/server/ReadStream': stubModule(StubStream),
+    '../lib/server/WriteStream': stubModule(WriteStream),
+    '../lib/gulp/BackupStream': {
+      default: StubStream,
+      DefaultBackupDirectory: './.atscm/backups',
+    },
+    '../lib/gulp/RestoreStream': stubModule(RestoreStream),
+  }));
+}
+
+/** @test {backup} */
+describe('backup', function() {
+  it('should return a stream', function() {
+    const stream = backupTasks().default();
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should store the backup inside the backups directory', function() {
+    const { default: backup, dest } = backupTasks();
+
+    return readTask(backup())
+      .then(() => expect(dest, 'to have a call satisfying', ['./.atscm/backups']));
+  });
+
+  it('should fail if atvise server cannot be reached', function() {
+    const NodeStream = failingStreamClass('Unable to connect to localhost:4840');
+
+    return expect(readTask(backupTasks({ NodeStream }).default()), 'to be rejected with',
+      'Unable to connect to localhost:4840');
+  });
+
+  it('should export a description', function() {
+    expect(backupTasks().default.description, 'to be defined');
+  });
+});
+
+/** @test {restore} */
+describe('restore', function() {
+  afterEach(() => delete process.env.ATSCM_BACKUP_PATH);
+
+  it('should return a stream', function() {
+    const stream = backupTasks().restore();
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should restore the latest backup by default', function() {
+    const { restore, src } = backupTasks();
+
+    return readTask(restore())
+      .then(() => expect(src, 'to have a call satisfying', ['./.atscm/backups/*.json.gz']));
+  });
+
+  it('should restore the backup set in ATSCM_BACKUP_PATH', function() {
+    const { restore, src } = backupTasks();
+    process.env.ATSCM_BACKUP_PATH = './backup.json.gz';
+
+    return readTask(restore())
+      .then(() => expect(src, 'to have a call satisfying', ['./backup.json.gz']));
+  });
+
+  it('should write the restored values to atvise server', function() {
+    const WriteStream = recordingStreamClass();
+
+    return expect(readTask(backupTasks({ WriteStream }).restore()), 'to be fulfilled with', [
+      { path: 'backup.json.gz' },
+    ])
+      .then(() => expect(WriteStream.instances, 'to have length', 1));
+  });
+
+  it('should fail with invalid backups', function() {
+    const RestoreStream = failingStreamClass('Invalid backup');
+
+    return expect(readTask(backupTasks({ RestoreStream }).restore()), 'to be rejected with',
+      'Invalid backup');
+  });
+
+  it('should export a description', function() {
+    expect(backupTasks().restore.description, 'to be defined');
+  });
+});
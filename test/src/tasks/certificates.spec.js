@@ -0,0 +1,110 @@
+import { spy } from 'sinon';
+import proxyquire from 'proxyquire';
+import { MessageSecurityMode, SecurityPolicy } from 'node-opcua';
+import expect from '../../expect';
+
+const certificate = Buffer.from('certificate');
+const thumbprint = '735ad571c189d7ba84464bf4a9f1d2280175b128';
+
+const addCertificate = spy(() => Promise.resolve('rejected'));
+const moveCertificate = spy((print, store) => Promise.resolve(`${print}-${store}`));
+const createClientCertificate = spy(() => Promise.resolve({
+  certificateFile: 'cert.pem',
+  privateKeyFile: 'key.pem',
+}));
+
+function endpoint(securityMode, securityPolicy, serverCertificate = certificate) {
+  return { securityMode, securityPolicyUri: securityPolicy.value, serverCertificate };
+}
+
+const tasks = proxyquire('../../../src/tasks/certificates', {
+  '../lib/server/Client': {
+    __esModule: true,
+    default: {
+      getEndpoints: () => Promise.resolve([
+        endpoint(MessageSecurityMode.NONE, SecurityPolicy.None, null),
+        endpoint(MessageSecurityMode.SIGN, SecurityPolicy.Basic256),
+        endpoint(MessageSecurityMode.SIGNANDENCRYPT, SecurityPolicy.Basic256),
+      ]),
+    },
+  },
+  '../lib/server/Pki': {
+    __esModule: true,
+    default: class StubPki {
+
+      static thumbprint() {
+        return thumbprint;
+      }
+
+      addCertificate(...args) { return addCertificate(...args); }
+
+      moveCertificate(...args) { return moveCertificate(...args); }
+
+      createClientCertificate(...args) { return createClientCertificate(...args); }
+
+    },
+  },
+});
+
+/** @test {certificates} */
+describe('certificates', function() {
+  it('should store each server certificate once', function() {
+    return expect(tasks.default(), 'to be fulfilled with', [{ thumbprint, store: 'rejected' }])
+      .then(() => {
+        expect(addCertificate.calledOnce, 'to be true');
+        expect(addCertificate.lastCall.args[0], 'to be', certificate);
+      });
+  });
+
+  it('should export a description', function() {
+    expect(tasks.default.description, 'to be defined');
+  });
+});
+
+/** @test {certificatesCreate} */
+describe('certificatesCreate', function() {
+  it('should create a client certificate', function() {
+    return expect(tasks.certificatesCreate(), 'to be fulfilled with', {
+      certificateFile: 'cert.pem',
+      privateKeyFile: 'key.pem',
+    });
+  });
+
+  it('should export a description', function() {
+    expect(tasks.certificatesCreate.description, 'to be defined');
+  });
+});
+
+/** @test {certificatesTrust} */
+/** @test {certificatesReject} */
+describe('certificatesTrust / certificatesReject', function() {
+  const original = process.env.ATSCM_CERTIFICATE;
+
+  afterEach(function() {
+    if (original === undefined) {
+      delete process.env.ATSCM_CERTIFICATE;
+    } else {
+      process.env.ATSCM_CERTIFICATE = original;
+    }
+  });
+
+  it('should move the certificate set in ATSCM_CERTIFICATE', function() {
+    process.env.ATSCM_CERTIFICATE = '71fb';
+
+    return Promise.all([
+      expect(tasks.certificatesTrust(), 'to be fulfilled with', '71fb-trusted'),
+      expect(tasks.certificatesReject(), 'to be fulfilled with', '71fb-rejected'),
+    ]);
+  });
+
+  it('should fail without ATSCM_CERTIFICATE', function() {
+    delete process.env.ATSCM_CERTIFICATE;
+
+    return expect(tasks.certificatesTrust(), 'to be rejected with', /^Set ATSCM_CERTIFICATE/);
+  });
+
+  it('should export descriptions', function() {
+    expect(tasks.certificatesTrust.description, 'to be defined');
+    expect(tasks.certificatesReject.description, 'to be defined');
+  });
+});
@@ -0,0 +1,75 @@
+import { Stream } from 'stream';
+import proxyquire from 'proxyquire';
+import { DataType, VariantArrayType } from 'node-opcua';
+import expect from '../../expect';
+import NodeId from '../../../src/lib/server/NodeId';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import {
+  StubStream,
+  stubModule,
+  sourceStreamClass,
+  recordingStreamClass,
+  failingStreamClass,
+  readTask,
+} from '../../helpers/Tasks';
+
+const readResult = {
+  nodeId: new NodeId('AGENT.OBJECTS.Flag'),
+  value: {
+    value: true,
+    dataType: DataType.Boolean,
+    arrayType: VariantArrayType.Scalar,
+  },
+  referenceDescription: {
+    typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 62, 0),
+  },
+};
+
+function diffTask({
+  NodeStream = sourceStreamClass(),
+  ReadStream = recordingStreamClass(),
+} = {}) {
+  return proxyquire('../../../src/tasks/diff', {
+    '../lib/server/NodeStream': stubModule(NodeStream),
+    '../lib/server/ReadStream': stubModule(ReadStream),
+    '../lib/gulp/DiffStream': stubModule(StubStream),
+  }).default;
+}
+
+/** @test {diff} */
+describe('diff', function() {
+  it('should return a stream', function() {
+    const stream = diffTask()();
+
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should read node metadata', function() {
+    const ReadStream = recordingStreamClass();
+
+    return readTask(diffTask({ ReadStream })())
+      .then(() => expect(ReadStream.instances, 'to satisfy', [{ options: { metadata: true } }]));
+  });
+
+  it('should compare the files a pull would create', function() {
+    const ReadStream = sourceStreamClass([readResult]);
+
+    return expect(readTask(diffTask({ ReadStream })()), 'to be fulfilled with', [
+      expect.it('to be an', AtviseFile)
+        .and('to satisfy', { relative: 'AGENT/OBJECTS/Flag.bool' }),
+    ]);
+  });
+
+  it('should fail if atvise server cannot be reached', function() {
+    const NodeStream = failingStreamClass('Unable to connect to localhost:4840');
+
+    return expect(readTask(diffTask({ NodeStream })()), 'to be rejected with',
+      'Unable to connect to localhost:4840');
+  });
+
+  it('should export a description', function() {
+    expect(diffTask().description, 'to be defined');
+  });
+});
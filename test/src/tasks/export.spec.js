@@ -0,0 +1,49 @@
+import { Stream } from 'stream';
+import { Buffer } from 'buffer';
+import { join } from 'path';
+import proxyquire from 'proxyquire';
+import File from 'vinyl';
+import expect from '../../expect';
+import { StubStream, sourceStreamClass, readTask } from '../../helpers/Tasks';
+
+const base = join(process.cwd(), 'src');
+
+function exportTask(files = []) {
+  const SourceStream = sourceStreamClass(files);
+
+  return proxyquire('../../../src/tasks/export', {
+    gulp: {
+      src: () => new SourceStream(),
+      dest: () => new StubStream(),
+    },
+  }).default;
+}
+
+/** @test {exportNodeSet} */
+describe('exportNodeSet', function() {
+  it('should return a stream', function() {
+    const stream = exportTask()();
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should export the stored nodes to a single NodeSet2 file', function() {
+    return readTask(exportTask([
+      new File({
+        base,
+        path: join(base, 'AGENT/OBJECTS/Variable.bool'),
+        contents: Buffer.from('true'),
+      }),
+    ])())
+      .then(files => {
+        expect(files, 'to satisfy', [{ relative: 'nodeset.xml' }]);
+        expect(files[0].contents.toString(), 'to contain',
+          'NodeId="ns=1;s=AGENT.OBJECTS.Variable"', '>true</uax:Boolean>');
+      });
+  });
+
+  it('should export a description', function() {
+    expect(exportTask().description, 'to be defined');
+  });
+});
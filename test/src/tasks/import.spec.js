@@ -0,0 +1,105 @@
+import { Stream } from 'stream';
+import { Buffer } from 'buffer';
+import proxyquire from 'proxyquire';
+import { spy } from 'sinon';
+import File from 'vinyl';
+import expect from '../../expect';
+import ScriptTransformer from '../../../src/transform/ScriptTransformer';
+import BundleTransformer, {
+  BundleStartComment,
+  BundleEndComment,
+} from '../../../src/transform/BundleTransformer';
+import { StubStream, sourceStreamClass, readTask } from '../../helpers/Tasks';
+
+const entry = `import { twice } from '../../../../lib/util';
+var x = twice(1);
+`;
+
+const compiledBundle = `"use strict";
+
+${BundleStartComment}${JSON.stringify({ modules: ['lib/util.js'], source: entry })} */
+var __atscmBundle = (function(definitions) {})({});
+var twice = __atscmBundle("lib/util.js")["twice"];
+${BundleEndComment}
+var x = twice(1);`;
+
+const exportXml = `<?xml version="1.0" encoding="UTF-8"?>
+<UANodeSet xmlns="http://opcfoundation.org/UA/2011/03/UANodeSet.xsd">
+  <NamespaceUris>
+    <Uri>http://www.atvise.com/atServer/UA/</Uri>
+  </NamespaceUris>
+  <Aliases>
+    <Alias Alias="XmlElement">i=16</Alias>
+    <Alias Alias="HasTypeDefinition">i=40</Alias>
+  </Aliases>
+  <UAVariable NodeId="ns=1;s=SYSTEM.LIBRARY.PROJECT.SERVERSCRIPTS.Test" BrowseName="1:Test"
+    DataType="XmlElement" ParentNodeId="ns=1;s=SYSTEM.LIBRARY.PROJECT.SERVERSCRIPTS">
+    <DisplayName>Test</DisplayName>
+    <References>
+      <Reference ReferenceType="HasTypeDefinition"
+        >ns=1;s=VariableTypes.ATVISE.ScriptCode</Reference>
+    </References>
+    <Value>
+      <uax:XmlElement xmlns:uax="http://opcfoundation.org/UA/2008/02/Types.xsd"><script><metadata/><code><![CDATA[${compiledBundle}]]></code></script></uax:XmlElement>
+    </Value>
+  </UAVariable>
+</UANodeSet>`;
+
+function importTask(files = [], useTransformers = []) {
+  const SourceStream = sourceStreamClass(files);
+  const src = spy(() => new SourceStream());
+
+  return {
+    src,
+    importExport: proxyquire('../../../src/tasks/import', {
+      gulp: {
+        src,
+        dest: () => new StubStream(),
+      },
+      '../config/ProjectConfig': {
+        default: { useTransformers },
+      },
+    }).default,
+  };
+}
+
+/** @test {importExport} */
+describe('importExport', function() {
+  afterEach(() => delete process.env.ATSCM_IMPORT_PATH);
+
+  it('should return a stream', function() {
+    const stream = importTask().importExport();
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should read the export file set in ATSCM_IMPORT_PATH', function() {
+    const { src, importExport } = importTask();
+    process.env.ATSCM_IMPORT_PATH = './exports/project.xml';
+
+    return readTask(importExport())
+      .then(() => expect(src, 'to have a call satisfying', ['./exports/project.xml']));
+  });
+
+  it('should restore the entry source of compiled bundles', function() {
+    const { importExport } = importTask(
+      [new File({ path: 'export.xml', contents: Buffer.from(exportXml) })],
+      [new ScriptTransformer(), new BundleTransformer()]
+    );
+
+    return readTask(importExport())
+      .then(files => {
+        const script = files.find(file => file.extname === '.js');
+
+        expect(script, 'to satisfy', {
+          relative: 'SYSTEM/LIBRARY/PROJECT/SERVERSCRIPTS/Test.script/Test.js',
+        });
+        expect(script.contents.toString(), 'to equal', entry);
+      });
+  });
+
+  it('should export a description', function() {
+    expect(importTask().importExport.description, 'to be defined');
+  });
+});
@@ -0,0 +1,71 @@
+import { Stream } from 'stream';
+import { Buffer } from 'buffer';
+import { join } from 'path';
+import proxyquire from 'proxyquire';
+import { spy } from 'sinon';
+import File from 'vinyl';
+import Logger from 'gulplog';
+import expect from '../../expect';
+import { sourceStreamClass, readTask } from '../../helpers/Tasks';
+
+const base = join(process.cwd(), 'src');
+
+function lintTask(files = []) {
+  const SourceStream = sourceStreamClass(files);
+  const src = spy(() => new SourceStream());
+
+  return {
+    src,
+    lint: proxyquire('../../../src/tasks/lint', {
+      gulp: { src },
+    }).default,
+  };
+}
+
+function script(contents) {
+  return new File({
+    base,
+    path: join(base, 'SYSTEM/LIBRARY/PROJECT/SERVERSCRIPTS/Test.script/Test.js'),
+    contents: Buffer.from(contents),
+  });
+}
+
+/** @test {lint} */
+describe('lint', function() {
+  const listener = () => {};
+
+  beforeEach(() => {
+    Logger.on('info', listener);
+    Logger.on('warn', listener);
+  });
+
+  afterEach(() => {
+    Logger.removeListener('info', listener);
+    Logger.removeListener('warn', listener);
+  });
+
+  it('should return a stream', function() {
+    const stream = lintTask().lint();
+
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should read split scripts and configuration files', function() {
+    const { lint, src } = lintTask();
+
+    return readTask(lint())
+      .then(() => expect(src, 'to have a call satisfying',
+        ['./src/**/*.{display,script,qd}/*.{js,json}']));
+  });
+
+  it('should fail if problems are found', function() {
+    return expect(readTask(lintTask([script('var = ;')]).lint()), 'to be rejected with',
+      /^Found 1 problem\(s\) \(1 error\(s\), 0 warning\(s\)\)$/);
+  });
+
+  it('should export a description', function() {
+    expect(lintTask().lint.description, 'to be defined');
+  });
+});
@@ -5,7 +5,7 @@ import { Stream } from 'stream';
 import { ctor as throughStreamClass } from 'through2';
 import NodeId from '../../../src/lib/server/NodeId';
 
-const pull = proxyquire('../../../src/tasks/pull', {
+const { default: pull, pullIncremental, pullClean } = proxyquire('../../../src/tasks/pull', {
   '../lib/server/NodeStream': {
     _esModule: true,
     default: class StubStream extends throughStreamClass({ objectMode: true }) {
@@ -29,7 +29,7 @@ const pull = proxyquire('../../../src/tasks/pull', {
       }
     },
   },
-}).default;
+});
 
 /** @test {pull} */
 describe('pull', function() {
@@ -42,3 +42,35 @@ describe('pull', function() {
     stream.once('end', done);
   });
 });
+
+/** @test {pullIncremental} */
+describe('pullIncremental', function() {
+  it('should return a stream', function(done) {
+    const stream = pullIncremental();
+
+    expect(stream, 'to be a', Stream);
+
+    stream.on('data', () => {}); // Unpipe readable stream
+    stream.once('end', done);
+  });
+
+  it('should export a description', function() {
+    expect(pullIncremental.description, 'to be defined');
+  });
+});
+
+/** @test {pullClean} */
+describe('pullClean', function() {
+  it('should return a stream', function(done) {
+    const stream = pullClean();
+
+    expect(stream, 'to be a', Stream);
+
+    stream.on('data', () => {}); // Unpipe readable stream
+    stream.once('end', done);
+  });
+
+  it('should export a description', function() {
+    expect(pullClean.description, 'to be defined');
+  });
+});
@@ -5,7 +5,7 @@ import File from 'vinyl';
 import through from 'through2';
 import expect from '../../expect';
 
-const push = proxyquire('../../../src/tasks/push', {
+const { default: push, pushDryRun, pushTransactional } = proxyquire('../../../src/tasks/push', {
   gulp: {
     src: () => {
       const stream = through.obj();
@@ -28,7 +28,7 @@ const push = proxyquire('../../../src/tasks/push', {
       }
     },
   },
-}).default;
+});
 
 /** @test {push} */
 describe('push', function() {
@@ -41,3 +41,33 @@ describe('push', function() {
   });
 });
 
+
+/** @test {pushDryRun} */
+describe('pushDryRun', function() {
+  it('should return a stream', function(done) {
+    const stream = pushDryRun();
+    expect(stream, 'to be a', Stream);
+
+    stream.on('data', () => {}); // Unpipe readable stream
+    stream.once('end', done);
+  });
+
+  it('should export a description', function() {
+    expect(pushDryRun.description, 'to be defined');
+  });
+});
+
+/** @test {pushTransactional} */
+describe('pushTransactional', function() {
+  it('should return a stream', function(done) {
+    const stream = pushTransactional();
+    expect(stream, 'to be a', Stream);
+
+    stream.on('data', () => {}); // Unpipe readable stream
+    stream.once('end', done);
+  });
+
+  it('should export a description', function() {
+    expect(pushTransactional.description, 'to be defined');
+  });
+});
@@ -0,0 +1,75 @@
+import { Stream } from 'stream';
+import proxyquire from 'proxyquire';
+import { DataType, VariantArrayType } from 'node-opcua';
+import expect from '../../expect';
+import NodeId from '../../../src/lib/server/NodeId';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import {
+  StubStream,
+  stubModule,
+  sourceStreamClass,
+  recordingStreamClass,
+  failingStreamClass,
+  readTask,
+} from '../../helpers/Tasks';
+
+const readResult = {
+  nodeId: new NodeId('AGENT.OBJECTS.Flag'),
+  value: {
+    value: true,
+    dataType: DataType.Boolean,
+    arrayType: VariantArrayType.Scalar,
+  },
+  referenceDescription: {
+    typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 62, 0),
+  },
+};
+
+function verifyTask({
+  NodeStream = sourceStreamClass(),
+  ReadStream = recordingStreamClass(),
+} = {}) {
+  return proxyquire('../../../src/tasks/verify', {
+    '../lib/server/NodeStream': stubModule(NodeStream),
+    '../lib/server/ReadStream': stubModule(ReadStream),
+    '../lib/gulp/VerifyStream': stubModule(StubStream),
+  }).default;
+}
+
+/** @test {verify} */
+describe('verify', function() {
+  it('should return a stream', function() {
+    const stream = verifyTask()();
+
+    expect(stream, 'to be a', Stream);
+
+    return readTask(stream);
+  });
+
+  it('should only read node values', function() {
+    const ReadStream = recordingStreamClass();
+
+    return readTask(verifyTask({ ReadStream })())
+      .then(() => expect(ReadStream.instances, 'to satisfy', [{ options: undefined }]));
+  });
+
+  it('should verify the files a pull would create', function() {
+    const ReadStream = sourceStreamClass([readResult]);
+
+    return expect(readTask(verifyTask({ ReadStream })()), 'to be fulfilled with', [
+      expect.it('to be an', AtviseFile)
+        .and('to satisfy', { relative: 'AGENT/OBJECTS/Flag.bool' }),
+    ]);
+  });
+
+  it('should fail if atvise server cannot be reached', function() {
+    const ReadStream = failingStreamClass('Unable to connect to localhost:4840');
+
+    return expect(readTask(verifyTask({ ReadStream })()), 'to be rejected with',
+      'Unable to connect to localhost:4840');
+  });
+
+  it('should export a description', function() {
+    expect(verifyTask().description, 'to be defined');
+  });
+});
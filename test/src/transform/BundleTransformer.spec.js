@@ -0,0 +1,270 @@
+import { join } from 'path';
+import { spy } from 'sinon';
+import proxyquire from 'proxyquire';
+import Logger from 'gulplog';
+import commonJSPlugin from 'babel-plugin-transform-es2015-modules-commonjs';
+import expect from '../../expect';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import { TransformDirection } from '../../../src/lib/transform/Transformer';
+import CompileTransformer from '../../../src/transform/CompileTransformer';
+
+const root = '/project';
+const modules = {
+  [join(root, 'lib/math.js')]: `import { twice } from './util';
+export function add(a, b) { return twice(a) / 2 + b; }
+export default 42;`,
+  [join(root, 'lib/util.js')]: 'export const twice = x => x * 2;',
+  [join(root, 'lib/side-effect.js')]: 'global.__atscmSideEffect = \'run\';',
+};
+
+const entry = `// header
+import answer, { add as plus } from '../../../../lib/math';
+import * as util from '../../../../lib/util.js'; /* keep */
+var x = plus(answer, util.twice(1));
+`;
+const entryPath = join(root, 'src/SYSTEM/LIBRARY/Test.script/Test.js');
+
+const BundleTransformer = proxyquire('../../../src/transform/BundleTransformer', {
+  fs: {
+    readFile(path, enc, callback) {
+      if (modules[path] === undefined) {
+        callback(new Error(`ENOENT: no such file or directory, open '${path}'`));
+      } else {
+        callback(null, modules[path]);
+      }
+    },
+  },
+}).default;
+
+function runBundle(code) {
+  return new Function(`${code}\nreturn x;`)(); // eslint-disable-line no-new-func
+}
+
+/** @test {BundleTransformer} */
+describe('BundleTransformer', function() {
+  /** @test {BundleTransformer#shouldBeTransformed} */
+  describe('#shouldBeTransformed', function() {
+    const transformer = new BundleTransformer();
+
+    it('should return true for script sources', function() {
+      expect(transformer.shouldBeTransformed(
+        new AtviseFile({ path: 'SYSTEM/LIBRARY/Test.script/Test.js' })), 'to be true');
+    });
+
+    it('should return false for other files', function() {
+      expect(transformer.shouldBeTransformed(
+        new AtviseFile({ path: 'SYSTEM/LIBRARY/Test.script/Test.json' })), 'to be false');
+      expect(transformer.shouldBeTransformed(
+        new AtviseFile({ path: 'AGENT/DISPLAYS/Main.display/Main.js' })), 'to be false');
+    });
+  });
+
+  /** @test {BundleTransformer.resolveImport} */
+  describe('.resolveImport', function() {
+    it('should add missing js extensions', function() {
+      expect(BundleTransformer.resolveImport('../lib/a', '/project/src/b.js'), 'to equal',
+        '/project/lib/a.js');
+    });
+
+    it('should throw for imports that are not relative', function() {
+      expect(() => BundleTransformer.resolveImport('lodash', '/project/src/b.js'), 'to throw',
+        /Only relative imports can be bundled/);
+    });
+  });
+
+  /** @test {BundleTransformer.bundle} */
+  describe('.bundle', function() {
+    it('should return sources without imports unchanged', function() {
+      return expect(BundleTransformer.bundle('var x = 1;', entryPath, root),
+        'to be fulfilled with', 'var x = 1;');
+    });
+
+    it('should inline all imported modules', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => {
+          expect(code, 'to begin with', '/* atscm-bundle {"modules":["lib/math.js","lib/util.js"]');
+          expect(code.split('/* atscm-bundle-end */')[1], 'not to contain', 'import ');
+          expect(runBundle(code), 'to equal', 44);
+        });
+    });
+
+    it('should run modules imported for their side effects', function() {
+      return BundleTransformer.bundle(`import '../../../../lib/side-effect';
+var x = global.__atscmSideEffect;
+`, entryPath, root)
+        .then(code => {
+          expect(code, 'to contain', '__atscmBundle("lib/side-effect.js");');
+          expect(runBundle(code), 'to equal', 'run');
+        })
+        .then(() => delete global.__atscmSideEffect);
+    });
+
+    it('should store a checksum of the bundled code', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => expect(BundleTransformer.isModified(code), 'to be false'));
+    });
+
+    it('should reject if a module cannot be read', function() {
+      return expect(BundleTransformer.bundle('import a from \'./missing\';', entryPath, root),
+        'to be rejected with', /ENOENT/);
+    });
+  });
+
+  /** @test {BundleTransformer.isModified} */
+  describe('.isModified', function() {
+    it('should return false for code that is no bundle', function() {
+      expect(BundleTransformer.isModified('var x = 1;'), 'to be false');
+    });
+
+    it('should return false for bundles without checksum', function() {
+      expect(BundleTransformer.isModified('/* atscm-bundle {"source":""} */\nvar x;'),
+        'to be false');
+    });
+
+    it('should return true for bundles changed after bundling', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => expect(BundleTransformer.isModified(`${code}\nx++;`), 'to be true'));
+    });
+  });
+
+  /** @test {BundleTransformer.updateChecksum} */
+  describe('.updateChecksum', function() {
+    it('should return code that is no bundle unchanged', function() {
+      expect(BundleTransformer.updateChecksum('var x = 1;'), 'to equal', 'var x = 1;');
+    });
+
+    it('should return invalid bundles unchanged', function() {
+      expect(BundleTransformer.updateChecksum('/* atscm-bundle {} */\nvar x;'), 'to equal',
+        '/* atscm-bundle {} */\nvar x;');
+    });
+
+    it('should update the checksum of changed bundles', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => {
+          const updated = BundleTransformer.updateChecksum(`${code}\nx++;`);
+
+          expect(BundleTransformer.isModified(updated), 'to be false');
+          expect(BundleTransformer.restoreEntry(updated), 'to equal', entry);
+        });
+    });
+  });
+
+  /** @test {BundleTransformer.restoreEntry} */
+  describe('.restoreEntry', function() {
+    it('should return code that is no bundle unchanged', function() {
+      expect(BundleTransformer.restoreEntry('var x = 1;'), 'to equal', 'var x = 1;');
+    });
+
+    it('should restore the original entry source', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => expect(BundleTransformer.restoreEntry(code), 'to equal', entry));
+    });
+
+    it('should restore the entry source of compiled bundles', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => CompileTransformer.compileWithBabel(code, entryPath,
+          { plugins: [commonJSPlugin] }))
+        .then(compiled => {
+          expect(compiled, 'to begin with', '"use strict";');
+          expect(BundleTransformer.restoreEntry(compiled), 'to equal', entry);
+        });
+    });
+
+    it('should throw on invalid bundles', function() {
+      expect(() => BundleTransformer.restoreEntry('/* atscm-bundle {} */\nvar x;'), 'to throw',
+        'Invalid bundle');
+    });
+  });
+
+  /** @test {BundleTransformer#transformFromDB} */
+  describe('#transformFromDB', function() {
+    let warnListener;
+
+    beforeEach(() => Logger.on('warn', (warnListener = spy())));
+    afterEach(() => Logger.removeListener('warn', warnListener));
+
+    function restore(code) {
+      const file = new AtviseFile({ cwd: root, path: entryPath, contents: Buffer.from(code) });
+
+      return expect(cb => new BundleTransformer().transformFromDB(file, 'utf8', cb),
+        'to call the callback without error');
+    }
+
+    it('should restore unchanged bundles silently', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => restore(code))
+        .then(([restored]) => {
+          expect(restored.contents.toString(), 'to equal', entry);
+          expect(warnListener, 'was not called');
+        });
+    });
+
+    it('should warn if a bundle was changed on atvise server', function() {
+      return BundleTransformer.bundle(entry, entryPath, root)
+        .then(code => restore(`${code}\nx++;`))
+        .then(([restored]) => {
+          expect(restored.contents.toString(), 'to equal', entry);
+          expect(warnListener, 'to have a call satisfying',
+            [/^Bundle .*Test\.js was changed on atvise server/]);
+        });
+    });
+
+    it('should forward errors for invalid bundles', function() {
+      const file = new AtviseFile({
+        cwd: root,
+        path: entryPath,
+        contents: Buffer.from('/* atscm-bundle {} */\nvar x;'),
+      });
+
+      return expect(cb => new BundleTransformer().transformFromDB(file, 'utf8', cb),
+        'to call the callback with error', /^Error restoring bundle .*Test\.js: Invalid bundle/);
+    });
+  });
+
+  /** @test {BundleTransformer#transformFromFilesystem} */
+  describe('#transformFromFilesystem', function() {
+    it('should forward bundle errors', function() {
+      const transformer = new BundleTransformer({ direction: TransformDirection.FromFilesystem });
+      const file = new AtviseFile({
+        cwd: root,
+        path: entryPath,
+        contents: Buffer.from('import a from \'lodash\';'),
+      });
+
+      return expect(cb => transformer.transformFromFilesystem(file, 'utf8', cb),
+        'to call the callback with error', /^Error bundling .*Test.js: Cannot import 'lodash'/);
+    });
+
+    it('should call the callback once if it throws', function() {
+      const transformer = new BundleTransformer({ direction: TransformDirection.FromFilesystem });
+      const file = new AtviseFile({ cwd: root, path: entryPath, contents: Buffer.from(entry) });
+      const callback = spy(() => {
+        throw new Error('Callback error');
+      });
+
+      return new Promise(resolve => {
+        process.once('unhandledRejection', resolve);
+        transformer.transformFromFilesystem(file, 'utf8', callback);
+      })
+        .then(err => {
+          expect(err, 'to have message', 'Callback error');
+          expect(callback, 'was called once');
+        });
+    });
+
+    it('should bundle and restore scripts', function() {
+      const transformer = new BundleTransformer({ direction: TransformDirection.FromFilesystem });
+      const file = new AtviseFile({ cwd: root, path: entryPath, contents: Buffer.from(entry) });
+
+      return expect(cb => transformer.transformFromFilesystem(file, 'utf8', cb),
+        'to call the callback without error')
+        .then(([bundled]) => {
+          expect(runBundle(bundled.contents.toString()), 'to equal', 44);
+
+          return expect(cb => new BundleTransformer().transformFromDB(bundled, 'utf8', cb),
+            'to call the callback without error');
+        })
+        .then(([restored]) => expect(restored.contents.toString(), 'to equal', entry));
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { stub } from 'sinon';
+import proxyquire from 'proxyquire';
+import expect from '../../expect';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import { TransformDirection } from '../../../src/lib/transform/Transformer';
+import CompileTransformer from '../../../src/transform/CompileTransformer';
+import BundleTransformer from '../../../src/transform/BundleTransformer';
+
+const typescript = {
+  DiagnosticCategory: { Error: 1 },
+  transpileModule: stub().returns({ outputText: 'var a = 1;', diagnostics: [] }),
+  flattenDiagnosticMessageText: text => text,
+  '@noCallThru': true,
+};
+
+const StubCompileTransformer = proxyquire('../../../src/transform/CompileTransformer', {
+  typescript,
+}).default;
+
+function source(path, code) {
+  return new AtviseFile({ path, contents: Buffer.from(code) });
+}
+
+/** @test {CompileTransformer} */
+describe('CompileTransformer', function() {
+  /** @test {CompileTransformer#constructor} */
+  describe('#constructor', function() {
+    it('should use default options', function() {
+      expect(new CompileTransformer(), 'to satisfy', {
+        babelOptions: {},
+        typeScriptOptions: { target: 'ES5' },
+      });
+    });
+  });
+
+  /** @test {CompileTransformer#shouldBeTransformed} */
+  describe('#shouldBeTransformed', function() {
+    const transformer = new CompileTransformer();
+
+    it('should return true for display and script sources', function() {
+      expect(transformer.shouldBeTransformed(source('AGENT/DISPLAYS/Main.display/Main.js', '')),
+        'to be true');
+      expect(transformer.shouldBeTransformed(source('SYSTEM/LIBRARY/Test.script/Test.ts', '')),
+        'to be true');
+    });
+
+    it('should return false for other files', function() {
+      expect(transformer.shouldBeTransformed(source('AGENT/DISPLAYS/Main.display/Main.svg', '')),
+        'to be false');
+      expect(transformer.shouldBeTransformed(source('SYSTEM/LIBRARY/lib.js', '')), 'to be false');
+    });
+  });
+
+  /** @test {CompileTransformer#transformFromDB} */
+  describe('#transformFromDB', function() {
+    it('should pass files', function() {
+      const file = source('AGENT/DISPLAYS/Main.display/Main.js', '');
+
+      return expect(cb => new CompileTransformer().transformFromDB(file, 'utf8', cb),
+        'to call the callback without error')
+        .then(args => expect(args[0], 'to be', file));
+    });
+  });
+
+  /** @test {CompileTransformer#transformFromFilesystem} */
+  describe('#transformFromFilesystem', function() {
+    function compile(transformer, file) {
+      return cb => transformer.withDirection(TransformDirection.FromFilesystem)
+        .transformFromFilesystem(file, 'utf8', cb);
+    }
+
+    it('should compile JavaScript sources with babel', function() {
+      const transformer = new CompileTransformer({
+        babel: { plugins: ['transform-es2015-modules-commonjs'] },
+      });
+
+      const file = source('AGENT/DISPLAYS/Main.display/Main.js', 'export default 1;');
+
+      return expect(compile(transformer, file), 'to call the callback without error')
+        .then(args => {
+          expect(args[0].relative, 'to equal', 'AGENT/DISPLAYS/Main.display/Main.js');
+          expect(args[0].contents.toString(), 'to contain', 'exports.default = 1;');
+        });
+    });
+
+    it('should update the checksum of compiled bundles', function() {
+      const transformer = new CompileTransformer({
+        babel: { plugins: ['transform-es2015-modules-commonjs'] },
+      });
+
+      const file = source('SYSTEM/LIBRARY/Test.script/Test.js', BundleTransformer.updateChecksum(
+        '/* atscm-bundle {"modules":[],"source":"export default 1;"} */\nexport default 1;'));
+
+      return expect(compile(transformer, file), 'to call the callback without error')
+        .then(args => {
+          const compiled = args[0].contents.toString();
+
+          expect(compiled, 'to contain', 'exports.default = 1;');
+          expect(BundleTransformer.isModified(compiled), 'to be false');
+        });
+    });
+
+    it('should report babel errors with the source path', function() {
+      const file = source('AGENT/DISPLAYS/Main.display/Main.js', 'let a = (;');
+
+      const transformer = new CompileTransformer({
+        babel: { plugins: ['transform-es2015-modules-commonjs'] },
+      });
+
+      return expect(compile(transformer, file), 'to call the callback with error',
+        'Error compiling AGENT/DISPLAYS/Main.display/Main.js: Unexpected token (1:9)');
+    });
+
+    it('should fail if no babel presets or plugins are set', function() {
+      const file = source('AGENT/DISPLAYS/Main.display/Main.js', 'export default 1;');
+
+      return expect(compile(new CompileTransformer(), file),
+        'to call the callback with error',
+        /^Error compiling AGENT\/DISPLAYS\/Main.display\/Main.js: No babel presets or plugins set/);
+    });
+
+    it('should report missing babel presets', function() {
+      const file = source('AGENT/DISPLAYS/Main.display/Main.js', 'export default 1;');
+
+      return expect(compile(new CompileTransformer({ babel: { presets: ['es2015'] } }), file),
+        'to call the callback with error',
+        'Error compiling AGENT/DISPLAYS/Main.display/Main.js: Babel preset \'es2015\' is not ' +
+        'installed. Install it in your project, e.g. run ' +
+        '\'npm install --save-dev babel-preset-es2015\'');
+    });
+
+    it('should compile TypeScript sources to js files', function() {
+      const file = source('SYSTEM/LIBRARY/Test.script/Test.ts', 'const a: number = 1;');
+
+      return expect(compile(new StubCompileTransformer(), file),
+        'to call the callback without error')
+        .then(args => {
+          expect(typescript.transpileModule.lastCall.args, 'to satisfy', [
+            'const a: number = 1;',
+            {
+              compilerOptions: { target: 'ES5' },
+              fileName: 'SYSTEM/LIBRARY/Test.script/Test.ts',
+            },
+          ]);
+          expect(args[0].relative, 'to equal', 'SYSTEM/LIBRARY/Test.script/Test.js');
+          expect(args[0].contents.toString(), 'to equal', 'var a = 1;');
+        });
+    });
+
+    it('should report TypeScript errors with the source path', function() {
+      typescript.transpileModule.onCall(typescript.transpileModule.callCount).returns({
+        diagnostics: [{
+          category: 1,
+          messageText: 'Expression expected.',
+          start: 9,
+          file: { getLineAndCharacterOfPosition: () => ({ line: 0, character: 9 }) },
+        }],
+      });
+
+      const file = source('SYSTEM/LIBRARY/Test.script/Test.ts', 'let a = (;');
+
+      return expect(compile(new StubCompileTransformer(), file),
+        'to call the callback with error',
+        'Error compiling SYSTEM/LIBRARY/Test.script/Test.ts: Expression expected. (1:9)');
+    });
+  });
+});
@@ -119,6 +119,33 @@ ${xmlString}`),
         });
     });
 
+    it('should not store script order if dependencies come first', function() {
+      return expectConfig(`<svg>
+  <script src="path/to/dependency.js"></script>
+  <script type="text/ecmascript">code()</script>
+</svg>`)
+        .then(config => {
+          expect(config.scripts, 'to be undefined');
+          expect(config.dependencies, 'to equal', ['path/to/dependency.js']);
+        });
+    });
+
+    it('should store script order if dependencies follow inline script', function() {
+      return expectConfig(`<svg>
+  <script src="path/to/dependency1.js"></script>
+  <script>code()</script>
+  <script xlink:href="path/to/dependency2.js"></script>
+</svg>`)
+        .then(config => {
+          expect(config.dependencies, 'to be undefined');
+          expect(config.scripts, 'to equal', [
+            { src: 'path/to/dependency1.js' },
+            { inline: '.js' },
+            { src: 'path/to/dependency2.js' },
+          ]);
+        });
+    });
+
     context('when display contains inline script', function() {
       const script = 'console.log("called");';
 
@@ -150,6 +177,28 @@ ${xmlString}`),
       });
     });
 
+    context('when display contains multiple inline scripts', function() {
+      const xml = `<svg>
+  <script type="text/ecmascript">first()</script>
+  <script>second()</script>
+</svg>`;
+
+      it('should store each script in a separate file', function() {
+        return expectFileContents(xml, file => file.basename === 'Main.2.js')
+          .then(string => expect(string, 'to equal', 'second()'));
+      });
+
+      it('should store scripts and their attributes in config', function() {
+        return expectConfig(xml)
+          .then(config => {
+            expect(config.scripts, 'to equal', [
+              { inline: '.js', attributes: { type: 'text/ecmascript' } },
+              { inline: '.2.js' },
+            ]);
+          });
+      });
+    });
+
     context('when display contains metadata', function() {
       it('should work without parameters', function() {
         return expectConfig(`<svg>
@@ -190,6 +239,64 @@ ${xmlString}`),
       });
     });
 
+    context('when extracting styles and event handlers', function() {
+      function splitFiles(xmlString) {
+        const transformer = new DisplayTransformer({
+          direction: TransformDirection.FromDB,
+          extractStyles: true,
+          extractHandlers: true,
+        });
+        const files = {};
+
+        transformer.on('data', file => (files[file.basename] = file.contents.toString()));
+
+        return new Promise((resolve, reject) => {
+          transformer.once('error', reject);
+          transformer.once('end', () => resolve(files));
+
+          transformer.write(new AtviseFile({
+            path: 'AGENT/DISPLAYS/Main.display.xml',
+            contents: Buffer.from(xmlString),
+          }));
+          transformer.end();
+        });
+      }
+
+      it('should store styles in separate files', function() {
+        return expect(splitFiles(`<svg>
+  <style type="text/css">.a { fill: red; }</style>
+  <defs><style>.b {}</style></defs>
+</svg>`), 'to be fulfilled with', expect.it('to satisfy', {
+          'Main.css': '.a { fill: red; }',
+          'Main.2.css': '.b {}',
+          'Main.svg': expect.it('not to contain', '.a', '.b'),
+        }));
+      });
+
+      it('should store event handlers by element id', function() {
+        return expect(splitFiles(`<svg id="root" onload="init()">
+  <rect id="button" onclick="click(evt)"/>
+</svg>`), 'to be fulfilled with', expect.it('to satisfy', {
+          'Main.handlers.json': expect.it(json => expect(JSON.parse(json), 'to equal', {
+            root: { onload: 'init()' },
+            button: { onclick: 'click(evt)' },
+          })),
+          'Main.svg': expect.it('not to contain', 'onload', 'onclick'),
+        }));
+      });
+
+      it('should keep event handlers of elements without unique id', function() {
+        return expect(splitFiles(`<svg>
+  <rect onclick="first()"/>
+  <rect id="same" onclick="second()"/>
+  <rect id="same" onclick="third()"/>
+</svg>`), 'to be fulfilled with', expect.it('to satisfy', {
+          'Main.handlers.json': undefined,
+          'Main.svg': expect.it('to contain', 'first()', 'second()', 'third()'),
+        }));
+      });
+    });
+
     context('when encoding fails', function() {
       beforeEach(() => stub(DisplayTransformer.prototype, 'encodeContents')
         .callsFake((obj, cb) => cb(new Error('Encode error'))));
@@ -202,6 +309,18 @@ ${xmlString}`),
     });
   });
 
+  /** @test {DisplayTransformer.sortMetadata} */
+  describe('.sortMetadata', function() {
+    it('should keep the order of unknown elements', function() {
+      expect(Object.keys(DisplayTransformer.sortMetadata({
+        'atv:b': [],
+        'atv:gridconfig': [],
+        'atv:a': [],
+        'atv:parameter': [],
+      })), 'to equal', ['atv:parameter', 'atv:gridconfig', 'atv:b', 'atv:a']);
+    });
+  });
+
   /** @test {DisplayTransformer#createCombinedFile} */
   describe('#createCombinedFile', function() {
     function createDisplayWithFileContents(contents) {
@@ -286,6 +405,80 @@ ${xmlString}`.replace(/\r?\n|\r/g, '\r\n'));
 </svg>`);
     });
 
+    it('should insert script after dependencies by default', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': '<svg><rect></rect></svg>',
+        '.json': '{ "dependencies": ["path/to/dep.js"] }',
+        '.js': 'code()',
+      }, `<svg>
+ <rect/>
+ <script xlink:href="path/to/dep.js"/>
+ <script type="text/ecmascript"><![CDATA[code()]]></script>
+</svg>`);
+    });
+
+    it('should restore script order', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': '<svg><rect></rect></svg>',
+        '.json': `{ "scripts": [
+          { "src": "path/to/dep1.js" },
+          { "inline": ".js", "attributes": { "type": "text/ecmascript" } },
+          { "src": "path/to/dep2.js" }
+        ] }`,
+        '.js': 'code()',
+      }, `<svg>
+ <rect/>
+ <script xlink:href="path/to/dep1.js"/>
+ <script type="text/ecmascript"><![CDATA[code()]]></script>
+ <script xlink:href="path/to/dep2.js"/>
+</svg>`);
+    });
+
+    it('should insert multiple scripts with their attributes', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': '<svg><rect></rect></svg>',
+        '.json': `{ "scripts": [
+          { "inline": ".js", "attributes": { "type": "text/javascript" } },
+          { "inline": ".2.js" }
+        ] }`,
+        '.js': 'first()',
+        '.2.js': 'second()',
+      }, `<svg>
+ <rect/>
+ <script type="text/javascript"><![CDATA[first()]]></script>
+ <script><![CDATA[second()]]></script>
+</svg>`);
+    });
+
+    it('should insert styles', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': '<svg><style type="text/css"></style><defs><style></style></defs></svg>',
+        '.css': '.a {}',
+        '.2.css': '.b {}',
+      }, `<svg>
+ <style type="text/css">.a {}</style>
+ <defs>
+  <style>.b {}</style>
+ </defs>
+</svg>`);
+    });
+
+    it('should insert event handlers', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': '<svg><rect id="button" x="1"></rect></svg>',
+        '.handlers.json': '{ "button": { "onclick": "click(evt)" } }',
+      }, `<svg>
+ <rect id="button" x="1" onclick="click(evt)"/>
+</svg>`);
+    });
+
+    it('should fail with invalid event handlers file', function() {
+      return expect(createDisplayWithFileContents({
+        '.svg': '<svg></svg>',
+        '.handlers.json': '',
+      }), 'to call the callback with error', /Error parsing JSON/);
+    });
+
     it('should work without empty parameters config', function() {
       return expectDisplayWithFileContentToHaveXML({
         '.svg': '<svg><rect></rect></svg>',
@@ -305,8 +498,28 @@ ${xmlString}`.replace(/\r?\n|\r/g, '\r\n'));
         '.json': '{ "parameters": [{ "name": "test" }] }',
       }, `<svg>
  <metadata>
+  <atv:parameter name="test"/>
   <atv:gridconfig height="20" width="20" enabled="false" gridstyle="lines"/>
+ </metadata>
+</svg>`);
+    });
+
+    it('should sort metadata elements', function() {
+      return expectDisplayWithFileContentToHaveXML({
+        '.svg': `<svg>
+  <metadata>
+    <atv:custom/>
+    <atv:snapconfig width="10" height="10" enabled="false"/>
+    <atv:gridconfig height="20" width="20" enabled="false" gridstyle="lines"/>
+  </metadata>
+</svg>`,
+        '.json': '{ "parameters": [{ "name": "test" }] }',
+      }, `<svg>
+ <metadata>
   <atv:parameter name="test"/>
+  <atv:gridconfig height="20" width="20" enabled="false" gridstyle="lines"/>
+  <atv:snapconfig width="10" height="10" enabled="false"/>
+  <atv:custom/>
  </metadata>
 </svg>`);
     });
@@ -0,0 +1,121 @@
+import { Buffer } from 'buffer';
+import File from 'vinyl';
+import expect from '../../expect';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import NodeId from '../../../src/lib/server/NodeId';
+import { TransformDirection } from '../../../src/lib/transform/Transformer';
+import HtmlHelpTransformer from '../../../src/transform/HtmlHelpTransformer';
+
+const png = Buffer.from('89504e47', 'hex');
+const html = `<html><body>
+<img src="data:image/png;base64,${png.toString('base64')}">
+<div style="background: url(data:image/png;base64,${png.toString('base64')})"></div>
+<a href="data:application/x-custom;name=test;base64,YWJj">Download</a>
+<p>Grüße</p>
+</body></html>`;
+
+/** @test {HtmlHelpTransformer} */
+describe('HtmlHelpTransformer', function() {
+  /** @test {HtmlHelpTransformer#shouldBeTransformed} */
+  describe('#shouldBeTransformed', function() {
+    it('should return true for help pages', function() {
+      expect(HtmlHelpTransformer.prototype.shouldBeTransformed(new AtviseFile({
+        _typeDefinition: new NodeId('VariableTypes.ATVISE.HtmlHelp'),
+      })), 'to be true');
+    });
+  });
+
+  /** @test {HtmlHelpTransformer.resourceExtension} */
+  describe('.resourceExtension', function() {
+    it('should use the extension for known mime types', function() {
+      expect(HtmlHelpTransformer.resourceExtension(0, 'image/jpeg'), 'to equal', '.1.jpg');
+    });
+
+    it('should use bin for unknown mime types', function() {
+      expect(HtmlHelpTransformer.resourceExtension(1, 'x/y'), 'to equal', '.2.bin');
+    });
+  });
+
+  function splitHelp(contents) {
+    const transformer = new HtmlHelpTransformer({ direction: TransformDirection.FromDB });
+    const files = {};
+
+    transformer.on('data', file => (files[file.basename] = file));
+
+    return new Promise((resolve, reject) => {
+      transformer.once('error', reject);
+      transformer.once('end', () => resolve(files));
+
+      transformer.write(new AtviseFile({
+        path: 'SYSTEM/LIBRARY/PROJECT/Page.help.html',
+        contents,
+      }));
+      transformer.end();
+    });
+  }
+
+  /** @test {HtmlHelpTransformer#transformFromDB} */
+  describe('#transformFromDB', function() {
+    it('should store embedded resources once', function() {
+      return expect(splitHelp(Buffer.from(html, 'utf8')), 'to be fulfilled with',
+        expect.it(files => {
+          expect(Object.keys(files).sort(), 'to equal',
+            ['Page.1.png', 'Page.2.bin', 'Page.html', 'Page.json']);
+          expect(files['Page.1.png'].contents, 'to equal', png);
+          expect(files['Page.html'].contents.toString(), 'to contain',
+            'src="Page.1.png"', 'url(Page.1.png)', 'href="Page.2.bin"');
+          expect(JSON.parse(files['Page.json'].contents), 'to equal', {
+            resources: {
+              '.1.png': 'data:image/png;base64,',
+              '.2.bin': 'data:application/x-custom;name=test;base64,',
+            },
+          });
+        }));
+    });
+
+    it('should not store config for pages without resources', function() {
+      return expect(splitHelp(Buffer.from('<html></html>')), 'to be fulfilled with',
+        expect.it('to only have keys', 'Page.html'));
+    });
+  });
+
+  /** @test {HtmlHelpTransformer#createCombinedFile} */
+  describe('#createCombinedFile', function() {
+    function combineHelp(files) {
+      const transformer = new HtmlHelpTransformer({
+        direction: TransformDirection.FromFilesystem,
+      });
+      const byExtension = Object.keys(files).reduce((result, name) => Object.assign(result, {
+        [name.slice('Page'.length)]: new File({
+          path: `SYSTEM/LIBRARY/PROJECT/Page.help/${name}`,
+          contents: files[name].contents,
+        }),
+      }), {});
+
+      return cb => transformer.createCombinedFile(byExtension,
+        byExtension[Object.keys(byExtension)[0]], cb);
+    }
+
+    it('should fail without HTML file', function() {
+      return expect(combineHelp({ 'Page.json': { contents: Buffer.from('{}') } }),
+        'to call the callback with error', /No help HTML/);
+    });
+
+    it('should fail with invalid config file', function() {
+      return expect(combineHelp({ 'Page.json': { contents: Buffer.from('') } }),
+        'to call the callback with error', /Error parsing JSON/);
+    });
+
+    it('should restore the original page', function() {
+      const original = Buffer.from(html, 'utf8');
+
+      return splitHelp(original)
+        .then(files => expect(combineHelp(files), 'to call the callback'))
+        .then(args => {
+          expect(args[0], 'to be falsy');
+          expect(args[1].relative, 'to equal', 'SYSTEM/LIBRARY/PROJECT/Page.help.html');
+          expect(args[1].contents, 'to equal', original);
+        });
+    });
+  });
+});
@@ -1,20 +1,33 @@
 import { Buffer } from 'buffer';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readFileSync, writeFileSync } from 'fs';
 import { stub, spy } from 'sinon';
 import proxyquire from 'proxyquire';
-import { DataType, VariantArrayType } from 'node-opcua';
+import { DataType, VariantArrayType, NodeClass } from 'node-opcua';
 import File from 'vinyl';
 import Logger from 'gulplog';
 import expect from '../../expect';
 import { TransformDirection } from '../../../src/lib/transform/Transformer';
 import NodeId from '../../../src/lib/server/NodeId';
 import AtviseFile from '../../../src/lib/server/AtviseFile';
+import RealMappingTransformer from '../../../src/transform/Mapping';
+import { ensureDirectory } from '../../../src/util/fs';
 
 const readFile = (path, enc, cb) => cb(null, JSON.stringify({
   typeDefinition: 'ns=1;s=VariableTypes.PROJECT.Custom',
 }));
 const fs = { readFile };
 
-const MappingTransformer = proxyquire('../../../src/transform/Mapping', { fs }).default;
+const MappingTransformer = proxyquire('../../../src/transform/Mapping', {
+  '../lib/server/NodeMetadata': proxyquire('../../../src/lib/server/NodeMetadata', { fs }),
+}).default;
+
+function enoent(path) {
+  return Object.assign(new Error(`ENOENT: no such file or directory, open '${path}'`), {
+    code: 'ENOENT',
+  });
+}
 
 /** @test {MappingTransformer} */
 describe('MappingTransformer', function() {
@@ -98,8 +111,8 @@ describe('MappingTransformer', function() {
         nodeId: new NodeId('AGENT.DISPLAYS.Main'),
         value: {
           value: '<xml></xml>',
-          $dataType: DataType.XmlElement,
-          $arrayType: VariantArrayType.Scalar,
+          dataType: DataType.XmlElement,
+          arrayType: VariantArrayType.Scalar,
         },
         referenceDescription: {
           typeDefinition: new NodeId('VariableTypes.ATVISE.Display'),
@@ -117,14 +130,15 @@ describe('MappingTransformer', function() {
           nodeId: new NodeId('AGENT.OBJECTS.CustomVar'),
           value: {
             value: '<xml></xml>',
-            $dataType: DataType.XmlElement,
-            $arrayType: VariantArrayType.Scalar,
+            dataType: DataType.XmlElement,
+            arrayType: VariantArrayType.Scalar,
           },
           referenceDescription: {
             typeDefinition: new NodeId('VariableTypes.PROJECT.CustomType'),
           },
         }], 'when piped through', stream, 'to yield chunks satisfying', [
           {
+            relative: 'AGENT/OBJECTS/.CustomVar.var.rc',
             contents: new Buffer(JSON.stringify({
               typeDefinition: 'ns=1;s=VariableTypes.PROJECT.CustomType',
             }, null, '  ')),
@@ -135,6 +149,57 @@ describe('MappingTransformer', function() {
         ]);
       });
     });
+
+    context('when node has metadata', function() {
+      it('should push plain .rc file', function() {
+        const stream = new MappingTransformer({ direction: TransformDirection.FromDB });
+
+        return expect([{
+          nodeId: new NodeId('AGENT.DISPLAYS.Main'),
+          value: {
+            value: '<xml></xml>',
+            dataType: DataType.XmlElement,
+            arrayType: VariantArrayType.Scalar,
+          },
+          referenceDescription: {
+            typeDefinition: new NodeId('VariableTypes.ATVISE.Display'),
+          },
+          attributes: { displayName: 'Main display' },
+        }], 'when piped through', stream, 'to yield chunks satisfying', [
+          expect.it('not to be an', AtviseFile)
+            .and('to satisfy', {
+              relative: 'AGENT/DISPLAYS/.Main.display.rc',
+              contents: new Buffer(JSON.stringify({ displayName: 'Main display' }, null, '  ')),
+            }),
+          expect.it('to be an', AtviseFile),
+        ]);
+      });
+    });
+
+    context('when node is an object', function() {
+      it('should only push .rc file', function() {
+        const stream = new MappingTransformer({ direction: TransformDirection.FromDB });
+
+        return expect([{
+          nodeId: new NodeId('AGENT.OBJECTS.Folder'),
+          value: null,
+          referenceDescription: {
+            nodeClass: NodeClass.Object,
+            typeDefinition: new NodeId(NodeId.NodeIdType.NUMERIC, 61, 0),
+            referenceTypeId: new NodeId(NodeId.NodeIdType.NUMERIC, 35, 0),
+          },
+        }], 'when piped through', stream, 'to yield chunks satisfying', [
+          {
+            relative: 'AGENT/OBJECTS/.Folder.obj.rc',
+            contents: new Buffer(JSON.stringify({
+              nodeClass: 'Object',
+              typeDefinition: 'ns=0;i=61',
+              referenceTypeId: 'ns=0;i=35',
+            }, null, '  ')),
+          },
+        ]);
+      });
+    });
   });
 
   /** @test {MappingTransformer#transformFromFilesystem} */
@@ -190,10 +255,50 @@ describe('MappingTransformer', function() {
           ], 'when piped through', stream)
             .then(() => {
               expect(fs.readFile, 'was called once');
+              expect(fs.readFile.lastCall.args[0], 'to equal',
+                join('AGENT', 'OBJECTS', '.CustomVar.var.rc'));
             });
         });
       });
 
+      context('with .rc file named as in earlier versions', function() {
+        beforeEach(() => stub(fs, 'readFile').callsFake((path, enc, cb) => {
+          if (path === join('AGENT', 'OBJECTS', '.CustomVar.rc')) {
+            readFile(path, enc, cb);
+          } else {
+            cb(enoent(path));
+          }
+        }));
+        afterEach(() => fs.readFile.restore());
+
+        it('should read the legacy .rc file', function() {
+          const stream = new MappingTransformer({ direction: TransformDirection.FromFilesystem });
+
+          return expect([
+            new AtviseFile({ path: 'AGENT/OBJECTS/CustomVar.var.ext' }),
+          ], 'when piped through', stream, 'to yield chunks satisfying', [
+            { typeDefinition: new NodeId('VariableTypes.PROJECT.Custom') },
+          ]);
+        });
+      });
+
+      context('without .rc file', function() {
+        beforeEach(() => stub(fs, 'readFile').callsFake((path, enc, cb) => cb(enoent(path))));
+        afterEach(() => fs.readFile.restore());
+
+        it('should forward error', function() {
+          const stream = new MappingTransformer({ direction: TransformDirection.FromFilesystem });
+
+          const promise = expect(stream, 'to error with',
+            'No type definition stored in .CustomVar.var.rc');
+
+          stream.write(new AtviseFile({ path: 'AGENT/OBJECTS/CustomVar.var.ext' }));
+          stream.end();
+
+          return promise;
+        });
+      });
+
       context('when .rc file cannot be read', function() {
         beforeEach(() => stub(fs, 'readFile').callsFake((path, enc, cb) => cb(new Error('Test'))));
         afterEach(() => fs.readFile.restore());
@@ -217,7 +322,8 @@ describe('MappingTransformer', function() {
         it('should forward error', function() {
           const stream = new MappingTransformer({ direction: TransformDirection.FromFilesystem });
 
-          const promise = expect(stream, 'to error with', /Unexpected token i in JSON/);
+          const promise = expect(stream, 'to error with',
+            /^Error parsing runtime configuration in .*\.CustomVar\.var\.rc: /);
 
           stream.write(new AtviseFile({ path: 'AGENT/OBJECTS/CustomVar.var.ext' }));
           stream.end();
@@ -227,4 +333,58 @@ describe('MappingTransformer', function() {
       });
     });
   });
+
+  context('when pulling and pushing a node', function() {
+    const directory = join(tmpdir(), 'atscm-mapping', `${Date.now()}`);
+
+    before(function() {
+      return ensureDirectory(join(directory, 'AGENT/OBJECTS'));
+    });
+
+    it('should restore the type definition from the pulled .rc file', function() {
+      const pull = new RealMappingTransformer({ direction: TransformDirection.FromDB });
+      const push = new RealMappingTransformer({ direction: TransformDirection.FromFilesystem });
+
+      const pulled = [];
+      const pulling = new Promise((resolve, reject) => pull
+        .on('data', file => pulled.push(file))
+        .once('error', reject)
+        .once('end', resolve));
+
+      pull.write({
+        nodeId: new NodeId('AGENT.OBJECTS.CustomVar'),
+        value: {
+          value: 13,
+          dataType: DataType.Int32,
+          arrayType: VariantArrayType.Scalar,
+        },
+        referenceDescription: {
+          typeDefinition: new NodeId('VariableTypes.PROJECT.CustomType'),
+        },
+      });
+      pull.end();
+
+      return pulling
+        .then(() => {
+          expect(pulled, 'to have length', 2);
+
+          pulled.forEach(file => writeFileSync(join(directory, file.relative), file.contents));
+
+          const variable = pulled.find(file => file instanceof AtviseFile);
+
+          return expect([
+            new File({
+              base: directory,
+              path: join(directory, variable.relative),
+              contents: readFileSync(join(directory, variable.relative)),
+            }),
+          ], 'when piped through', push, 'to yield chunks satisfying', [
+            {
+              relative: 'AGENT/OBJECTS/CustomVar.var.int32',
+              typeDefinition: new NodeId('VariableTypes.PROJECT.CustomType'),
+            },
+          ]);
+        });
+    });
+  });
 });
@@ -0,0 +1,151 @@
+import { Buffer } from 'buffer';
+import File from 'vinyl';
+import expect from '../../expect';
+import AtviseFile from '../../../src/lib/server/AtviseFile';
+import NodeId from '../../../src/lib/server/NodeId';
+import { TransformDirection } from '../../../src/lib/transform/Transformer';
+import TranslationTableTransformer from '../../../src/transform/TranslationTableTransformer';
+
+/** @test {TranslationTableTransformer} */
+describe('TranslationTableTransformer', function() {
+  /** @test {TranslationTableTransformer#shouldBeTransformed} */
+  describe('#shouldBeTransformed', function() {
+    it('should return true for translation tables', function() {
+      expect(TranslationTableTransformer.prototype.shouldBeTransformed(new AtviseFile({
+        _typeDefinition: new NodeId('VariableTypes.ATVISE.TranslationTable'),
+      })), 'to be true');
+    });
+
+    it('should return false for other files', function() {
+      expect(TranslationTableTransformer.prototype.shouldBeTransformed(new AtviseFile({
+        _typeDefinition: new NodeId('VariableTypes.ATVISE.Display'),
+      })), 'to be false');
+    });
+  });
+
+  /** @test {TranslationTableTransformer#transformFromDB} */
+  describe('#transformFromDB', function() {
+    function splitTable(xmlString) {
+      const transformer = new TranslationTableTransformer({
+        direction: TransformDirection.FromDB,
+      });
+      const files = {};
+
+      transformer.on('data', file => (files[file.basename] = file.contents.toString()));
+
+      return new Promise((resolve, reject) => {
+        transformer.once('error', reject);
+        transformer.once('end', () => resolve(files));
+
+        transformer.write(new AtviseFile({
+          path: 'SYSTEM/TRANSLATIONS/Table.locs.xml',
+          contents: Buffer.from(xmlString),
+        }));
+        transformer.end();
+      });
+    }
+
+    it('should fail without `locs` tag', function() {
+      return expect(splitTable('<svg/>'), 'to be rejected with', /No `locs` tag/);
+    });
+
+    it('should fail for languages without `lang` attribute', function() {
+      return expect(splitTable('<locs><loc/></locs>'), 'to be rejected with',
+        /Language without `lang`/);
+    });
+
+    it('should store a file per language', function() {
+      return expect(splitTable(`<locs>
+  <loc lang="en"><str key="on">Switched on</str><str key="empty"/></loc>
+  <loc lang="de"><str key="on">Eingeschaltet</str></loc>
+</locs>`), 'to be fulfilled with', expect.it(files => {
+        expect(JSON.parse(files['Table.en.json']), 'to equal', [
+          { key: 'on', value: 'Switched on' },
+          { key: 'empty', value: '' },
+        ]);
+        expect(JSON.parse(files['Table.de.json']), 'to equal', [
+          { key: 'on', value: 'Eingeschaltet' },
+        ]);
+        expect(JSON.parse(files['Table.json']), 'to equal', { languages: ['en', 'de'] });
+      }));
+    });
+
+    it('should keep the order of translations and their attributes', function() {
+      return expect(splitTable(`<locs>
+  <loc lang="en">
+    <str key="b">B</str><str key="10" context="alarm">Ten</str><str key="2">Two</str>
+  </loc>
+</locs>`), 'to be fulfilled with', expect.it(files => {
+        expect(JSON.parse(files['Table.en.json']), 'to equal', [
+          { key: 'b', value: 'B' },
+          { key: '10', value: 'Ten', attributes: { context: 'alarm' } },
+          { key: '2', value: 'Two' },
+        ]);
+      }));
+    });
+  });
+
+  /** @test {TranslationTableTransformer#createCombinedFile} */
+  describe('#createCombinedFile', function() {
+    function combineTable(contents) {
+      const files = Object.keys(contents).reduce((result, ext) => Object.assign(result, {
+        [ext]: new File({
+          path: `SYSTEM/TRANSLATIONS/Table.locs/Table${ext}`,
+          contents: Buffer.from(contents[ext]),
+        }),
+      }), {});
+      const transformer = new TranslationTableTransformer({
+        direction: TransformDirection.FromFilesystem,
+      });
+
+      return cb => transformer.createCombinedFile(files, files[Object.keys(files)[0]], cb);
+    }
+
+    it('should fail with invalid language file', function() {
+      return expect(combineTable({ '.en.json': 'invalid' }),
+        'to call the callback with error', /Error parsing JSON/);
+    });
+
+    it('should keep the order of languages and append new ones', function() {
+      return expect(combineTable({
+        '.json': '{ "languages": ["en", "de"] }',
+        '.fr.json': '[{ "key": "on", "value": "Allumé" }]',
+        '.de.json': '[{ "key": "on", "value": "Eingeschaltet" }]',
+        '.en.json': '[{ "key": "on", "value": "Switched on" }]',
+      }), 'to call the callback')
+        .then(args => {
+          expect(args[0], 'to be falsy');
+          expect(args[1].relative, 'to equal', 'SYSTEM/TRANSLATIONS/Table.locs.xml');
+          expect(args[1].contents.toString(), 'to equal',
+            `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<locs>
+ <loc lang="en">
+  <str key="on">Switched on</str>
+ </loc>
+ <loc lang="de">
+  <str key="on">Eingeschaltet</str>
+ </loc>
+ <loc lang="fr">
+  <str key="on">Allumé</str>
+ </loc>
+</locs>`.replace(/\r?\n/g, '\r\n'));
+        });
+    });
+
+    it('should keep the order of translations and their attributes', function() {
+      return expect(combineTable({
+        '.en.json': JSON.stringify([
+          { key: 'b', value: 'B' },
+          { key: '10', value: 'Ten', attributes: { context: 'alarm' } },
+          { key: '2', value: 'Two' },
+        ]),
+      }), 'to call the callback')
+        .then(args => {
+          expect(args[0], 'to be falsy');
+          expect(args[1].contents.toString(), 'to contain',
+            '<str key="b">B</str>\r\n  <str key="10" context="alarm">Ten</str>\r\n' +
+            '  <str key="2">Two</str>');
+        });
+    });
+  });
+});
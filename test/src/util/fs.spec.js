@@ -1,5 +1,9 @@
+import { join } from 'path';
+import { tmpdir } from 'os';
 import expect from 'unexpected';
-import { getStat, validateDirectoryExists } from '../../../src/util/fs';
+import {
+  getStat, validateDirectoryExists, ensureDirectory, listFiles,
+} from '../../../src/util/fs';
 
 /** @test {getStat} */
 describe('getStat', function() {
@@ -26,3 +30,39 @@ describe('validateDirectoryExists', function() {
     return expect(validateDirectoryExists('./test'), 'to be fulfilled');
   });
 });
+
+/** @test {ensureDirectory} */
+describe('ensureDirectory', function() {
+  const base = join(tmpdir(), `atscm-ensure-directory-${Date.now()}`);
+
+  it('should create missing parent directories', function() {
+    const path = join(base, 'parent', 'child');
+
+    return expect(ensureDirectory(path), 'to be fulfilled with', path)
+      .then(() => expect(validateDirectoryExists(path), 'to be fulfilled'));
+  });
+
+  it('should be fulfilled if directory exists', function() {
+    return expect(ensureDirectory('./test'), 'to be fulfilled');
+  });
+
+  it('should be rejected if path is a file', function() {
+    return expect(ensureDirectory('./package.json/child'), 'to be rejected');
+  });
+});
+
+/** @test {listFiles} */
+describe('listFiles', function() {
+  it('should list files in subdirectories', function() {
+    return expect(listFiles('./test'), 'when fulfilled', 'to contain',
+      join('test', 'src', 'util', 'fs.spec.js'));
+  });
+
+  it('should not list directories', function() {
+    return expect(listFiles('./test'), 'when fulfilled', 'not to contain', join('test', 'src'));
+  });
+
+  it('should be rejected with invalid path', function() {
+    return expect(listFiles('./does-not-exist'), 'to be rejected');
+  });
+});
@@ -0,0 +1,58 @@
+import { spy } from 'sinon';
+import expect from '../../expect';
+import retry, { backoffDelay } from '../../../src/util/retry';
+
+/** @test {backoffDelay} */
+describe('backoffDelay', function() {
+  it('should double the delay with each retry', function() {
+    expect([1, 2, 3].map(n => backoffDelay(n, { retryDelay: 100 })), 'to equal', [100, 200, 400]);
+  });
+
+  it('should not exceed the maximum delay', function() {
+    expect(backoffDelay(10, { retryDelay: 100, maxRetryDelay: 1000 }), 'to equal', 1000);
+  });
+});
+
+/** @test {retry} */
+describe('retry', function() {
+  function failing(times) {
+    return spy(attempt => (attempt < times ?
+      Promise.reject(new Error(`Attempt ${attempt}`)) :
+      Promise.resolve(attempt)));
+  }
+
+  it('should not retry by default', function() {
+    const fn = failing(1);
+
+    return expect(retry(fn), 'to be rejected with', 'Attempt 0')
+      .then(() => expect(fn, 'was called once'));
+  });
+
+  it('should retry until the function succeeds', function() {
+    const onRetry = spy();
+
+    return expect(retry(failing(2), { retries: 3, retryDelay: 1, onRetry }),
+      'to be fulfilled with', 2)
+      .then(() => {
+        expect(onRetry, 'was called twice');
+        expect(onRetry.secondCall.args.slice(1), 'to equal', [2, 2]);
+      });
+  });
+
+  it('should fail with the last error once all retries failed', function() {
+    return expect(retry(failing(5), { retries: 2, retryDelay: 1 }), 'to be rejected with',
+      'Attempt 2');
+  });
+
+  it('should not retry errors rejected by shouldRetry', function() {
+    const fn = failing(5);
+
+    return expect(retry(fn, { retries: 2, retryDelay: 1, shouldRetry: () => false }),
+      'to be rejected with', 'Attempt 0')
+      .then(() => expect(fn, 'was called once'));
+  });
+
+  it('should handle errors thrown synchronously', function() {
+    return expect(retry(() => { throw new Error('Sync'); }), 'to be rejected with', 'Sync');
+  });
+});
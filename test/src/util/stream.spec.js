@@ -0,0 +1,24 @@
+import { PassThrough } from 'stream';
+import expect from '../../expect';
+import forwardErrors from '../../../src/util/stream';
+
+/** @test {forwardErrors} */
+describe('forwardErrors', function() {
+  it('should return the target stream', function() {
+    const target = new PassThrough();
+
+    expect(forwardErrors(target, new PassThrough()), 'to be', target);
+  });
+
+  it('should emit the errors of all sources on the target', function() {
+    const sources = [new PassThrough(), new PassThrough()];
+    const target = forwardErrors(new PassThrough(), ...sources);
+    const errors = [];
+
+    target.on('error', err => errors.push(err.message));
+    sources[0].emit('error', new Error('First'));
+    sources[1].emit('error', new Error('Second'));
+
+    expect(errors, 'to equal', ['First', 'Second']);
+  });
+});
@@ -0,0 +1,125 @@
+import { PassThrough } from 'stream';
+import expect from 'unexpected';
+import { spy } from 'sinon';
+import proxyquire from 'proxyquire';
+import Logger from 'gulplog';
+
+function loadTarget() {
+  return proxyquire('../../../src/util/target', {});
+}
+
+function terminal(answer) {
+  const input = new PassThrough();
+  input.isTTY = true;
+
+  if (answer !== undefined) {
+    setImmediate(() => input.write(`${answer}\n`));
+  }
+
+  return { input, output: new PassThrough() };
+}
+
+/** @test {target} */
+describe('target', function() {
+  const orgTarget = process.env.ATSCM_PROJECT__TARGET;
+  const orgConfirm = process.env.ATSCM_PROJECT__CONFIRM;
+
+  function setEnv(key, value) {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  }
+
+  afterEach(function() {
+    setEnv('ATSCM_PROJECT__TARGET', orgTarget);
+    setEnv('ATSCM_PROJECT__CONFIRM', orgConfirm);
+  });
+
+  /** @test {describeTarget} */
+  describe('describeTarget', function() {
+    it('should return the endpoint without a target', function() {
+      setEnv('ATSCM_PROJECT__TARGET', undefined);
+
+      expect(loadTarget().describeTarget(), 'to match', /^opc\.tcp:\/\/.+:\d+$/);
+    });
+
+    it('should include the selected target', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'staging');
+
+      expect(loadTarget().describeTarget(), 'to equal',
+        'target \'staging\' (opc.tcp://staging.local:4841)');
+    });
+  });
+
+  /** @test {announceTarget} */
+  describe('announceTarget', function() {
+    beforeEach(() => spy(Logger, 'info'));
+    afterEach(() => Logger.info.restore());
+
+    it('should print the selected target once', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'staging');
+      const { announceTarget } = loadTarget();
+
+      announceTarget();
+      announceTarget();
+
+      expect(Logger.info.calledOnce, 'to be true');
+      expect(Logger.info.lastCall.args[0], 'to contain', 'staging');
+    });
+
+    it('should not print anything without a target', function() {
+      setEnv('ATSCM_PROJECT__TARGET', undefined);
+      loadTarget().announceTarget();
+
+      expect(Logger.info.called, 'to be false');
+    });
+  });
+
+  /** @test {confirmTarget} */
+  describe('confirmTarget', function() {
+    it('should not ask for targets without confirm option', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'staging');
+
+      return expect(loadTarget().confirmTarget(terminal()), 'to be fulfilled');
+    });
+
+    it('should reject for unknown targets', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'unknown');
+
+      return expect(loadTarget().confirmTarget(terminal()), 'to be rejected with',
+        /Unknown target 'unknown'/);
+    });
+
+    it('should fulfill if the target\'s name is typed', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'production');
+      const { confirmTarget } = loadTarget();
+
+      return expect(confirmTarget(terminal('production')), 'to be fulfilled')
+        .then(() => expect(confirmTarget(terminal()), 'to be fulfilled'));
+    });
+
+    it('should reject if another answer is typed', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'production');
+
+      return expect(loadTarget().confirmTarget(terminal('yes')), 'to be rejected with',
+        'Writing to target \'production\' was not confirmed');
+    });
+
+    it('should reject when not running in a terminal', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'production');
+      setEnv('ATSCM_PROJECT__CONFIRM', undefined);
+
+      return expect(loadTarget().confirmTarget({ input: new PassThrough() }),
+        'to be rejected with', /has to be confirmed/);
+    });
+
+    it('should fulfill if confirmed in advance', function() {
+      setEnv('ATSCM_PROJECT__TARGET', 'production');
+      setEnv('ATSCM_PROJECT__CONFIRM', 'production');
+
+      return expect(loadTarget().confirmTarget({ input: new PassThrough() }), 'to be fulfilled');
+    });
+  });
+});